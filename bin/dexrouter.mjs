@@ -0,0 +1,611 @@
+#!/usr/bin/env node
+
+/**
+ * dexrouter - headless access to the DexRouter decode / encode tooling
+ *
+ * Wraps the same modules the web UI uses (src/scripts) so calldata can be
+ * processed from shell scripts and batch jobs.
+ *
+ * Usage:
+ *   dexrouter <command> [inputs...] [options]
+ *
+ * Inputs are taken from positional arguments, from --file (repeatable, "-" for stdin)
+ * or from stdin when neither is given. Calldata inputs are whitespace separated;
+ * JSON inputs may be a single object, an array of objects or NDJSON.
+ *
+ * Output is pretty JSON (an object for one input, an array for several) or NDJSON
+ * with --ndjson. The exit code is 1 when any input failed, 2 on usage errors.
+ */
+
+import fs from 'fs';
+import { resolve } from '../src/scripts/decode/decode_index.js';
+import { decodeTransactionByHash } from '../src/scripts/decode/decode_transaction.js';
+import { encodeWithResolvedInput } from '../src/scripts/encode/encode_index.js';
+import { validateDecodedJson, validateEncodedCalldata } from '../src/scripts/core/roundtrip_validator.js';
+import { splitDexRouterCalldata } from '../src/scripts/utilities/calldataSplitter.js';
+import { importTokenList } from '../src/scripts/core/token_registry.js';
+import { importSignatures } from '../src/scripts/core/signature_registry.js';
+import { lintDecodedCalldata } from '../src/scripts/core/calldata_linter.js';
+import { diffCalldata } from '../src/scripts/core/calldata_diff.js';
+import { getEncodeSchema, getEncodeSchemaNames } from '../src/scripts/encode/encode_schemas.js';
+import { buildDagSwap } from '../src/scripts/encode/dag_builder.js';
+import { convertRoute, getConvertibleFunctions } from '../src/scripts/encode/route_converter.js';
+import { parsePatchEdit, patchCalldata } from '../src/scripts/core/calldata_patcher.js';
+import { rescaleRoute } from '../src/scripts/encode/route_rescaler.js';
+
+const USAGE = `Usage: dexrouter <command> [inputs...] [options]
+
+Commands:
+  decode      Decode DexRouter calldata into JSON, with lint warnings under "warnings"
+              (truncated or corrupted calldata is decoded best-effort, see "partial")
+  encode      Encode decoded-format JSON into calldata (validated against the function's schema);
+              amounts may be token units ("1.5 USDC"), deadlines relative ("+20m"), see "resolved"
+  split       Split a transaction calldata into individual DexRouter calls
+  roundtrip   Decode and re-encode calldata (or encode and re-decode JSON) and compare
+  tx          Fetch transactions by hash over JSON-RPC and decode their input (needs --rpc)
+  diff        Decode calldatas in pairs and report the fields that differ
+  schema      Print the JSON Schema of the encoder input for the given function names
+  dag         Build dagSwap JSON from a token graph (nodes, edges with adapter, pool, share %) and encode it
+  convert     Convert calldata or decoded JSON to another function family (needs --to), listing the
+              fields left null under "missing", and what was "dropped" or "inferred"
+  patch       Edit fields of calldata in place (needs --set), keeping the commission / trim suffix
+              bytes; reports the changed fields and the changed byte ranges under "diff"
+  rescale     Rescale calldata or decoded JSON to another input amount (needs --amount): batch amounts
+              and the trim's expectAmountOut follow proportionally, see "rescaled", "unchanged" and "warnings"
+
+Options:
+  -f, --file <path>       Read inputs from a file ("-" for stdin), may be repeated
+  --rpc <url>             JSON-RPC endpoint for the tx command (default: $DEXROUTER_RPC_URL)
+  --router-version <v>    DexRouter release to encode for (default: function.version, then the newest);
+                          decode / roundtrip of calldata: release to decode with (default: the newest
+                          release that has the selector)
+  --token-list <path>     Import a Uniswap token list for amount annotations, may be repeated
+  --chain-id <id>         Chain to look up tokens on (default: all chains)
+  --to <function>         Target function of the convert command, e.g. smartSwapByOrderId
+  --set <path=value>      Field edit for the patch command, e.g. baseRequest.deadLine=+20m, may be repeated
+  --amount <amount>       New input amount for the rescale command, raw or in token units ("1.5 USDC")
+  --keep-slippage         Rescale the minimum output too, keeping the implied slippage
+  --signatures <path>     Import an ABI file, 4byte-style dump or a directory of them to decode
+                          unknown selectors generically, may be repeated
+  --ndjson                Write one compact JSON record per line
+  -h, --help              Show this help
+
+Examples:
+  dexrouter decode 0xb80c2f09...
+  cat calldatas.txt | dexrouter decode --ndjson
+  dexrouter decode 0xb80c2f09... | dexrouter encode
+  dexrouter roundtrip -f swap.json
+  dexrouter tx 0x5c50...e1f3 --rpc https://eth.drpc.org
+  dexrouter diff 0xb80c2f09...(failed) 0xb80c2f09...(succeeded)
+  dexrouter decode 0xa9059cbb... --signatures ./abis
+  dexrouter schema smartSwapTo > smartSwapTo.schema.json
+  dexrouter dag -f route.json
+  dexrouter convert 0x9871efa4... --to dagSwapTo
+  dexrouter patch 0xb80c2f09... --set baseRequest.deadLine=+20m --set receiver=0x...
+  dexrouter rescale 0xb80c2f09... --amount "2500 USDC" --keep-slippage`;
+
+class UsageError extends Error {}
+
+// ============================================================================
+// Commands
+// ============================================================================
+
+/**
+ * Check whether a record produced by a command represents a failure
+ * @param {Object} record - the output record
+ * @returns {boolean} true if the record is an error, a best-effort partial decode or a decode
+ *   whose commission / trim suffix could not be read (reported in `issues`)
+ */
+function isFailure(record) {
+    return !record || record.success === false || record.error !== undefined || record.partial === true ||
+        (Array.isArray(record.issues) && record.issues.length > 0);
+}
+
+/**
+ * Attach the offending input to an error record so batch output stays traceable
+ * @param {Object} record - the output record
+ * @param {string|Object} input - the input that produced it
+ * @returns {Object} the record, with input added on failure
+ */
+function withInputOnFailure(record, input) {
+    return isFailure(record) ? { ...record, input } : record;
+}
+
+/**
+ * Add lint warnings to a decoded record (only when there are any)
+ * @param {Object} decoded - output of resolve()
+ * @param {string} [value] - transaction value in wei, when known
+ * @returns {Object} the record
+ */
+function withLintWarnings(decoded, value) {
+    const warnings = lintDecodedCalldata(decoded, { value });
+    return warnings.length > 0 ? { ...decoded, warnings } : decoded;
+}
+
+function decodeCommand(calldata, options) {
+    return withInputOnFailure(withLintWarnings(resolve(calldata, { chainId: options.chainId, version: options.routerVersion })), calldata);
+}
+
+function encodeCommand(jsonData, options) {
+    try {
+        const { calldata, resolved } = encodeWithResolvedInput(jsonData, { version: options.routerVersion, chainId: options.chainId });
+        return Object.keys(resolved).length > 0 ? { calldata, resolved } : { calldata };
+    } catch (error) {
+        return { success: false, error: error.message, input: jsonData };
+    }
+}
+
+function splitCommand(calldata) {
+    try {
+        return splitDexRouterCalldata(calldata);
+    } catch (error) {
+        return { success: false, error: error.message, input: calldata };
+    }
+}
+
+function roundtripCommand(input, options) {
+    if (typeof input === 'string') {
+        return validateDecodedJson(input, resolve(input, { version: options.routerVersion }));
+    }
+
+    try {
+        const { calldata, json } = encodeWithResolvedInput(input, { version: options.routerVersion, chainId: options.chainId });
+        return validateEncodedCalldata(json, calldata);
+    } catch (error) {
+        return { success: false, error: 'Encoding failed', details: error.message, input };
+    }
+}
+
+async function txCommand(txHash, options) {
+    if (!options.rpc) {
+        throw new UsageError('The tx command needs --rpc <url> or DEXROUTER_RPC_URL');
+    }
+
+    try {
+        const { transaction, decoded } = await decodeTransactionByHash(options.rpc, txHash);
+        return withInputOnFailure({ transaction, ...withLintWarnings(decoded, transaction.value) }, txHash);
+    } catch (error) {
+        return { success: false, error: error.message, input: txHash };
+    }
+}
+
+function diffCommand([left, right], options) {
+    const diff = diffCalldata(left, right, { chainId: options.chainId });
+    if (diff.success === false) {
+        return { success: false, error: diff.error, input: [left, right] };
+    }
+    return { identical: diff.identical, changes: diff.changes };
+}
+
+function schemaCommand(functionName) {
+    if (!getEncodeSchemaNames().includes(functionName)) {
+        return {
+            success: false,
+            error: `No schema for function ${functionName} (known: ${getEncodeSchemaNames().join(', ')})`,
+            input: functionName
+        };
+    }
+    return getEncodeSchema(functionName);
+}
+
+function dagCommand(route, options) {
+    try {
+        const json = buildDagSwap(route, { version: options.routerVersion });
+        const { calldata, resolved } = encodeWithResolvedInput(json, { version: options.routerVersion, chainId: options.chainId });
+        return Object.keys(resolved).length > 0 ? { calldata, json, resolved } : { calldata, json };
+    } catch (error) {
+        return { success: false, error: error.message, input: route };
+    }
+}
+
+function convertCommand(input, options) {
+    if (!options.to) {
+        throw new UsageError(`The convert command needs --to <function> (one of ${getConvertibleFunctions().join(', ')})`);
+    }
+
+    const decoded = typeof input === 'string' ? resolve(input) : input;
+    if (decoded?.success === false) {
+        return withInputOnFailure(decoded, input);
+    }
+    try {
+        return convertRoute(decoded, options.to, { version: options.routerVersion });
+    } catch (error) {
+        return { success: false, error: error.message, input };
+    }
+}
+
+function patchCommand(calldata, options) {
+    if (options.edits.length === 0) {
+        throw new UsageError('The patch command needs at least one --set <path=value>');
+    }
+
+    try {
+        const { calldata: patched, changes, suffix, diff } = patchCalldata(calldata, options.edits, { chainId: options.chainId });
+        return { calldata: patched, changes, suffix, diff };
+    } catch (error) {
+        return { success: false, error: error.message, input: calldata };
+    }
+}
+
+function rescaleCommand(input, options) {
+    if (options.amount === null) {
+        throw new UsageError('The rescale command needs --amount <amount>');
+    }
+
+    const decoded = typeof input === 'string' ? resolve(input, { chainId: options.chainId }) : input;
+    if (decoded?.success === false) {
+        return withInputOnFailure(decoded, input);
+    }
+    try {
+        return rescaleRoute(decoded, options.amount, {
+            keepSlippage: options.keepSlippage,
+            chainId: options.chainId,
+            version: options.routerVersion
+        });
+    } catch (error) {
+        return { success: false, error: error.message, input };
+    }
+}
+
+// inputType: 'calldata' inputs are hex strings, 'json' inputs are parsed objects,
+// 'any' accepts both (JSON objects are recognised by a leading "{" or "["),
+// 'name' inputs are whitespace separated words
+// pairwise commands receive their inputs two at a time
+const COMMANDS = {
+    decode: { inputType: 'calldata', run: decodeCommand },
+    encode: { inputType: 'json', run: encodeCommand },
+    split: { inputType: 'calldata', run: splitCommand },
+    roundtrip: { inputType: 'any', run: roundtripCommand },
+    tx: { inputType: 'calldata', run: txCommand },
+    diff: { inputType: 'calldata', pairwise: true, run: diffCommand },
+    schema: { inputType: 'name', run: schemaCommand },
+    dag: { inputType: 'json', run: dagCommand },
+    convert: { inputType: 'any', run: convertCommand },
+    patch: { inputType: 'calldata', run: patchCommand },
+    rescale: { inputType: 'any', run: rescaleCommand },
+};
+
+// ============================================================================
+// Argument and input handling
+// ============================================================================
+
+/**
+ * Parse a --chain-id value
+ * @param {string} value - decimal or 0x-prefixed chain id
+ * @returns {number} the chain id
+ */
+function parseChainId(value) {
+    const chainId = Number(value);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+        throw new UsageError(`Invalid chain id: ${value}`);
+    }
+    return chainId;
+}
+
+/**
+ * Parse a --set value
+ * @param {string} value - path=value
+ * @returns {Object} { path, value }
+ */
+function parseEdit(value) {
+    try {
+        return parsePatchEdit(value);
+    } catch (error) {
+        throw new UsageError(error.message);
+    }
+}
+
+/**
+ * Parse command line arguments
+ * @param {Array<string>} argv - process.argv without node and script path
+ * @returns {Object} { command, positional, files, rpc, routerVersion, tokenLists, chainId, signatures, to, edits, amount, keepSlippage, ndjson, help }
+ */
+function parseArgs(argv) {
+    const options = {
+        command: null,
+        positional: [],
+        files: [],
+        rpc: process.env.DEXROUTER_RPC_URL || null,
+        routerVersion: null,
+        tokenLists: [],
+        chainId: null,
+        signatures: [],
+        to: null,
+        edits: [],
+        amount: null,
+        keepSlippage: false,
+        ndjson: false,
+        help: false
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg === '--ndjson') {
+            options.ndjson = true;
+        } else if (arg === '--keep-slippage') {
+            options.keepSlippage = true;
+        } else if (arg === '-f' || arg === '--file') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a path`);
+            }
+            options.files.push(argv[++i]);
+        } else if (arg.startsWith('--file=')) {
+            options.files.push(arg.slice('--file='.length));
+        } else if (arg === '--rpc') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a URL`);
+            }
+            options.rpc = argv[++i];
+        } else if (arg.startsWith('--rpc=')) {
+            options.rpc = arg.slice('--rpc='.length);
+        } else if (arg === '--router-version') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a version`);
+            }
+            options.routerVersion = argv[++i];
+        } else if (arg.startsWith('--router-version=')) {
+            options.routerVersion = arg.slice('--router-version='.length);
+        } else if (arg === '--token-list') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a path`);
+            }
+            options.tokenLists.push(argv[++i]);
+        } else if (arg.startsWith('--token-list=')) {
+            options.tokenLists.push(arg.slice('--token-list='.length));
+        } else if (arg === '--chain-id') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a chain id`);
+            }
+            options.chainId = parseChainId(argv[++i]);
+        } else if (arg.startsWith('--chain-id=')) {
+            options.chainId = parseChainId(arg.slice('--chain-id='.length));
+        } else if (arg === '--signatures') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a path`);
+            }
+            options.signatures.push(argv[++i]);
+        } else if (arg.startsWith('--signatures=')) {
+            options.signatures.push(arg.slice('--signatures='.length));
+        } else if (arg === '--to') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires a function name`);
+            }
+            options.to = argv[++i];
+        } else if (arg.startsWith('--to=')) {
+            options.to = arg.slice('--to='.length);
+        } else if (arg === '--set') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires path=value`);
+            }
+            options.edits.push(parseEdit(argv[++i]));
+        } else if (arg.startsWith('--set=')) {
+            options.edits.push(parseEdit(arg.slice('--set='.length)));
+        } else if (arg === '--amount') {
+            if (i + 1 >= argv.length) {
+                throw new UsageError(`${arg} requires an amount`);
+            }
+            options.amount = argv[++i];
+        } else if (arg.startsWith('--amount=')) {
+            options.amount = arg.slice('--amount='.length);
+        } else if (arg.startsWith('-') && arg !== '-') {
+            throw new UsageError(`Unknown option: ${arg}`);
+        } else if (!options.command) {
+            options.command = arg;
+        } else {
+            options.positional.push(arg);
+        }
+    }
+
+    return options;
+}
+
+/**
+ * Split raw text into calldata inputs (whitespace separated hex strings)
+ * @param {string} text - raw text
+ * @returns {Array<string>} calldata strings
+ */
+function splitCalldataText(text) {
+    return text.split(/\s+/).filter(Boolean);
+}
+
+/**
+ * Parse raw text into JSON inputs
+ * Accepts a single JSON value, a JSON array of objects, or NDJSON
+ * @param {string} text - raw text
+ * @param {string} source - description of the source for error messages
+ * @returns {Array<Object>} parsed JSON objects
+ */
+function parseJsonText(text, source) {
+    const trimmed = text.trim();
+    if (!trimmed) return [];
+
+    try {
+        const parsed = JSON.parse(trimmed);
+        return Array.isArray(parsed) ? parsed : [parsed];
+    } catch {
+        // Not a single JSON document - fall back to NDJSON
+    }
+
+    return trimmed.split(/\r?\n/).filter(line => line.trim()).map((line, index) => {
+        try {
+            return JSON.parse(line);
+        } catch (error) {
+            throw new UsageError(`Invalid JSON in ${source} at line ${index + 1}: ${error.message}`);
+        }
+    });
+}
+
+/**
+ * Turn raw text into inputs for the given command input type
+ * @param {string} text - raw text
+ * @param {string} inputType - 'calldata', 'json', 'any' or 'name'
+ * @param {string} source - description of the source for error messages
+ * @returns {Array<string|Object>} inputs
+ */
+function parseInputText(text, inputType, source) {
+    if (inputType === 'json') {
+        return parseJsonText(text, source);
+    }
+    if (inputType === 'any' && /^\s*[[{]/.test(text)) {
+        return parseJsonText(text, source);
+    }
+    return splitCalldataText(text);
+}
+
+/**
+ * Read a file, or stdin when path is "-"
+ * @param {string} path - file path or "-"
+ * @returns {Promise<string>} file contents
+ */
+async function readSource(path) {
+    if (path !== '-') {
+        return fs.promises.readFile(path, 'utf8');
+    }
+
+    const chunks = [];
+    for await (const chunk of process.stdin) {
+        chunks.push(chunk);
+    }
+    return Buffer.concat(chunks).toString('utf8');
+}
+
+/**
+ * Collect all inputs for a command from arguments, files and stdin
+ * @param {Object} options - parsed arguments
+ * @param {string} inputType - 'calldata', 'json', 'any' or 'name'
+ * @returns {Promise<Array<string|Object>>} inputs
+ */
+async function collectInputs(options, inputType) {
+    const inputs = [];
+
+    for (const [index, arg] of options.positional.entries()) {
+        if (arg === '-') {
+            inputs.push(...parseInputText(await readSource('-'), inputType, 'stdin'));
+        } else {
+            inputs.push(...parseInputText(arg, inputType, `argument ${index + 1}`));
+        }
+    }
+
+    for (const file of options.files) {
+        inputs.push(...parseInputText(await readSource(file), inputType, file === '-' ? 'stdin' : file));
+    }
+
+    if (options.positional.length === 0 && options.files.length === 0) {
+        if (process.stdin.isTTY) {
+            throw new UsageError('No input given: pass inputs as arguments, with --file, or on stdin');
+        }
+        inputs.push(...parseInputText(await readSource('-'), inputType, 'stdin'));
+    }
+
+    return inputs;
+}
+
+/**
+ * Import a signature file, or every file of a directory (files without signatures are skipped)
+ * @param {string} path - file or directory path
+ */
+async function importSignaturePath(path) {
+    let stats;
+    try {
+        stats = await fs.promises.stat(path);
+    } catch (error) {
+        throw new UsageError(`Cannot import signatures ${path}: ${error.message}`);
+    }
+
+    if (!stats.isDirectory()) {
+        try {
+            importSignatures(await fs.promises.readFile(path, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Cannot import signatures ${path}: ${error.message}`);
+        }
+        return;
+    }
+
+    for (const entry of await fs.promises.readdir(path, { withFileTypes: true })) {
+        if (!entry.isFile()) continue;
+        try {
+            importSignatures(await fs.promises.readFile(`${path}/${entry.name}`, 'utf8'));
+        } catch {
+            // not a signature file
+        }
+    }
+}
+
+/**
+ * Write command output records
+ * @param {Array<Object>} records - output records
+ * @param {boolean} ndjson - write NDJSON instead of pretty JSON
+ */
+function writeRecords(records, ndjson) {
+    if (ndjson) {
+        records.forEach(record => process.stdout.write(JSON.stringify(record) + '\n'));
+        return;
+    }
+    const output = records.length === 1 ? records[0] : records;
+    process.stdout.write(JSON.stringify(output, null, 2) + '\n');
+}
+
+// ============================================================================
+// Main
+// ============================================================================
+
+async function main(argv) {
+    const options = parseArgs(argv);
+
+    if (options.help || !options.command) {
+        console.log(USAGE);
+        return options.help ? 0 : 2;
+    }
+
+    const command = COMMANDS[options.command];
+    if (!command) {
+        throw new UsageError(`Unknown command: ${options.command}`);
+    }
+
+    for (const path of options.tokenLists) {
+        try {
+            importTokenList(await fs.promises.readFile(path, 'utf8'));
+        } catch (error) {
+            throw new UsageError(`Cannot import token list ${path}: ${error.message}`);
+        }
+    }
+
+    for (const path of options.signatures) {
+        await importSignaturePath(path);
+    }
+
+    const inputs = await collectInputs(options, command.inputType);
+    if (inputs.length === 0) {
+        throw new UsageError('No input given');
+    }
+
+    if (command.pairwise && inputs.length % 2 !== 0) {
+        throw new UsageError(`The ${options.command} command needs inputs in pairs, got ${inputs.length}`);
+    }
+
+    const records = [];
+    const step = command.pairwise ? 2 : 1;
+    for (let i = 0; i < inputs.length; i += step) {
+        records.push(await command.run(command.pairwise ? inputs.slice(i, i + 2) : inputs[i], options));
+    }
+
+    writeRecords(records, options.ndjson);
+    return records.some(isFailure) ? 1 : 0;
+}
+
+main(process.argv.slice(2))
+    .then(code => {
+        process.exitCode = code;
+    })
+    .catch(error => {
+        console.error(`Error: ${error.message}`);
+        if (error instanceof UsageError) {
+            console.error('Run "dexrouter --help" for usage.');
+            process.exitCode = 2;
+        } else {
+            process.exitCode = 1;
+        }
+    });
@@ -1,9 +1,12 @@
 import './App.css';
-import { useState, useCallback } from 'react';
+import { useState, useCallback, useEffect } from 'react';
 import { resolve } from './scripts/decode/decode_index.js';
-import { encode } from './scripts/encode/encode_index.js';
+import { decodeTransactionByHash } from './scripts/decode/decode_transaction.js';
+import { decodeCallResult } from './scripts/decode/decode_result.js';
+import { encodeWithResolvedInput } from './scripts/encode/encode_index.js';
 import { validateEncodedCalldata, validateDecodedJson } from './scripts/core/roundtrip_validator.js';
-import { createDecodeOperation, createEncodeOperation, formatJSON, checksumAddressesInObject } from './scripts/componentUtils.js';
+import { diffCalldata } from './scripts/core/calldata_diff.js';
+import { createDecodeOperation, createTxDecodeOperation, createResultDecodeOperation, createDiffDecodeOperation, createEncodeOperation, formatJSON, checksumAddressesInObject, loadStoredTokenList, loadStoredSignatures } from './scripts/componentUtils.js';
 import DecodeCalldata from './components/forms/DecodeCalldata';
 import EncodeCalldata from './components/forms/EncodeCalldata';
 import SimulateTX from './components/SimulateTX';
@@ -19,6 +22,32 @@ function App() {
   const [encodeValidation, setEncodeValidation] = useState(null);
   const [toast, setToast] = useState(null);
 
+  // Restore token lists and signatures imported in Utilities (amount annotations, unknown selectors)
+  useEffect(() => {
+    loadStoredTokenList();
+    loadStoredSignatures();
+  }, []);
+
+  // Decode-by-tx-hash state - lifted up to preserve content when switching tabs
+  const [txDecodeState, setTxDecodeState] = useState({
+    mode: 'calldata',
+    txHash: '',
+    selectedChain: 'eth',
+    rpcUrl: 'https://eth.drpc.org',
+    transaction: null,
+    resultData: '',
+    decodedCalldata: '',
+    diffInput: ''
+  });
+
+  const updateTxDecodeState = useCallback((updates) => {
+    setTxDecodeState(prev => ({ ...prev, ...updates }));
+  }, []);
+
+  const setDecodeTransaction = useCallback((transaction) => {
+    setTxDecodeState(prev => ({ ...prev, transaction }));
+  }, []);
+
   // TX Simulation state - lifted up to preserve content when switching tabs
   const [simulationState, setSimulationState] = useState({
     formData: {
@@ -34,7 +63,8 @@ function App() {
       blockHeight: ''
     },
     isSimulating: false,
-    simulationResult: null
+    simulationResult: null,
+    simulationOutcome: null
   });
 
   // Utilities initial timestamp - for Find Height feature
@@ -52,7 +82,10 @@ function App() {
     checksumResult: null,
     addressError: null,
     topic0Result: null,
-    topic0Error: null
+    topic0Error: null,
+    logsInput: '',
+    logsResult: null,
+    logsError: null
   });
 
   const updateUtilitiesState = useCallback((updates) => {
@@ -89,6 +122,12 @@ function App() {
     showToast('Switched to Encode tab with decoded result!', 'success');
   };
 
+  const handleOpenDagRouteInEncoder = (json) => {
+    setActiveTab('encode');
+    setRightInput(formatJSON(json));
+    showToast('Switched to Encode tab with the built route!', 'success');
+  };
+
   // Helper function to find timestamp/deadline in decoded result
   const findTimestampInResult = (obj) => {
     if (!obj || typeof obj !== 'object') return null;
@@ -183,6 +222,32 @@ function App() {
                 setDecodeResult,
                 setDecodeValidation
               )}
+              txDecodeState={txDecodeState}
+              updateTxDecodeState={updateTxDecodeState}
+              onTxDecodeClick={createTxDecodeOperation(
+                txDecodeState.txHash,
+                txDecodeState.rpcUrl,
+                decodeTransactionByHash,
+                validateDecodedJson,
+                showToast,
+                setDecodeResult,
+                setDecodeValidation,
+                setDecodeTransaction
+              )}
+              onResultDecodeClick={createResultDecodeOperation(
+                leftInput,
+                txDecodeState.resultData,
+                decodeCallResult,
+                showToast,
+                setDecodeResult
+              )}
+              onDiffDecodeClick={createDiffDecodeOperation(
+                leftInput,
+                txDecodeState.diffInput,
+                diffCalldata,
+                showToast,
+                setDecodeResult
+              )}
               result={decodeResult}
               showToast={showToast}
               onEdit={handleEditFromDecode}
@@ -197,7 +262,7 @@ function App() {
               validationResult={encodeValidation}
               onButtonClick={createEncodeOperation(
                 rightInput,
-                encode,
+                encodeWithResolvedInput,
                 validateEncodedCalldata,
                 showToast,
                 setEncodeResult,
@@ -224,6 +289,7 @@ function App() {
               onInitialTimestampConsumed={() => setUtilitiesInitialTimestamp(null)}
               utilitiesState={utilitiesState}
               updateUtilitiesState={updateUtilitiesState}
+              onOpenInEncoder={handleOpenDagRouteInEncoder}
             />
           )}
 
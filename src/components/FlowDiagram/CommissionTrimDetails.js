@@ -1,8 +1,15 @@
 import React from 'react';
 import { shortenAddress } from '../../scripts/formatters/flowDiagramGenerator';
+import { getTokenInfo } from '../../scripts/core/token_registry';
 
 const COMMISSION_ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth'];
 
+/** Token symbol from the token registry, falling back to the short address */
+const tokenLabel = (address) => {
+    if (!address) return '-';
+    return getTokenInfo(address)?.symbol || shortenAddress(address);
+};
+
 /**
  * CommissionTrimDetails - displays commission and trim/charge info in tables
  */
@@ -14,9 +21,10 @@ const CommissionTrimDetails = ({ decodedResult }) => {
 
     if (!hasCommission && !hasTrim) return null;
 
-    // Collect commission blocks
+    // Collect commission blocks (the middle block carries the commission token)
     const commissions = [];
     if (hasCommission) {
+        const commissionToken = decodedResult.middle?.token;
         const referCount = Math.min(parseInt(decodedResult.referCount, 10) || 0, 8);
         for (let i = 0; i < referCount; i++) {
             const key = COMMISSION_ORDINALS[i];
@@ -28,6 +36,7 @@ const CommissionTrimDetails = ({ decodedResult }) => {
                 commissions.push({
                     type: isFrom ? 'From Token' : 'To Token',
                     address: block.address,
+                    token: commissionToken,
                     rate: `${ratePct}%`,
                 });
             }
@@ -62,6 +71,7 @@ const CommissionTrimDetails = ({ decodedResult }) => {
                             <tr>
                                 <th>Type</th>
                                 <th>Address</th>
+                                <th>Token</th>
                                 <th>Rate</th>
                             </tr>
                         </thead>
@@ -72,6 +82,9 @@ const CommissionTrimDetails = ({ decodedResult }) => {
                                     <td className="details-address" title={c.address}>
                                         {shortenAddress(c.address)}
                                     </td>
+                                    <td className="details-address" title={c.token}>
+                                        {tokenLabel(c.token)}
+                                    </td>
                                     <td>{c.rate}</td>
                                 </tr>
                             ))}
@@ -1,6 +1,9 @@
 import React, { useEffect } from 'react';
 import axios from 'axios';
 import LoadingButton from './ui/LoadingButton';
+import ResultDisplay from './ui/ResultDisplay';
+import { decodeCallResult } from '../scripts/decode/decode_result.js';
+import { createCopyHandler } from '../scripts/componentUtils';
 
 const SELECT_STYLES = {
   appearance: 'none',
@@ -70,13 +73,27 @@ const SimulationSuccessCard = ({ accountSlug, projectSlug, simulationResult }) =
   </div>
 );
 
+// Tenderly reports the top-level call output (return or revert bytes) in the call trace
+const decodeSimulationOutput = (simulationResult, calldata) => {
+  const output = simulationResult?.transaction?.transaction_info?.call_trace?.output;
+  const status = simulationResult?.transaction?.status ?? simulationResult?.simulation?.status;
+  if (output === undefined || output === null) return null;
+
+  try {
+    return decodeCallResult(calldata, output, status === false);
+  } catch (error) {
+    return { reverted: status === false, error: `Failed to decode output: ${error.message}`, output };
+  }
+};
+
 const SimulateTX = ({ 
   simulationState,
   updateSimulationFormData,
   updateSimulationStatus,
   showToast 
 }) => {
-  const { formData, isSimulating, simulationResult } = simulationState;
+  const { formData, isSimulating, simulationResult, simulationOutcome } = simulationState;
+  const handleCopy = createCopyHandler(showToast);
   useEffect(() => {
     const savedProjectSlug = localStorage.getItem('tenderly_project_slug');
 
@@ -135,6 +152,7 @@ const SimulateTX = ({
 
     updateSimulationStatus('isSimulating', true);
     updateSimulationStatus('simulationResult', null);
+    updateSimulationStatus('simulationOutcome', null);
 
     try {
       const simulationPayload = {
@@ -164,8 +182,16 @@ const SimulateTX = ({
         }
       );
 
+      const outcome = decodeSimulationOutput(response.data, formData.calldata);
       updateSimulationStatus('simulationResult', response.data);
-      showToast('Transaction simulation completed successfully! Click the link below to view in Tenderly.', 'success');
+      updateSimulationStatus('simulationOutcome', outcome);
+
+      if (outcome?.reverted) {
+        const errorName = outcome.error?.args?.message || outcome.error?.name || outcome.error?.type || 'unknown error';
+        showToast(`Simulation reverted: ${errorName}. Click the link below to view in Tenderly.`, 'error');
+      } else {
+        showToast('Transaction simulation completed successfully! Click the link below to view in Tenderly.', 'success');
+      }
 
     } catch (error) {
       console.error('Simulation error:', error);
@@ -313,6 +339,14 @@ const SimulateTX = ({
             simulationResult={simulationResult}
           />
         )}
+
+        {simulationOutcome && (
+          <ResultDisplay
+            result={simulationOutcome}
+            title={simulationOutcome.reverted ? 'Decoded Revert' : 'Decoded Return Value'}
+            onCopy={handleCopy}
+          />
+        )}
     </div>
   );
 };
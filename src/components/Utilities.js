@@ -1,9 +1,18 @@
 import React, { useState, useEffect } from 'react';
 import './Utilities.css';
 import { findBlockByTimestamp } from '../scripts/utilities/findBlock';
+import { CHAIN_OPTIONS } from '../scripts/utilities/rpc';
 import { toChecksumAddress, isValidAddress } from '../scripts/utilities/addressChecksum';
 import { getEventTopic0 } from '../scripts/utilities/topic0Calculator';
 import { splitDexRouterCalldata } from '../scripts/utilities/calldataSplitter';
+import { parseLogsInput, fetchReceiptLogs, decodeReceiptLogs } from '../scripts/utilities/logDecoder';
+import { getImportedTokenList } from '../scripts/core/token_registry';
+import { getImportedSignatureList } from '../scripts/core/signature_registry';
+import { importAndStoreTokenList, clearStoredTokenList, importAndStoreSignatures, clearStoredSignatures } from '../scripts/componentUtils';
+import { buildDagSwap } from '../scripts/encode/dag_builder';
+import { encodeWithResolvedInput } from '../scripts/encode/encode_index';
+import { parsePatchEdit, patchCalldata } from '../scripts/core/calldata_patcher';
+import dagRouteExample from '../scripts/encode/dag_route_example.json';
 
 // Custom hook for debounced value - only updates after user stops typing
 const useDebouncedValue = (value, delay) => {
@@ -20,19 +29,7 @@ const useDebouncedValue = (value, delay) => {
   return debouncedValue;
 };
 
-// Predefined chain RPC URLs (CORS-enabled public endpoints)
-const CHAIN_OPTIONS = [
-  { id: 'custom', name: 'Custom RPC', rpcUrl: '' },
-  { id: 'eth', name: 'Ethereum Mainnet', rpcUrl: 'https://eth.drpc.org' },
-  { id: 'bsc', name: 'BSC', rpcUrl: 'https://bsc-dataseed.binance.org' },
-  { id: 'base', name: 'Base', rpcUrl: 'https://base.drpc.org' },
-  { id: 'arb', name: 'Arbitrum One', rpcUrl: 'https://arb1.arbitrum.io/rpc' },
-  { id: 'xlayer', name: 'X Layer', rpcUrl: 'https://xlayer.drpc.org' },
-  { id: 'op', name: 'Optimism', rpcUrl: 'https://mainnet.optimism.io' },
-  { id: 'mode', name: 'Mode', rpcUrl: 'https://mainnet.mode.network' },
-];
-
-const Utilities = ({ showToast, initialTimestamp, onInitialTimestampConsumed, utilitiesState, updateUtilitiesState }) => {
+const Utilities = ({ showToast, initialTimestamp, onInitialTimestampConsumed, utilitiesState, updateUtilitiesState, onOpenInEncoder }) => {
   const {
     selectedChain = 'eth',
     rpcUrl = CHAIN_OPTIONS.find(c => c.id === 'eth').rpcUrl,
@@ -47,8 +44,23 @@ const Utilities = ({ showToast, initialTimestamp, onInitialTimestampConsumed, ut
     topic0Error = null,
     splitterInput = '',
     splitterResult = null,
-    splitterError = null
+    splitterError = null,
+    logsInput = '',
+    logsResult = null,
+    logsError = null,
+    dagInput = '',
+    dagResult = null,
+    dagError = null,
+    patchInput = '',
+    patchEditsInput = '',
+    patchResult = null,
+    patchError = null
   } = utilitiesState || {};
+  const [isDecodingLogs, setIsDecodingLogs] = useState(false);
+  const [importedTokenCount, setImportedTokenCount] = useState(() => getImportedTokenList().tokens.length);
+  const [tokenListError, setTokenListError] = useState(null);
+  const [importedSignatureCount, setImportedSignatureCount] = useState(() => getImportedSignatureList().length);
+  const [signatureError, setSignatureError] = useState(null);
 
   // Debounced timestamp input - only triggers block search after 1500ms idle
   const debouncedTimestampInput = useDebouncedValue(timestampInput, 1500);
@@ -292,6 +304,124 @@ const Utilities = ({ showToast, initialTimestamp, onInitialTimestampConsumed, ut
     showToast(`#${index} calldata copied!`, 'success');
   };
 
+  // Decode receipt logs — pasted receipt / logs JSON, or a tx hash fetched via the Block Finder RPC
+  const handleDecodeLogs = async () => {
+    const value = logsInput.trim();
+    if (!value) {
+      updateUtilitiesState?.({ logsResult: null, logsError: null });
+      return;
+    }
+
+    setIsDecodingLogs(true);
+    try {
+      let logs;
+      if (/^0x[0-9a-fA-F]{64}$/.test(value)) {
+        if (!rpcUrl) {
+          throw new Error('Set an RPC URL in Block Finder to fetch a receipt');
+        }
+        logs = await fetchReceiptLogs(rpcUrl, value);
+      } else {
+        logs = parseLogsInput(value);
+      }
+      updateUtilitiesState?.({ logsResult: decodeReceiptLogs(logs), logsError: null });
+    } catch (err) {
+      updateUtilitiesState?.({ logsResult: null, logsError: err.message });
+    } finally {
+      setIsDecodingLogs(false);
+    }
+  };
+
+  // Import Uniswap token list files (read locally, no network)
+  const handleTokenListFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setTokenListError(null);
+    for (const file of files) {
+      try {
+        const { name, imported, skipped } = importAndStoreTokenList(await file.text());
+        showToast(`${name}: ${imported} token${imported !== 1 ? 's' : ''} imported${skipped > 0 ? `, ${skipped} skipped` : ''}`, 'success');
+      } catch (err) {
+        setTokenListError(`${file.name}: ${err.message}`);
+      }
+    }
+    setImportedTokenCount(getImportedTokenList().tokens.length);
+  };
+
+  const handleClearTokenLists = () => {
+    clearStoredTokenList();
+    setImportedTokenCount(0);
+    setTokenListError(null);
+    showToast('Imported tokens cleared', 'success');
+  };
+
+  // Import ABI files and 4byte-style signature dumps (read locally, no network)
+  const handleSignatureFiles = async (e) => {
+    const files = Array.from(e.target.files || []);
+    e.target.value = '';
+    if (files.length === 0) return;
+
+    setSignatureError(null);
+    for (const file of files) {
+      try {
+        const { imported, skipped } = importAndStoreSignatures(await file.text());
+        showToast(`${file.name}: ${imported} signature${imported !== 1 ? 's' : ''} imported${skipped > 0 ? `, ${skipped} skipped` : ''}`, 'success');
+      } catch (err) {
+        setSignatureError(`${file.name}: ${err.message}`);
+      }
+    }
+    setImportedSignatureCount(getImportedSignatureList().length);
+  };
+
+  const handleClearSignatures = () => {
+    clearStoredSignatures();
+    setImportedSignatureCount(0);
+    setSignatureError(null);
+    showToast('Imported signatures cleared', 'success');
+  };
+
+  // Build dagSwap JSON from the route graph and encode it
+  const handleBuildDagRoute = () => {
+    try {
+      const json = buildDagSwap(JSON.parse(dagInput));
+      const { calldata } = encodeWithResolvedInput(json);
+      updateUtilitiesState?.({ dagResult: { json, calldata }, dagError: null });
+    } catch (err) {
+      updateUtilitiesState?.({ dagResult: null, dagError: err.message });
+    }
+  };
+
+  const handleLoadDagExample = () => {
+    updateUtilitiesState?.({ dagInput: JSON.stringify(dagRouteExample, null, 2), dagResult: null, dagError: null });
+  };
+
+  const copyDagCalldata = () => {
+    navigator.clipboard.writeText(dagResult.calldata);
+    showToast('Calldata copied!', 'success');
+  };
+
+  // Apply the path=value edits (one per line) to the calldata, keeping its suffix bytes
+  const handlePatchCalldata = () => {
+    try {
+      const edits = patchEditsInput.split('\n').map(line => line.trim()).filter(Boolean).map(parsePatchEdit);
+      updateUtilitiesState?.({ patchResult: patchCalldata(patchInput.trim(), edits), patchError: null });
+    } catch (err) {
+      updateUtilitiesState?.({ patchResult: null, patchError: err.message });
+    }
+  };
+
+  const copyPatchedCalldata = () => {
+    navigator.clipboard.writeText(patchResult.calldata);
+    showToast('Calldata copied!', 'success');
+  };
+
+  const formatPatchValue = (value) => (typeof value === 'object' ? JSON.stringify(value) : String(value));
+
+  const formatLogArgs = (args) => Object.entries(args)
+    .map(([name, value]) => `${name}: ${Array.isArray(value) ? JSON.stringify(value) : value}`)
+    .join(', ');
+
   return (
     <div className="utilities-container">
       <div className="utility-section">
@@ -544,6 +674,395 @@ const Utilities = ({ showToast, initialTimestamp, onInitialTimestampConsumed, ut
           </div>
         )}
       </div>
+
+      {/* Receipt Log Decoder Section */}
+      <div className="utility-section">
+        <h3 className="section-title">Receipt Log Decoder</h3>
+        <p className="splitter-description">
+          Paste a receipt, an eth_getTransactionReceipt response or a logs array, or enter a tx hash to fetch it with the Block Finder RPC.
+          DexRouter, ERC20 and WETH events are decoded into a token flow summary.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label">Receipt Logs or Transaction Hash</label>
+          <textarea
+            className="foundry-input-white splitter-textarea"
+            value={logsInput}
+            onChange={(e) => updateUtilitiesState?.({ logsInput: e.target.value })}
+            placeholder='0x... (tx hash) or { "logs": [...] }'
+            spellCheck={false}
+          />
+        </div>
+        <button
+          className="splitter-copy-btn"
+          onClick={handleDecodeLogs}
+          disabled={isDecodingLogs || !logsInput.trim()}
+        >
+          {isDecodingLogs ? 'Decoding...' : 'Decode Logs'}
+        </button>
+
+        {/* Error */}
+        {logsError && (
+          <div className="search-error">{logsError}</div>
+        )}
+
+        {/* Results */}
+        {logsResult && (
+          <div className="splitter-results">
+            <div className="splitter-summary">
+              Decoded {logsResult.logs.length - logsResult.undecoded} of {logsResult.logs.length} log{logsResult.logs.length !== 1 ? 's' : ''}
+              {logsResult.undecoded > 0 && (
+                <span className="splitter-skipped-hint">
+                  {' '}({logsResult.undecoded} unknown event{logsResult.undecoded > 1 ? 's' : ''})
+                </span>
+              )}
+            </div>
+
+            {logsResult.tokenFlow.orders.map((order) => (
+              <div key={`order-${order.logIndex}`} className="splitter-item">
+                <div className="splitter-item-header">
+                  <span className="splitter-item-index">#{order.logIndex}</span>
+                  <span className="splitter-item-name">OrderRecord</span>
+                </div>
+                <div className="splitter-item-meta">
+                  <span className="splitter-meta-label">Sender:</span>
+                  <span className="splitter-meta-value">{order.sender}</span>
+                </div>
+                <div className="splitter-item-meta">
+                  <span className="splitter-meta-label">From:</span>
+                  <span className="splitter-meta-value">{order.fromAmount} of {order.fromToken}</span>
+                </div>
+                <div className="splitter-item-meta">
+                  <span className="splitter-meta-label">Return:</span>
+                  <span className="splitter-meta-value">{order.returnAmount} of {order.toToken}</span>
+                </div>
+              </div>
+            ))}
+
+            {logsResult.tokenFlow.commissions.map((commission) => (
+              <div key={`commission-${commission.logIndex}`} className="splitter-item">
+                <div className="splitter-item-header">
+                  <span className="splitter-item-index">#{commission.logIndex}</span>
+                  <span className="splitter-item-name">Commission ({commission.type})</span>
+                </div>
+                <div className="splitter-item-meta">
+                  <span className="splitter-meta-label">Referrer:</span>
+                  <span className="splitter-meta-value">{commission.referrer}</span>
+                  <span className="splitter-meta-sep">·</span>
+                  <span className="splitter-meta-label">Amount:</span>
+                  <span className="splitter-meta-value">{commission.amount} of {commission.token}</span>
+                </div>
+              </div>
+            ))}
+
+            {logsResult.tokenFlow.balanceChanges.length > 0 && (
+              <div className="splitter-item">
+                <div className="splitter-item-header">
+                  <span className="splitter-item-name">Token Flow (net balance changes)</span>
+                </div>
+                <table className="logs-flow-table">
+                  <thead>
+                    <tr>
+                      <th>Account</th>
+                      <th>Token</th>
+                      <th>Change</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {logsResult.tokenFlow.balanceChanges.map((change) => (
+                      <tr key={`${change.token}:${change.account}`}>
+                        <td>{change.account}</td>
+                        <td>{change.token}</td>
+                        <td className={change.delta.startsWith('-') ? 'logs-flow-out' : 'logs-flow-in'}>
+                          {change.delta.startsWith('-') ? change.delta : `+${change.delta}`}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+
+            {logsResult.logs.map((log) => (
+              <div key={`log-${log.logIndex}`} className="splitter-item">
+                <div className="splitter-item-header">
+                  <span className="splitter-item-index">#{log.logIndex}</span>
+                  <span className="splitter-item-name">{log.error ? log.error : log.signature}</span>
+                  {log.source && <span className="splitter-meta-label">{log.source}</span>}
+                </div>
+                <div className="splitter-item-meta">
+                  <span className="splitter-meta-label">Emitter:</span>
+                  <span className="splitter-meta-value">{log.address}</span>
+                  {log.error && log.topic0 && (
+                    <>
+                      <span className="splitter-meta-sep">·</span>
+                      <span className="splitter-meta-label">Topic0:</span>
+                      <span className="splitter-meta-value">{log.topic0}</span>
+                    </>
+                  )}
+                </div>
+                {log.args && (
+                  <div className="splitter-calldata logs-args">{formatLogArgs(log.args)}</div>
+                )}
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* DAG Route Builder Section */}
+      <div className="utility-section">
+        <h3 className="section-title">DAG Route Builder</h3>
+        <p className="splitter-description">
+          Describe a dagSwap as a token graph: <code>nodes</code> maps ids to token addresses, each edge in <code>edges</code> has
+          <code> from</code>, <code>to</code>, <code>adapter</code>, <code>pool</code> and <code>share</code> (percent of the node's amount;
+          optional <code>reverse</code>, <code>assetTo</code>, <code>extraData</code>). Node indexes, weights and path tokens are generated.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label">Route JSON</label>
+          <textarea
+            className="foundry-input-white splitter-textarea dag-route-textarea"
+            value={dagInput}
+            onChange={(e) => updateUtilitiesState?.({ dagInput: e.target.value })}
+            placeholder='{ "baseRequest": {...}, "nodes": {...}, "edges": [...] }'
+            spellCheck={false}
+          />
+        </div>
+        <div className="dag-route-actions">
+          <button className="splitter-copy-btn" onClick={handleBuildDagRoute} disabled={!dagInput.trim()}>
+            Build Route
+          </button>
+          <button className="splitter-copy-btn" onClick={handleLoadDagExample}>
+            Load Example
+          </button>
+        </div>
+
+        {/* Error */}
+        {dagError && (
+          <div className="search-error">{dagError}</div>
+        )}
+
+        {/* Result */}
+        {dagResult && (
+          <div className="splitter-results">
+            <div className="splitter-summary">
+              {dagResult.json.function.name}: {dagResult.json.paths.length + 1} nodes, {dagResult.json.paths.reduce((count, path) => count + path.rawData.length, 0)} swaps
+            </div>
+            <table className="logs-flow-table">
+              <thead>
+                <tr>
+                  <th>Node</th>
+                  <th>Token</th>
+                  <th>Swaps (to node: weight)</th>
+                </tr>
+              </thead>
+              <tbody>
+                {dagResult.json.paths.map((path, index) => (
+                  <tr key={index}>
+                    <td>{index}</td>
+                    <td>{path.fromToken.address}</td>
+                    <td>{path.rawData.map(rawData => `${rawData.outputIndex}: ${rawData.weight / 100}%`).join(', ')}</td>
+                  </tr>
+                ))}
+                <tr>
+                  <td>{dagResult.json.paths.length}</td>
+                  <td>{dagResult.json.baseRequest.toToken}</td>
+                  <td>output</td>
+                </tr>
+              </tbody>
+            </table>
+            <div className="splitter-item">
+              <div className="splitter-item-header">
+                <span className="splitter-item-name">Calldata</span>
+                <button className="splitter-copy-btn" onClick={copyDagCalldata} title="Copy calldata">
+                  Copy
+                </button>
+                {onOpenInEncoder && (
+                  <button className="splitter-copy-btn" onClick={() => onOpenInEncoder(dagResult.json)} title="Edit the generated JSON in the Encode tab">
+                    Open in Encoder
+                  </button>
+                )}
+              </div>
+              <div className="splitter-calldata">{dagResult.calldata}</div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Calldata Patcher Section */}
+      <div className="utility-section">
+        <h3 className="section-title">Calldata Patcher</h3>
+        <p className="splitter-description">
+          Edit fields of a DexRouter call in place, one <code>path=value</code> per line, e.g. <code>baseRequest.deadLine=+20m</code>,
+          <code> receiver=0x...</code> or <code>batches[0][0].rawData[0].weight=5000</code>. Only the ABI arguments are re-encoded;
+          the commission / trim suffix and any other trailing bytes are kept as they are.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label">Calldata</label>
+          <textarea
+            className="foundry-input-white splitter-textarea"
+            value={patchInput}
+            onChange={(e) => updateUtilitiesState?.({ patchInput: e.target.value })}
+            placeholder="0x..."
+            spellCheck={false}
+          />
+        </div>
+        <div className="form-group">
+          <label className="form-label">Edits</label>
+          <textarea
+            className="foundry-input-white splitter-textarea"
+            value={patchEditsInput}
+            onChange={(e) => updateUtilitiesState?.({ patchEditsInput: e.target.value })}
+            placeholder={'baseRequest.deadLine=+20m\nbaseRequest.minReturnAmount=1000000'}
+            spellCheck={false}
+          />
+        </div>
+        <div className="dag-route-actions">
+          <button className="splitter-copy-btn" onClick={handlePatchCalldata} disabled={!patchInput.trim() || !patchEditsInput.trim()}>
+            Patch Calldata
+          </button>
+        </div>
+
+        {/* Error */}
+        {patchError && (
+          <div className="search-error">{patchError}</div>
+        )}
+
+        {/* Result */}
+        {patchResult && (
+          <div className="splitter-results">
+            <div className="splitter-summary">
+              {patchResult.changes.length} field{patchResult.changes.length > 1 ? 's' : ''} patched, {patchResult.diff.length} byte range{patchResult.diff.length === 1 ? '' : 's'} changed
+              <span className="splitter-skipped-hint">
+                {' '}({(patchResult.suffix.length - 2) / 2} suffix bytes kept)
+              </span>
+            </div>
+            <table className="logs-flow-table">
+              <thead>
+                <tr>
+                  <th>Field</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {patchResult.changes.map((change, index) => (
+                  <tr key={index}>
+                    <td>{change.path}</td>
+                    <td>{formatPatchValue(change.before)}</td>
+                    <td>{formatPatchValue(change.after)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <table className="logs-flow-table">
+              <thead>
+                <tr>
+                  <th>Bytes</th>
+                  <th>Encodes</th>
+                  <th>Before</th>
+                  <th>After</th>
+                </tr>
+              </thead>
+              <tbody>
+                {patchResult.diff.map((range) => (
+                  <tr key={range.start}>
+                    <td>{range.start}–{range.end - 1}</td>
+                    <td>{range.fields.join(', ')}</td>
+                    <td className="logs-flow-out">{range.before}</td>
+                    <td className="logs-flow-in">{range.after}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+            <div className="splitter-item">
+              <div className="splitter-item-header">
+                <span className="splitter-item-name">Patched Calldata</span>
+                <button className="splitter-copy-btn" onClick={copyPatchedCalldata} title="Copy calldata">
+                  Copy
+                </button>
+              </div>
+              <div className="splitter-calldata">{patchResult.calldata}</div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      {/* Token Registry Section */}
+      <div className="utility-section">
+        <h3 className="section-title">Token Registry</h3>
+        <p className="splitter-description">
+          Import Uniswap token list files (tokenlists.org format) to show decoded amounts, flow diagram nodes and commission tokens with symbols and decimals.
+          Lists are read locally and kept in this browser.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label">Token List Files</label>
+          <input
+            type="file"
+            accept=".json,application/json"
+            multiple
+            onChange={handleTokenListFiles}
+            className="token-list-input"
+          />
+        </div>
+
+        <div className="splitter-item-meta">
+          <span className="splitter-meta-label">Imported tokens:</span>
+          <span className="splitter-meta-value">{importedTokenCount}</span>
+          {importedTokenCount > 0 && (
+            <>
+              <span className="splitter-meta-sep">·</span>
+              <button className="splitter-copy-btn" onClick={handleClearTokenLists}>
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+
+        {tokenListError && (
+          <div className="search-error">{tokenListError}</div>
+        )}
+      </div>
+
+      {/* Signature Database Section */}
+      <div className="utility-section">
+        <h3 className="section-title">Signature Database</h3>
+        <p className="splitter-description">
+          Import ABI JSON files, 4byte-style signature dumps or text files with one signature per line.
+          Calldata with a selector outside the DexRouter ABI is then decoded generically; when several signatures share a selector, each one is tried and all are listed.
+        </p>
+
+        <div className="form-group">
+          <label className="form-label">Signature Files</label>
+          <input
+            type="file"
+            accept=".json,.txt,.tsv,.csv,application/json,text/plain"
+            multiple
+            onChange={handleSignatureFiles}
+            className="token-list-input"
+          />
+        </div>
+
+        <div className="splitter-item-meta">
+          <span className="splitter-meta-label">Imported signatures:</span>
+          <span className="splitter-meta-value">{importedSignatureCount}</span>
+          {importedSignatureCount > 0 && (
+            <>
+              <span className="splitter-meta-sep">·</span>
+              <button className="splitter-copy-btn" onClick={handleClearSignatures}>
+                Clear
+              </button>
+            </>
+          )}
+        </div>
+
+        {signatureError && (
+          <div className="search-error">{signatureError}</div>
+        )}
+      </div>
     </div>
   );
 };
@@ -1,7 +1,14 @@
-import React from 'react';
+import React, { useMemo } from 'react';
 import LoadingButton from '../ui/LoadingButton';
 import ResultDisplay from '../ui/ResultDisplay';
+import TransactionInfo from '../ui/TransactionInfo';
+import AnnotatedHexView from '../ui/AnnotatedHexView';
+import CalldataDiff from '../ui/CalldataDiff';
+import CodeExportPanel from '../ui/CodeExportPanel';
 import FlowDiagram from '../FlowDiagram/FlowDiagram';
+import { CHAIN_OPTIONS } from '../../scripts/utilities/rpc';
+import { lintDecodedCalldata } from '../../scripts/core/calldata_linter';
+import { annotateCalldata } from '../../scripts/decode/decode_annotations';
 import { 
   useButtonState, 
   processWithErrorHandling, 
@@ -14,6 +21,11 @@ const DecodeCalldata = ({
   value, 
   onChange, 
   onButtonClick, 
+  txDecodeState,
+  updateTxDecodeState,
+  onTxDecodeClick,
+  onResultDecodeClick,
+  onDiffDecodeClick,
   result, 
   showToast,
   onEdit,
@@ -22,12 +34,70 @@ const DecodeCalldata = ({
   const buttonState = useButtonState();
   const { isLoading, showSuccess, showError, lastProcessedValue, resetButtonStates, setButtonState } = buttonState;
 
+  const { mode, txHash, selectedChain, rpcUrl, transaction, resultData, decodedCalldata, diffInput } = txDecodeState;
+  const isTxMode = mode === 'tx';
+  const isResultMode = mode === 'result';
+  const isDiffMode = mode === 'diff';
+
+  // Lint every decode; the transaction value is only known when decoding by tx hash.
+  // Best-effort decodes list the fields that could not be read first.
+  const warnings = useMemo(() => {
+    if (isResultMode || isDiffMode || !result) return null;
+    const issues = (result.issues || []).map(issue => ({
+      rule: issue.reason,
+      path: issue.byteOffset === null ? (issue.path || 'calldata') : `${issue.path || 'calldata'} @ byte ${issue.byteOffset}`,
+      message: issue.message
+    }));
+    return [...issues, ...lintDecodedCalldata(result, { value: isTxMode ? transaction?.value : undefined })];
+  }, [result, isResultMode, isDiffMode, isTxMode, transaction]);
+
+  // Byte-range annotations for the hex view; wrapped calls are annotated one by one
+  const annotation = useMemo(() => {
+    if (isResultMode || isDiffMode || !result) return null;
+    if (result.wrapper) return result.calls.map(call => annotateCalldata(call.calldata, call.decoded));
+    return annotateCalldata(isTxMode ? transaction?.input : decodedCalldata);
+  }, [result, isResultMode, isDiffMode, isTxMode, transaction, decodedCalldata]);
+
   const handleDecode = async () => {
+    if (!isTxMode) {
+      updateTxDecodeState({ transaction: null, decodedCalldata: isResultMode || isDiffMode ? '' : value });
+    }
+
+    if (isDiffMode) {
+      const processResult = await processWithErrorHandling(
+        onDiffDecodeClick,
+        value,
+        'Please enter the first calldata',
+        'Failed to diff calldata',
+        showToast,
+        buttonState
+      );
+      if (processResult.success !== false) {
+        handleValidationResult(processResult, setButtonState, showToast, `✅ ${processResult.summary}`);
+      }
+      return;
+    }
+
+    if (isResultMode) {
+      const processResult = await processWithErrorHandling(
+        onResultDecodeClick,
+        resultData,
+        'Please enter revert or return data',
+        'Failed to decode result data',
+        showToast,
+        buttonState
+      );
+      if (processResult.success !== false) {
+        handleValidationResult(processResult, setButtonState, showToast, `✅ ${processResult.summary}`);
+      }
+      return;
+    }
+
     const processResult = await processWithErrorHandling(
-      onButtonClick,
-      value,
-      'Please enter calldata to decode',
-      'Failed to decode calldata',
+      isTxMode ? onTxDecodeClick : onButtonClick,
+      isTxMode ? txHash : value,
+      isTxMode ? 'Please enter a transaction hash' : 'Please enter calldata to decode',
+      isTxMode ? 'Failed to decode transaction' : 'Failed to decode calldata',
       showToast,
       buttonState
     );
@@ -43,16 +113,144 @@ const DecodeCalldata = ({
   };
 
   const handleInputChange = createInputChangeHandler(onChange, lastProcessedValue, resetButtonStates);
+  const handleTxHashChange = createInputChangeHandler(
+    (e) => updateTxDecodeState({ txHash: e.target.value }),
+    lastProcessedValue,
+    resetButtonStates
+  );
+  const handleResultDataChange = createInputChangeHandler(
+    (e) => updateTxDecodeState({ resultData: e.target.value }),
+    lastProcessedValue,
+    resetButtonStates
+  );
+  const handleDiffInputChange = createInputChangeHandler(
+    (e) => updateTxDecodeState({ diffInput: e.target.value }),
+    lastProcessedValue,
+    resetButtonStates
+  );
   const handleCopy = createCopyHandler(showToast);
 
+  const handleModeChange = (newMode) => {
+    resetButtonStates();
+    updateTxDecodeState({ mode: newMode });
+  };
+
+  // Switch to Custom if the URL doesn't match any predefined chain
+  const handleChainChange = (chainId) => {
+    const chain = CHAIN_OPTIONS.find(c => c.id === chainId);
+    updateTxDecodeState(chain ? { selectedChain: chainId, rpcUrl: chain.rpcUrl } : { selectedChain: chainId });
+  };
+
+  const handleRpcUrlChange = (e) => {
+    const newUrl = e.target.value;
+    const matchingChain = CHAIN_OPTIONS.find(c => c.id !== 'custom' && c.rpcUrl === newUrl);
+    updateTxDecodeState({ rpcUrl: newUrl, selectedChain: matchingChain ? matchingChain.id : 'custom' });
+  };
+
   return (
     <div className="component-container">
-      <textarea
-        value={value}
-        onChange={handleInputChange}
-        placeholder="Enter calldata to decode... (0x1234abcd...)"
-        className="base-textarea component-textarea"
-      />
+      <div className="decode-mode-toggle">
+        <button
+          className={`decode-mode-button ${mode === 'calldata' ? 'active' : ''}`}
+          onClick={() => handleModeChange('calldata')}
+        >
+          Calldata
+        </button>
+        <button
+          className={`decode-mode-button ${isTxMode ? 'active' : ''}`}
+          onClick={() => handleModeChange('tx')}
+        >
+          Tx Hash
+        </button>
+        <button
+          className={`decode-mode-button ${isResultMode ? 'active' : ''}`}
+          onClick={() => handleModeChange('result')}
+        >
+          Revert / Return
+        </button>
+        <button
+          className={`decode-mode-button ${isDiffMode ? 'active' : ''}`}
+          onClick={() => handleModeChange('diff')}
+        >
+          Diff
+        </button>
+      </div>
+
+      {isTxMode ? (
+        <>
+          <div className="form-row">
+            <div className="form-group">
+              <label className="form-label">Chain</label>
+              <select
+                className="foundry-input-white"
+                value={selectedChain}
+                onChange={(e) => handleChainChange(e.target.value)}
+              >
+                {CHAIN_OPTIONS.map((chain) => (
+                  <option key={chain.id} value={chain.id}>
+                    {chain.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div className="form-group">
+              <label className="form-label">RPC URL</label>
+              <input
+                type="text"
+                className="foundry-input-white"
+                value={rpcUrl}
+                onChange={handleRpcUrlChange}
+                placeholder="https://your-rpc-endpoint.com"
+              />
+            </div>
+          </div>
+          <input
+            type="text"
+            className="foundry-input-white tx-hash-input"
+            value={txHash}
+            onChange={handleTxHashChange}
+            placeholder="Enter transaction hash... (0x...)"
+            spellCheck={false}
+          />
+        </>
+      ) : isResultMode ? (
+        <>
+          <textarea
+            value={value}
+            onChange={handleInputChange}
+            placeholder="Calldata of the call (needed to decode return values)... (0x1234abcd...)"
+            className="base-textarea component-textarea result-calldata-textarea"
+          />
+          <textarea
+            value={resultData}
+            onChange={handleResultDataChange}
+            placeholder="Enter revert or return data... (0x08c379a0...)"
+            className="base-textarea component-textarea"
+          />
+        </>
+      ) : isDiffMode ? (
+        <>
+          <textarea
+            value={value}
+            onChange={handleInputChange}
+            placeholder="Left calldata, e.g. the failed swap... (0x1234abcd...)"
+            className="base-textarea component-textarea result-calldata-textarea"
+          />
+          <textarea
+            value={diffInput}
+            onChange={handleDiffInputChange}
+            placeholder="Right calldata, e.g. the successful swap... (0x1234abcd...)"
+            className="base-textarea component-textarea"
+          />
+        </>
+      ) : (
+        <textarea
+          value={value}
+          onChange={handleInputChange}
+          placeholder="Enter calldata to decode... (0x1234abcd...)"
+          className="base-textarea component-textarea"
+        />
+      )}
       
       <div className="button-row">
         <LoadingButton
@@ -62,22 +260,66 @@ const DecodeCalldata = ({
           error={showError}
           className="component-button"
         >
-          Decode Calldata
+          {isTxMode ? 'Decode Transaction' : isResultMode ? 'Decode Result' : isDiffMode ? 'Compare' : 'Decode Calldata'}
         </LoadingButton>
       </div>
-      
-      <ResultDisplay
-        result={result}
-        title="Decoded Result"
-        onCopy={handleCopy}
-        onEdit={onEdit}
-        onFindHeight={onFindHeight}
-      />
-
-      <FlowDiagram
-        decodedResult={result}
-        showToast={showToast}
-      />
+
+      {isTxMode && <TransactionInfo transaction={transaction} />}
+
+      {isDiffMode ? (
+        <CalldataDiff diff={result} onCopy={handleCopy} />
+      ) : (
+        <>
+          <ResultDisplay
+            result={result}
+            title="Decoded Result"
+            onCopy={handleCopy}
+            onEdit={result?.wrapper || result?.partial || result?.generic || isResultMode ? undefined : onEdit}
+            onFindHeight={onFindHeight}
+            warnings={warnings}
+          />
+
+          {!result?.wrapper && <AnnotatedHexView annotation={annotation} />}
+
+          {/* Code for the DexRouter call as decoded; envelopes and best-effort decodes have no single call to export */}
+          {result && !result.error && !result.wrapper && !result.partial && !result.generic && !isResultMode && (
+            <CodeExportPanel
+              calldata={isTxMode ? transaction?.input : decodedCalldata}
+              decoded={result}
+              transaction={isTxMode ? transaction : undefined}
+              onCopy={handleCopy}
+            />
+          )}
+
+          {result?.wrapper ? (
+            result.calls.map((call, index) => (
+              <div key={call.path} className="wrapped-call">
+                <div className="wrapped-call-header">
+                  <span className="wrapped-call-path">{call.path}</span>
+                  <span className="wrapped-call-function">{call.decoded.function?.name}</span>
+                  <button
+                    className="copy-button edit-button"
+                    onClick={() => onEdit(call.decoded)}
+                    title="Edit this call in Encode page"
+                  >
+                    Edit
+                  </button>
+                </div>
+                <AnnotatedHexView annotation={annotation?.[index]} />
+                <FlowDiagram
+                  decodedResult={call.decoded}
+                  showToast={showToast}
+                />
+              </div>
+            ))
+          ) : (
+            <FlowDiagram
+              decodedResult={result}
+              showToast={showToast}
+            />
+          )}
+        </>
+      )}
     </div>
   );
 };
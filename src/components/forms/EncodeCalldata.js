@@ -1,9 +1,13 @@
-import React, { useRef } from 'react';
+import React, { useRef, useState, useEffect, useMemo } from 'react';
 import FunctionsPanel from './FunctionsPanel';
 import CommissionPanel from './CommissionPanel';
 import TrimPanel from './TrimPanel';
 import LoadingButton from '../ui/LoadingButton';
 import ResultDisplay from '../ui/ResultDisplay';
+import SchemaCompletions from '../ui/SchemaCompletions';
+import JsonEditor from '../ui/JsonEditor';
+import CodeExportPanel from '../ui/CodeExportPanel';
+import EncodeForm from './EncodeForm';
 import { 
   useButtonState, 
   processWithErrorHandling, 
@@ -14,12 +18,22 @@ import {
   formatJSON
 } from '../../scripts/componentUtils';
 import { applyCommissionAndTrimToJson } from '../../scripts/encode/commissionTrimUtils';
+import { getEncodeCompletions, getEncodeDiagnostics, getEncodeHover } from '../../scripts/encode/encode_editor';
+import { convertRoute, getConvertibleFunctions } from '../../scripts/encode/route_converter';
+import { rescaleRoute } from '../../scripts/encode/route_rescaler';
+
+const CONVERSION_SECTIONS = [
+  ['missing', 'Missing (fill in before encoding)'],
+  ['dropped', 'Dropped from the source'],
+  ['inferred', 'Inferred']
+];
 
 const EncodeCalldata = ({ 
   value, 
   onChange, 
   onButtonClick, 
   result, 
+  validationResult,
   showToast
 }) => {
   const buttonState = useButtonState();
@@ -29,11 +43,33 @@ const EncodeCalldata = ({
   const trimDataRef = useRef({ trim1: { address: '', rate: '', isToB: false }, trim2: { address: '', rate: '' }, expectAmountOut: '' });
   const commissionPanelRef = useRef(null);
   const trimPanelRef = useRef(null);
+  const textareaRef = useRef(null);
+  const pendingCaretRef = useRef(null);
+  const [completions, setCompletions] = useState(null);
+  const [convertTarget, setConvertTarget] = useState('');
+  const [conversion, setConversion] = useState(null);
+  const [rescaleAmount, setRescaleAmount] = useState('');
+  const [keepSlippage, setKeepSlippage] = useState(false);
+  const [rescaling, setRescaling] = useState(null);
+  // 'form' shows typed inputs for the function's fields above the JSON editor
+  const [editorMode, setEditorMode] = useState('json');
+  // Syntax error or schema violations of the current text, underlined in the editor
+  const diagnostics = useMemo(() => getEncodeDiagnostics(value), [value]);
+
+  // Restore the caret after a completion was inserted (the value comes back through props)
+  useEffect(() => {
+    if (pendingCaretRef.current !== null && textareaRef.current) {
+      textareaRef.current.setSelectionRange(pendingCaretRef.current, pendingCaretRef.current);
+      pendingCaretRef.current = null;
+    }
+  }, [value]);
 
   const handleExampleSelect = (example) => {
     try {
       const completeJson = applyCommissionAndTrimToJson(example.data, commissionDataRef.current, trimDataRef.current);
       resetButtonStates();
+      setConversion(null);
+      setRescaling(null);
       onChange({ target: { value: JSON.stringify(completeJson, null, 2) } });
     } catch (error) {
       console.error('Failed to load example:', error);
@@ -66,6 +102,40 @@ const EncodeCalldata = ({
     }
   };
 
+  // Re-express the route in another function family and list what could not be carried over
+  const handleConvert = () => {
+    const currentJson = safeJSONParse(value, showToast, 'Please enter JSON data first');
+    if (!currentJson || !convertTarget) return;
+
+    try {
+      const { json, missing, dropped, inferred } = convertRoute(currentJson, convertTarget);
+      resetButtonStates();
+      onChange({ target: { value: formatJSON(json) } });
+      setConversion({ from: currentJson.function.name, to: convertTarget, missing, dropped, inferred });
+      setRescaling(null);
+      showToast(`Converted to ${convertTarget}${missing.length > 0 ? `, ${missing.length} field${missing.length > 1 ? 's' : ''} to fill in` : ''}`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
+  // Same route at another input amount; dependent amounts follow proportionally
+  const handleRescale = () => {
+    const currentJson = safeJSONParse(value, showToast, 'Please enter JSON data first');
+    if (!currentJson || !rescaleAmount.trim()) return;
+
+    try {
+      const { json, rescaled, unchanged, warnings } = rescaleRoute(currentJson, rescaleAmount.trim(), { keepSlippage });
+      resetButtonStates();
+      onChange({ target: { value: formatJSON(json) } });
+      setConversion(null);
+      setRescaling({ amount: rescaled[0].after, rescaled, unchanged, warnings });
+      showToast(`Rescaled ${rescaled.length} amount${rescaled.length > 1 ? 's' : ''}${unchanged.length > 0 ? `, ${unchanged.length} left to requote` : ''}${warnings.length > 0 ? `, ${warnings.length} warning${warnings.length > 1 ? 's' : ''}` : ''}`, 'success');
+    } catch (error) {
+      showToast(error.message, 'error');
+    }
+  };
+
   const handleReset = () => {
     // Reset commission panel
     if (commissionPanelRef.current) {
@@ -101,7 +171,36 @@ const EncodeCalldata = ({
   };
 
   const handleInputChange = createInputChangeHandler(onChange, lastProcessedValue, resetButtonStates);
+
+  // Suggest keys and values from the function's schema at the caret
+  const updateCompletions = (e) => {
+    const { selectionStart, selectionEnd, value: text } = e.target;
+    if (selectionStart !== selectionEnd) {
+      setCompletions(null);
+      return;
+    }
+    setCompletions(getEncodeCompletions(text, selectionStart));
+  };
+
+  const applyCompletion = (suggestion) => {
+    const newValue = value.slice(0, completions.from) + suggestion.insertText + value.slice(completions.to);
+    pendingCaretRef.current = completions.from + suggestion.insertText.length;
+    setCompletions(null);
+    handleInputChange({ target: { value: newValue } });
+  };
+
+  const handleEditorKeyDown = (e) => {
+    if (!completions) return;
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      applyCompletion(completions.suggestions[0]);
+    } else if (e.key === 'Escape') {
+      setCompletions(null);
+    }
+  };
   const handleCopy = createCopyHandler(showToast);
+  const isCalldata = typeof result === 'string' && result.startsWith('0x');
+  const resolvedEntries = isCalldata ? Object.entries(validationResult?.resolved || {}) : [];
 
   return (
     <div className="encode-layout">
@@ -112,12 +211,120 @@ const EncodeCalldata = ({
             showToast={showToast}
           />
           
-          <textarea
+          <div className="encode-mode-toggle">
+            {[['json', 'JSON'], ['form', 'Form']].map(([mode, label]) => (
+              <button
+                key={mode}
+                className={`encode-mode-button${editorMode === mode ? ' active' : ''}`}
+                onClick={() => setEditorMode(mode)}
+              >
+                {label}
+              </button>
+            ))}
+          </div>
+
+          {editorMode === 'form' && <EncodeForm value={value} onChange={handleInputChange} />}
+
+          <JsonEditor
+            textareaRef={textareaRef}
             value={value}
             onChange={handleInputChange}
+            diagnostics={diagnostics}
+            getHover={(offset) => getEncodeHover(value, offset)}
+            onSelect={updateCompletions}
+            onKeyDown={handleEditorKeyDown}
+            onBlur={() => setCompletions(null)}
             placeholder="Enter JSON data to encode..."
-            className="base-textarea encode-textarea"
           />
+
+          <SchemaCompletions completions={completions} onApply={applyCompletion} />
+
+          <div className="route-convert-row">
+            <select
+              className="foundry-input-white"
+              value={convertTarget}
+              onChange={(e) => setConvertTarget(e.target.value)}
+            >
+              <option value="">Convert route to...</option>
+              {getConvertibleFunctions().map((name) => (
+                <option key={name} value={name}>{name}</option>
+              ))}
+            </select>
+            <button className="route-convert-button" onClick={handleConvert} disabled={!convertTarget}>
+              Convert
+            </button>
+          </div>
+
+          <div className="route-convert-row">
+            <input
+              type="text"
+              className="foundry-input-white route-rescale-input"
+              value={rescaleAmount}
+              onChange={(e) => setRescaleAmount(e.target.value)}
+              placeholder='Rescale to amount... (raw or "1.5 USDC")'
+              spellCheck={false}
+            />
+            <label className="route-rescale-keep" title="Scale the minimum output too, keeping the implied slippage">
+              <input type="checkbox" checked={keepSlippage} onChange={(e) => setKeepSlippage(e.target.checked)} />
+              Keep slippage
+            </label>
+            <button className="route-convert-button" onClick={handleRescale} disabled={!rescaleAmount.trim()}>
+              Rescale
+            </button>
+          </div>
+
+          {rescaling && (
+            <div className="encode-resolved">
+              <div className="encode-resolved-title">Rescaled to {rescaling.amount}</div>
+              <div className="route-convert-section">
+                {rescaling.rescaled.map((entry) => (
+                  <div key={entry.path} className="encode-resolved-row">
+                    <span className="encode-resolved-path">{entry.path}</span>
+                    <span className="encode-resolved-value">{entry.before} → {entry.after}</span>
+                  </div>
+                ))}
+              </div>
+              {rescaling.unchanged.length > 0 && (
+                <div className="route-convert-section route-convert-missing">
+                  <div className="route-convert-section-title">Not rescaled (requote before sending)</div>
+                  {rescaling.unchanged.map((entry) => (
+                    <div key={entry.path} className="encode-resolved-row">
+                      <span className="encode-resolved-path">{entry.path}</span>
+                      <span className="encode-resolved-value">{entry.message}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {rescaling.warnings.length > 0 && (
+                <div className="route-convert-section route-convert-missing">
+                  <div className="route-convert-section-title">Warnings</div>
+                  {rescaling.warnings.map((entry) => (
+                    <div key={entry.path} className="encode-resolved-row">
+                      <span className="encode-resolved-path">{entry.path}</span>
+                      <span className="encode-resolved-value">{entry.message}</span>
+                    </div>
+                  ))}
+                </div>
+              )}
+            </div>
+          )}
+
+          {conversion && (
+            <div className="encode-resolved">
+              <div className="encode-resolved-title">Converted {conversion.from} to {conversion.to}</div>
+              {CONVERSION_SECTIONS.filter(([key]) => conversion[key].length > 0).map(([key, title]) => (
+                <div key={key} className={`route-convert-section route-convert-${key}`}>
+                  <div className="route-convert-section-title">{title}</div>
+                  {conversion[key].map((entry, index) => (
+                    <div key={index} className="encode-resolved-row">
+                      <span className="encode-resolved-path">{entry.path}</span>
+                      <span className="encode-resolved-value">{entry.message}</span>
+                    </div>
+                  ))}
+                </div>
+              ))}
+            </div>
+          )}
           
           <div className="button-row">
             <LoadingButton
@@ -138,6 +345,23 @@ const EncodeCalldata = ({
             className="encode-result-container"
             contentClassName="encode-result-content"
           />
+
+          {/* Raw values that token-unit amounts and relative deadlines were encoded as */}
+          {resolvedEntries.length > 0 && (
+            <div className="encode-resolved">
+              <div className="encode-resolved-title">Resolved values</div>
+              {resolvedEntries.map(([path, raw]) => (
+                <div key={path} className="encode-resolved-row">
+                  <span className="encode-resolved-path">{path}</span>
+                  <span className="encode-resolved-value">{raw}</span>
+                </div>
+              ))}
+            </div>
+          )}
+
+          {isCalldata && (
+            <CodeExportPanel calldata={result} decoded={validationResult?.decodedResult} onCopy={handleCopy} />
+          )}
         </div>
       </div>
       
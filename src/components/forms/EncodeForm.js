@@ -0,0 +1,146 @@
+import React, { useMemo } from 'react';
+import './Panel.css';
+import { formatJSON } from '../../scripts/componentUtils';
+import { getFunctionExampleByName } from '../../scripts/encode/jsonFunctionUtils';
+import {
+    createArrayItem,
+    getEncodeForm,
+    getFormField,
+    getObjectFieldNames,
+    parseFormInput,
+    setValueAtPath
+} from '../../scripts/encode/encode_form';
+
+const RemoveButton = ({ onClick }) => (
+    <button className="remove-button encode-form-remove" onClick={onClick} title="Remove this row">
+        ×
+    </button>
+);
+
+/**
+ * One value of the encoder input: a group for objects and arrays (with repeatable rows), an input
+ * for everything else. Edits are reported as onUpdate(path segments, new value).
+ */
+const FormValue = ({ label, segments, schema, value, example, onUpdate, onRemove }) => {
+    const field = getFormField(schema, value);
+
+    if (field.kind === 'object' || field.kind === 'array') {
+        const items = field.kind === 'array' ? value || [] : null;
+        const addRow = () => onUpdate(segments, [...items, createArrayItem(example, segments, field.schema.items)]);
+
+        return (
+            <div className="encode-form-group">
+                <div className="encode-form-group-header">
+                    <span className="encode-form-label" title={field.description}>{label}</span>
+                    {items && <span className="encode-form-count">{items.length}</span>}
+                    {items && <button className="add-button" onClick={addRow}>+ Add</button>}
+                    {onRemove && <RemoveButton onClick={onRemove} />}
+                </div>
+                <div className="encode-form-group-body">
+                    {items
+                        ? items.map((item, index) => (
+                            <FormValue
+                                key={index}
+                                label={`${label}[${index}]`}
+                                segments={[...segments, index]}
+                                schema={field.schema.items}
+                                value={item}
+                                example={example}
+                                onUpdate={onUpdate}
+                                onRemove={() => onUpdate([...segments, index], undefined)}
+                            />
+                        ))
+                        : getObjectFieldNames(field.schema, value || {}).map((key) => (
+                            <FormValue
+                                key={key}
+                                label={key}
+                                segments={[...segments, key]}
+                                schema={field.schema.properties?.[key]}
+                                value={value?.[key]}
+                                example={example}
+                                onUpdate={onUpdate}
+                            />
+                        ))}
+                </div>
+            </div>
+        );
+    }
+
+    let input;
+    if (field.kind === 'boolean') {
+        input = (
+            <input
+                type="checkbox"
+                checked={value === true}
+                onChange={(e) => onUpdate(segments, e.target.checked)}
+            />
+        );
+    } else if (field.kind === 'enum') {
+        input = (
+            <select
+                className="panel-input encode-form-input"
+                value={JSON.stringify(value)}
+                onChange={(e) => onUpdate(segments, JSON.parse(e.target.value))}
+            >
+                {!field.options.includes(value) && <option value={JSON.stringify(value)}>{String(value)}</option>}
+                {field.options.map((option) => (
+                    <option key={String(option)} value={JSON.stringify(option)}>{String(option)}</option>
+                ))}
+            </select>
+        );
+    } else {
+        input = (
+            <input
+                type="text"
+                className="panel-input encode-form-input"
+                value={value === undefined || value === null ? '' : String(value)}
+                placeholder={field.placeholder}
+                spellCheck={false}
+                onChange={(e) => onUpdate(segments, parseFormInput(e.target.value, value))}
+            />
+        );
+    }
+
+    return (
+        <label className="encode-form-row">
+            <span className="encode-form-label" title={field.description}>{label}</span>
+            {input}
+            {onRemove && <RemoveButton onClick={(e) => { e.preventDefault(); onRemove(); }} />}
+        </label>
+    );
+};
+
+/**
+ * Form view of the encoder input, two-way synced with the JSON editor through the same text value
+ */
+const EncodeForm = ({ value, onChange }) => {
+    const form = useMemo(() => getEncodeForm(value), [value]);
+
+    if (form.error) {
+        return <div className="encode-form encode-form-message">{form.error}</div>;
+    }
+
+    const example = getFunctionExampleByName(form.functionName)?.data || null;
+    const handleUpdate = (segments, newValue) => {
+        onChange({ target: { value: formatJSON(setValueAtPath(form.json, segments, newValue)) } });
+    };
+
+    return (
+        <div className="encode-form">
+            <div className="encode-form-title">{form.functionName}</div>
+            {form.fields.map((name) => (
+                <FormValue
+                    key={name}
+                    label={name}
+                    segments={[name]}
+                    schema={form.schema.properties[name]}
+                    value={form.json[name]}
+                    example={example}
+                    onUpdate={handleUpdate}
+                />
+            ))}
+        </div>
+    );
+};
+
+export default EncodeForm;
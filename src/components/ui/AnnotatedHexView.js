@@ -0,0 +1,107 @@
+import React, { useState } from 'react';
+
+const WORD = 32;
+const SELECTOR_BYTES = 4;
+
+const KIND_LABELS = {
+  selector: 'Selector',
+  value: 'Value',
+  offset: 'Offset',
+  length: 'Length',
+  data: 'Bytes data',
+  commission: 'Commission',
+  trim: 'Trim',
+  unused: 'Unused'
+};
+
+/**
+ * Split the annotated ranges into display rows: the selector, then one 32-byte word per row
+ * @param {Array<Object>} ranges - contiguous ranges from annotateCalldata()
+ * @param {number} length - calldata length in bytes
+ * @returns {Array<Object>} rows [{ start, segments: [{ start, end, index }] }]
+ */
+const buildRows = (ranges, length) => {
+  const rows = [];
+  for (let start = 0; start < length; start = start === 0 ? SELECTOR_BYTES : start + WORD) {
+    const end = Math.min(start === 0 ? SELECTOR_BYTES : start + WORD, length);
+    const segments = [];
+    ranges.forEach((range, index) => {
+      if (range.end <= start || range.start >= end) return;
+      segments.push({ start: Math.max(range.start, start), end: Math.min(range.end, end), index });
+    });
+    rows.push({ start, segments });
+  }
+  return rows;
+};
+
+const formatOffset = (offset) => '0x' + offset.toString(16).padStart(4, '0');
+
+const AnnotatedHexView = ({ annotation }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(null);
+
+  if (!annotation) return null;
+
+  const { calldata, ranges } = annotation;
+  const length = (calldata.length - 2) / 2;
+  const active = activeIndex !== null ? ranges[activeIndex] : null;
+  // Highlight every range of the hovered field (bytes data can span several words)
+  const isLinked = (range) => active && (range === active || (active.path && range.path === active.path));
+
+  return (
+    <div className="hex-view">
+      <div className="hex-view-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="hex-view-toggle">{isOpen ? '▼' : '▶'}</span>
+        <span className="hex-view-title">Annotated Hex</span>
+        <span className="hex-view-size">{length} bytes</span>
+      </div>
+
+      {isOpen && (
+        <>
+          <div className="hex-view-legend">
+            {Object.entries(KIND_LABELS).map(([kind, label]) => (
+              <span key={kind} className={`hex-view-legend-item hex-kind-${kind}`}>{label}</span>
+            ))}
+          </div>
+          <div className="hex-view-info">
+            {active ? (
+              <>
+                <span className="hex-view-info-path">{active.path || '(no field)'}</span>
+                <span className="hex-view-info-value">{active.value}</span>
+                <span className="hex-view-info-bytes">
+                  {KIND_LABELS[active.kind]} · bytes {active.start}–{active.end - 1}
+                </span>
+              </>
+            ) : (
+              <span className="hex-view-info-hint">Hover a byte range to see its JSON field</span>
+            )}
+          </div>
+          <div className="hex-view-body" onMouseLeave={() => setActiveIndex(null)}>
+            {buildRows(ranges, length).map((row) => (
+              <div key={row.start} className="hex-view-row">
+                <span className="hex-view-offset">{formatOffset(row.start)}</span>
+                <span className="hex-view-bytes">
+                  {row.segments.map((segment) => {
+                    const range = ranges[segment.index];
+                    return (
+                      <span
+                        key={segment.start}
+                        className={`hex-view-segment hex-kind-${range.kind}${isLinked(range) ? ' hex-view-active' : ''}`}
+                        title={range.path ? `${range.path}: ${range.value}` : KIND_LABELS[range.kind]}
+                        onMouseEnter={() => setActiveIndex(segment.index)}
+                      >
+                        {calldata.slice(2 + segment.start * 2, 2 + segment.end * 2)}
+                      </span>
+                    );
+                  })}
+                </span>
+              </div>
+            ))}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default AnnotatedHexView;
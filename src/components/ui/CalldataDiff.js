@@ -0,0 +1,99 @@
+import React from 'react';
+import CopyButton from './CopyButton';
+import { formatJSON } from '../../scripts/componentUtils';
+
+const SECTIONS = [
+  ['function', 'Function'],
+  ['parameters', 'Parameters'],
+  ['baseRequest', 'Base Request'],
+  ['routes', 'Routes'],
+  ['calls', 'Wrapped Calls'],
+  ['commission', 'Commission'],
+  ['trim', 'Trim']
+];
+
+const formatValue = (value) => {
+  if (value === undefined) return '—';
+  if (typeof value === 'string') return value;
+  return JSON.stringify(value);
+};
+
+const describeCall = (decoded) => {
+  if (decoded?.wrapper) return `${decoded.calls.length} wrapped calls`;
+  return decoded?.function?.name || 'unknown';
+};
+
+/**
+ * Field-level diff of two decoded calldatas (output of diffCalldata), grouped by section
+ */
+const CalldataDiff = ({ diff, onCopy }) => {
+  // The decode result is shared between modes: ignore anything that is not a diff
+  if (!diff || (!diff.changes && diff.success !== false)) return null;
+
+  if (diff.success === false) {
+    return (
+      <div className="base-result-container result-container">
+        <div className="result-header">
+          <span className="result-title">Diff</span>
+        </div>
+        <pre className="base-result-content">{diff.error}</pre>
+      </div>
+    );
+  }
+
+  const { left, right, identical, changes } = diff;
+
+  return (
+    <div className="base-result-container calldata-diff">
+      <div className="result-header">
+        <span className="result-title">
+          Diff: {describeCall(left)} ↔ {describeCall(right)}
+        </span>
+        <div className="result-actions">
+          <CopyButton text={formatJSON({ identical, changes })} onCopy={onCopy} />
+        </div>
+      </div>
+
+      {identical ? (
+        <div className="calldata-diff-identical">Both calldatas decode to the same fields</div>
+      ) : (
+        SECTIONS.map(([section, label]) => {
+          const sectionChanges = changes.filter(change => change.section === section);
+          if (sectionChanges.length === 0) return null;
+          return (
+            <div key={section} className="calldata-diff-section">
+              <div className="calldata-diff-section-title">
+                {label} <span className="calldata-diff-count">({sectionChanges.length})</span>
+              </div>
+              <table className="calldata-diff-table">
+                <thead>
+                  <tr>
+                    <th>Field</th>
+                    <th>Left</th>
+                    <th>Right</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {sectionChanges.map((change, index) => (
+                    <tr key={index} className={`calldata-diff-${change.type}`}>
+                      <td className="calldata-diff-path">
+                        {change.path}
+                        {change.leftPath && change.rightPath && change.leftPath !== change.rightPath && (
+                          <div className="calldata-diff-right-path">right: {change.rightPath}</div>
+                        )}
+                      </td>
+                      <td>{formatValue(change.left)}</td>
+                      <td>{formatValue(change.right)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+};
+
+export default CalldataDiff;
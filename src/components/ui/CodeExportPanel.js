@@ -0,0 +1,123 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import CopyButton from './CopyButton';
+import { buildCallSnippets, suggestTransactionValue } from '../../scripts/core/call_snippets';
+
+const ROUTER_STORAGE_KEY = 'export_router_address';
+
+const FORMATS = [
+  ['ethers', 'ethers v5'],
+  ['viem', 'viem'],
+  ['cast', 'cast'],
+  ['foundry', 'Foundry test']
+];
+
+/**
+ * Code that sends a calldata to the router: an ethers v5 script, a viem snippet, cast command lines
+ * and a Foundry test. Router address, chain id and value start from the transaction when there is
+ * one; otherwise the router is the last one typed and the value is what the call needs.
+ * @param {string} calldata - the calldata to send
+ * @param {Object} decoded - the decoded call, for the suggested value
+ * @param {Object} [transaction] - the decoded transaction (to, chainId, value), when decoding by hash
+ */
+const CodeExportPanel = ({ calldata, decoded, transaction, onCopy }) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [format, setFormat] = useState('ethers');
+  const [router, setRouter] = useState('');
+  const [chainId, setChainId] = useState('1');
+  const [value, setValue] = useState('0');
+
+  const suggestion = useMemo(() => suggestTransactionValue(decoded), [decoded]);
+
+  // Start over from the transaction (or the suggestion) whenever another call is shown
+  useEffect(() => {
+    setRouter(transaction?.to || localStorage.getItem(ROUTER_STORAGE_KEY) || '');
+    setChainId(String(transaction?.chainId || 1));
+    setValue(transaction ? transaction.value : suggestion.value);
+  }, [calldata, transaction, suggestion]);
+
+  const snippets = useMemo(() => {
+    if (!isOpen) return null;
+    try {
+      return { code: buildCallSnippets(calldata, { router: router.trim(), chainId: chainId.trim(), value: value.trim() }) };
+    } catch (error) {
+      return { error: error.message };
+    }
+  }, [isOpen, calldata, router, chainId, value]);
+
+  if (!calldata) return null;
+
+  const handleRouterChange = (e) => {
+    setRouter(e.target.value);
+    localStorage.setItem(ROUTER_STORAGE_KEY, e.target.value.trim());
+  };
+
+  return (
+    <div className="hex-view code-export">
+      <div className="hex-view-header" onClick={() => setIsOpen(!isOpen)}>
+        <span className="hex-view-toggle">{isOpen ? '▼' : '▶'}</span>
+        <span className="hex-view-title">Export Code</span>
+        <span className="hex-view-size">ethers · viem · cast · Foundry</span>
+      </div>
+
+      {isOpen && (
+        <>
+          <div className="code-export-options">
+            <label className="code-export-option code-export-router">
+              <span>Router</span>
+              <input
+                type="text"
+                className="foundry-input-white"
+                value={router}
+                onChange={handleRouterChange}
+                placeholder="0x... (empty: read from $ROUTER)"
+                spellCheck={false}
+              />
+            </label>
+            <label className="code-export-option">
+              <span>Chain ID</span>
+              <input
+                type="text"
+                className="foundry-input-white"
+                value={chainId}
+                onChange={(e) => setChainId(e.target.value)}
+                spellCheck={false}
+              />
+            </label>
+            <label className="code-export-option">
+              <span>Value (wei)</span>
+              <input
+                type="text"
+                className="foundry-input-white"
+                value={value}
+                onChange={(e) => setValue(e.target.value)}
+                spellCheck={false}
+              />
+            </label>
+          </div>
+          {!transaction && suggestion.note && <div className="code-export-note">{suggestion.note}</div>}
+
+          <div className="code-export-tabs">
+            {FORMATS.map(([key, label]) => (
+              <button
+                key={key}
+                className={`code-export-tab${format === key ? ' active' : ''}`}
+                onClick={() => setFormat(key)}
+              >
+                {label}
+              </button>
+            ))}
+            {snippets?.code && <CopyButton text={snippets.code[format]} onCopy={onCopy} />}
+          </div>
+
+          {snippets?.error ? (
+            <div className="code-export-error">{snippets.error}</div>
+          ) : (
+            <pre className="code-export-code">{snippets?.code[format]}</pre>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default CodeExportPanel;
@@ -0,0 +1,213 @@
+import React, { useEffect, useMemo, useRef, useState } from 'react';
+import { tokenizeJson } from '../../scripts/core/json_text';
+
+const MAX_PROBLEMS = 8;
+
+/**
+ * Split the text into highlight segments at token and diagnostic boundaries
+ * @returns {Array<Object>} [{ start, end, type, error }], type is a token type or null for whitespace
+ */
+const buildSegments = (text, tokens, diagnostics) => {
+  const boundaries = new Set([0, text.length]);
+  tokens.forEach(({ start, end }) => { boundaries.add(start); boundaries.add(end); });
+  diagnostics.forEach(({ start, end }) => {
+    boundaries.add(Math.min(start, text.length));
+    boundaries.add(Math.min(end, text.length));
+  });
+  const points = [...boundaries].sort((a, b) => a - b);
+
+  const segments = [];
+  let tokenIndex = 0;
+  for (let i = 0; i < points.length - 1; i++) {
+    const start = points[i];
+    while (tokenIndex < tokens.length && tokens[tokenIndex].end <= start) tokenIndex++;
+    const token = tokens[tokenIndex] && tokens[tokenIndex].start <= start ? tokens[tokenIndex] : null;
+    segments.push({
+      start,
+      end: points[i + 1],
+      type: token ? token.type : null,
+      error: diagnostics.some((diagnostic) => diagnostic.start <= start && start < diagnostic.end)
+    });
+  }
+  return segments;
+};
+
+/**
+ * Character offset under the pointer; the editor does not wrap lines, so the offset follows from
+ * the line height and the width of one monospace character
+ */
+const offsetAtPoint = (textarea, charWidth, clientX, clientY) => {
+  const style = window.getComputedStyle(textarea);
+  const rect = textarea.getBoundingClientRect();
+  const x = clientX - rect.left - parseFloat(style.borderLeftWidth) - parseFloat(style.paddingLeft) + textarea.scrollLeft;
+  const y = clientY - rect.top - parseFloat(style.borderTopWidth) - parseFloat(style.paddingTop) + textarea.scrollTop;
+  if (x < 0 || y < 0) return null;
+
+  const lines = textarea.value.split('\n');
+  const line = Math.floor(y / parseFloat(style.lineHeight));
+  const column = Math.floor(x / charWidth);
+  if (line >= lines.length || column >= lines[line].length) return null;
+
+  return lines.slice(0, line).reduce((offset, text) => offset + text.length + 1, 0) + column;
+};
+
+const measureCharWidth = (textarea) => {
+  const context = document.createElement('canvas').getContext('2d');
+  context.font = window.getComputedStyle(textarea).font;
+  return context.measureText('0').width;
+};
+
+/**
+ * JSON editor: a textarea over a highlighted copy of its text
+ * Diagnostics ({ start, end, path, message }) are underlined and listed below the editor;
+ * getHover(offset) supplies the tooltip ({ path, description, packed }) for the key or value under
+ * the pointer. The textarea keeps native editing, selection and undo.
+ */
+const JsonEditor = ({
+  value,
+  onChange,
+  diagnostics = [],
+  getHover,
+  textareaRef,
+  onSelect,
+  onKeyDown,
+  onBlur,
+  placeholder,
+  className = ''
+}) => {
+  const ownRef = useRef(null);
+  const inputRef = textareaRef || ownRef;
+  const highlightRef = useRef(null);
+  const charWidthRef = useRef(null);
+  const [hover, setHover] = useState(null);
+
+  const segments = useMemo(() => buildSegments(value, tokenizeJson(value), diagnostics), [value, diagnostics]);
+
+  const syncScroll = () => {
+    if (!highlightRef.current || !inputRef.current) return;
+    highlightRef.current.scrollTop = inputRef.current.scrollTop;
+    highlightRef.current.scrollLeft = inputRef.current.scrollLeft;
+  };
+
+  // The value may be replaced from outside (examples, conversions), which can move the scroll position
+  useEffect(() => {
+    syncScroll();
+  });
+
+  const handleMouseMove = (e) => {
+    if (!getHover) return;
+    const textarea = inputRef.current;
+    if (charWidthRef.current === null) charWidthRef.current = measureCharWidth(textarea);
+
+    const offset = offsetAtPoint(textarea, charWidthRef.current, e.clientX, e.clientY);
+    if (offset === hover?.offset) return;
+    if (offset === null) {
+      setHover(null);
+      return;
+    }
+
+    const info = getHover(offset);
+    const problems = diagnostics.filter((diagnostic) => diagnostic.start <= offset && offset < diagnostic.end);
+    if (!info && problems.length === 0) {
+      setHover(null);
+      return;
+    }
+    const rect = e.currentTarget.parentNode.getBoundingClientRect();
+    setHover({ offset, info, problems, left: e.clientX - rect.left + 12, top: e.clientY - rect.top + 18 });
+  };
+
+  const handleKeyDown = (e) => {
+    setHover(null);
+    if (onKeyDown) onKeyDown(e);
+  };
+
+  const selectProblem = (problem) => {
+    const textarea = inputRef.current;
+    textarea.focus();
+    textarea.setSelectionRange(problem.start, Math.min(problem.end, value.length));
+  };
+
+  return (
+    <div className={`json-editor ${className}`}>
+      <div className="json-editor-surface">
+        <pre ref={highlightRef} className="json-editor-highlight" aria-hidden="true">
+          {segments.map((segment) => (
+            <span
+              key={segment.start}
+              className={[
+                segment.type && `json-token-${segment.type}`,
+                segment.error && 'json-editor-error'
+              ].filter(Boolean).join(' ') || undefined}
+            >
+              {value.slice(segment.start, segment.end)}
+            </span>
+          ))}
+          {/* Keeps a trailing empty line as tall as in the textarea */}
+          {'\n '}
+        </pre>
+        <textarea
+          ref={inputRef}
+          value={value}
+          onChange={onChange}
+          onSelect={onSelect}
+          onKeyDown={handleKeyDown}
+          onBlur={onBlur}
+          onScroll={() => { syncScroll(); setHover(null); }}
+          onMouseMove={handleMouseMove}
+          onMouseLeave={() => setHover(null)}
+          placeholder={placeholder}
+          spellCheck={false}
+          wrap="off"
+          className="json-editor-input"
+        />
+        {hover && (
+          <div className="json-editor-tooltip" style={{ left: hover.left, top: hover.top }}>
+            {hover.info && (
+              <>
+                <div className="json-editor-tooltip-path">{hover.info.path}</div>
+                {hover.info.description && <div className="json-editor-tooltip-description">{hover.info.description}</div>}
+                {hover.info.packed && (
+                  <div className="json-editor-tooltip-packed">
+                    <div className="json-editor-tooltip-title">{hover.info.packed.title}</div>
+                    {hover.info.packed.fields.map((field) => (
+                      <div key={field.field} className="json-editor-tooltip-field">
+                        <span className="json-editor-tooltip-mask">{field.maskName}</span>
+                        <span className="json-editor-tooltip-bits">{field.bits}</span>
+                        <span className="json-editor-tooltip-field-name">{field.field}</span>
+                        <div>{field.description}</div>
+                      </div>
+                    ))}
+                  </div>
+                )}
+              </>
+            )}
+            {hover.problems.map((problem, index) => (
+              <div key={index} className="json-editor-tooltip-problem">{problem.message}</div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {diagnostics.length > 0 && (
+        <div className="json-editor-problems">
+          {diagnostics.slice(0, MAX_PROBLEMS).map((problem, index) => (
+            <button
+              key={index}
+              className="json-editor-problem"
+              onMouseDown={(e) => e.preventDefault()}
+              onClick={() => selectProblem(problem)}
+            >
+              {problem.path !== null && <span className="json-editor-problem-path">{problem.path || '(root)'}</span>}
+              <span className="json-editor-problem-message">{problem.message}</span>
+            </button>
+          ))}
+          {diagnostics.length > MAX_PROBLEMS && (
+            <div className="json-editor-problems-more">+{diagnostics.length - MAX_PROBLEMS} more</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default JsonEditor;
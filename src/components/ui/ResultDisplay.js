@@ -8,6 +8,7 @@ const ResultDisplay = ({
   onCopy, 
   onEdit,
   onFindHeight,
+  warnings,
   className = "result-container",
   contentClassName = "result-content"
 }) => {
@@ -58,6 +59,16 @@ const ResultDisplay = ({
           />
         </div>
       </div>
+      {warnings?.length > 0 && (
+        <ul className="result-warnings">
+          {warnings.map((warning, index) => (
+            <li key={index} className="result-warning" title={warning.rule}>
+              <span className="result-warning-path">{warning.path}</span>
+              <span className="result-warning-message">{warning.message}</span>
+            </li>
+          ))}
+        </ul>
+      )}
       <div className="result-body">
         <pre className={`base-result-content ${contentClassName}`}>
           {formattedText}
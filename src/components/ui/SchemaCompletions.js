@@ -0,0 +1,35 @@
+import React from 'react';
+
+const MAX_SUGGESTIONS = 12;
+
+/**
+ * Completion list for the JSON editor (output of getSchemaCompletions)
+ * Buttons keep the editor focused so the caret position survives the click
+ */
+const SchemaCompletions = ({ completions, onApply }) => {
+  if (!completions) return null;
+
+  return (
+    <div className="schema-completions">
+      <div className="schema-completions-path">
+        {completions.path || '(root)'} <span className="schema-completions-hint">Tab inserts the first suggestion, Esc hides</span>
+      </div>
+      <div className="schema-completions-list">
+        {completions.suggestions.slice(0, MAX_SUGGESTIONS).map((suggestion) => (
+          <button
+            key={suggestion.label}
+            className="schema-completion"
+            onMouseDown={(e) => e.preventDefault()}
+            onClick={() => onApply(suggestion)}
+            title={suggestion.detail}
+          >
+            <span className="schema-completion-label">{suggestion.label}</span>
+            {suggestion.detail && <span className="schema-completion-detail">{suggestion.detail}</span>}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SchemaCompletions;
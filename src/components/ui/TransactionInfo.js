@@ -0,0 +1,37 @@
+import React from 'react';
+import { ethers } from 'ethers';
+
+const STATUS_CLASSES = {
+  success: 'tx-status-success',
+  reverted: 'tx-status-reverted',
+  pending: 'tx-status-pending'
+};
+
+const InfoRow = ({ label, children }) => (
+  <div className="tx-info-row">
+    <span className="tx-info-label">{label}</span>
+    <span className="tx-info-value">{children}</span>
+  </div>
+);
+
+const TransactionInfo = ({ transaction }) => {
+  if (!transaction) return null;
+
+  const { hash, from, to, value, blockNumber, status, gasUsed } = transaction;
+
+  return (
+    <div className="tx-info-card">
+      <InfoRow label="Tx Hash">{hash}</InfoRow>
+      <InfoRow label="From">{from}</InfoRow>
+      <InfoRow label="To">{to || '(contract creation)'}</InfoRow>
+      <InfoRow label="Value">{ethers.utils.formatEther(value)} ({value} wei)</InfoRow>
+      <InfoRow label="Block">{blockNumber !== null ? blockNumber : 'pending'}</InfoRow>
+      <InfoRow label="Status">
+        <span className={STATUS_CLASSES[status] || ''}>{status}</span>
+        {gasUsed && ` · gas used ${gasUsed}`}
+      </InfoRow>
+    </div>
+  );
+};
+
+export default TransactionInfo;
@@ -1,5 +1,7 @@
 import { useState } from 'react';
 import { toChecksumAddress, isValidAddress } from './utilities/addressChecksum.js';
+import { clearImportedTokens, getImportedTokenList, importTokenList } from './core/token_registry.js';
+import { clearImportedSignatures, getImportedSignatureList, importSignatures } from './core/signature_registry.js';
 
 /**
  * Custom hook for managing button states (loading, success, error)
@@ -169,9 +171,11 @@ export const processWithErrorHandling = async (
 
   // Reset states
   resetButtonStates();
+  setButtonState('loading', true);
 
   try {
-    const result = operation();
+    // Operations may be async (e.g. decoding a transaction fetched over RPC)
+    const result = await operation();
     
     // Store the processed value
     setButtonState('lastProcessedValue', input.trim());
@@ -180,6 +184,8 @@ export const processWithErrorHandling = async (
   } catch (error) {
     handleProcessingError(error, setButtonState, showToast, errorMessage, input.trim());
     return { success: false };
+  } finally {
+    setButtonState('loading', false);
   }
 };
 
@@ -295,7 +301,7 @@ export const createDecodeOperation = (
 /**
  * Creates encode operation handler with validation
  * @param {string} input - Input JSON string
- * @param {function} encodeFunction - Function to encode JSON
+ * @param {function} encodeFunction - Function to encode JSON, returning { calldata, json, resolved } (see encodeWithResolvedInput)
  * @param {function} validateFunction - Function to validate encoded result
  * @param {function} showToast - Toast function
  * @param {function} setResult - Function to set result
@@ -323,10 +329,10 @@ export const createEncodeOperation = (
       }
       
       // Encode the JSON data to calldata
-      const result = encodeFunction(jsonData);
+      const { calldata: result, json: resolvedJson, resolved } = encodeFunction(jsonData);
       
-      // Validate the encoded calldata by decoding it back
-      const validation = validateFunction(jsonData, result);
+      // Validate the encoded calldata by decoding it back (against the raw values that were encoded)
+      const validation = { ...validateFunction(resolvedJson, result), resolved };
       
       setResult(result);
       setValidation(validation);
@@ -346,3 +352,211 @@ export const createEncodeOperation = (
     }
   };
 };
+
+/**
+ * Creates decode-by-transaction-hash operation handler with validation
+ * @param {string} txHash - Transaction hash
+ * @param {string} rpcUrl - JSON-RPC endpoint
+ * @param {function} decodeTxFunction - Async function fetching and decoding the transaction
+ * @param {function} validateFunction - Function to validate decoded result
+ * @param {function} showToast - Toast function
+ * @param {function} setResult - Function to set result
+ * @param {function} setValidation - Function to set validation result
+ * @param {function} setTransaction - Function to set the fetched transaction summary
+ * @returns {function} - Async operation returning the validation result
+ */
+export const createTxDecodeOperation = (
+  txHash,
+  rpcUrl,
+  decodeTxFunction,
+  validateFunction,
+  showToast,
+  setResult,
+  setValidation,
+  setTransaction
+) => {
+  return async () => {
+    if (!validateInput(txHash, 'Please enter a transaction hash', showToast)) {
+      return { success: false };
+    }
+    if (!validateInput(rpcUrl, 'Please enter an RPC URL', showToast)) {
+      return { success: false };
+    }
+
+    try {
+      const { transaction, decoded } = await decodeTxFunction(rpcUrl, txHash.trim());
+
+      // Validate the decoded JSON by encoding it back to the transaction input
+      const validation = validateFunction(transaction.input, decoded);
+
+      setTransaction(transaction);
+      setResult(decoded);
+      setValidation(validation);
+
+      if (validation.success) {
+        showToast('✅ Transaction decoded and validated!', 'success');
+      } else {
+        showToast(`${validation.summary}`, 'error', 30000);
+        console.warn('Reverse validation details:', validation);
+      }
+
+      return validation;
+    } catch (error) {
+      showToast(`Error: ${error.message}`, 'error');
+      setTransaction(null);
+      setResult({ success: false, error: error.message });
+      return { success: false };
+    }
+  };
+};
+
+/**
+ * Creates revert / return data decode operation handler
+ * @param {string} calldata - Calldata of the call (optional for revert data)
+ * @param {string} resultData - Raw return or revert bytes
+ * @param {function} decodeResultFunction - Function decoding (calldata, resultData)
+ * @param {function} showToast - Toast function
+ * @param {function} setResult - Function to set result
+ * @returns {function} - Operation returning a validation-like result
+ */
+export const createResultDecodeOperation = (
+  calldata,
+  resultData,
+  decodeResultFunction,
+  showToast,
+  setResult
+) => {
+  return () => {
+    if (!validateInput(resultData, 'Please enter revert or return data', showToast)) {
+      return { success: false };
+    }
+
+    try {
+      const decoded = decodeResultFunction(calldata?.trim() || null, resultData.trim());
+      setResult(decoded);
+
+      const summary = decoded.reverted
+        ? `Reverted: ${decoded.error.name || decoded.error.type}`
+        : `Returned from ${decoded.function}`;
+      return { success: true, summary };
+    } catch (error) {
+      showToast(`Error: ${error.message}`, 'error');
+      setResult({ success: false, error: error.message });
+      return { success: false };
+    }
+  };
+};
+
+/**
+ * Creates calldata diff operation handler
+ * @param {string} leftCalldata - Calldata shown on the left (e.g. the failed swap)
+ * @param {string} rightCalldata - Calldata shown on the right (e.g. the successful swap)
+ * @param {function} diffFunction - Function decoding and diffing (leftCalldata, rightCalldata)
+ * @param {function} showToast - Toast function
+ * @param {function} setResult - Function to set result
+ * @returns {function} - Operation returning a validation-like result
+ */
+export const createDiffDecodeOperation = (
+  leftCalldata,
+  rightCalldata,
+  diffFunction,
+  showToast,
+  setResult
+) => {
+  return () => {
+    if (!validateInput(leftCalldata, 'Please enter the first calldata', showToast)) {
+      return { success: false };
+    }
+    if (!validateInput(rightCalldata, 'Please enter the second calldata', showToast)) {
+      return { success: false };
+    }
+
+    const diff = diffFunction(leftCalldata.trim(), rightCalldata.trim());
+    setResult(diff);
+    if (diff.success === false) {
+      showToast(`Error: ${diff.error}`, 'error');
+      return { success: false };
+    }
+
+    const summary = diff.identical
+      ? 'Both calldatas decode to the same fields'
+      : `${diff.changes.length} field${diff.changes.length === 1 ? '' : 's'} differ`;
+    return { success: true, summary };
+  };
+};
+
+const TOKEN_LIST_STORAGE_KEY = 'imported_token_list';
+
+/**
+ * Re-import token metadata saved by a previous session
+ * @returns {number} - Number of tokens restored
+ */
+export const loadStoredTokenList = () => {
+  const stored = localStorage.getItem(TOKEN_LIST_STORAGE_KEY);
+  if (!stored) return 0;
+
+  try {
+    return importTokenList(stored).imported;
+  } catch (error) {
+    console.error('Stored token list is invalid, discarding it:', error);
+    localStorage.removeItem(TOKEN_LIST_STORAGE_KEY);
+    return 0;
+  }
+};
+
+/**
+ * Import a token list file and save all imported tokens for later sessions
+ * @param {string} text - Token list JSON (Uniswap token list format)
+ * @returns {object} - { name, imported, skipped }
+ */
+export const importAndStoreTokenList = (text) => {
+  const result = importTokenList(text);
+  localStorage.setItem(TOKEN_LIST_STORAGE_KEY, JSON.stringify(getImportedTokenList()));
+  return result;
+};
+
+/**
+ * Remove imported tokens from the registry and from storage
+ */
+export const clearStoredTokenList = () => {
+  clearImportedTokens();
+  localStorage.removeItem(TOKEN_LIST_STORAGE_KEY);
+};
+
+const SIGNATURES_STORAGE_KEY = 'imported_signatures';
+
+/**
+ * Re-import function signatures saved by a previous session
+ * @returns {number} - Number of signatures restored
+ */
+export const loadStoredSignatures = () => {
+  const stored = localStorage.getItem(SIGNATURES_STORAGE_KEY);
+  if (!stored) return 0;
+
+  try {
+    return importSignatures(JSON.parse(stored)).imported;
+  } catch (error) {
+    console.error('Stored signature database is invalid, discarding it:', error);
+    localStorage.removeItem(SIGNATURES_STORAGE_KEY);
+    return 0;
+  }
+};
+
+/**
+ * Import a signature database file and save all imported signatures for later sessions
+ * @param {string} text - ABI JSON, 4byte-style dump or one signature per line
+ * @returns {object} - { imported, skipped }
+ */
+export const importAndStoreSignatures = (text) => {
+  const result = importSignatures(text);
+  localStorage.setItem(SIGNATURES_STORAGE_KEY, JSON.stringify(getImportedSignatureList()));
+  return result;
+};
+
+/**
+ * Remove imported signatures from the database and from storage
+ */
+export const clearStoredSignatures = () => {
+  clearImportedSignatures();
+  localStorage.removeItem(SIGNATURES_STORAGE_KEY);
+};
@@ -1,21 +1,76 @@
-const DEXROUTER_ABI = [
-    "function smartSwapByOrderId(uint256 orderId, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, uint256[] batchesAmount, tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)[][] batches, tuple(uint256 fromToken, address toToken, address receiver, address payer, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine, uint256 orderId, bool isToB, bytes settlerData)[] extraData) external payable returns (uint256 returnAmount)",
-    "function unxswapByOrderId(uint256 srcToken, uint256 amount, uint256 minReturn, bytes32[] pools) external payable returns (uint256 returnAmount)",
-    "function smartSwapByInvest(tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, uint256[] batchesAmount, tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)[][] batches, tuple(uint256 fromToken, address toToken, address receiver, address payer, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine, uint256 orderId, bool isToB, bytes settlerData)[] extraData, address to) external payable returns (uint256 returnAmount)",
-    "function smartSwapByInvestWithRefund(tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, uint256[] batchesAmount, tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)[][] batches, tuple(uint256 fromToken, address toToken, address receiver, address payer, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine, uint256 orderId, bool isToB, bytes settlerData)[] extraData, address to, address refundTo) public payable returns (uint256 returnAmount)",
-    "function uniswapV3SwapTo(uint256 receiver, uint256 amount, uint256 minReturn, uint256[] pools) external payable returns (uint256 returnAmount)",
-    "function smartSwapTo(uint256 orderId, address receiver, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, uint256[] batchesAmount, tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)[][] batches, tuple(uint256 fromToken, address toToken, address receiver, address payer, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine, uint256 orderId, bool isToB, bytes settlerData)[] extraData) external payable returns (uint256 returnAmount)",
-    "function unxswapTo(uint256 srcToken, uint256 amount, uint256 minReturn, address receiver, bytes32[] pools) public payable returns (uint256 returnAmount)",
-    "function uniswapV3SwapToWithBaseRequest(uint256 orderId, address receiver, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, uint256[] pools) external payable returns (uint256 returnAmount)",
-    "function unxswapToWithBaseRequest(uint256 orderId, address receiver, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, bytes32[] pools) external payable returns (uint256 returnAmount)",
-    "function swapWrap(uint256 orderId, uint256 rawdata) external payable",
-    "function swapWrapToWithBaseRequest(uint256 orderId, address receiver, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest) external payable",
-    "function dagSwapByOrderId(uint256 orderId, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)[] paths) external payable returns (uint256 returnAmount)",
-    "function dagSwapTo(uint256 orderId, address receiver, tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine) baseRequest, tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)[] paths) external payable returns (uint256 returnAmount)",
-    // ERC20 Functions
-    "function approve(address spender, uint256 amount) external returns (bool)",
+import { getFunctionDefinitions } from './function_registry.js';
+
+// Router entrypoints, declared in function_registry.js
+const DEXROUTER_ABI = getFunctionDefinitions().map(definition => definition.signature);
+
+// Custom errors DexRouter calls revert with: the router's own, then those raised by its
+// dependencies (OpenZeppelin ERC20 / SafeERC20 / Address / ReentrancyGuard and Permit2).
+// DexRouter, CommissionLib and TrimLib checks (deadline, min return, commission / trim limits)
+// revert with Error(string) reasons such as "Min return not reached", decoded as Error.
+const DEXROUTER_ERRORS = [
+    // UnxswapV3Router (uniswapV3SwapTo and the other V3 pool routes)
+    "error EmptyPools()",
+    "error BadPool()",
+    "error InvalidMsgValue()",
+    "error ReturnAmountIsNotEnough()",
+    // UnxswapRouter (unxswap* routes through V2 pools)
+    "error ReservesCallFailed()",
+    "error SwapAmountTooLarge()",
+    // Native token handling
+    "error ETHTransferFailed()",
+    // Dependencies
+    "error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)",
+    "error ERC20InsufficientAllowance(address spender, uint256 allowance, uint256 needed)",
+    "error ERC20InvalidSender(address sender)",
+    "error ERC20InvalidReceiver(address receiver)",
+    "error ERC20InvalidApprover(address approver)",
+    "error ERC20InvalidSpender(address spender)",
+    "error SafeERC20FailedOperation(address token)",
+    "error SafeERC20FailedDecreaseAllowance(address spender, uint256 currentAllowance, uint256 requestedDecrease)",
+    "error AddressInsufficientBalance(address account)",
+    "error AddressEmptyCode(address target)",
+    "error FailedInnerCall()",
+    "error ReentrancyGuardReentrantCall()",
+    // Permit2
+    "error AllowanceExpired(uint256 deadline)",
+    "error InsufficientAllowance(uint256 amount)",
+    "error ExcessiveInvalidation()",
+    "error SignatureExpired(uint256 signatureDeadline)",
+    "error InvalidNonce()",
+    "error InvalidSignature()",
+    "error InvalidSigner()",
+    "error InvalidSignatureLength()",
+    "error InvalidContractSignature()",
+    "error InvalidAmount(uint256 maxAmount)",
+    "error LengthMismatch()",
+];
+
+/**
+ * DexRouter releases, newest first
+ *
+ * Each release declares its ABI, the custom errors it can revert with and the packing rules its calldata follows:
+ * - transferModes: RouterPath.fromToken of batch / DAG paths carries NO_TRANSFER / BY_INVEST / PERMIT2 bits
+ * - commission:    calldata may end with a commission suffix (CommissionLib flags)
+ * - trim:          calldata may end with a trim / positive-slippage suffix
+ *
+ * A new release that adds entrypoints or changes a signature is added at the top;
+ * older releases stay so their calldata keeps decoding. See abi_registry.js.
+ */
+const DEXROUTER_VERSIONS = [
+    {
+        version: 'v1',
+        abi: DEXROUTER_ABI,
+        errors: DEXROUTER_ERRORS,
+        packing: {
+            transferModes: true,
+            commission: true,
+            trim: true
+        }
+    },
 ];
 
 export {
-    DEXROUTER_ABI
+    DEXROUTER_ABI,
+    DEXROUTER_ERRORS,
+    DEXROUTER_VERSIONS
 };
@@ -0,0 +1,112 @@
+import { ethers } from 'ethers';
+import { DEXROUTER_VERSIONS } from './abi.js';
+
+/**
+ * Versioned DexRouter ABI registry
+ *
+ * Builds one ethers Interface and selector map per release declared in abi.js.
+ * Releases are kept newest first: selector lookups report the newest release that
+ * has the selector, and the encoder defaults to the newest release.
+ */
+
+const versions = [];
+
+/**
+ * Build a registry entry from a release declaration
+ * @param {Object} release - { version, abi, errors, packing }
+ * @returns {Object} { version, abi, errors, packing, iface, selectors, errorSelectors }
+ */
+function createVersionEntry(release) {
+    if (!release.version || !Array.isArray(release.abi)) {
+        throw new Error('DexRouter release needs a version and an abi array');
+    }
+
+    const errors = release.errors || [];
+    const iface = new ethers.utils.Interface([...release.abi, ...errors]);
+    const selectors = new Map();
+    Object.values(iface.functions).forEach(fragment => {
+        selectors.set(iface.getSighash(fragment), fragment);
+    });
+    const errorSelectors = new Map();
+    Object.values(iface.errors).forEach(fragment => {
+        errorSelectors.set(iface.getSighash(fragment), fragment);
+    });
+
+    return {
+        version: release.version,
+        abi: release.abi,
+        errors,
+        packing: { transferModes: true, commission: true, trim: true, ...release.packing },
+        iface,
+        selectors,
+        errorSelectors
+    };
+}
+
+/**
+ * Register a DexRouter release as the newest version (replaces a release with the same version)
+ * @param {Object} release - { version, abi, errors, packing }
+ */
+function registerDexRouterVersion(release) {
+    const entry = createVersionEntry(release);
+    const existing = versions.findIndex(v => v.version === entry.version);
+    if (existing !== -1) {
+        versions.splice(existing, 1);
+    }
+    versions.unshift(entry);
+}
+
+// Oldest first so the newest release ends up at the front
+[...DEXROUTER_VERSIONS].reverse().forEach(registerDexRouterVersion);
+
+/**
+ * Get all registered releases, newest first
+ * @returns {Array<Object>} registry entries
+ */
+function getDexRouterVersions() {
+    return versions;
+}
+
+/**
+ * Get a release by version, or the newest release when no version is given
+ * @param {string} [version] - the release version (e.g. "v1")
+ * @returns {Object} registry entry
+ */
+function getDexRouterVersion(version) {
+    if (!version) return versions[0];
+
+    const entry = versions.find(v => v.version === version);
+    if (!entry) {
+        throw new Error(`Unknown DexRouter version: ${version} (known: ${versions.map(v => v.version).join(', ')})`);
+    }
+    return entry;
+}
+
+/**
+ * Find the releases that contain a function selector, newest first
+ * @param {string} selector - the function selector (0x + 4 bytes)
+ * @returns {Array<Object>} registry entries
+ */
+function findVersionsForSelector(selector) {
+    const normalized = selector.toLowerCase();
+    return versions.filter(v => v.selectors.has(normalized));
+}
+
+/**
+ * Find the custom error fragment for an error selector in the newest release that declares it
+ * @param {string} selector - the error selector (0x + 4 bytes)
+ * @returns {Object|null} { versionEntry, fragment }, or null if no release declares it
+ */
+function findErrorForSelector(selector) {
+    const normalized = selector.toLowerCase();
+    const versionEntry = versions.find(v => v.errorSelectors.has(normalized));
+    return versionEntry ? { versionEntry, fragment: versionEntry.errorSelectors.get(normalized) } : null;
+}
+
+export {
+    findErrorForSelector,
+    findVersionsForSelector,
+    getDexRouterVersion,
+    getDexRouterVersions,
+    registerDexRouterVersion
+};
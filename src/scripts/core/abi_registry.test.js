@@ -0,0 +1,71 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { encode } from '../encode/encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { DEXROUTER_ABI, DEXROUTER_ERRORS } from './abi.js';
+import { findVersionsForSelector, getDexRouterVersion, registerDexRouterVersion } from './abi_registry.js';
+
+const example = JSON.parse(fs.readFileSync(path.join(__dirname, '../examples/smartSwapTo.json'), 'utf8'));
+const commission = {
+    hasCommission: true,
+    referCount: 1,
+    middle: { isToB: false, token: '0x' + 'e'.repeat(40) },
+    first: { flag: '0x3ca20afc2aaa', rate: '100', address: '0x' + '1'.repeat(40) }
+};
+const fromTokenAddress = ethers.utils.getAddress(example.batches[0][0].fromToken.address);
+const withVersion = (json, version) => ({ ...json, function: { ...json.function, version } });
+
+// A newer release with the same selectors that packs neither suffixes nor transfer modes
+registerDexRouterVersion({
+    version: 'v2',
+    abi: DEXROUTER_ABI,
+    errors: DEXROUTER_ERRORS,
+    packing: { transferModes: false, commission: false, trim: false }
+});
+
+const plain = encode(withVersion(example, 'v1'));
+const withCommission = encode(withVersion({ ...example, ...commission }, 'v1'));
+
+describe('releases sharing a selector', () => {
+    test('the newest release is listed first', () => {
+        expect(findVersionsForSelector(example.function.selector).map(entry => entry.version)).toEqual(['v2', 'v1']);
+        expect(getDexRouterVersion().version).toBe('v2');
+    });
+
+    test('decode uses the newest release and its packing by default', () => {
+        const decoded = resolve(withCommission);
+
+        expect(decoded.function.version).toBe('v2');
+        expect(decoded.hasCommission).toBeUndefined();
+        expect(decoded.batches[0][0].fromToken).toBe(fromTokenAddress);
+    });
+
+    test('decode uses the release given in options', () => {
+        const decoded = resolve(withCommission, { version: 'v1' });
+
+        expect(decoded.function.version).toBe('v1');
+        expect(decoded.hasCommission).toBe(true);
+        expect(decoded.first.rate).toBe('100');
+        expect(decoded.batches[0][0].fromToken).toEqual({ address: fromTokenAddress, flag: 'DEFAULT' });
+    });
+
+    test('decode reports an unknown release', () => {
+        expect(resolve(plain, { version: 'v9' }).error).toContain('Unknown DexRouter version: v9');
+    });
+
+    test('encode targets function.version', () => {
+        expect(encode(resolve(withCommission, { version: 'v1' }))).toBe(withCommission);
+        expect(encode(resolve(plain))).toBe(plain);
+    });
+
+    test('encode applies the packing of the targeted release', () => {
+        expect(() => encode(withVersion({ ...example, ...commission }, 'v2'))).toThrow('DexRouter v2 does not support commission data');
+        expect(() => encode({ ...example, ...commission }, { version: 'v2' })).toThrow('DexRouter v2 does not support commission data');
+
+        const noTransfer = JSON.parse(JSON.stringify(example));
+        noTransfer.batches[0][0].fromToken.flag = 'NO_TRANSFER';
+        expect(() => encode(withVersion(noTransfer, 'v2'))).toThrow('DexRouter v2 does not support fromToken transfer mode NO_TRANSFER');
+        expect(() => encode(withVersion(noTransfer, 'v1'))).not.toThrow();
+    });
+});
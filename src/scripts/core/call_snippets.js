@@ -0,0 +1,361 @@
+import { ethers } from 'ethers';
+import { findVersionsForSelector } from './abi_registry.js';
+import { getStructTypes } from './function_registry.js';
+import { getExpectedValue } from './calldata_linter.js';
+
+/**
+ * Ready-to-run code for sending a calldata to the router
+ *
+ * ethers v5 script, viem snippet and cast command lines send the calldata as is; the Foundry test
+ * rebuilds the call from typed structs with abi.encodeCall and appends the commission / trim suffix
+ * (the bytes after the ABI-encoded arguments). Calldata the DexRouter ABI does not describe, or that
+ * is not canonically encoded, is sent as raw bytes by the test too.
+ *
+ * Without a router address the snippets read it from the ROUTER environment variable; RPC_URL,
+ * PRIVATE_KEY and SENDER always come from the environment.
+ */
+
+// viem/chains exports for common chain ids; other chains are declared with defineChain()
+const VIEM_CHAINS = {
+    1: 'mainnet',
+    10: 'optimism',
+    56: 'bsc',
+    137: 'polygon',
+    196: 'xLayer',
+    8453: 'base',
+    34443: 'mode',
+    42161: 'arbitrum',
+    43114: 'avalanche'
+};
+
+// Tuple signature ("(uint256,address,...)") -> struct name
+const STRUCT_NAMES = new Map(Object.entries(getStructTypes())
+    .map(([name, type]) => [ethers.utils.ParamType.from(type).format(ethers.utils.FormatTypes.sighash), name]));
+
+/**
+ * Suggest the transaction value for a decoded call
+ * @param {Object} decoded - output of resolve()
+ * @returns {Object} { value: wei as a decimal string, note: string|null }
+ */
+function suggestTransactionValue(decoded) {
+    const expected = decoded && !decoded.error ? getExpectedValue(decoded) : null;
+    if (!expected) {
+        return { value: '0', note: 'The call does not tell which value it needs' };
+    }
+    return {
+        value: expected.value.toString(),
+        note: expected.atLeast ? 'Add the fromToken commission on top of the swap amount' : null
+    };
+}
+
+/**
+ * Decode the calldata against the DexRouter ABI for the typed Foundry call
+ * @returns {Object|null} { fragment, args, suffix } or null when the test must send raw bytes
+ */
+function decodeTypedCall(calldata) {
+    const selector = calldata.slice(0, 10).toLowerCase();
+    const versionEntry = findVersionsForSelector(selector)[0];
+    if (!versionEntry) return null;
+
+    const fragment = versionEntry.selectors.get(selector);
+    try {
+        const args = versionEntry.iface.decodeFunctionData(fragment, calldata);
+        const encoded = versionEntry.iface.encodeFunctionData(fragment, args);
+        if (!calldata.toLowerCase().startsWith(encoded.toLowerCase())) return null;
+        return { fragment, args, suffix: calldata.slice(encoded.length) };
+    } catch {
+        return null;
+    }
+}
+
+// ============================================================================
+// Solidity
+// ============================================================================
+
+/**
+ * Solidity type of an ABI parameter, with struct names for tuples
+ */
+function solidityType(param, structs) {
+    if (param.baseType === 'array') {
+        return `${solidityType(param.arrayChildren, structs)}[${param.arrayLength === -1 ? '' : param.arrayLength}]`;
+    }
+    if (param.baseType === 'tuple') {
+        const signature = param.format(ethers.utils.FormatTypes.sighash);
+        if (!structs.has(signature)) {
+            structs.set(signature, { name: STRUCT_NAMES.get(signature) || `Tuple${structs.size}`, param });
+        }
+        return structs.get(signature).name;
+    }
+    return param.type;
+}
+
+const isReferenceType = param => param.baseType === 'array' || param.baseType === 'tuple'
+    || param.type === 'bytes' || param.type === 'string';
+
+/**
+ * Solidity literal of a scalar ABI value
+ */
+function solidityLiteral(param, value) {
+    if (param.type === 'address') return ethers.utils.getAddress(value);
+    if (param.type === 'bool') return value ? 'true' : 'false';
+    if (param.type === 'bytes') return `hex"${value.slice(2)}"`;
+    if (param.type === 'string') return JSON.stringify(value);
+    if (param.type.startsWith('bytes')) return `${param.type}(${value})`;
+    return value.toString();
+}
+
+/**
+ * Emit assignments that build a value in place (one local per parameter keeps the test clear of
+ * "stack too deep")
+ */
+function emitAssignments(param, value, target, structs, lines) {
+    if (param.baseType === 'array') {
+        if (param.arrayLength === -1) {
+            lines.push(`${target} = new ${solidityType(param, structs)}(${value.length});`);
+        }
+        emitArrayItems(param, value, target, structs, lines);
+    } else if (param.baseType === 'tuple') {
+        param.components.forEach((component, index) =>
+            emitAssignments(component, value[index], `${target}.${component.name}`, structs, lines));
+    } else {
+        lines.push(`${target} = ${solidityLiteral(param, value)};`);
+    }
+}
+
+function emitArrayItems(param, value, target, structs, lines) {
+    value.forEach((item, index) => emitAssignments(param.arrayChildren, item, `${target}[${index}]`, structs, lines));
+}
+
+/**
+ * Statements declaring one local per argument
+ */
+function emitArguments(fragment, args, structs) {
+    const lines = [];
+    fragment.inputs.forEach((param, index) => {
+        const type = solidityType(param, structs);
+        if (param.baseType === 'array' && param.arrayLength === -1) {
+            lines.push(`${type} memory ${param.name} = new ${type}(${args[index].length});`);
+            emitArrayItems(param, args[index], param.name, structs, lines);
+        } else if (param.baseType === 'array' || param.baseType === 'tuple') {
+            lines.push(`${type} memory ${param.name};`);
+            emitAssignments(param, args[index], param.name, structs, lines);
+        } else {
+            lines.push(`${type}${isReferenceType(param) ? ' memory' : ''} ${param.name} = ${solidityLiteral(param, args[index])};`);
+        }
+    });
+    return lines;
+}
+
+function emitStructs(structs) {
+    // Member types may add nested structs while the list is printed
+    const printed = [];
+    for (let i = 0; i < structs.size; i++) {
+        const { name, param } = [...structs.values()][i];
+        const members = param.components.map(component => `    ${solidityType(component, structs)} ${component.name};`);
+        printed.push(`struct ${name} {\n${members.join('\n')}\n}`);
+    }
+    return printed;
+}
+
+function emitInterface(fragment, structs) {
+    const inputs = fragment.inputs
+        .map(param => `${solidityType(param, structs)}${isReferenceType(param) ? ' calldata' : ''} ${param.name}`)
+        .join(', ');
+    const outputs = fragment.outputs
+        .map(param => `${solidityType(param, structs)}${isReferenceType(param) ? ' memory' : ''}${param.name ? ` ${param.name}` : ''}`)
+        .join(', ');
+    const mutability = ['payable', 'view', 'pure'].includes(fragment.stateMutability) ? ` ${fragment.stateMutability}` : '';
+    return `interface IDexRouter {\n    function ${fragment.name}(${inputs}) external${mutability}${outputs ? ` returns (${outputs})` : ''};\n}`;
+}
+
+const indent = (lines, depth) => lines.map(line => (line ? `${'    '.repeat(depth)}${line}` : line)).join('\n');
+
+function buildFoundryTest(calldata, { router, chainId, value }) {
+    const typed = decodeTypedCall(calldata);
+    const structs = new Map();
+    const name = typed ? typed.fragment.name : 'call';
+
+    let body;
+    let declarations = [];
+    if (typed) {
+        const { fragment, args, suffix } = typed;
+        const iface = emitInterface(fragment, structs);
+        declarations = [...emitStructs(structs), iface];
+        body = [
+            ...emitArguments(fragment, args, structs),
+            '',
+            `bytes memory data = abi.encodeCall(IDexRouter.${fragment.name}, (${fragment.inputs.map(param => param.name).join(', ')}));`,
+            ...(suffix.length > 0
+                ? ['// Commission / trim suffix, appended after the ABI-encoded arguments', `data = bytes.concat(data, hex"${suffix}");`]
+                : [])
+        ];
+    } else {
+        body = [
+            '// Not a canonically encoded DexRouter call: sent as raw bytes',
+            `bytes memory data = hex"${calldata.slice(2)}";`
+        ];
+    }
+
+    const routerExpression = router ? ethers.utils.getAddress(router) : 'vm.envAddress("ROUTER")';
+    return [
+        '// SPDX-License-Identifier: UNLICENSED',
+        'pragma solidity ^0.8.13;',
+        '',
+        'import {Test} from "forge-std/Test.sol";',
+        '',
+        ...declarations.flatMap(declaration => [declaration, '']),
+        'contract DexRouterCallTest is Test {',
+        `    uint256 constant CHAIN_ID = ${chainId};`,
+        `    uint256 constant VALUE = ${value};`,
+        '',
+        '    function setUp() public {',
+        '        vm.createSelectFork(vm.envString("RPC_URL"));',
+        '    }',
+        '',
+        `    function test_${name}() public {`,
+        '        assertEq(block.chainid, CHAIN_ID, "RPC_URL is on another chain");',
+        `        address router = ${routerExpression};`,
+        '        address sender = vm.envOr("SENDER", address(this));',
+        '',
+        indent(body, 2),
+        '',
+        '        vm.deal(sender, sender.balance + VALUE);',
+        '        vm.prank(sender);',
+        '        (bool success, bytes memory result) = router.call{value: VALUE}(data);',
+        '        if (!success) {',
+        '            assembly {',
+        '                revert(add(result, 32), mload(result))',
+        '            }',
+        '        }',
+        '    }',
+        '}',
+        ''
+    ].join('\n');
+}
+
+// ============================================================================
+// JavaScript and shell
+// ============================================================================
+
+function buildEthersScript(calldata, { router, chainId, value, name }) {
+    return [
+        `// ${name} on chain ${chainId} (ethers v5)`,
+        "const { ethers } = require('ethers');",
+        '',
+        `const CHAIN_ID = ${chainId};`,
+        `const ROUTER = ${router ? `'${ethers.utils.getAddress(router)}'` : 'process.env.ROUTER'};`,
+        `const VALUE = ethers.BigNumber.from('${value}');`,
+        `const DATA = '${calldata}';`,
+        '',
+        'async function main() {',
+        '    const provider = new ethers.providers.JsonRpcProvider(process.env.RPC_URL, CHAIN_ID);',
+        '    const wallet = new ethers.Wallet(process.env.PRIVATE_KEY, provider);',
+        '    const tx = { to: ROUTER, data: DATA, value: VALUE, chainId: CHAIN_ID };',
+        '',
+        '    // Simulate first so a revert shows its reason before anything is sent',
+        '    await wallet.call(tx);',
+        '    const sent = await wallet.sendTransaction(tx);',
+        "    console.log('sent', sent.hash);",
+        '    const receipt = await sent.wait();',
+        "    console.log('mined in block', receipt.blockNumber, 'status', receipt.status);",
+        '}',
+        '',
+        'main().catch((error) => {',
+        '    console.error(error);',
+        '    process.exit(1);',
+        '});',
+        ''
+    ].join('\n');
+}
+
+function buildViemSnippet(calldata, { router, chainId, value, name }) {
+    const chainExport = VIEM_CHAINS[chainId];
+    const chainLines = chainExport
+        ? [`const chain = ${chainExport};`]
+        : [
+            'const chain = defineChain({',
+            `    id: ${chainId},`,
+            `    name: 'chain-${chainId}',`,
+            "    nativeCurrency: { name: 'Ether', symbol: 'ETH', decimals: 18 },",
+            '    rpcUrls: { default: { http: [process.env.RPC_URL] } }',
+            '});'
+        ];
+
+    return [
+        `// ${name} on chain ${chainId} (viem)`,
+        `import { createPublicClient, createWalletClient, ${chainExport ? '' : 'defineChain, '}http } from 'viem';`,
+        "import { privateKeyToAccount } from 'viem/accounts';",
+        ...(chainExport ? [`import { ${chainExport} } from 'viem/chains';`] : []),
+        '',
+        ...chainLines,
+        `const router = ${router ? `'${ethers.utils.getAddress(router)}'` : 'process.env.ROUTER'};`,
+        `const value = ${value}n;`,
+        `const data = '${calldata}';`,
+        '',
+        'const account = privateKeyToAccount(process.env.PRIVATE_KEY);',
+        'const publicClient = createPublicClient({ chain, transport: http(process.env.RPC_URL) });',
+        'const walletClient = createWalletClient({ account, chain, transport: http(process.env.RPC_URL) });',
+        '',
+        '// Simulate first so a revert shows its reason before anything is sent',
+        'await publicClient.call({ account, to: router, data, value });',
+        'const hash = await walletClient.sendTransaction({ to: router, data, value });',
+        'const receipt = await publicClient.waitForTransactionReceipt({ hash });',
+        'console.log(hash, receipt.status);',
+        ''
+    ].join('\n');
+}
+
+function buildCastCommands(calldata, { router, chainId, value, name }) {
+    const target = router ? ethers.utils.getAddress(router) : '"$ROUTER"';
+    const common = `--value ${value} --chain ${chainId} --rpc-url "$RPC_URL"`;
+    return [
+        `# ${name} on chain ${chainId}; value in wei`,
+        '# Simulate',
+        `cast call ${target} \\`,
+        `  ${calldata} \\`,
+        `  ${common} --from "$SENDER"`,
+        '',
+        '# Send',
+        `cast send ${target} \\`,
+        `  ${calldata} \\`,
+        `  ${common} --private-key "$PRIVATE_KEY"`,
+        ''
+    ].join('\n');
+}
+
+/**
+ * Build the code snippets for a calldata
+ * @param {string} calldata - 0x-prefixed calldata, including any commission / trim suffix
+ * @param {Object} options - { router: address or '' (read from $ROUTER), chainId, value: wei (decimal string) }
+ * @returns {Object} { ethers, viem, cast, foundry } source texts
+ */
+function buildCallSnippets(calldata, { router = '', chainId = 1, value = '0' } = {}) {
+    if (!ethers.utils.isHexString(calldata) || calldata.length < 10) {
+        throw new Error('Calldata must be 0x-prefixed hex with a 4-byte selector');
+    }
+    if (router && !ethers.utils.isAddress(router)) {
+        throw new Error(`Invalid router address: ${router}`);
+    }
+    if (!/^[0-9]+$/.test(String(chainId)) || Number(chainId) <= 0) {
+        throw new Error(`Invalid chain id: ${chainId}`);
+    }
+    if (!/^[0-9]+$/.test(String(value))) {
+        throw new Error(`Value must be an integer amount of wei: ${value}`);
+    }
+
+    const selector = calldata.slice(0, 10).toLowerCase();
+    const fragment = findVersionsForSelector(selector)[0]?.selectors.get(selector);
+    const options = { router, chainId: Number(chainId), value: String(value), name: fragment ? fragment.name : selector };
+
+    return {
+        ethers: buildEthersScript(calldata, options),
+        viem: buildViemSnippet(calldata, options),
+        cast: buildCastCommands(calldata, options),
+        foundry: buildFoundryTest(calldata, options)
+    };
+}
+
+export {
+    buildCallSnippets,
+    suggestTransactionValue
+};
@@ -0,0 +1,339 @@
+import { resolve } from '../decode/decode_index.js';
+
+/**
+ * Field-level structural diff between two decoded DexRouter calls
+ *
+ * Changes are reported as:
+ *   { section: 'routes', type: 'changed', path: 'batches[0][1].rawData[0].weight',
+ *     leftPath: 'batches[0][1].rawData[0].weight', rightPath: 'batches[1][1].rawData[0].weight',
+ *     left: '6000', right: '4000' }
+ * `type` is added (right only), removed (left only) or changed. Paths follow the decoded JSON;
+ * `path` is the left path, or the right path for added fields.
+ *
+ * Route arrays are aligned by token edge rather than by index, so a reordered or extra
+ * batch / hop / pool does not shift every entry after it:
+ * - smartSwap batches by their token chain, hops by fromToken, adapters by pool
+ * - dagSwap paths by fromToken, adapters by pool and output token
+ * - unxswap / uniswapV3 pools by pool address
+ *
+ * A batch is identified by its whole token chain, so changing the hop order of a batch (or a
+ * hop's fromToken) reports the batch and its batchesAmount as removed and added rather than
+ * as changed hops.
+ */
+
+// Derived annotations that follow from the decoded fields themselves
+const IGNORED_KEYS = ['amounts', 'warnings'];
+
+const COMMISSION_KEYS = ['hasCommission', 'referCount', 'middle', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'last'];
+const TRIM_KEYS = ['hasTrim', 'trimRate', 'trimAddress', 'expectAmountOut', 'chargeRate', 'chargeAddress'];
+const ROUTE_KEYS = ['batches', 'batchesAmount', 'paths', 'pools', 'extraData', 'rawdata'];
+
+/**
+ * Section a top-level field belongs to, used to group changes for display
+ */
+function getSection(key) {
+    if (key === 'function') return 'function';
+    if (key === 'baseRequest') return 'baseRequest';
+    if (COMMISSION_KEYS.includes(key)) return 'commission';
+    if (TRIM_KEYS.includes(key)) return 'trim';
+    if (ROUTE_KEYS.includes(key)) return 'routes';
+    return 'parameters';
+}
+
+function tokenAddress(token) {
+    if (typeof token === 'string') return token.toLowerCase();
+    return token?.address?.toLowerCase() || null;
+}
+
+/**
+ * Compare leaf values; hex strings (addresses, bytes) are compared case-insensitively
+ */
+function isSameValue(left, right) {
+    if (typeof left === 'string' && typeof right === 'string' && /^0x/i.test(left) && /^0x/i.test(right)) {
+        return left.toLowerCase() === right.toLowerCase();
+    }
+    return left === right;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Create a diff context that collects changes
+ */
+function createContext() {
+    const changes = [];
+    return {
+        changes,
+        add: (section, type, leftPath, rightPath, left, right) => {
+            changes.push({ section, type, path: leftPath ?? rightPath, leftPath, rightPath, left, right });
+        }
+    };
+}
+
+/**
+ * Diff two values recursively (objects by key, arrays by index)
+ */
+function diffValues(ctx, section, left, right, leftPath, rightPath) {
+    if (left === undefined && right === undefined) return;
+    if (left === undefined) {
+        ctx.add(section, 'added', null, rightPath, undefined, right);
+        return;
+    }
+    if (right === undefined) {
+        ctx.add(section, 'removed', leftPath, null, left, undefined);
+        return;
+    }
+
+    if (Array.isArray(left) && Array.isArray(right)) {
+        const length = Math.max(left.length, right.length);
+        for (let i = 0; i < length; i++) {
+            diffValues(ctx, section, left[i], right[i],
+                i < left.length ? `${leftPath}[${i}]` : null,
+                i < right.length ? `${rightPath}[${i}]` : null);
+        }
+        return;
+    }
+
+    if (isPlainObject(left) && isPlainObject(right)) {
+        const keys = [...new Set([...Object.keys(left), ...Object.keys(right)])];
+        keys.forEach(key => diffValues(ctx, section, left[key], right[key], `${leftPath}.${key}`, `${rightPath}.${key}`));
+        return;
+    }
+
+    if (!isSameValue(left, right)) {
+        ctx.add(section, 'changed', leftPath, rightPath, left, right);
+    }
+}
+
+/**
+ * Pair up array entries by key; repeated keys are matched in order of appearance
+ * @param {Array} left - left entries
+ * @param {Array} right - right entries
+ * @param {function} keyOf - (entry, side) => alignment key, side is 'left' or 'right'
+ * @returns {Array<Array>} [leftIndex|null, rightIndex|null] pairs, in left order then right-only entries
+ */
+function alignByKey(left, right, keyOf) {
+    const withOccurrence = (entries, side) => {
+        const seen = {};
+        return entries.map(entry => {
+            const key = keyOf(entry, side);
+            seen[key] = (seen[key] || 0) + 1;
+            return `${key}#${seen[key]}`;
+        });
+    };
+    const leftKeys = withOccurrence(left, 'left');
+    const rightKeys = withOccurrence(right, 'right');
+    const used = new Set();
+
+    const pairs = leftKeys.map((key, i) => {
+        const j = rightKeys.indexOf(key);
+        if (j === -1) return [i, null];
+        used.add(j);
+        return [i, j];
+    });
+    rightKeys.forEach((_, j) => {
+        if (!used.has(j)) pairs.push([null, j]);
+    });
+    return pairs;
+}
+
+/**
+ * Diff arrays entry by entry after aligning them by key
+ * @param {function} diffEntry - (leftEntry, rightEntry, leftPath, rightPath, leftIndex, rightIndex) for matched pairs
+ */
+function diffAligned(ctx, section, left, right, leftPath, rightPath, keyOf, diffEntry) {
+    const leftEntries = Array.isArray(left) ? left : [];
+    const rightEntries = Array.isArray(right) ? right : [];
+
+    alignByKey(leftEntries, rightEntries, keyOf).forEach(([i, j]) => {
+        if (j === null) {
+            ctx.add(section, 'removed', `${leftPath}[${i}]`, null, leftEntries[i], undefined);
+        } else if (i === null) {
+            ctx.add(section, 'added', null, `${rightPath}[${j}]`, undefined, rightEntries[j]);
+        } else {
+            diffEntry(leftEntries[i], rightEntries[j], `${leftPath}[${i}]`, `${rightPath}[${j}]`, i, j);
+        }
+    });
+}
+
+/**
+ * Diff a router path (one hop of a smartSwap batch, or one dagSwap path)
+ * mixAdapters / assetTo / rawData / extraData are parallel arrays, aligned together by pool
+ * @param {function} routeKey - (rawData, side) => alignment key of an adapter
+ */
+function diffRouterPath(ctx, left, right, leftPath, rightPath, routeKey) {
+    const routes = (path) => (path?.rawData || []).map((rawData, index) => ({
+        index,
+        mixAdapters: path.mixAdapters?.[index],
+        assetTo: path.assetTo?.[index],
+        rawData,
+        extraData: path.extraData?.[index]
+    }));
+    const leftRoutes = routes(left);
+    const rightRoutes = routes(right);
+
+    alignByKey(leftRoutes, rightRoutes, (route, side) => routeKey(route.rawData, side)).forEach(([i, j]) => {
+        if (j === null) {
+            const { index, ...route } = leftRoutes[i];
+            ctx.add('routes', 'removed', `${leftPath}.rawData[${index}]`, null, route, undefined);
+        } else if (i === null) {
+            const { index, ...route } = rightRoutes[j];
+            ctx.add('routes', 'added', null, `${rightPath}.rawData[${index}]`, undefined, route);
+        } else {
+            ['mixAdapters', 'assetTo', 'rawData', 'extraData'].forEach(field => {
+                diffValues(ctx, 'routes', leftRoutes[i][field], rightRoutes[j][field],
+                    `${leftPath}.${field}[${leftRoutes[i].index}]`, `${rightPath}.${field}[${rightRoutes[j].index}]`);
+            });
+        }
+    });
+
+    diffValues(ctx, 'routes', left?.fromToken, right?.fromToken, `${leftPath}.fromToken`, `${rightPath}.fromToken`);
+}
+
+/**
+ * smartSwap*: batches by token chain (with their batchesAmount), hops by fromToken, adapters by pool
+ */
+function diffBatches(ctx, left, right) {
+    const tokenChain = (batch, side) => [
+        ...(batch || []).map(hop => tokenAddress(hop?.fromToken)),
+        tokenAddress((side === 'left' ? left : right).baseRequest?.toToken)
+    ].join('>');
+
+    const matched = { left: new Set(), right: new Set() };
+    diffAligned(ctx, 'routes', left.batches, right.batches, 'batches', 'batches', tokenChain,
+        (leftBatch, rightBatch, leftPath, rightPath, i, j) => {
+            matched.left.add(i);
+            matched.right.add(j);
+            diffValues(ctx, 'routes', left.batchesAmount?.[i], right.batchesAmount?.[j], `batchesAmount[${i}]`, `batchesAmount[${j}]`);
+            diffAligned(ctx, 'routes', leftBatch, rightBatch, leftPath, rightPath,
+                hop => tokenAddress(hop?.fromToken),
+                (leftHop, rightHop, leftHopPath, rightHopPath) => diffRouterPath(ctx, leftHop, rightHop, leftHopPath, rightHopPath,
+                    rawData => rawData?.poolAddress?.toLowerCase()));
+        });
+
+    // Amounts of added / removed batches (and of malformed calldata with more amounts than batches)
+    (left.batchesAmount || []).forEach((amount, i) => {
+        if (!matched.left.has(i)) ctx.add('routes', 'removed', `batchesAmount[${i}]`, null, amount, undefined);
+    });
+    (right.batchesAmount || []).forEach((amount, j) => {
+        if (!matched.right.has(j)) ctx.add('routes', 'added', null, `batchesAmount[${j}]`, undefined, amount);
+    });
+}
+
+/**
+ * Map DAG node indices to token addresses (see generateDagFlowData in flowDiagramGenerator.js)
+ */
+function getDagNodeTokens(decoded) {
+    const nodeTokens = {};
+    let maxOutput = 0;
+    (decoded.paths || []).forEach(path => {
+        (path?.rawData || []).forEach(rawData => {
+            nodeTokens[String(rawData.inputIndex)] = tokenAddress(path.fromToken);
+            maxOutput = Math.max(maxOutput, parseInt(rawData.outputIndex, 10) || 0);
+        });
+    });
+    if (decoded.baseRequest?.toToken) {
+        nodeTokens[String(maxOutput)] = tokenAddress(decoded.baseRequest.toToken);
+    }
+    return nodeTokens;
+}
+
+/**
+ * dagSwap*: paths by fromToken, adapters by pool and output token (node indices may differ)
+ */
+function diffDagPaths(ctx, left, right) {
+    const nodeTokens = { left: getDagNodeTokens(left), right: getDagNodeTokens(right) };
+    const routeKey = (rawData, side) => {
+        const output = nodeTokens[side][String(rawData?.outputIndex)] || `node ${rawData?.outputIndex}`;
+        return `${rawData?.poolAddress?.toLowerCase()}>${output}`;
+    };
+
+    diffAligned(ctx, 'routes', left.paths, right.paths, 'paths', 'paths',
+        path => tokenAddress(path?.fromToken),
+        (leftPath, rightPath, leftPathName, rightPathName) => diffRouterPath(ctx, leftPath, rightPath, leftPathName, rightPathName, routeKey));
+}
+
+/**
+ * unxswap* / uniswapV3SwapTo*: pools by address
+ */
+function diffPools(ctx, left, right) {
+    diffAligned(ctx, 'routes', left.pools, right.pools, 'pools', 'pools',
+        pool => (pool?.address || pool?.pool || '').toLowerCase(),
+        (leftPool, rightPool, leftPath, rightPath) => diffValues(ctx, 'routes', leftPool, rightPool, leftPath, rightPath));
+}
+
+/**
+ * Wrapped results: calls matched by their envelope path, each diffed as a DexRouter call
+ */
+function diffWrappedCalls(ctx, left, right) {
+    diffAligned(ctx, 'calls', left.calls, right.calls, 'calls', 'calls',
+        call => call?.path,
+        (leftCall, rightCall, leftPath, rightPath) => {
+            diffDecodedCalldata(leftCall.decoded, rightCall.decoded).changes.forEach(change => {
+                ctx.changes.push({
+                    ...change,
+                    path: change.leftPath ? `${leftPath}.decoded.${change.leftPath}` : `${rightPath}.decoded.${change.rightPath}`,
+                    leftPath: change.leftPath && `${leftPath}.decoded.${change.leftPath}`,
+                    rightPath: change.rightPath && `${rightPath}.decoded.${change.rightPath}`
+                });
+            });
+        });
+}
+
+/**
+ * Diff two decoded DexRouter calls
+ * @param {Object} left - decoded call (output of resolve())
+ * @param {Object} right - decoded call (output of resolve())
+ * @returns {Object} { identical, changes }
+ */
+function diffDecodedCalldata(left, right) {
+    const ctx = createContext();
+    if (left?.wrapper && right?.wrapper) {
+        diffWrappedCalls(ctx, left, right);
+        return { identical: ctx.changes.length === 0, changes: ctx.changes };
+    }
+
+    const keys = [...new Set([...Object.keys(left || {}), ...Object.keys(right || {})])]
+        .filter(key => !IGNORED_KEYS.includes(key));
+
+    keys.forEach(key => {
+        if (key === 'batches' || key === 'batchesAmount') return;
+        if (key === 'paths') return diffDagPaths(ctx, left, right);
+        if (key === 'pools') return diffPools(ctx, left, right);
+        diffValues(ctx, getSection(key), left?.[key], right?.[key], key, key);
+    });
+    if (keys.includes('batches') || keys.includes('batchesAmount')) {
+        diffBatches(ctx, left, right);
+    }
+
+    return { identical: ctx.changes.length === 0, changes: ctx.changes };
+}
+
+/**
+ * Decode two calldatas with resolve() and diff them
+ * @param {string} leftCalldata - calldata (0x prefixed hexadecimal string)
+ * @param {string} rightCalldata - calldata (0x prefixed hexadecimal string)
+ * @param {Object} [options] - resolve() options ({ chainId })
+ * @returns {Object} { left, right, identical, changes } - both decode results and the diff
+ */
+function diffCalldata(leftCalldata, rightCalldata, options = {}) {
+    const left = resolve(leftCalldata, options);
+    const right = resolve(rightCalldata, options);
+    if (left.error || right.error) {
+        return {
+            success: false,
+            error: `Cannot decode ${left.error ? 'left' : 'right'} calldata: ${left.error || right.error}`,
+            left,
+            right
+        };
+    }
+
+    return { left, right, ...diffDecodedCalldata(left, right) };
+}
+
+export {
+    diffCalldata,
+    diffDecodedCalldata
+};
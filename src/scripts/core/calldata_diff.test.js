@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from '../encode/encode_index.js';
+import { diffCalldata } from './calldata_diff.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const clone = value => JSON.parse(JSON.stringify(value));
+
+const USDT = '0xdac17f958d2ee523a2206206994597c13d831ec7';
+const WETH = '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2';
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const ADAPTER = '0x5280D6afe6321c958cAce4029616d677957eb43B';
+const pool = digit => '0x' + digit.repeat(40);
+
+const hop = (fromToken, poolAddress, weight = '10000') => ({
+    mixAdapters: [ADAPTER],
+    assetTo: [ADAPTER],
+    rawData: [{ poolAddress, reverse: false, weight }],
+    extraData: ['0x'],
+    fromToken: { address: fromToken, flag: 'DEFAULT' }
+});
+
+/**
+ * smartSwapTo from USDT to USDC with the given batches
+ */
+function smartSwap(batches, batchesAmount) {
+    const json = loadExample('smartSwapTo');
+    json.baseRequest = { ...json.baseRequest, fromToken: USDT, toToken: USDC, fromTokenAmount: '300' };
+    return encode({ ...json, batches, batchesAmount });
+}
+
+const direct = [hop(USDT, pool('1'))];
+const viaWeth = [hop(USDT, pool('2')), hop(WETH, pool('3'))];
+
+describe('smartSwap batches', () => {
+    test('reordered batches produce no changes', () => {
+        const result = diffCalldata(smartSwap([direct, viaWeth], ['100', '200']), smartSwap([viaWeth, direct], ['200', '100']));
+
+        expect(result.identical).toBe(true);
+        expect(result.changes).toEqual([]);
+    });
+
+    test('a changed weight is reported at its left and right paths', () => {
+        const split = [{ ...hop(USDT, pool('2')), rawData: [{ poolAddress: pool('2'), reverse: false, weight: '6000' }] }, hop(WETH, pool('3'))];
+        const result = diffCalldata(smartSwap([direct, viaWeth], ['100', '200']), smartSwap([split, direct], ['200', '100']));
+
+        expect(result.changes).toEqual([{
+            section: 'routes',
+            type: 'changed',
+            path: 'batches[1][0].rawData[0].weight',
+            leftPath: 'batches[1][0].rawData[0].weight',
+            rightPath: 'batches[0][0].rawData[0].weight',
+            left: '10000',
+            right: '6000'
+        }]);
+    });
+
+    test('changing the hop order of a batch is reported as a removed and an added batch', () => {
+        const reversed = [hop(WETH, pool('3')), hop(USDT, pool('2'))];
+        const result = diffCalldata(smartSwap([viaWeth], ['300']), smartSwap([reversed], ['300']));
+
+        expect(result.changes.map(({ type, path }) => [type, path])).toEqual([
+            ['removed', 'batches[0]'],
+            ['added', 'batches[0]'],
+            ['removed', 'batchesAmount[0]'],
+            ['added', 'batchesAmount[0]']
+        ]);
+    });
+});
+
+describe('dagSwap paths', () => {
+    const dagSwapTo = loadExample('dagSwapTo');
+    const reordered = { ...dagSwapTo, paths: [dagSwapTo.paths[2], dagSwapTo.paths[0], dagSwapTo.paths[1]] };
+
+    test('reordered paths produce no changes', () => {
+        const result = diffCalldata(encode(dagSwapTo), encode(reordered));
+
+        expect(result.identical).toBe(true);
+        expect(result.changes).toEqual([]);
+    });
+
+    test('a changed weight is reported at the path it belongs to', () => {
+        const changed = clone(reordered);
+        changed.paths[2].rawData[0].weight = '6000';
+        const result = diffCalldata(encode(dagSwapTo), encode(changed));
+
+        expect(result.changes).toEqual([{
+            section: 'routes',
+            type: 'changed',
+            path: 'paths[1].rawData[0].weight',
+            leftPath: 'paths[1].rawData[0].weight',
+            rightPath: 'paths[2].rawData[0].weight',
+            left: '10000',
+            right: '6000'
+        }]);
+    });
+});
+
+test('fields outside the route are compared by path and grouped by section', () => {
+    const json = loadExample('smartSwapTo');
+    const later = { ...json, baseRequest: { ...json.baseRequest, deadLine: '1760090000' } };
+    const result = diffCalldata(encode(json), encode(later));
+
+    expect(result.changes).toEqual([{
+        section: 'baseRequest',
+        type: 'changed',
+        path: 'baseRequest.deadLine',
+        leftPath: 'baseRequest.deadLine',
+        rightPath: 'baseRequest.deadLine',
+        left: json.baseRequest.deadLine,
+        right: '1760090000'
+    }]);
+});
+
+test('undecodable calldata is reported', () => {
+    const result = diffCalldata('0x1234', encode(loadExample('smartSwapTo')));
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/^Cannot decode left calldata/);
+});
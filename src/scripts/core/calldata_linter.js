@@ -0,0 +1,324 @@
+import { ethers } from 'ethers';
+import { isSwapFunction } from './function_registry.js';
+
+/**
+ * Rule-based linter for decoded DexRouter calldata
+ *
+ * Runs over the output of resolve() and reports likely mistakes that still encode fine, and
+ * adapter payloads whose decoding is only a guess:
+ *   { rule: 'deadline-expired', path: 'baseRequest.deadLine', message: '...' }
+ * Paths use the same dotted / indexed notation as the decoded JSON. Wrapped calls are
+ * linted one by one with their paths prefixed by `calls[i].decoded`.
+ */
+
+const ETH_PLACEHOLDER = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+const TOTAL_WEIGHT = 10000;
+const MAX_DEADLINE_HORIZON = 365 * 24 * 60 * 60; // one year, in seconds
+
+// CommissionLib.sol: commission rates use a 10^9 denominator and are capped at 3%
+const COMMISSION_RATE_LIMIT = 30000000;
+const COMMISSION_ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'last'];
+
+/**
+ * Get the address from a decoded token field ("0x..." or { address, flag })
+ */
+function tokenAddress(token) {
+    if (typeof token === 'string') return token;
+    return token?.address || null;
+}
+
+function isZeroAddress(address) {
+    return typeof address === 'string' && address.toLowerCase() === ZERO_ADDRESS;
+}
+
+function isEthPlaceholder(address) {
+    return typeof address === 'string' && address.toLowerCase() === ETH_PLACEHOLDER;
+}
+
+/**
+ * Parse a decoded numeric field, returning null for anything that is not an integer
+ */
+function toBigNumber(value) {
+    try {
+        return ethers.BigNumber.from(value);
+    } catch {
+        return null;
+    }
+}
+
+// ============================================================================
+// Rules - each returns a list of { rule, path, message }
+// ============================================================================
+
+function checkDeadlines(decoded, { now }) {
+    const warnings = [];
+    const deadlines = [];
+    if (decoded.baseRequest?.deadLine !== undefined) {
+        deadlines.push(['baseRequest.deadLine', decoded.baseRequest.deadLine]);
+    }
+    (decoded.extraData || []).forEach((entry, index) => {
+        if (entry?.deadLine !== undefined) deadlines.push([`extraData[${index}].deadLine`, entry.deadLine]);
+    });
+
+    deadlines.forEach(([path, value]) => {
+        const deadline = toBigNumber(value);
+        if (!deadline) return;
+        if (deadline.lt(now)) {
+            const date = new Date(deadline.toNumber() * 1000).toISOString();
+            warnings.push({ rule: 'deadline-expired', path, message: `Deadline ${value} (${date}) has already passed` });
+        } else if (deadline.gt(now + MAX_DEADLINE_HORIZON)) {
+            warnings.push({ rule: 'deadline-too-far', path, message: `Deadline ${value} is more than a year in the future` });
+        }
+    });
+    return warnings;
+}
+
+function checkMinReturn(decoded) {
+    const warnings = [];
+    const fields = [];
+    if (decoded.baseRequest?.minReturnAmount !== undefined) {
+        fields.push(['baseRequest.minReturnAmount', decoded.baseRequest.minReturnAmount]);
+    }
+    if (decoded.minReturn !== undefined) {
+        fields.push(['minReturn', decoded.minReturn]);
+    }
+    (decoded.extraData || []).forEach((entry, index) => {
+        if (entry?.minReturnAmount !== undefined) fields.push([`extraData[${index}].minReturnAmount`, entry.minReturnAmount]);
+    });
+
+    fields.forEach(([path, value]) => {
+        if (toBigNumber(value)?.isZero()) {
+            warnings.push({ rule: 'zero-min-return', path, message: 'Minimum return is zero: the swap has no slippage protection' });
+        }
+    });
+    return warnings;
+}
+
+function checkWeights(decoded) {
+    const warnings = [];
+    const sumWeights = (rawData) => (rawData || []).reduce((sum, rd) => sum + (parseInt(rd?.weight, 10) || 0), 0);
+
+    // smartSwap*: every hop of a batch splits its amount across its adapters
+    (decoded.batches || []).forEach((batch, i) => {
+        (batch || []).forEach((path, j) => {
+            const total = sumWeights(path?.rawData);
+            if (total !== TOTAL_WEIGHT) {
+                warnings.push({
+                    rule: 'weights-sum',
+                    path: `batches[${i}][${j}].rawData`,
+                    message: `Weights sum to ${total}, expected ${TOTAL_WEIGHT}`
+                });
+            }
+        });
+    });
+
+    // dagSwap*: the edges leaving a node split that node's balance
+    if (Array.isArray(decoded.paths)) {
+        const nodes = new Map(); // inputIndex -> { total, paths }
+        decoded.paths.forEach((path, i) => {
+            (path?.rawData || []).forEach(rd => {
+                const node = String(rd.inputIndex);
+                const entry = nodes.get(node) || { total: 0, paths: new Set() };
+                entry.total += parseInt(rd.weight, 10) || 0;
+                entry.paths.add(`paths[${i}]`);
+                nodes.set(node, entry);
+            });
+        });
+        nodes.forEach(({ total, paths }, node) => {
+            if (total !== TOTAL_WEIGHT) {
+                warnings.push({
+                    rule: 'weights-sum',
+                    path: [...paths].join(', '),
+                    message: `Weights leaving DAG node ${node} sum to ${total}, expected ${TOTAL_WEIGHT}`
+                });
+            }
+        });
+    }
+    return warnings;
+}
+
+function checkReceivers(decoded) {
+    const warnings = [];
+    const fields = [];
+    if (decoded.receiver !== undefined) fields.push(['receiver', decoded.receiver]);
+    if (decoded.to !== undefined) fields.push(['to', decoded.to]);
+    (decoded.extraData || []).forEach((entry, index) => {
+        if (entry?.receiver !== undefined) fields.push([`extraData[${index}].receiver`, entry.receiver]);
+    });
+
+    fields.forEach(([path, value]) => {
+        if (isZeroAddress(tokenAddress(value))) {
+            warnings.push({ rule: 'zero-receiver', path, message: 'Receiver is the zero address' });
+        }
+    });
+    return warnings;
+}
+
+function checkBatchesAmount(decoded) {
+    if (!Array.isArray(decoded.batchesAmount) || decoded.baseRequest?.fromTokenAmount === undefined) return [];
+
+    const fromTokenAmount = toBigNumber(decoded.baseRequest.fromTokenAmount);
+    if (!fromTokenAmount) return [];
+
+    const total = decoded.batchesAmount.reduce((sum, amount) => sum.add(toBigNumber(amount) || 0), ethers.BigNumber.from(0));
+    if (total.eq(fromTokenAmount)) return [];
+
+    return [{
+        rule: 'batches-amount-sum',
+        path: 'batchesAmount',
+        message: `batchesAmount sums to ${total.toString()}, but baseRequest.fromTokenAmount is ${fromTokenAmount.toString()}`
+    }];
+}
+
+/**
+ * Check if the call carries a fromToken commission (paid on top of the input amount)
+ */
+function hasFromTokenCommission(decoded) {
+    if (!decoded.hasCommission) return false;
+    return COMMISSION_ORDINALS.some(key => (decoded[key]?.commissionType || '').endsWith('FROM_TOKEN_COMMISSION'));
+}
+
+/**
+ * Work out the transaction value a decoded call needs
+ * @param {Object} decoded - output of resolve()
+ * @returns {Object|null} { value: BigNumber, path, atLeast, reason: 'wrap'|'unwrap'|'eth'|'token' } - atLeast is
+ *   set when a fromToken commission on ETH is sent on top of value; null when the call does not tell
+ */
+function getExpectedValue(decoded) {
+    // swapWrap: wrapping needs the amount as value, unwrapping needs none
+    if (decoded.rawdata?.amount !== undefined) {
+        const reversed = Boolean(decoded.rawdata.reversed);
+        const value = reversed ? ethers.BigNumber.from(0) : toBigNumber(decoded.rawdata.amount);
+        return value && { value, path: 'rawdata.amount', atLeast: false, reason: reversed ? 'unwrap' : 'wrap' };
+    }
+
+    const fromToken = tokenAddress(decoded.baseRequest?.fromToken) || tokenAddress(decoded.srcToken);
+    if (!fromToken) return null;
+
+    if (!isEthPlaceholder(fromToken)) {
+        const path = decoded.baseRequest ? 'baseRequest.fromToken' : 'srcToken';
+        return { value: ethers.BigNumber.from(0), path, atLeast: false, reason: 'token' };
+    }
+
+    const amount = toBigNumber(decoded.baseRequest ? decoded.baseRequest.fromTokenAmount : decoded.amount);
+    if (!amount) return null;
+    const path = decoded.baseRequest ? 'baseRequest.fromTokenAmount' : 'amount';
+    return { value: amount, path, atLeast: hasFromTokenCommission(decoded), reason: 'eth' };
+}
+
+function checkValue(decoded, { value }) {
+    if (value === undefined || value === null) return [];
+    const sent = toBigNumber(value);
+    if (!sent) return [];
+
+    const expected = getExpectedValue(decoded);
+    if (!expected) return [];
+    // A fromToken commission on ETH is sent on top of the swap amount
+    const valid = expected.atLeast ? sent.gte(expected.value) : sent.eq(expected.value);
+    if (valid) return [];
+
+    const messages = {
+        wrap: `Transaction value is ${sent.toString()}, expected ${expected.value.toString()} for a wrap`,
+        unwrap: `Transaction value is ${sent.toString()}, expected ${expected.value.toString()} for an unwrap`,
+        token: `Transaction sends ${sent.toString()} wei but fromToken is not the ETH placeholder`,
+        eth: `fromToken is the ETH placeholder but transaction value is ${sent.toString()}, expected ${expected.value.toString()}`
+    };
+    return [{ rule: 'value-mismatch', path: expected.path, message: messages[expected.reason] }];
+}
+
+function checkCommissionRates(decoded) {
+    if (!decoded.hasCommission) return [];
+
+    const warnings = [];
+    let total = ethers.BigNumber.from(0);
+    COMMISSION_ORDINALS.forEach(key => {
+        const rate = toBigNumber(decoded[key]?.rate);
+        if (!rate) return;
+        total = total.add(rate);
+        if (rate.gt(COMMISSION_RATE_LIMIT)) {
+            warnings.push({
+                rule: 'commission-rate-limit',
+                path: `${key}.rate`,
+                message: `Commission rate ${rate.toString()} exceeds the contract limit of ${COMMISSION_RATE_LIMIT} (3%)`
+            });
+        }
+    });
+
+    if (warnings.length === 0 && total.gt(COMMISSION_RATE_LIMIT)) {
+        warnings.push({
+            rule: 'commission-rate-limit',
+            path: 'referCount',
+            message: `Commission rates add up to ${total.toString()}, above the contract limit of ${COMMISSION_RATE_LIMIT} (3%)`
+        });
+    }
+    return warnings;
+}
+
+function checkInferredAdapterData(decoded) {
+    const warnings = [];
+    const hops = [];
+    (decoded.batches || []).forEach((batch, i) => {
+        (batch || []).forEach((path, j) => hops.push([`batches[${i}][${j}]`, path]));
+    });
+    if (Array.isArray(decoded.paths)) {
+        decoded.paths.forEach((path, i) => hops.push([`paths[${i}]`, path]));
+    }
+
+    hops.forEach(([hopPath, hop]) => {
+        (hop?.extraData || []).forEach((extraData, k) => {
+            if (!extraData?.inferred) return;
+            warnings.push({
+                rule: 'adapter-data-inferred',
+                path: `${hopPath}.extraData[${k}]`,
+                message: `Decoded as ${extraData.layout} from its ABI shape alone; the adapter is not registered for this layout`
+            });
+        });
+    });
+    return warnings;
+}
+
+const RULES = [
+    checkDeadlines,
+    checkMinReturn,
+    checkWeights,
+    checkReceivers,
+    checkBatchesAmount,
+    checkValue,
+    checkCommissionRates,
+    checkInferredAdapterData
+];
+
+/**
+ * Lint a decoded DexRouter call (or every call of a wrapped result)
+ * @param {Object} decoded - output of resolve()
+ * @param {Object} [options] - { now: unix seconds (default: current time), value: transaction value in wei, when known }
+ * @returns {Array<Object>} warnings [{ rule, path, message }], empty when nothing looks off
+ */
+function lintDecodedCalldata(decoded, options = {}) {
+    if (!decoded || decoded.error || !decoded.function) return [];
+
+    const context = {
+        now: options.now ?? Math.floor(Date.now() / 1000),
+        value: options.value
+    };
+
+    if (decoded.wrapper) {
+        return (decoded.calls || []).flatMap((call, index) =>
+            lintDecodedCalldata(call.decoded, { ...context, value: call.value }).map(warning => ({
+                ...warning,
+                path: `calls[${index}].decoded.${warning.path}`
+            }))
+        );
+    }
+
+    // Rules only apply to DexRouter swaps, not to generically decoded calls
+    if (decoded.generic || !isSwapFunction(decoded.function.name)) return [];
+    return RULES.flatMap(rule => rule(decoded, context));
+}
+
+export {
+    getExpectedValue,
+    lintDecodedCalldata
+};
@@ -0,0 +1,226 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { encode } from '../encode/encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { getExpectedValue, lintDecodedCalldata } from './calldata_linter.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const clone = value => JSON.parse(JSON.stringify(value));
+
+const NOW = 1760000000;
+const ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const REFERRER = '0x' + '1'.repeat(40);
+
+const smartSwapExample = loadExample('smartSwapTo');
+// smartSwapTo example with a deadline in 20 minutes, a minimum return and matching batchesAmount
+const smartSwap = resolve(encode({
+    ...smartSwapExample,
+    baseRequest: { ...smartSwapExample.baseRequest, minReturnAmount: '1', deadLine: String(NOW + 1200) },
+    batchesAmount: ['1']
+}));
+const dagSwap = resolve(encode(loadExample('dagSwapTo')));
+const DAG_NOW = Number(dagSwap.baseRequest.deadLine) - 1200;
+
+/**
+ * Decoded smartSwap with a fromToken commission of the given rates, paid in ETH
+ */
+function withCommission(rates, fromToken = ETH) {
+    const json = clone(smartSwapExample);
+    json.baseRequest = { ...json.baseRequest, fromToken, minReturnAmount: '1', deadLine: String(NOW + 1200) };
+    json.batchesAmount = ['1'];
+    const commission = rate => ({ flag: rates.length === 1 ? '0x3ca20afc2aaa' : '0x22220afc2aaa', rate, address: REFERRER });
+    return resolve(encode({
+        ...json,
+        hasCommission: true,
+        referCount: rates.length,
+        middle: { isToB: false, token: fromToken },
+        first: commission(rates[0]),
+        ...(rates.length > 1 ? { last: commission(rates[1]) } : {})
+    }));
+}
+
+const lintRule = (decoded, rule, options = {}) =>
+    lintDecodedCalldata(decoded, { now: NOW, ...options }).filter(warning => warning.rule === rule);
+
+test('the clean examples have no warnings', () => {
+    expect(lintDecodedCalldata(smartSwap, { now: NOW, value: '0' })).toEqual([]);
+    expect(lintDecodedCalldata(dagSwap, { now: DAG_NOW }).map(warning => warning.rule)).toEqual(['adapter-data-inferred']);
+});
+
+describe('deadlines', () => {
+    test('an expired deadline', () => {
+        const decoded = clone(smartSwap);
+        decoded.baseRequest.deadLine = String(NOW - 1);
+
+        expect(lintRule(decoded, 'deadline-expired')).toEqual([{
+            rule: 'deadline-expired',
+            path: 'baseRequest.deadLine',
+            message: `Deadline ${NOW - 1} (2025-10-09T08:53:19.000Z) has already passed`
+        }]);
+        expect(lintRule(smartSwap, 'deadline-expired')).toEqual([]);
+    });
+
+    test('a deadline more than a year away', () => {
+        const decoded = clone(smartSwap);
+        decoded.baseRequest.deadLine = String(NOW + 366 * 24 * 60 * 60);
+
+        expect(lintRule(decoded, 'deadline-too-far')).toEqual([{
+            rule: 'deadline-too-far',
+            path: 'baseRequest.deadLine',
+            message: `Deadline ${decoded.baseRequest.deadLine} is more than a year in the future`
+        }]);
+        expect(lintRule(smartSwap, 'deadline-too-far')).toEqual([]);
+    });
+});
+
+test('zero minReturn', () => {
+    const decoded = clone(smartSwap);
+    decoded.baseRequest.minReturnAmount = '0';
+
+    expect(lintRule(decoded, 'zero-min-return')).toEqual([{
+        rule: 'zero-min-return',
+        path: 'baseRequest.minReturnAmount',
+        message: 'Minimum return is zero: the swap has no slippage protection'
+    }]);
+    expect(lintRule(smartSwap, 'zero-min-return')).toEqual([]);
+});
+
+describe('weights', () => {
+    test('the adapters of a smartSwap hop', () => {
+        const decoded = clone(smartSwap);
+        decoded.batches[0][0].rawData[0].weight = '9000';
+
+        expect(lintRule(decoded, 'weights-sum')).toEqual([{
+            rule: 'weights-sum',
+            path: 'batches[0][0].rawData',
+            message: 'Weights sum to 9000, expected 10000'
+        }]);
+        expect(lintRule(smartSwap, 'weights-sum')).toEqual([]);
+    });
+
+    test('the edges leaving a DAG node', () => {
+        const decoded = clone(dagSwap);
+        decoded.paths[1].rawData[0].weight = '6000';
+
+        expect(lintRule(decoded, 'weights-sum', { now: DAG_NOW })).toEqual([{
+            rule: 'weights-sum',
+            path: 'paths[1]',
+            message: 'Weights leaving DAG node 1 sum to 6000, expected 10000'
+        }]);
+        expect(lintRule(dagSwap, 'weights-sum', { now: DAG_NOW })).toEqual([]);
+    });
+
+    test('a DAG node split across paths', () => {
+        const decoded = clone(dagSwap);
+        decoded.paths[1].rawData[0].weight = '6000';
+        decoded.paths[2].rawData[0] = { ...decoded.paths[2].rawData[0], inputIndex: '1', weight: '4000' };
+
+        expect(lintRule(decoded, 'weights-sum', { now: DAG_NOW })).toEqual([]);
+    });
+});
+
+test('zero receiver', () => {
+    const decoded = clone(smartSwap);
+    decoded.receiver = ethers.constants.AddressZero;
+
+    expect(lintRule(decoded, 'zero-receiver')).toEqual([{ rule: 'zero-receiver', path: 'receiver', message: 'Receiver is the zero address' }]);
+    expect(lintRule(smartSwap, 'zero-receiver')).toEqual([]);
+});
+
+test('batchesAmount sum', () => {
+    const decoded = clone(smartSwap);
+    decoded.batchesAmount = ['2'];
+
+    expect(lintRule(decoded, 'batches-amount-sum')).toEqual([{
+        rule: 'batches-amount-sum',
+        path: 'batchesAmount',
+        message: 'batchesAmount sums to 2, but baseRequest.fromTokenAmount is 1'
+    }]);
+    expect(lintRule(smartSwap, 'batches-amount-sum')).toEqual([]);
+});
+
+describe('transaction value', () => {
+    const ethSwap = clone(smartSwap);
+    ethSwap.baseRequest.fromToken = ETH;
+
+    test('a token swap sending ETH', () => {
+        expect(lintRule(smartSwap, 'value-mismatch', { value: '5' })).toEqual([{
+            rule: 'value-mismatch',
+            path: 'baseRequest.fromToken',
+            message: 'Transaction sends 5 wei but fromToken is not the ETH placeholder'
+        }]);
+        expect(lintRule(smartSwap, 'value-mismatch', { value: '0' })).toEqual([]);
+    });
+
+    test('an ETH swap with another value', () => {
+        expect(lintRule(ethSwap, 'value-mismatch', { value: '2' })).toEqual([{
+            rule: 'value-mismatch',
+            path: 'baseRequest.fromTokenAmount',
+            message: 'fromToken is the ETH placeholder but transaction value is 2, expected 1'
+        }]);
+        expect(lintRule(ethSwap, 'value-mismatch', { value: '1' })).toEqual([]);
+    });
+
+    test('no value check when the value is unknown', () => {
+        expect(lintRule(ethSwap, 'value-mismatch')).toEqual([]);
+    });
+
+    test('a fromToken commission on ETH is sent on top of the amount', () => {
+        const decoded = withCommission(['100']);
+
+        expect(getExpectedValue(decoded)).toMatchObject({ path: 'baseRequest.fromTokenAmount', atLeast: true, reason: 'eth' });
+        expect(lintRule(decoded, 'value-mismatch', { value: '2' })).toEqual([]);
+        expect(lintRule(decoded, 'value-mismatch', { value: '0' })).toEqual([{
+            rule: 'value-mismatch',
+            path: 'baseRequest.fromTokenAmount',
+            message: 'fromToken is the ETH placeholder but transaction value is 0, expected 1'
+        }]);
+    });
+
+    test('an unwrap needs no value', () => {
+        const unwrap = resolve(encode(loadExample('swapWrap')));
+
+        expect(lintRule(unwrap, 'value-mismatch', { value: '1' })).toEqual([{
+            rule: 'value-mismatch',
+            path: 'rawdata.amount',
+            message: 'Transaction value is 1, expected 0 for an unwrap'
+        }]);
+        expect(lintRule(unwrap, 'value-mismatch', { value: '0' })).toEqual([]);
+    });
+});
+
+describe('commission rates', () => {
+    test('a rate above 3%', () => {
+        expect(lintRule(withCommission(['30000001']), 'commission-rate-limit')).toEqual([{
+            rule: 'commission-rate-limit',
+            path: 'first.rate',
+            message: 'Commission rate 30000001 exceeds the contract limit of 30000000 (3%)'
+        }]);
+        expect(lintRule(withCommission(['30000000']), 'commission-rate-limit')).toEqual([]);
+    });
+
+    test('rates adding up to more than 3%', () => {
+        expect(lintRule(withCommission(['20000000', '20000000']), 'commission-rate-limit')).toEqual([{
+            rule: 'commission-rate-limit',
+            path: 'referCount',
+            message: 'Commission rates add up to 40000000, above the contract limit of 30000000 (3%)'
+        }]);
+        expect(lintRule(withCommission(['10000000', '20000000']), 'commission-rate-limit')).toEqual([]);
+    });
+});
+
+test('adapter extraData decoded by its shape alone', () => {
+    expect(lintRule(dagSwap, 'adapter-data-inferred', { now: DAG_NOW })).toEqual([{
+        rule: 'adapter-data-inferred',
+        path: 'paths[0].extraData[0]',
+        message: 'Decoded as uniswapV3 from its ABI shape alone; the adapter is not registered for this layout'
+    }]);
+    expect(lintRule(smartSwap, 'adapter-data-inferred')).toEqual([]);
+});
+
+test('non-swap functions are not linted', () => {
+    const approve = resolve(encode(loadExample('approve')));
+
+    expect(lintDecodedCalldata(approve, { now: NOW, value: '5' })).toEqual([]);
+});
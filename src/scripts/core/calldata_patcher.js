@@ -0,0 +1,179 @@
+import { resolveDexRouterCall } from '../decode/decode_index.js';
+import { annotateCalldata } from '../decode/decode_annotations.js';
+import { encodeFunctions } from '../encode/encode_functions.js';
+import { resolveHumanValues } from '../encode/encode_amounts.js';
+import { getEncodeParameterNames } from '../encode/encode_schemas.js';
+import { setValueAtPath } from '../encode/encode_form.js';
+
+/**
+ * In-place calldata patcher
+ *
+ * Edits individual fields of an existing DexRouter call (bump the deadline, swap the receiver,
+ * change minReturnAmount) without a decode-edit-encode cycle:
+ *   patchCalldata(calldata, [{ path: 'baseRequest.deadLine', value: '+20m' }])
+ * Only the ABI-encoded arguments are re-encoded. Whatever follows them (the commission / trim
+ * suffix, or bytes no decoder recognizes) is carried over byte for byte.
+ *
+ * Paths use the decoded JSON notation ("batches[0][1].rawData[0].weight") and must exist in the
+ * decoded call; values may use the encoder's token units and relative deadlines (see encode_amounts.js).
+ */
+
+const PATH_REGEX = /^[A-Za-z_$][\w$]*(\.[A-Za-z_$][\w$]*|\[[0-9]+\])*$/;
+
+/**
+ * Split a path into keys and array indexes
+ * @param {string} path - e.g. "batches[0][1].rawData[0].weight"
+ * @returns {Array<string|number>} segments
+ */
+function parsePatchPath(path) {
+    if (!PATH_REGEX.test(path)) {
+        throw new Error(`Invalid path: ${path}`);
+    }
+    return path.match(/[^.[\]]+/g).map(segment => (/^[0-9]+$/.test(segment) ? Number(segment) : segment));
+}
+
+/**
+ * Parse a "path=value" edit; objects, arrays, booleans and null are read as JSON, anything else
+ * (numbers included, to keep uint256 values exact) as a string
+ * @param {string} text - e.g. "receiver=0x...", "baseRequest.deadLine=+20m", "rawdata={...}"
+ * @returns {Object} { path, value }
+ */
+function parsePatchEdit(text) {
+    const separator = text.indexOf('=');
+    if (separator <= 0) {
+        throw new Error(`Edits are written path=value, got: ${text}`);
+    }
+
+    const path = text.slice(0, separator).trim();
+    const valueText = text.slice(separator + 1).trim();
+    if (!/^[[{]/.test(valueText) && !['true', 'false', 'null'].includes(valueText)) {
+        return { path, value: valueText };
+    }
+    try {
+        return { path, value: JSON.parse(valueText) };
+    } catch (error) {
+        throw new Error(`Invalid JSON value for ${path}: ${error.message}`);
+    }
+}
+
+function getValueAtSegments(value, segments) {
+    return segments.reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value);
+}
+
+/**
+ * Compare two calldatas byte by byte
+ * @param {string} before - original calldata
+ * @param {string} after - patched calldata
+ * @returns {Array<Object>} contiguous changed ranges [{ start, end, before, after }]; byte positions
+ *   are absolute (selector included), `end` is exclusive, and bytes past the end of one side are ''
+ */
+function diffCalldataBytes(before, after) {
+    const byteAt = (hex, index) => hex.slice(2 + index * 2, 4 + index * 2).toLowerCase();
+    const length = Math.max(before.length, after.length) / 2 - 1;
+    const ranges = [];
+
+    for (let i = 0; i < length; i++) {
+        if (byteAt(before, i) === byteAt(after, i)) continue;
+
+        const last = ranges[ranges.length - 1];
+        if (last && last.end === i) {
+            last.end = i + 1;
+        } else {
+            ranges.push({ start: i, end: i + 1 });
+        }
+    }
+
+    return ranges.map(({ start, end }) => ({
+        start,
+        end,
+        before: '0x' + before.slice(2 + start * 2, 2 + end * 2),
+        after: '0x' + after.slice(2 + start * 2, 2 + end * 2)
+    }));
+}
+
+/**
+ * Name the fields a byte range of the patched calldata belongs to
+ */
+function fieldsInRange(annotation, start, end) {
+    if (!annotation) return [];
+    const paths = annotation.ranges
+        .filter(range => range.path && range.start < end && range.end > start)
+        .map(range => range.path);
+    return [...new Set(paths)];
+}
+
+/**
+ * Patch fields of a DexRouter call, keeping the bytes after the ABI arguments
+ * @param {string} calldata - 0x-prefixed DexRouter calldata
+ * @param {Array<Object>} edits - [{ path, value }] applied in order to the decoded JSON
+ * @param {Object} [options] - { chainId } to look up token units in values
+ * @returns {Object} {
+ *   calldata: patched calldata,
+ *   json: decoded JSON with the edits applied (raw values),
+ *   changes: [{ path, before, after }] per edit,
+ *   suffix: bytes kept after the arguments ('0x' when there are none),
+ *   diff: [{ start, end, before, after, fields }] changed byte ranges, with the fields they encode
+ * }
+ */
+function patchCalldata(calldata, edits, options = {}) {
+    if (typeof calldata !== 'string' || !/^0x([0-9a-fA-F]{2})*$/.test(calldata.trim())) {
+        throw new Error('Calldata must be a 0x-prefixed hex string');
+    }
+    if (!Array.isArray(edits) || edits.length === 0) {
+        throw new Error('No edits given');
+    }
+
+    const original = calldata.trim().toLowerCase();
+    const decoded = resolveDexRouterCall(original, { chainId: options.chainId });
+    if (decoded.error) {
+        throw new Error(`Cannot patch calldata: ${decoded.error}`);
+    }
+    if (decoded.partial) {
+        throw new Error('Cannot patch calldata that only decodes partially (truncated or corrupted)');
+    }
+
+    // The suffix starts where the canonical encoding of the decoded arguments ends
+    const version = decoded.function.version;
+    const body = encodeFunctions(decoded, version).toLowerCase();
+    if (!original.startsWith(body)) {
+        throw new Error('The arguments are not canonically ABI-encoded; re-encoding would change bytes outside the edited fields');
+    }
+    const suffix = '0x' + original.slice(body.length);
+
+    const parameters = getEncodeParameterNames(decoded.function.name);
+    let json = decoded;
+    const changes = edits.map(({ path, value }) => {
+        const segments = parsePatchPath(path);
+        if (!parameters.includes(segments[0])) {
+            throw new Error(`${path}: only the arguments of ${decoded.function.name} can be patched (${parameters.join(', ')})`);
+        }
+        const before = getValueAtSegments(json, segments);
+        if (before === undefined) {
+            throw new Error(`${path}: no such field in the decoded call`);
+        }
+        if (value === undefined) {
+            throw new Error(`${path}: missing value`);
+        }
+
+        json = setValueAtPath(json, segments, value);
+        return { path, before, after: value };
+    });
+
+    const { json: rawJson } = resolveHumanValues(json, { chainId: options.chainId });
+    const patched = encodeFunctions(rawJson, version).toLowerCase() + suffix.slice(2);
+    const annotation = annotateCalldata(patched);
+
+    return {
+        calldata: patched,
+        json: rawJson,
+        changes: changes.map(change => ({ ...change, after: getValueAtSegments(rawJson, parsePatchPath(change.path)) })),
+        suffix,
+        diff: diffCalldataBytes(original, patched).map(range => ({ ...range, fields: fieldsInRange(annotation, range.start, range.end) }))
+    };
+}
+
+export {
+    diffCalldataBytes,
+    parsePatchEdit,
+    patchCalldata
+};
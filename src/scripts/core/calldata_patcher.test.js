@@ -0,0 +1,120 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from '../encode/encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { diffCalldataBytes, parsePatchEdit, patchCalldata } from './calldata_patcher.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const address = digit => '0x' + digit.repeat(40);
+const base = loadExample('smartSwapTo');
+
+const SUFFIX_FIELDS = {
+    hasCommission: true,
+    referCount: 1,
+    middle: { isToB: true, token: address('e') },
+    first: { flag: '0x3ca20afc2aaa', rate: '100', address: address('1') },
+    hasTrim: 'toB',
+    trimRate: '10',
+    trimAddress: address('5'),
+    expectAmountOut: '1000',
+    chargeRate: '0',
+    chargeAddress: address('0')
+};
+const withSuffix = encode({ ...base, ...SUFFIX_FIELDS });
+const plain = encode(base);
+const TRAILING = 'ab'.repeat(7);
+
+describe('patchCalldata', () => {
+    test('keeps the commission and trim suffix byte for byte', () => {
+        const result = patchCalldata(withSuffix, [{ path: 'baseRequest.deadLine', value: '1760099999' }]);
+
+        expect(result.suffix).toBe('0x' + withSuffix.slice(plain.length));
+        expect(result.calldata.endsWith(result.suffix.slice(2))).toBe(true);
+        expect(result.calldata).toBe(encode({ ...base, ...SUFFIX_FIELDS, baseRequest: { ...base.baseRequest, deadLine: '1760099999' } }));
+        expect(result.changes).toEqual([{ path: 'baseRequest.deadLine', before: base.baseRequest.deadLine, after: '1760099999' }]);
+    });
+
+    test('keeps unrecognized trailing bytes', () => {
+        const receiver = '0x' + '2'.repeat(40);
+        const result = patchCalldata(plain + TRAILING, [{ path: 'receiver', value: receiver }]);
+
+        expect(result.suffix).toBe('0x' + TRAILING);
+        expect(result.calldata).toBe(encode({ ...base, receiver }) + TRAILING);
+    });
+
+    test('the diff reports only the words of the edited fields', () => {
+        const result = patchCalldata(withSuffix, [
+            { path: 'baseRequest.minReturnAmount', value: '12345' },
+            { path: 'batches[0][0].rawData[0].weight', value: '9000' }
+        ]);
+
+        expect(result.diff.map(range => range.fields)).toEqual([['baseRequest.minReturnAmount'], ['batches[0][0].rawData[0]']]);
+        result.diff.forEach(range => {
+            expect(Math.floor((range.start - 4) / 32)).toBe(Math.floor((range.end - 5) / 32));
+        });
+        expect(resolve(result.calldata)).toMatchObject({
+            baseRequest: { minReturnAmount: '12345' },
+            hasCommission: true,
+            hasTrim: 'toB'
+        });
+    });
+
+    test('values accept token units and relative deadlines', () => {
+        const result = patchCalldata(plain, [{ path: 'baseRequest.fromTokenAmount', value: { value: '2', decimals: 6 } }]);
+
+        expect(result.changes[0]).toEqual({ path: 'baseRequest.fromTokenAmount', before: base.baseRequest.fromTokenAmount, after: '2000000' });
+    });
+
+    test.each([
+        ['hasCommission', true, 'hasCommission: only the arguments of smartSwapTo can be patched (orderId, receiver, baseRequest, batchesAmount, batches, extraData)'],
+        ['first.rate', '50', 'first.rate: only the arguments of smartSwapTo can be patched'],
+        ['batches[3][0].rawData[0].weight', '10000', 'batches[3][0].rawData[0].weight: no such field in the decoded call'],
+        ['batches[0].x[', '1', 'Invalid path: batches[0].x[']
+    ])('rejects the path %s', (editPath, value, message) => {
+        expect(() => patchCalldata(withSuffix, [{ path: editPath, value }])).toThrow(message);
+    });
+
+    test.each([
+        ['no edits', plain, [], 'No edits given'],
+        ['odd-length hex', plain + 'a', [{ path: 'receiver', value: address('2') }], 'Calldata must be a 0x-prefixed hex string'],
+        ['truncated calldata', plain.slice(0, -64), [{ path: 'receiver', value: address('2') }], 'Cannot patch calldata that only decodes partially']
+    ])('rejects %s', (name, calldata, edits, message) => {
+        expect(() => patchCalldata(calldata, edits)).toThrow(message);
+    });
+});
+
+describe('diffCalldataBytes', () => {
+    test('merges adjacent changed bytes and reports bytes past the shorter side as empty', () => {
+        expect(diffCalldataBytes('0x0011223344', '0x00aabb3344ff')).toEqual([
+            { start: 1, end: 3, before: '0x1122', after: '0xaabb' },
+            { start: 5, end: 6, before: '0x', after: '0xff' }
+        ]);
+    });
+
+    test('ignores case', () => {
+        expect(diffCalldataBytes('0xABCD', '0xabcd')).toEqual([]);
+    });
+});
+
+describe('parsePatchEdit', () => {
+    test.each([
+        ['receiver=0x1111111111111111111111111111111111111111', { path: 'receiver', value: '0x1111111111111111111111111111111111111111' }],
+        ['baseRequest.deadLine = +20m', { path: 'baseRequest.deadLine', value: '+20m' }],
+        ['amount=115792089237316195423570985008687907853269984665640564039457584007913129639935', {
+            path: 'amount',
+            value: '115792089237316195423570985008687907853269984665640564039457584007913129639935'
+        }],
+        ['pools[0].WETH=true', { path: 'pools[0].WETH', value: true }],
+        ['rawdata={"reversed":false,"amount":"1"}', { path: 'rawdata', value: { reversed: false, amount: '1' } }]
+    ])('%s', (text, expected) => {
+        expect(parsePatchEdit(text)).toEqual(expected);
+    });
+
+    test.each([
+        ['receiver', 'Edits are written path=value, got: receiver'],
+        ['=1', 'Edits are written path=value, got: =1'],
+        ['rawdata={amount}', 'Invalid JSON value for rawdata']
+    ])('rejects %s', (text, message) => {
+        expect(() => parsePatchEdit(text)).toThrow(message);
+    });
+});
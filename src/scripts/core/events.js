@@ -0,0 +1,24 @@
+/**
+ * Event registry used by the receipt log decoder
+ * Grouped by emitter so decoded logs can report where an event comes from
+ */
+const EVENT_REGISTRY = {
+    dexrouter: [
+        "event OrderRecord(address fromToken, address toToken, address sender, uint256 fromAmount, uint256 returnAmount)",
+        "event SwapOrderId(uint256 id)",
+        "event CommissionFromTokenRecord(address fromTokenAddress, uint256 commissionAmount, address referrerAddress)",
+        "event CommissionToTokenRecord(address toTokenAddress, uint256 commissionAmount, address referrerAddress)",
+    ],
+    erc20: [
+        "event Transfer(address indexed from, address indexed to, uint256 value)",
+        "event Approval(address indexed owner, address indexed spender, uint256 value)",
+    ],
+    weth: [
+        "event Deposit(address indexed dst, uint256 wad)",
+        "event Withdrawal(address indexed src, uint256 wad)",
+    ],
+};
+
+export {
+    EVENT_REGISTRY
+};
@@ -0,0 +1,240 @@
+/**
+ * DexRouter function definitions
+ *
+ * One entry per router entrypoint; adding a function means adding an entry here (and, to list it in
+ * the Encode tab, an example in examples/). Each entry declares:
+ * - signature: the human-readable ABI fragment (abi.js builds DEXROUTER_ABI from these)
+ * - family:    the route shape, which selects the flow diagram and route conversion rules
+ *              smartSwap: batches of RouterPaths, dagSwap: DAG paths, unxswap / uniswapV3: packed pools,
+ *              swapWrap: WETH wrap / unwrap, erc20: not a swap (no commission / trim suffix)
+ * - params:    the JSON parameters, named as in the signature:
+ *              codec        - how the field is packed and unpacked (see formatters/param_codecs.js)
+ *                             and which JSON shape it takes (see encode/encode_schemas.js)
+ *              description  - shown in the encoder schema
+ *              optional     - may be omitted from the encoder input
+ *              packsOrderId - the field also carries the top-level orderId in its upper bits
+ * - example:   optional { file, order }: the example input in examples/ and its position in the
+ *              Encode tab's example list (encode/jsonFunctionUtils.js)
+ *
+ * Encoding, decoding, the encoder schemas, roundtrip validation, flow diagrams, route conversion
+ * and the example list are all driven from these entries.
+ */
+
+const BASE_REQUEST = 'tuple(uint256 fromToken, address toToken, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine)';
+const ROUTER_PATH = 'tuple(address[] mixAdapters, address[] assetTo, uint256[] rawData, bytes[] extraData, uint256 fromToken)';
+const EXTRA_DATA = 'tuple(uint256 fromToken, address toToken, address receiver, address payer, uint256 fromTokenAmount, uint256 minReturnAmount, uint256 deadLine, uint256 orderId, bool isToB, bytes settlerData)';
+
+// Solidity struct names of the tuple types, for generated code (Foundry tests)
+const STRUCT_TYPES = {
+    BaseRequest: BASE_REQUEST,
+    RouterPath: ROUTER_PATH,
+    ExtraData: EXTRA_DATA
+};
+
+const orderId = (description = 'Order id') => ({ name: 'orderId', codec: 'uint', description });
+const receiver = (description = 'Receiver of toToken') => ({ name: 'receiver', codec: 'address', description });
+const baseRequest = { name: 'baseRequest', codec: 'baseRequest', description: 'BaseRequest tuple' };
+
+const SMART_SWAP_PARAMS = [
+    baseRequest,
+    { name: 'batchesAmount', codec: 'batchesAmount', description: 'Amount per batch' },
+    { name: 'batches', codec: 'batches', description: 'Batches of hops' },
+    { name: 'extraData', codec: 'settlerOrders', description: 'Settler orders', optional: true }
+];
+
+const DAG_PATHS = { name: 'paths', codec: 'dagPaths', description: 'DAG paths, one per source node' };
+const UNXSWAP_POOLS = { name: 'pools', codec: 'unxswapPools', description: 'Pools, in swap order' };
+const UNISWAP_V3_POOLS = { name: 'pools', codec: 'uniswapV3Pools', description: 'Pools, in swap order' };
+
+const FUNCTION_DEFINITIONS = [
+    {
+        name: 'smartSwapByOrderId',
+        signature: `function smartSwapByOrderId(uint256 orderId, ${BASE_REQUEST} baseRequest, uint256[] batchesAmount, ${ROUTER_PATH}[][] batches, ${EXTRA_DATA}[] extraData) external payable returns (uint256 returnAmount)`,
+        family: 'smartSwap',
+        example: { file: 'smartSwapByOrderId.json', order: 1 },
+        params: [orderId(), ...SMART_SWAP_PARAMS]
+    },
+    {
+        name: 'smartSwapTo',
+        signature: `function smartSwapTo(uint256 orderId, address receiver, ${BASE_REQUEST} baseRequest, uint256[] batchesAmount, ${ROUTER_PATH}[][] batches, ${EXTRA_DATA}[] extraData) external payable returns (uint256 returnAmount)`,
+        family: 'smartSwap',
+        example: { file: 'smartSwapTo.json', order: 2 },
+        params: [orderId(), receiver(), ...SMART_SWAP_PARAMS]
+    },
+    {
+        name: 'smartSwapByInvest',
+        signature: `function smartSwapByInvest(${BASE_REQUEST} baseRequest, uint256[] batchesAmount, ${ROUTER_PATH}[][] batches, ${EXTRA_DATA}[] extraData, address to) external payable returns (uint256 returnAmount)`,
+        family: 'smartSwap',
+        params: [...SMART_SWAP_PARAMS, { name: 'to', codec: 'address', description: 'Receiver of toToken' }]
+    },
+    {
+        name: 'smartSwapByInvestWithRefund',
+        signature: `function smartSwapByInvestWithRefund(${BASE_REQUEST} baseRequest, uint256[] batchesAmount, ${ROUTER_PATH}[][] batches, ${EXTRA_DATA}[] extraData, address to, address refundTo) public payable returns (uint256 returnAmount)`,
+        family: 'smartSwap',
+        params: [
+            ...SMART_SWAP_PARAMS,
+            { name: 'to', codec: 'address', description: 'Receiver of toToken' },
+            { name: 'refundTo', codec: 'address', description: 'Receiver of refunds' }
+        ]
+    },
+    {
+        name: 'uniswapV3SwapTo',
+        signature: 'function uniswapV3SwapTo(uint256 receiver, uint256 amount, uint256 minReturn, uint256[] pools) external payable returns (uint256 returnAmount)',
+        family: 'uniswapV3',
+        example: { file: 'uniswapV3SwapTo.json', order: 3 },
+        params: [
+            { name: 'receiver', codec: 'packedReceiver', description: 'Receiver address, or legacy { orderId, address }', packsOrderId: true },
+            { name: 'amount', codec: 'amount', description: 'Input amount' },
+            { name: 'minReturn', codec: 'amount', description: 'Minimum output amount' },
+            UNISWAP_V3_POOLS
+        ]
+    },
+    {
+        name: 'uniswapV3SwapToWithBaseRequest',
+        signature: `function uniswapV3SwapToWithBaseRequest(uint256 orderId, address receiver, ${BASE_REQUEST} baseRequest, uint256[] pools) external payable returns (uint256 returnAmount)`,
+        family: 'uniswapV3',
+        example: { file: 'uniswapV3SwapToWithBaseRequest.json', order: 4 },
+        params: [orderId(), receiver(), baseRequest, UNISWAP_V3_POOLS]
+    },
+    {
+        name: 'unxswapByOrderId',
+        signature: 'function unxswapByOrderId(uint256 srcToken, uint256 amount, uint256 minReturn, bytes32[] pools) external payable returns (uint256 returnAmount)',
+        family: 'unxswap',
+        example: { file: 'unxswapByOrderId.json', order: 5 },
+        params: [
+            { name: 'srcToken', codec: 'srcToken', description: 'Source token address', packsOrderId: true },
+            { name: 'amount', codec: 'amount', description: 'Amount of srcToken' },
+            { name: 'minReturn', codec: 'amount', description: 'Minimum output amount' },
+            UNXSWAP_POOLS
+        ]
+    },
+    {
+        name: 'unxswapTo',
+        signature: 'function unxswapTo(uint256 srcToken, uint256 amount, uint256 minReturn, address receiver, bytes32[] pools) public payable returns (uint256 returnAmount)',
+        family: 'unxswap',
+        example: { file: 'unxswapTo.json', order: 6 },
+        params: [
+            { name: 'srcToken', codec: 'srcToken', description: 'Source token address', packsOrderId: true },
+            { name: 'amount', codec: 'amount', description: 'Amount of srcToken' },
+            { name: 'minReturn', codec: 'amount', description: 'Minimum output amount' },
+            receiver('Receiver of the output token'),
+            UNXSWAP_POOLS
+        ]
+    },
+    {
+        name: 'unxswapToWithBaseRequest',
+        signature: `function unxswapToWithBaseRequest(uint256 orderId, address receiver, ${BASE_REQUEST} baseRequest, bytes32[] pools) external payable returns (uint256 returnAmount)`,
+        family: 'unxswap',
+        example: { file: 'unxswapToWithBaseRequest.json', order: 7 },
+        params: [
+            orderId('Order id, packed into baseRequest.fromToken'),
+            receiver(),
+            { ...baseRequest, codec: 'baseRequestWithOrderId' },
+            UNXSWAP_POOLS
+        ]
+    },
+    {
+        name: 'dagSwapByOrderId',
+        signature: `function dagSwapByOrderId(uint256 orderId, ${BASE_REQUEST} baseRequest, ${ROUTER_PATH}[] paths) external payable returns (uint256 returnAmount)`,
+        family: 'dagSwap',
+        example: { file: 'dagSwapByOrderId.json', order: 8 },
+        params: [orderId(), baseRequest, DAG_PATHS]
+    },
+    {
+        name: 'dagSwapTo',
+        signature: `function dagSwapTo(uint256 orderId, address receiver, ${BASE_REQUEST} baseRequest, ${ROUTER_PATH}[] paths) external payable returns (uint256 returnAmount)`,
+        family: 'dagSwap',
+        example: { file: 'dagSwapTo.json', order: 9 },
+        params: [orderId(), receiver(), baseRequest, DAG_PATHS]
+    },
+    {
+        name: 'swapWrap',
+        signature: 'function swapWrap(uint256 orderId, uint256 rawdata) external payable',
+        family: 'swapWrap',
+        example: { file: 'swapWrap.json', order: 10 },
+        params: [orderId(), { name: 'rawdata', codec: 'swapWrapRawdata', description: 'Wrap rawdata: packed uint256, or { reversed, amount }' }]
+    },
+    {
+        name: 'swapWrapToWithBaseRequest',
+        signature: `function swapWrapToWithBaseRequest(uint256 orderId, address receiver, ${BASE_REQUEST} baseRequest) external payable`,
+        family: 'swapWrap',
+        params: [orderId(), receiver('Receiver'), baseRequest]
+    },
+    // ERC20 Functions
+    {
+        name: 'approve',
+        signature: 'function approve(address spender, uint256 amount) external returns (bool)',
+        family: 'erc20',
+        example: { file: 'approve.json', order: 11 },
+        params: [
+            { name: 'spender', codec: 'address', description: 'Spender address' },
+            { name: 'amount', codec: 'amount', description: 'Allowance' }
+        ]
+    }
+];
+
+const DEFINITIONS_BY_NAME = new Map(FUNCTION_DEFINITIONS.map(definition => [definition.name, definition]));
+
+/**
+ * Get all function definitions, in declaration order
+ * @returns {Array<Object>} function definitions
+ */
+function getFunctionDefinitions() {
+    return FUNCTION_DEFINITIONS;
+}
+
+/**
+ * Get the definition of a router function
+ * @param {string} name - the function name
+ * @returns {Object|null} the function definition, or null for unknown functions
+ */
+function getFunctionDefinition(name) {
+    return DEFINITIONS_BY_NAME.get(name) || null;
+}
+
+/**
+ * Get the definition of one parameter of a router function
+ * @param {string} functionName - the function name
+ * @param {string} paramName - the parameter name
+ * @returns {Object|null} the parameter definition, or null when unknown
+ */
+function getParameterDefinition(functionName, paramName) {
+    return getFunctionDefinition(functionName)?.params.find(param => param.name === paramName) || null;
+}
+
+/**
+ * Get the definitions of the functions that have an example, in the order the Encode tab lists them
+ * @returns {Array<Object>} function definitions, sorted by example.order
+ */
+function getExampleFunctions() {
+    return FUNCTION_DEFINITIONS
+        .filter(definition => definition.example)
+        .sort((a, b) => a.example.order - b.example.order);
+}
+
+/**
+ * Get the Solidity struct names of the tuple types used in the signatures
+ * @returns {Object} struct name -> tuple type ('tuple(uint256 fromToken, ...)')
+ */
+function getStructTypes() {
+    return STRUCT_TYPES;
+}
+
+/**
+ * Check whether a function is a swap (carries commission / trim suffixes and swap amounts)
+ * @param {string} name - the function name
+ * @returns {boolean} true for DexRouter swap functions
+ */
+function isSwapFunction(name) {
+    const definition = getFunctionDefinition(name);
+    return Boolean(definition) && definition.family !== 'erc20';
+}
+
+export {
+    getExampleFunctions,
+    getFunctionDefinition,
+    getFunctionDefinitions,
+    getParameterDefinition,
+    getStructTypes,
+    isSwapFunction
+};
@@ -0,0 +1,30 @@
+import fs from 'fs';
+import path from 'path';
+import { getDexRouterVersion } from './abi_registry.js';
+import { getExampleFunctions } from './function_registry.js';
+
+const EXAMPLES_DIR = path.join(__dirname, '../examples');
+
+describe('function examples', () => {
+    test.each(getExampleFunctions().map(definition => [definition.name, definition.example.file]))('%s example %s is an input for that function', (name, file) => {
+        const example = JSON.parse(fs.readFileSync(path.join(EXAMPLES_DIR, file), 'utf8'));
+
+        expect(example.function).toMatchObject({ name, selector: getDexRouterVersion().iface.getSighash(name) });
+    });
+
+    test('every example file is listed, each at its own position', () => {
+        const listed = getExampleFunctions();
+        const orders = listed.map(definition => definition.example.order);
+
+        expect(listed.map(definition => definition.example.file).sort()).toEqual(fs.readdirSync(EXAMPLES_DIR).filter(file => file.endsWith('.json')).sort());
+        expect(new Set(orders).size).toBe(orders.length);
+        expect(orders).toEqual([...orders].sort((a, b) => a - b));
+    });
+
+    test('functions without an example are not listed', () => {
+        const names = getExampleFunctions().map(definition => definition.name);
+
+        expect(names).not.toContain('smartSwapByInvest');
+        expect(names.slice(0, 2)).toEqual(['smartSwapByOrderId', 'smartSwapTo']);
+    });
+});
@@ -0,0 +1,412 @@
+import { ethers } from 'ethers';
+
+/**
+ * Minimal JSON Schema support for the encoder input formats (see encode/encode_schemas.js)
+ *
+ * Supported keywords: type, enum, const, pattern, format, minimum, maximum, minItems, maxItems,
+ * required, properties, additionalProperties, items, anyOf / oneOf, description.
+ * Two deliberate extensions:
+ * - minimum / maximum also apply to integer strings ("10000", "0x2710"), since uint values are
+ *   usually written as strings to keep their precision
+ * - anyOf / oneOf branches are picked by the JSON type of the value, so a packed string and its
+ *   object form can share a field and errors point inside the branch that was meant
+ *
+ * Errors are { path, message } with the decoded-JSON path notation: batches[1][0].rawData[2].weight
+ */
+
+// Messages for the string formats used by the schemas (the pattern does the actual check)
+const FORMAT_MESSAGES = {
+    address: 'must be a 0x-prefixed 20-byte address',
+    uint: 'must be a non-negative integer (decimal or 0x hex)',
+    amount: 'must be a raw integer or a token amount like "1.5 USDC"',
+    deadline: 'must be a unix timestamp or a relative time like "+20m"',
+    bytes: 'must be 0x-prefixed hex bytes',
+    bytes32: 'must be a 0x-prefixed 32-byte hex value',
+    selector: 'must be a 0x-prefixed 4-byte selector',
+    'commission-flag': 'must be 0x followed by 12 hex characters'
+};
+
+const TYPE_NAMES = {
+    object: 'an object',
+    array: 'an array',
+    string: 'a string',
+    integer: 'an integer',
+    number: 'a number',
+    boolean: 'a boolean',
+    null: 'null'
+};
+
+/**
+ * Append a property name or array index to a path
+ * @param {string} path - parent path ('' for the root)
+ * @param {string|number} segment - property name or index
+ * @returns {string} child path
+ */
+function joinPath(path, segment) {
+    if (typeof segment === 'number') return `${path}[${segment}]`;
+    return path ? `${path}.${segment}` : segment;
+}
+
+/**
+ * Format a list of path segments (['batches', 1, 0, 'rawData']) as a path string
+ * @param {Array<string|number>} segments - path segments
+ * @returns {string} path
+ */
+function formatJsonPath(segments) {
+    return segments.reduce(joinPath, '');
+}
+
+/**
+ * Check a value against one JSON type name
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object': return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array': return Array.isArray(value);
+        case 'string': return typeof value === 'string';
+        case 'integer': return Number.isInteger(value);
+        case 'number': return typeof value === 'number' && Number.isFinite(value);
+        case 'boolean': return typeof value === 'boolean';
+        case 'null': return value === null;
+        default: return false;
+    }
+}
+
+/**
+ * Get the type names a schema accepts (empty when unconstrained)
+ */
+function schemaTypes(schema) {
+    if (schema.type) return [].concat(schema.type);
+    if (schema.anyOf || schema.oneOf) return (schema.anyOf || schema.oneOf).flatMap(schemaTypes);
+    if (schema.const !== undefined) return [typeof schema.const];
+    return [];
+}
+
+/**
+ * Describe the accepted types for an error message ("a string or an integer")
+ */
+function describeTypes(types) {
+    const names = [...new Set(types)].map(type => TYPE_NAMES[type] || type);
+    return names.length <= 1 ? names.join('') : `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`;
+}
+
+/**
+ * Pick the anyOf / oneOf branch meant for a value, by its JSON type
+ * @param {Object} schema - schema with anyOf / oneOf
+ * @param {*} value - the value
+ * @returns {Object|null} the branch, or null when no branch accepts the value's type
+ */
+function selectBranch(schema, value) {
+    const branches = schema.anyOf || schema.oneOf;
+    return branches.find(branch => schemaTypes(branch).some(type => matchesType(value, type))) || null;
+}
+
+/**
+ * Parse an integer value (number, decimal or hex string) for range checks
+ * @returns {BigNumber|null} the value, or null when it is not an integer
+ */
+function toInteger(value) {
+    if (!Number.isInteger(value) && !(typeof value === 'string' && /^(0x[0-9a-fA-F]+|[0-9]+)$/.test(value))) {
+        return null;
+    }
+    return ethers.BigNumber.from(value);
+}
+
+/**
+ * Validate a value against a schema
+ * @param {Object} schema - JSON Schema (supported subset, see above)
+ * @param {*} value - the value to validate
+ * @param {string} [path] - path of the value, '' for the root
+ * @returns {Array<Object>} errors [{ path, message }], empty when the value is valid
+ */
+function validateJsonSchema(schema, value, path = '') {
+    if (!schema) return [];
+
+    if (schema.anyOf || schema.oneOf) {
+        const branch = selectBranch(schema, value);
+        if (!branch) {
+            return [{ path, message: `must be ${describeTypes(schemaTypes(schema))}` }];
+        }
+        return validateJsonSchema(branch, value, path);
+    }
+
+    if (schema.const !== undefined && value !== schema.const) {
+        return [{ path, message: `must be ${JSON.stringify(schema.const)}` }];
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return [{ path, message: `must be one of ${schema.enum.map(item => JSON.stringify(item)).join(', ')}` }];
+    }
+
+    const types = schemaTypes(schema);
+    if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+        return [{ path, message: `must be ${describeTypes(types)}` }];
+    }
+
+    const errors = [];
+
+    if (typeof value === 'string' && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+        errors.push({ path, message: FORMAT_MESSAGES[schema.format] || `must match ${schema.pattern}` });
+        return errors;
+    }
+
+    if (schema.minimum !== undefined || schema.maximum !== undefined) {
+        const integer = toInteger(value);
+        if (integer && schema.minimum !== undefined && integer.lt(schema.minimum)) {
+            errors.push({ path, message: `must be >= ${schema.minimum}` });
+        }
+        if (integer && schema.maximum !== undefined && integer.gt(schema.maximum)) {
+            errors.push({ path, message: `must be <= ${schema.maximum}` });
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push({ path, message: `must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}` });
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push({ path, message: `must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}` });
+        }
+        if (schema.items) {
+            value.forEach((item, index) => errors.push(...validateJsonSchema(schema.items, item, joinPath(path, index))));
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (value[key] === undefined) {
+                errors.push({ path: joinPath(path, key), message: 'is required' });
+            }
+        });
+        Object.entries(value).forEach(([key, item]) => {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validateJsonSchema(propertySchema, item, joinPath(path, key)));
+            } else if (schema.additionalProperties === false) {
+                errors.push({ path: joinPath(path, key), message: 'is not allowed' });
+            } else if (typeof schema.additionalProperties === 'object') {
+                errors.push(...validateJsonSchema(schema.additionalProperties, item, joinPath(path, key)));
+            }
+        });
+    }
+
+    return errors;
+}
+
+/**
+ * Format validation errors as one line each ("batches[1][0].rawData[2].weight: must be <= 10000")
+ * @param {Array<Object>} errors - output of validateJsonSchema()
+ * @returns {Array<string>} messages
+ */
+function formatSchemaErrors(errors) {
+    return errors.map(({ path, message }) => `${path || '(root)'}: ${message}`);
+}
+
+// ============================================================================
+// Completion
+// ============================================================================
+
+/**
+ * Resolve the schema of the object or array at a path, following the branch of the given kind
+ * @param {Object} schema - root schema
+ * @param {Array<string|number>} segments - path segments
+ * @param {string} [kind] - 'object' or 'array' to pick the branch of the final container
+ * @returns {Object|null} the schema, or null when the path is not described
+ */
+function getSchemaAtPath(schema, segments, kind) {
+    const branchFor = (current, type) => {
+        if (!current || !(current.anyOf || current.oneOf)) return current;
+        return (current.anyOf || current.oneOf).find(branch => schemaTypes(branch).includes(type)) || null;
+    };
+
+    let current = schema;
+    for (const segment of segments) {
+        current = branchFor(current, typeof segment === 'number' ? 'array' : 'object');
+        current = typeof segment === 'number' ? current?.items : current?.properties?.[segment];
+        if (!current) return null;
+    }
+    return kind ? branchFor(current, kind) : current;
+}
+
+/**
+ * Scan JSON text (possibly incomplete) and describe the position at an offset
+ * @param {string} text - JSON text
+ * @param {number} offset - cursor offset
+ * @returns {Object} { path, container, role: 'key'|'value'|null, existingKeys, string: { start, end }|null, token: { start }|null }
+ */
+function scanJsonContext(text, offset) {
+    const stack = []; // { kind: 'object'|'array', key, index, expectKey, filled, keys }
+    let context = null;
+    let i = 0;
+
+    const currentPath = () => stack.flatMap(frame =>
+        frame.kind === 'array' ? [frame.index] : frame.key !== null ? [frame.key] : []);
+
+    const capture = (extra = {}) => {
+        const frame = stack[stack.length - 1];
+        // Nothing to complete between a finished key or value and the next separator
+        const complete = !extra.string && !extra.token && (frame?.filled || (frame?.expectKey && frame.key !== null));
+        if (!frame || complete) {
+            context = { path: [], container: null, role: null, existingKeys: new Set(), string: null, token: null, ...extra };
+            return;
+        }
+        const role = frame.kind === 'object' ? (frame.expectKey ? 'key' : 'value') : 'value';
+        // For keys the path stops at the containing object; for values it includes the key / index
+        const path = currentPath();
+        const containerPath = frame.kind === 'object' && frame.key !== null ? path.slice(0, -1) : path;
+        context = {
+            path: role === 'key' ? containerPath : path,
+            container: frame.kind,
+            role,
+            existingKeys: frame.kind === 'object' ? frame.keys : new Set(),
+            string: null,
+            token: null,
+            ...extra
+        };
+    };
+
+    while (i < text.length) {
+        if (context === null && i >= offset) capture();
+        const char = text[i];
+
+        if (char === '"') {
+            const start = i;
+            i++;
+            while (i < text.length && text[i] !== '"' && text[i] !== '\n') {
+                i += text[i] === '\\' ? 2 : 1;
+            }
+            const terminated = text[i] === '"';
+            const end = terminated ? i + 1 : i;
+            if (context === null && offset > start && offset < end + (terminated ? 0 : 1)) {
+                capture({ string: { start, end } });
+            }
+            const frame = stack[stack.length - 1];
+            if (frame?.kind === 'object' && frame.expectKey) {
+                frame.key = text.slice(start + 1, terminated ? end - 1 : end);
+                frame.keys.add(frame.key);
+            } else if (frame) {
+                frame.filled = true;
+            }
+            i = end;
+            continue;
+        }
+
+        if (char === '{' || char === '[') {
+            stack.push(char === '{'
+                ? { kind: 'object', key: null, index: 0, expectKey: true, filled: false, keys: new Set() }
+                : { kind: 'array', key: null, index: 0, expectKey: false, filled: false, keys: null });
+        } else if (char === '}' || char === ']') {
+            stack.pop();
+            if (stack.length > 0) stack[stack.length - 1].filled = true;
+        } else if (char === ':') {
+            const frame = stack[stack.length - 1];
+            if (frame?.kind === 'object') frame.expectKey = false;
+        } else if (char === ',') {
+            const frame = stack[stack.length - 1];
+            if (frame) frame.filled = false;
+            if (frame?.kind === 'object') {
+                frame.expectKey = true;
+                frame.key = null;
+            } else if (frame) {
+                frame.index++;
+            }
+        } else if (/[A-Za-z0-9\-+.]/.test(char)) {
+            const start = i;
+            while (i < text.length && /[A-Za-z0-9\-+.]/.test(text[i])) i++;
+            if (context === null && offset > start && offset <= i) {
+                capture({ token: { start } });
+            }
+            if (stack.length > 0) stack[stack.length - 1].filled = true;
+            continue;
+        }
+        i++;
+    }
+
+    if (context === null) capture();
+    return context;
+}
+
+/**
+ * Suggest property names or values for the cursor position in JSON text
+ * @param {Object} schema - root schema
+ * @param {string} text - JSON text being edited (may be incomplete)
+ * @param {number} offset - cursor offset
+ * @returns {Object|null} { path, suggestions: [{ label, detail, insertText }], from, to } or null
+ */
+function getSchemaCompletions(schema, text, offset) {
+    const context = scanJsonContext(text, offset);
+    if (!context.role) return null;
+
+    const { string, token } = context;
+    const from = string ? string.start : token ? token.start : offset;
+    const to = string ? string.end : offset;
+    const prefix = text.slice(string ? string.start + 1 : from, offset);
+
+    let suggestions = [];
+    if (context.role === 'key') {
+        const objectSchema = getSchemaAtPath(schema, context.path, 'object');
+        const followedByColon = /^\s*:/.test(text.slice(to));
+        suggestions = Object.entries(objectSchema?.properties || {})
+            .filter(([key]) => !context.existingKeys.has(key) || (string && text.slice(string.start + 1, string.end - 1) === key))
+            .map(([key, propertySchema]) => ({
+                label: key,
+                detail: propertySchema.description || describeTypes(schemaTypes(propertySchema)),
+                insertText: followedByColon ? JSON.stringify(key) : `${JSON.stringify(key)}: `
+            }));
+    } else {
+        const valueSchema = getSchemaAtPath(schema, context.path);
+        const branches = valueSchema?.anyOf || valueSchema?.oneOf || (valueSchema ? [valueSchema] : []);
+        const values = branches.flatMap(branch => {
+            if (branch.const !== undefined) return [branch.const];
+            if (branch.enum) return branch.enum;
+            if (schemaTypes(branch).includes('boolean')) return [true, false];
+            return [];
+        });
+        suggestions = [...new Set(values)].map(value => ({
+            label: JSON.stringify(value),
+            detail: valueSchema.description || '',
+            insertText: JSON.stringify(value)
+        }));
+    }
+
+    const filtered = suggestions.filter(suggestion =>
+        suggestion.label.replace(/^"/, '').toLowerCase().startsWith(prefix.replace(/^"/, '').toLowerCase()));
+    if (filtered.length === 0) return null;
+
+    return { path: formatJsonPath(context.path), suggestions: filtered, from, to };
+}
+
+/**
+ * Describe the key or value at an offset in JSON text, for hover tooltips
+ * @param {Object} schema - root schema
+ * @param {string} text - JSON text (may be incomplete)
+ * @param {number} offset - offset inside a key, string or scalar token
+ * @returns {Object|null} { path, segments, description } or null outside keys and values
+ */
+function getSchemaHover(schema, text, offset) {
+    const context = scanJsonContext(text, offset);
+    if (!context.role || !(context.string || context.token)) return null;
+
+    // A key names a property of the containing object
+    const segments = context.role === 'key'
+        ? [...context.path, text.slice(context.string.start + 1, context.string.end).replace(/"$/, '')]
+        : context.path;
+    if (segments.length === 0) return null;
+
+    const valueSchema = getSchemaAtPath(schema, segments);
+    return {
+        path: formatJsonPath(segments),
+        segments,
+        description: valueSchema ? valueSchema.description || describeTypes(schemaTypes(valueSchema)) : null
+    };
+}
+
+export {
+    formatJsonPath,
+    formatSchemaErrors,
+    getSchemaAtPath,
+    getSchemaCompletions,
+    getSchemaHover,
+    schemaTypes,
+    selectBranch,
+    validateJsonSchema
+};
@@ -0,0 +1,242 @@
+import { formatJsonPath } from './json_schema.js';
+
+/**
+ * JSON text helpers for the editor: tokens for highlighting, source ranges of values by path
+ * (to place validation errors) and the location of syntax errors
+ *
+ * The tokenizer accepts incomplete JSON; indexJsonPaths() expects text that JSON.parse accepts.
+ */
+
+const NUMBER_PATTERN = /^-?(0|[1-9][0-9]*)(\.[0-9]+)?([eE][+-]?[0-9]+)?$/;
+const LITERAL_PATTERN = /^(true|false|null)$/;
+const PUNCTUATION = '{}[]:,';
+
+/**
+ * Split JSON text into tokens (whitespace is skipped)
+ * Strings followed by a colon are keys; unterminated strings end at the line break
+ * @param {string} text - JSON text, possibly incomplete
+ * @returns {Array<Object>} [{ type: 'key'|'string'|'number'|'literal'|'punctuation'|'invalid', start, end }]
+ */
+function tokenizeJson(text) {
+    const tokens = [];
+    const colon = /\s*:/y;
+    let i = 0;
+
+    while (i < text.length) {
+        const char = text[i];
+        const start = i;
+
+        if (/\s/.test(char)) {
+            i++;
+        } else if (char === '"') {
+            i++;
+            while (i < text.length && text[i] !== '"' && text[i] !== '\n') {
+                i += text[i] === '\\' ? 2 : 1;
+            }
+            if (text[i] === '"') i++;
+            const end = Math.min(i, text.length);
+            colon.lastIndex = end;
+            tokens.push({ type: colon.test(text) ? 'key' : 'string', start, end });
+        } else if (PUNCTUATION.includes(char)) {
+            i++;
+            tokens.push({ type: 'punctuation', start, end: i });
+        } else {
+            while (i < text.length && !/\s/.test(text[i]) && !PUNCTUATION.includes(text[i]) && text[i] !== '"') i++;
+            const word = text.slice(start, i);
+            const type = NUMBER_PATTERN.test(word) ? 'number' : LITERAL_PATTERN.test(word) ? 'literal' : 'invalid';
+            tokens.push({ type, start, end: i });
+        }
+    }
+    return tokens;
+}
+
+/**
+ * Find the token at an offset
+ * @param {Array<Object>} tokens - output of tokenizeJson()
+ * @param {number} offset - character offset
+ * @returns {Object|null} the token covering the character at offset
+ */
+function findTokenAt(tokens, offset) {
+    return tokens.find(token => token.start <= offset && offset < token.end) || null;
+}
+
+/**
+ * Map every value of a JSON document to its source range
+ * @param {string} text - JSON text (must parse)
+ * @returns {Map<string, Object>} path ("batches[0][1].rawData") -> { start, end, keyStart, keyEnd }
+ */
+function indexJsonPaths(text) {
+    const tokens = tokenizeJson(text);
+    const ranges = new Map();
+    let position = 0;
+
+    const textAt = index => (tokens[index] ? text.slice(tokens[index].start, tokens[index].end) : null);
+    const keyOf = token => {
+        try {
+            return JSON.parse(text.slice(token.start, token.end));
+        } catch {
+            return text.slice(token.start + 1, token.end - 1);
+        }
+    };
+
+    const parseValue = (segments, keyToken) => {
+        const first = tokens[position];
+        if (!first) return;
+        const open = textAt(position);
+        position++;
+
+        if (open === '{' || open === '[') {
+            const close = open === '{' ? '}' : ']';
+            let index = 0;
+            while (tokens[position] && textAt(position) !== close) {
+                if (open === '{') {
+                    const key = tokens[position];
+                    position += 2; // key and colon
+                    parseValue([...segments, keyOf(key)], key);
+                } else {
+                    parseValue([...segments, index++], null);
+                }
+                if (textAt(position) === ',') position++;
+            }
+            position++; // closing bracket
+        }
+
+        const last = tokens[Math.min(position, tokens.length) - 1];
+        ranges.set(formatJsonPath(segments), {
+            start: first.start,
+            end: last.end,
+            keyStart: keyToken ? keyToken.start : null,
+            keyEnd: keyToken ? keyToken.end : null
+        });
+    };
+
+    parseValue([], null);
+    return ranges;
+}
+
+/**
+ * Drop the last segment of a path ("batches[0][1].rawData" -> "batches[0][1]")
+ */
+function parentPath(path) {
+    return path.replace(/(\.?[^.[\]]+|\[[0-9]+\])$/, '');
+}
+
+/**
+ * Source range to mark for a path: the value itself, or its key when the value is an object or
+ * array; a path that does not exist (a missing required field) marks its closest existing parent
+ * @param {string} text - JSON text (must parse)
+ * @param {Map} ranges - output of indexJsonPaths()
+ * @param {string} path - value path
+ * @returns {Object} { start, end }
+ */
+function locateJsonPath(text, ranges, path) {
+    let current = path;
+    while (!ranges.has(current) && current !== '') {
+        current = parentPath(current);
+    }
+    const range = ranges.get(current);
+    if (!range) return { start: 0, end: Math.min(1, text.length) };
+
+    const isContainer = text[range.start] === '{' || text[range.start] === '[';
+    if (isContainer || current !== path) {
+        return range.keyStart !== null
+            ? { start: range.keyStart, end: range.keyEnd }
+            : { start: range.start, end: range.start + 1 };
+    }
+    return { start: range.start, end: range.end };
+}
+
+/**
+ * Find the first token that breaks the JSON grammar
+ * @returns {Object|null} { start, end } of the offending token (the last character for a premature
+ *   end), or null when the tokens form a valid document
+ */
+function findUnexpectedToken(text, tokens) {
+    const unexpected = {};
+    let position = 0;
+
+    const textAt = index => (tokens[index] ? text.slice(tokens[index].start, tokens[index].end) : null);
+    const fail = () => {
+        unexpected.token = tokens[position] || null;
+        throw unexpected;
+    };
+    const isString = token => (token.type === 'key' || token.type === 'string')
+        && token.end - token.start >= 2 && text[token.end - 1] === '"';
+    const expect = punctuation => {
+        if (textAt(position) !== punctuation) fail();
+        position++;
+    };
+
+    const parseValue = () => {
+        const token = tokens[position];
+        if (!token) fail();
+        const open = textAt(position);
+
+        if (open === '{' || open === '[') {
+            position++;
+            const close = open === '{' ? '}' : ']';
+            if (textAt(position) === close) {
+                position++;
+                return;
+            }
+            for (;;) {
+                if (open === '{') {
+                    if (!tokens[position] || !isString(tokens[position])) fail();
+                    position++;
+                    expect(':');
+                }
+                parseValue();
+                if (textAt(position) === close) break;
+                expect(',');
+            }
+            position++;
+        } else if (token.type === 'number' || token.type === 'literal' || isString(token)) {
+            position++;
+        } else {
+            fail();
+        }
+    };
+
+    try {
+        parseValue();
+        if (position < tokens.length) fail();
+        return null;
+    } catch (error) {
+        if (error !== unexpected) throw error;
+        const token = unexpected.token;
+        return token
+            ? { start: token.start, end: token.end }
+            : { start: Math.max(0, text.length - 1), end: Math.max(1, text.length) };
+    }
+}
+
+/**
+ * Locate the syntax error of JSON text
+ * The error is placed on the first token that breaks the grammar; errors inside a string (bad
+ * escapes) fall back to the "at position N" of the engine's message, then to the end of the text
+ * @param {string} text - JSON text
+ * @returns {Object|null} { start, end, message }, or null when the text parses
+ */
+function getJsonSyntaxError(text) {
+    try {
+        JSON.parse(text);
+        return null;
+    } catch (error) {
+        const located = findUnexpectedToken(text, tokenizeJson(text));
+        if (located) {
+            return { ...located, message: error.message };
+        }
+
+        const position = error.message.match(/at position ([0-9]+)/);
+        const start = Math.max(0, Math.min(position ? Number(position[1]) : text.length, text.length - 1));
+        return { start, end: start + 1, message: error.message };
+    }
+}
+
+export {
+    findTokenAt,
+    getJsonSyntaxError,
+    indexJsonPaths,
+    locateJsonPath,
+    tokenizeJson
+};
@@ -3,8 +3,13 @@
  * Ensures data integrity between encoding and decoding operations
  */
 
+import { ethers } from 'ethers';
 import { resolve } from '../decode/decode_index.js';
+import { encodeWrappedCalldata } from '../decode/decode_wrappers.js';
 import { encode } from '../encode/encode_index.js';
+import { encodeAdapterData } from '../formatters/adapter_data.js';
+import { getFunctionDefinition } from './function_registry.js';
+import { findSignatures } from './signature_registry.js';
 
 /**
  * Validate encoded calldata by decoding it back and comparing with original JSON
@@ -52,6 +57,26 @@ export function validateDecodedJson(originalCalldata, decodedJson) {
         if (!decodedJson || decodedJson.success === false) {
             return createFailureResult('Decoded JSON is invalid or contains errors', decodedJson?.error);
         }
+
+        // Best-effort results are missing fields, so they cannot encode back
+        if (decodedJson.partial) {
+            return createFailureResult('Partial decode: calldata is truncated or corrupted', decodedJson.decodeError);
+        }
+
+        // A commission / trim suffix that could not be read is not in the JSON, so it cannot encode back
+        if (decodedJson.issues && decodedJson.issues.length > 0) {
+            return createFailureResult('The commission / trim suffix does not follow the router layout', decodedJson.issues.map(issue => issue.message).join('; '));
+        }
+
+        // Generic results are not DexRouter calls: encode them with their own signature
+        if (decodedJson.generic) {
+            return validateGenericDecode(originalCalldata, decodedJson);
+        }
+
+        // Wrapped calls are validated one by one against their own inner calldata
+        if (decodedJson.wrapper) {
+            return validateWrappedCalls(originalCalldata, decodedJson);
+        }
         
         // Encode the decoded JSON back to calldata
         const reEncodedCalldata = encode(decodedJson);
@@ -78,6 +103,90 @@ export function validateDecodedJson(originalCalldata, decodedJson) {
     }
 }
 
+/**
+ * Validate a generic decode result (see decode_generic.js) by encoding it with its signature
+ * @param {string} originalCalldata - The original calldata
+ * @param {Object} decodedJson - Generic decode result
+ * @returns {Object} Validation result
+ */
+function validateGenericDecode(originalCalldata, decodedJson) {
+    const { selector, signature } = decodedJson.function;
+    // The registered fragment carries the parameter names used as keys in the result
+    const fragment = findSignatures(selector).find(candidate => candidate.format('sighash') === signature)
+        || ethers.utils.FunctionFragment.from(signature);
+    const params = fragment.inputs.map((input, index) => decodedJson[input.name || `param${index}`]);
+    const reEncoded = new ethers.utils.Interface([fragment]).encodeFunctionData(fragment, params);
+    const normalizedOriginal = normalizeCalldata(originalCalldata);
+    const matches = normalizedOriginal === normalizeCalldata(reEncoded);
+    const candidateCount = decodedJson.candidates.length;
+
+    return {
+        success: matches,
+        matches,
+        originalCalldata: normalizedOriginal,
+        reEncodedCalldata: normalizeCalldata(reEncoded),
+        decodedJson,
+        summary: matches
+            ? `✅ Decoded with ${signature} from the signature database${candidateCount > 1 ? ` (${candidateCount} candidates)` : ''}`
+            : `❌ ${signature} decodes the data but does not encode back to it exactly`
+    };
+}
+
+/**
+ * Validate every inner DexRouter call of a wrapped decode result, then the envelope itself:
+ * re-encoded from the inner calls, it must match the original calldata byte for byte
+ * @param {string} originalCalldata - The original envelope calldata
+ * @param {Object} wrappedJson - Decode result with `calls` and `unresolved` (see decode_wrappers.js)
+ * @returns {Object} Validation result with per-call results
+ */
+function validateWrappedCalls(originalCalldata, wrappedJson) {
+    const calls = wrappedJson.calls.map(call => ({
+        path: call.path,
+        ...validateDecodedJson(call.calldata, call.decoded)
+    }));
+    const unresolved = wrappedJson.unresolved || [];
+    const failedCalls = calls.filter(call => !call.success);
+    const normalizedOriginal = normalizeCalldata(originalCalldata);
+
+    let reEncodedCalldata = null;
+    let envelopeError = null;
+    if (calls.length > 0 && failedCalls.length === 0 && unresolved.length === 0) {
+        const reEncodedCalls = new Map(calls.map(call => [call.path, call.reEncodedCalldata]));
+        try {
+            reEncodedCalldata = normalizeCalldata(encodeWrappedCalldata(originalCalldata, path => '0x' + reEncodedCalls.get(path)));
+        } catch (error) {
+            envelopeError = error.message;
+        }
+    }
+    const matches = reEncodedCalldata !== null && reEncodedCalldata === normalizedOriginal;
+
+    let summary;
+    if (calls.length === 0) {
+        summary = '❌ Validation failed: no DexRouter call was found in the envelope.';
+    } else if (failedCalls.length > 0) {
+        summary = `❌ Validation failed: ${failedCalls.map(call => call.path).join(', ')} doesn't encode back to its original calldata.`;
+    } else if (unresolved.length > 0) {
+        summary = `❌ Validation failed: ${unresolved.map(item => item.path).join(', ')} could not be decoded.`;
+    } else if (envelopeError) {
+        summary = `❌ Validation failed: the envelope could not be re-encoded (${envelopeError}).`;
+    } else if (!matches) {
+        summary = '❌ Validation failed: the envelope re-encoded from its calls doesn\'t match the original calldata.';
+    } else {
+        summary = `✅ Perfect match! All ${calls.length} wrapped call(s) and the envelope encode back to the original calldata.`;
+    }
+
+    return {
+        success: matches,
+        matches: matches,
+        calls: calls,
+        unresolved: unresolved,
+        originalCalldata: normalizedOriginal,
+        reEncodedCalldata: reEncodedCalldata,
+        decodedJson: wrappedJson,
+        summary
+    };
+}
+
 /**
  * Compare two JSON structures and identify differences
  * @param {Object} original - Original input JSON
@@ -182,29 +291,13 @@ function compareTrimData(original, decoded) {
 }
 
 /**
- * Get parameter fields to compare for each function type
+ * Get parameter fields to compare for each function type (the parameters of its definition)
  * @param {string} functionName - Name of the function
  * @returns {Array} Array of field names to compare
  */
 function getParameterFieldsForFunction(functionName) {
-    const commonFields = ['orderId', 'baseRequest', 'batchesAmount', 'batches', 'extraData'];
-    const specificFields = {
-        'smartSwapByOrderId': commonFields,
-        'smartSwapTo': [...commonFields, 'receiver'],
-        'smartSwapByInvest': [...commonFields.slice(1), 'to'], // No orderId
-        'smartSwapByInvestWithRefund': [...commonFields.slice(1), 'to', 'refundTo'],
-        'uniswapV3SwapTo': ['receiver', 'amount', 'minReturn', 'pools'],
-        'uniswapV3SwapToWithBaseRequest': ['orderId', 'receiver', 'baseRequest', 'pools'],
-        'unxswapByOrderId': ['srcToken', 'amount', 'minReturn', 'pools'],
-        'unxswapTo': ['srcToken', 'amount', 'minReturn', 'receiver', 'pools'],
-        'unxswapToWithBaseRequest': ['orderId', 'receiver', 'baseRequest', 'pools'],
-        'swapWrap': ['orderId', 'rawdata'],
-        'swapWrapToWithBaseRequest': ['orderId', 'receiver', 'baseRequest'],
-        'dagSwapByOrderId': ['orderId', 'baseRequest', 'paths'],
-        'dagSwapTo': ['orderId', 'receiver', 'baseRequest', 'paths']
-    };
-    
-    return specificFields[functionName] || [];
+    const definition = getFunctionDefinition(functionName);
+    return definition ? definition.params.map(param => param.name) : [];
 }
 
 /**
@@ -216,6 +309,12 @@ function getParameterFieldsForFunction(functionName) {
 function compareField(original, decoded) {
     if (original === undefined && decoded === undefined) return true;
     if (original === undefined || decoded === undefined) return false;
+
+    // Adapter extraData may be raw hex on one side and a decoded layout on the other
+    if (isLayoutPayload(original) !== isLayoutPayload(decoded)) {
+        const originalHex = layoutPayloadToHex(original);
+        return originalHex !== null && originalHex === layoutPayloadToHex(decoded);
+    }
     
     // Deep comparison for objects and arrays
     if (typeof original === 'object' && typeof decoded === 'object') {
@@ -226,6 +325,29 @@ function compareField(original, decoded) {
     return normalizeValue(original) === normalizeValue(decoded);
 }
 
+/**
+ * Check if a value is a decoded bytes payload ({ layout, fields })
+ */
+function isLayoutPayload(value) {
+    return !!value && typeof value === 'object' && typeof value.layout === 'string' && 'fields' in value;
+}
+
+/**
+ * Convert raw hex or a decoded bytes payload to lowercase hex
+ * @param {any} value - raw hex string or { layout, fields }
+ * @returns {string|null} hex, or null if the value is neither
+ */
+function layoutPayloadToHex(value) {
+    if (typeof value === 'string' && value.startsWith('0x')) return value.toLowerCase();
+    if (!isLayoutPayload(value)) return null;
+
+    try {
+        return encodeAdapterData(value).toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
 /**
  * Deep comparison for objects and arrays
  * @param {Object|Array} original - Original value
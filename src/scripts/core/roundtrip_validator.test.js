@@ -0,0 +1,64 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { encode } from '../encode/encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { validateDecodedJson } from './roundtrip_validator.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const swap = encode(loadExample('smartSwapTo'));
+const unxswap = encode(loadExample('unxswapTo'));
+const ROUTER = '0x5E1f62Dac767b0491e3CE72469C217365D5B48cC';
+
+const envelope = (signature, args) => {
+    const fragment = ethers.utils.FunctionFragment.from(signature);
+    return new ethers.utils.Interface([fragment]).encodeFunctionData(fragment, args);
+};
+
+const validate = calldata => validateDecodedJson(calldata, resolve(calldata));
+
+describe('validateDecodedJson on wrapped calls', () => {
+    test.each([
+        ['multicall(bytes[])', () => envelope('multicall(bytes[] data)', [[swap, unxswap]])],
+        ['aggregate3', () => envelope('aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls)', [[[ROUTER, true, swap], [ROUTER, false, unxswap]]])],
+        ['Safe execTransaction -> multicall', () => envelope(
+            'execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)',
+            [ROUTER, 0, envelope('multicall(bytes[] data)', [[swap]]), 0, 0, 0, 0, ethers.constants.AddressZero, ethers.constants.AddressZero, '0x1234']
+        )],
+        ['ERC-7579 execute (single)', () => envelope('execute(bytes32 mode, bytes executionCalldata)', [
+            ethers.constants.HashZero,
+            ethers.utils.solidityPack(['address', 'uint256', 'bytes'], [ROUTER, 5, swap])
+        ])]
+    ])('%s re-encodes to the original calldata', (name, build) => {
+        const result = validate(build());
+
+        expect(result.success).toBe(true);
+        expect(result.reEncodedCalldata).toBe(result.originalCalldata);
+        expect(result.summary).toMatch(/^✅ Perfect match!/);
+    });
+
+    test('fails when an inner call is unresolved', () => {
+        const result = validate(envelope('multicall(bytes[] data)', [[swap, '0xdeadbeef00']]));
+
+        expect(result.success).toBe(false);
+        expect(result.unresolved).toHaveLength(1);
+        expect(result.summary).toContain('could not be decoded');
+    });
+
+    test('fails when the envelope does not re-encode byte for byte', () => {
+        // Trailing bytes after the ABI-encoded envelope arguments are lost on re-encoding
+        const result = validate(envelope('multicall(bytes[] data)', [[swap]]) + 'ff'.repeat(32));
+
+        expect(result.calls.every(call => call.success)).toBe(true);
+        expect(result.success).toBe(false);
+        expect(result.summary).toContain("doesn't match the original calldata");
+    });
+
+    test('never reports a perfect match without calls', () => {
+        const wrapped = { function: { name: 'multicall', selector: '0xac9650d8' }, wrapper: true, calls: [], unresolved: [] };
+        const result = validateDecodedJson(envelope('multicall(bytes[] data)', [[]]), wrapped);
+
+        expect(result.success).toBe(false);
+        expect(result.summary).toContain('no DexRouter call');
+    });
+});
@@ -0,0 +1,168 @@
+import { ethers } from 'ethers';
+
+/**
+ * Offline function-signature database for selectors outside the DexRouter ABI
+ *
+ * Signatures can be imported from:
+ * - ABI JSON: an array of fragments, or a build artifact with an `abi` field
+ * - 4byte-style dumps: { "0xa9059cbb": ["transfer(address,uint256)", ...] },
+ *   4byte API pages ({ results: [{ text_signature }] }) or an array of signature strings
+ * - plain text: one signature per line, optionally prefixed by its selector
+ *
+ * Several signatures can share a selector; all of them are kept and tried in turn by
+ * decode_generic.js. Signatures from ABI files keep their parameter names.
+ */
+
+const signaturesBySelector = new Map(); // selector -> Map(canonical signature -> FunctionFragment)
+
+/**
+ * Parse a signature into a function fragment
+ * @param {string|Object} signature - "transfer(address,uint256)", "function transfer(address to, ...)" or an ABI fragment
+ * @returns {FunctionFragment} the fragment
+ */
+function parseSignature(signature) {
+    return typeof signature === 'string'
+        ? ethers.utils.FunctionFragment.from(signature.trim().replace(/^function\s+/, ''))
+        : ethers.utils.FunctionFragment.from({
+            // Hand-written ABIs often omit these; only the inputs matter for decoding
+            stateMutability: signature.constant ? 'view' : signature.payable ? 'payable' : 'nonpayable',
+            ...signature,
+            type: 'function'
+        });
+}
+
+/**
+ * Register a function signature
+ * A signature with parameter names replaces an unnamed one with the same canonical form
+ * @param {string|Object} signature - signature text or ABI fragment
+ * @param {string} [expectedSelector] - selector the source listed it under (4byte dumps); mismatches are rejected
+ * @returns {Object} { selector, signature }
+ */
+function registerSignature(signature, expectedSelector) {
+    const fragment = parseSignature(signature);
+    const canonical = fragment.format('sighash');
+    const selector = ethers.utils.id(canonical).slice(0, 10);
+    if (expectedSelector && expectedSelector.toLowerCase() !== selector) {
+        throw new Error(`${canonical} has selector ${selector}, not ${expectedSelector}`);
+    }
+
+    if (!signaturesBySelector.has(selector)) {
+        signaturesBySelector.set(selector, new Map());
+    }
+    const entries = signaturesBySelector.get(selector);
+    const existing = entries.get(canonical);
+    const isNamed = (f) => f.inputs.some(input => input.name);
+    if (!existing || (!isNamed(existing) && isNamed(fragment))) {
+        entries.set(canonical, fragment);
+    }
+    return { selector, signature: canonical };
+}
+
+/**
+ * Turn a parsed JSON signature source into [signature, expectedSelector] entries
+ * @param {*} data - parsed JSON
+ * @returns {Array<Array>} entries
+ */
+function collectJsonEntries(data) {
+    if (Array.isArray(data)) {
+        return data.flatMap(item => {
+            if (typeof item === 'string') return [[item]];
+            if (item?.text_signature) return [[item.text_signature, item.hex_signature]];
+            if (item?.type === 'function' || (item?.name && Array.isArray(item?.inputs) && !item.type)) return [[item]];
+            return []; // events, errors, constructors
+        });
+    }
+    if (data && typeof data === 'object') {
+        if (Array.isArray(data.abi)) return collectJsonEntries(data.abi);
+        if (Array.isArray(data.results)) return collectJsonEntries(data.results);
+        return Object.entries(data).flatMap(([selector, signatures]) =>
+            [].concat(signatures).map(signature => [signature, /^0x[0-9a-f]{8}$/i.test(selector) ? selector : undefined]));
+    }
+    return [];
+}
+
+/**
+ * Turn plain text into [signature, expectedSelector] entries ("0xa9059cbb transfer(address,uint256)")
+ * @param {string} text - one signature per line
+ * @returns {Array<Array>} entries
+ */
+function collectTextEntries(text) {
+    return text.split(/\r?\n/)
+        .map(line => line.trim())
+        .filter(line => line && !line.startsWith('#'))
+        .map(line => {
+            const match = line.match(/^(0x[0-9a-fA-F]{8})[\s,:;]+(.+)$/);
+            return match ? [match[2], match[1]] : [line];
+        });
+}
+
+/**
+ * Import a signature database (see the formats above)
+ * Invalid entries are skipped rather than failing the whole import
+ * @param {Object|Array|string} source - parsed JSON, or JSON / plain text
+ * @returns {Object} { imported, skipped }
+ */
+function importSignatures(source) {
+    let entries;
+    if (typeof source === 'string') {
+        let parsed;
+        try {
+            parsed = JSON.parse(source);
+        } catch {
+            parsed = undefined;
+        }
+        entries = parsed === undefined ? collectTextEntries(source) : collectJsonEntries(parsed);
+    } else {
+        entries = collectJsonEntries(source);
+    }
+    if (entries.length === 0) {
+        throw new Error('No function signatures found');
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    entries.forEach(([signature, expectedSelector]) => {
+        try {
+            registerSignature(signature, expectedSelector);
+            imported++;
+        } catch {
+            skipped++;
+        }
+    });
+
+    return { imported, skipped };
+}
+
+/**
+ * Look up the signatures registered for a selector
+ * @param {string} selector - 4-byte selector (0x prefixed)
+ * @returns {Array<FunctionFragment>} candidate fragments, empty when unknown
+ */
+function findSignatures(selector) {
+    if (typeof selector !== 'string') return [];
+    return [...(signaturesBySelector.get(selector.toLowerCase())?.values() || [])];
+}
+
+/**
+ * Get all imported signatures (e.g. to persist and re-import them)
+ * @returns {Array<string>} signatures in full format, parameter names included
+ */
+function getImportedSignatureList() {
+    return [...signaturesBySelector.values()].flatMap(entries =>
+        [...entries.values()].map(fragment => fragment.format('full')));
+}
+
+/**
+ * Remove all imported signatures
+ */
+function clearImportedSignatures() {
+    signaturesBySelector.clear();
+}
+
+export {
+    clearImportedSignatures,
+    findSignatures,
+    getImportedSignatureList,
+    importSignatures,
+    registerSignature
+};
@@ -0,0 +1,136 @@
+import { ethers } from 'ethers';
+import { resolve } from '../decode/decode_index.js';
+import { decodeWithSignatures } from '../decode/decode_generic.js';
+import {
+    clearImportedSignatures,
+    findSignatures,
+    getImportedSignatureList,
+    importSignatures,
+    registerSignature
+} from './signature_registry.js';
+
+const RECIPIENT = '0x3Ba0Ee766BC00c64aBb358f2237982De211f4295';
+const transferCalldata = new ethers.utils.Interface(['function transfer(address to, uint256 amount)'])
+    .encodeFunctionData('transfer', [RECIPIENT, 1000]);
+
+const signaturesOf = selector => findSignatures(selector).map(fragment => fragment.format('full'));
+
+beforeEach(() => {
+    clearImportedSignatures();
+});
+
+describe('importSignatures', () => {
+    test('an ABI artifact keeps functions with their parameter names', () => {
+        const artifact = {
+            contractName: 'Vault',
+            abi: [
+                { type: 'function', name: 'deposit', inputs: [{ name: 'amount', type: 'uint256' }], outputs: [] },
+                { type: 'event', name: 'Deposit', inputs: [{ name: 'amount', type: 'uint256', indexed: false }] },
+                { type: 'constructor', inputs: [] }
+            ]
+        };
+
+        expect(importSignatures(JSON.stringify(artifact))).toEqual({ imported: 1, skipped: 0 });
+        expect(getImportedSignatureList()).toEqual(['function deposit(uint256 amount)']);
+    });
+
+    test('a 4byte dump', () => {
+        const dump = { '0xa9059cbb': ['transfer(address,uint256)'], '0x70a08231': 'balanceOf(address)' };
+
+        expect(importSignatures(dump)).toEqual({ imported: 2, skipped: 0 });
+        expect(signaturesOf('0xa9059cbb')).toEqual(['function transfer(address, uint256)']);
+        expect(signaturesOf('0x70A08231')).toEqual(['function balanceOf(address)']);
+    });
+
+    test('a 4byte API page', () => {
+        const page = { count: 1, results: [{ id: 1, text_signature: 'transfer(address,uint256)', hex_signature: '0xa9059cbb' }] };
+
+        expect(importSignatures(page)).toEqual({ imported: 1, skipped: 0 });
+    });
+
+    test('plain text with and without selectors', () => {
+        const text = [
+            '# ERC20',
+            '0xa9059cbb transfer(address,uint256)',
+            '0x70a08231: balanceOf(address)',
+            '',
+            'function approve(address spender, uint256 amount)'
+        ].join('\n');
+
+        expect(importSignatures(text)).toEqual({ imported: 3, skipped: 0 });
+        expect(getImportedSignatureList()).toEqual([
+            'function transfer(address, uint256)',
+            'function balanceOf(address)',
+            'function approve(address spender, uint256 amount)'
+        ]);
+    });
+
+    test('a dump entry whose selector does not match its signature is skipped', () => {
+        const dump = { '0x12345678': ['transfer(address,uint256)'], '0x70a08231': ['balanceOf(address)'] };
+
+        expect(importSignatures(dump)).toEqual({ imported: 1, skipped: 1 });
+        expect(findSignatures('0x12345678')).toEqual([]);
+        expect(findSignatures('0xa9059cbb')).toEqual([]);
+        expect(() => registerSignature('transfer(address,uint256)', '0x12345678'))
+            .toThrow('transfer(address,uint256) has selector 0xa9059cbb, not 0x12345678');
+    });
+
+    test('a source without signatures is rejected', () => {
+        expect(() => importSignatures('{}')).toThrow('No function signatures found');
+        expect(() => importSignatures('# nothing here\n')).toThrow('No function signatures found');
+    });
+});
+
+describe('registerSignature', () => {
+    test('a named signature replaces an unnamed one', () => {
+        registerSignature('transfer(address,uint256)');
+        registerSignature('function transfer(address to, uint256 amount)');
+
+        expect(signaturesOf('0xa9059cbb')).toEqual(['function transfer(address to, uint256 amount)']);
+    });
+
+    test('an unnamed signature does not replace a named one', () => {
+        registerSignature('function transfer(address to, uint256 amount)');
+
+        expect(registerSignature('transfer(address,uint256)')).toEqual({ selector: '0xa9059cbb', signature: 'transfer(address,uint256)' });
+        expect(signaturesOf('0xa9059cbb')).toEqual(['function transfer(address to, uint256 amount)']);
+    });
+});
+
+describe('decodeWithSignatures', () => {
+    test('picks the candidate that re-encodes exactly among colliding signatures', () => {
+        // Both hash to 0xa9059cbb
+        importSignatures('many_msg_babbage(bytes1)\ntransfer(address,uint256)');
+
+        const decoded = decodeWithSignatures(transferCalldata);
+
+        expect(decoded.function).toEqual({ name: 'transfer', selector: '0xa9059cbb', signature: 'transfer(address,uint256)' });
+        expect(decoded.param0).toBe(RECIPIENT);
+        expect(decoded.param1).toBe('1000');
+        expect(decoded.candidates).toEqual([
+            { signature: 'many_msg_babbage(bytes1)', exact: false, params: { param0: '0x00' } },
+            { signature: 'transfer(address,uint256)', exact: true, params: { param0: RECIPIENT, param1: '1000' } }
+        ]);
+    });
+
+    test('uses parameter names when the signature has them', () => {
+        registerSignature('function transfer(address to, uint256 amount)');
+
+        expect(resolve(transferCalldata)).toMatchObject({ generic: true, to: RECIPIENT, amount: '1000' });
+    });
+
+    test('lists the failed candidates when none decodes', () => {
+        registerSignature('transfer(address,uint256)');
+
+        const decoded = decodeWithSignatures('0xa9059cbb1234');
+
+        expect(decoded.success).toBe(false);
+        expect(decoded.error).toContain('none of 1 candidate signatures decodes the data');
+        expect(decoded.candidates).toHaveLength(1);
+    });
+
+    test('an unknown selector is left to the caller', () => {
+        expect(decodeWithSignatures(transferCalldata)).toBeNull();
+        expect(resolve(transferCalldata).error).toBe('Unknown function selector: 0xa9059cbb');
+    });
+});
@@ -0,0 +1,206 @@
+import { ethers } from 'ethers';
+import { DEFAULT_TOKENS } from './tokens.js';
+
+/**
+ * Per-chain token metadata registry
+ *
+ * Seeded with the built-in tokens from tokens.js. Uniswap token lists
+ * (https://tokenlists.org format: { name, tokens: [{ chainId, address, symbol, decimals, name }] })
+ * can be imported offline; imported entries override built-in ones.
+ *
+ * Lookups without a chain id search every chain (first registered chain wins), since
+ * calldata alone does not say which chain it was sent on.
+ */
+
+const tokensByChain = new Map();  // chainId -> Map(lowercase address -> token)
+const importedTokens = new Map(); // `${chainId}:${address}` -> token (imported entries only, for persistence)
+
+/**
+ * Validate and normalize a token entry
+ * @param {number|string} chainId - the chain id
+ * @param {Object} token - { address, symbol, decimals, name? }
+ * @returns {Object} normalized token { chainId, address, symbol, decimals, name }
+ */
+function normalizeToken(chainId, token) {
+    const id = Number(chainId);
+    if (!Number.isInteger(id) || id <= 0) {
+        throw new Error(`Invalid chain id: ${chainId}`);
+    }
+    if (!token || !ethers.utils.isAddress(token.address || '')) {
+        throw new Error(`Invalid token address: ${token?.address}`);
+    }
+    if (typeof token.symbol !== 'string' || !token.symbol) {
+        throw new Error(`Token ${token.address} has no symbol`);
+    }
+    const decimals = Number(token.decimals);
+    if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+        throw new Error(`Token ${token.address} has invalid decimals: ${token.decimals}`);
+    }
+
+    return {
+        chainId: id,
+        address: token.address.toLowerCase(),
+        symbol: token.symbol,
+        decimals,
+        name: token.name || token.symbol
+    };
+}
+
+/**
+ * Add a normalized token to the per-chain maps
+ * @param {Object} token - output of normalizeToken
+ */
+function addToken(token) {
+    if (!tokensByChain.has(token.chainId)) {
+        tokensByChain.set(token.chainId, new Map());
+    }
+    tokensByChain.get(token.chainId).set(token.address, token);
+}
+
+/**
+ * (Re)load the built-in tokens from tokens.js
+ */
+function seedDefaultTokens() {
+    Object.entries(DEFAULT_TOKENS).forEach(([chainId, tokens]) => {
+        tokens.forEach(token => addToken(normalizeToken(chainId, token)));
+    });
+}
+
+seedDefaultTokens();
+
+/**
+ * Register a single token (replaces an existing entry for the same chain and address)
+ * @param {number|string} chainId - the chain id
+ * @param {Object} token - { address, symbol, decimals, name? }
+ * @returns {Object} the registered token
+ */
+function registerToken(chainId, token) {
+    const normalized = normalizeToken(chainId, token);
+    addToken(normalized);
+    importedTokens.set(`${normalized.chainId}:${normalized.address}`, normalized);
+    return normalized;
+}
+
+/**
+ * Import a Uniswap token list
+ * Invalid entries are skipped rather than failing the whole list
+ * @param {Object|string} tokenList - token list object or its JSON text
+ * @returns {Object} { name, imported, skipped }
+ */
+function importTokenList(tokenList) {
+    let list = tokenList;
+    if (typeof tokenList === 'string') {
+        try {
+            list = JSON.parse(tokenList);
+        } catch (error) {
+            throw new Error(`Invalid token list JSON: ${error.message}`);
+        }
+    }
+    if (!list || !Array.isArray(list.tokens)) {
+        throw new Error('Token list must have a "tokens" array');
+    }
+
+    let imported = 0;
+    let skipped = 0;
+    list.tokens.forEach(token => {
+        try {
+            registerToken(token.chainId, token);
+            imported++;
+        } catch {
+            skipped++;
+        }
+    });
+
+    return { name: list.name || 'Unnamed list', imported, skipped };
+}
+
+/**
+ * Get imported tokens as a token list (e.g. to persist and re-import them)
+ * @returns {Object} { name, tokens }
+ */
+function getImportedTokenList() {
+    return { name: 'Imported tokens', tokens: [...importedTokens.values()] };
+}
+
+/**
+ * Remove all imported tokens and restore the built-in registry
+ */
+function clearImportedTokens() {
+    importedTokens.clear();
+    tokensByChain.clear();
+    seedDefaultTokens();
+}
+
+/**
+ * Look up token metadata
+ * @param {string} address - the token address
+ * @param {number|string} [chainId] - the chain id; all chains are searched when omitted
+ * @returns {Object|null} { chainId, address, symbol, decimals, name } or null if unknown
+ */
+function getTokenInfo(address, chainId) {
+    if (typeof address !== 'string') return null;
+    const key = address.toLowerCase();
+
+    if (chainId !== undefined && chainId !== null) {
+        return tokensByChain.get(Number(chainId))?.get(key) || null;
+    }
+    for (const tokens of tokensByChain.values()) {
+        if (tokens.has(key)) return tokens.get(key);
+    }
+    return null;
+}
+
+/**
+ * Look up tokens by symbol (case-insensitive)
+ * @param {string} symbol - the token symbol, e.g. "USDC"
+ * @param {number|string} [chainId] - the chain id; all chains are searched when omitted
+ * @returns {Array<Object>} matching tokens, one per chain and address
+ */
+function findTokensBySymbol(symbol, chainId) {
+    if (typeof symbol !== 'string') return [];
+    const wanted = symbol.toLowerCase();
+    const chains = chainId !== undefined && chainId !== null
+        ? [tokensByChain.get(Number(chainId))].filter(Boolean)
+        : [...tokensByChain.values()];
+    return chains.flatMap(tokens => [...tokens.values()].filter(token => token.symbol.toLowerCase() === wanted));
+}
+
+/**
+ * Format a raw integer amount with decimals and thousands separators
+ * @param {string|number|BigNumber} amount - raw amount (smallest units)
+ * @param {number} decimals - token decimals
+ * @returns {string} e.g. "1,234.56"
+ */
+function formatUnitsWithSeparators(amount, decimals) {
+    const [whole, fraction] = ethers.utils.formatUnits(amount, decimals).split('.');
+    const separated = whole.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+    return fraction && fraction !== '0' ? `${separated}.${fraction}` : separated;
+}
+
+/**
+ * Format a raw token amount for display
+ * @param {string|number|BigNumber} amount - raw amount (smallest units)
+ * @param {string} address - the token address
+ * @param {number|string} [chainId] - the chain id
+ * @returns {string|null} e.g. "1,234.56 USDC", or null if the token or amount is unknown
+ */
+function formatTokenAmount(amount, address, chainId) {
+    const token = getTokenInfo(address, chainId);
+    if (!token) return null;
+    try {
+        return `${formatUnitsWithSeparators(amount, token.decimals)} ${token.symbol}`;
+    } catch {
+        return null;
+    }
+}
+
+export {
+    clearImportedTokens,
+    findTokensBySymbol,
+    formatTokenAmount,
+    formatUnitsWithSeparators,
+    getImportedTokenList,
+    getTokenInfo,
+    importTokenList,
+    registerToken
+};
@@ -0,0 +1,61 @@
+// Native token placeholder used by DexRouter on every chain
+const NATIVE_TOKEN_ADDRESS = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+
+/**
+ * Built-in token metadata per chain id (USDT, USDC, DAI, wrapped native, native placeholder)
+ * More tokens can be added at runtime by importing Uniswap token lists (see token_registry.js)
+ */
+const DEFAULT_TOKENS = {
+    // Ethereum Mainnet
+    1: [
+        { address: NATIVE_TOKEN_ADDRESS, symbol: 'ETH', decimals: 18 },
+        { address: '0xdac17f958d2ee523a2206206994597c13d831ec7', symbol: 'USDT', decimals: 6 },
+        { address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', symbol: 'USDC', decimals: 6 },
+        { address: '0x6b175474e89094c44da98b954eedeac495271d0f', symbol: 'DAI', decimals: 18 },
+        { address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', symbol: 'WETH', decimals: 18 },
+    ],
+    // BSC
+    56: [
+        { address: NATIVE_TOKEN_ADDRESS, symbol: 'BNB', decimals: 18 },
+        { address: '0x55d398326f99059ff775485246999027b3197955', symbol: 'USDT', decimals: 18 },
+        { address: '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d', symbol: 'USDC', decimals: 18 },
+        { address: '0x1af3f329e8be154074d8769d1ffa4ee058b1dbc3', symbol: 'DAI', decimals: 18 },
+        { address: '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c', symbol: 'WBNB', decimals: 18 },
+    ],
+    // Base
+    8453: [
+        { address: NATIVE_TOKEN_ADDRESS, symbol: 'ETH', decimals: 18 },
+        { address: '0xfde4c96c8593536e31f229ea8f37b2ada2699bb2', symbol: 'USDT', decimals: 6 },
+        { address: '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913', symbol: 'USDC', decimals: 6 },
+        { address: '0x50c5725949a6f0c72e6c4a641f24049a917db0cb', symbol: 'DAI', decimals: 18 },
+        { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    ],
+    // Arbitrum
+    42161: [
+        { address: NATIVE_TOKEN_ADDRESS, symbol: 'ETH', decimals: 18 },
+        { address: '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9', symbol: 'USDT', decimals: 6 },
+        { address: '0xaf88d065e77c8cc2239327c5edb3a432268e5831', symbol: 'USDC', decimals: 6 },
+        { address: '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1', symbol: 'DAI', decimals: 18 },
+        { address: '0x82af49447d8a07e3bd95bd0d56f35241523fbab1', symbol: 'WETH', decimals: 18 },
+    ],
+    // Optimism
+    10: [
+        { address: NATIVE_TOKEN_ADDRESS, symbol: 'ETH', decimals: 18 },
+        { address: '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58', symbol: 'USDT', decimals: 6 },
+        { address: '0x0b2c639c533813f4aa9d7837caf62653d097ff85', symbol: 'USDC', decimals: 6 },
+        { address: '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1', symbol: 'DAI', decimals: 18 },
+        { address: '0x4200000000000000000000000000000000000006', symbol: 'WETH', decimals: 18 },
+    ],
+    // XLayer
+    196: [
+        { address: NATIVE_TOKEN_ADDRESS, symbol: 'OKB', decimals: 18 },
+        { address: '0x1e4a5963abfd975d8c9021ce480b42188849d41d', symbol: 'USDT', decimals: 6 },
+        { address: '0x74b7f16337b8972027f6196a17a631ac6de26d22', symbol: 'USDC', decimals: 6 },
+        { address: '0x5a77f1443d16ee5761d310e38b62f77f726bc71c', symbol: 'WETH', decimals: 18 },
+    ],
+};
+
+export {
+    DEFAULT_TOKENS,
+    NATIVE_TOKEN_ADDRESS
+};
@@ -0,0 +1,219 @@
+import { getDexRouterVersion } from '../core/abi_registry.js';
+import { decodeParametersTolerant } from './decode_partial.js';
+import { resolveDexRouterCall } from './decode_index.js';
+import { TRIM_FLAGS } from './decode_trim.js';
+
+/**
+ * Calldata annotation engine
+ *
+ * Maps every byte range of a DexRouter call to the field it encodes, for the annotated hex view:
+ *   { start: 36, end: 68, kind: 'offset', path: 'batches', value: '→ byte 324' }
+ * Byte positions are absolute (selector included) and `end` is exclusive. Paths use the same
+ * notation as the decoded JSON, and values are taken from the decoded JSON where the field exists.
+ *
+ * Kinds: selector, value (static head word), offset, length (array / bytes length),
+ * data (bytes content), commission, trim, unused (bytes no field accounts for)
+ */
+
+const WORD = 32;
+const SELECTOR_BYTES = 4;
+
+// Commission blocks in physical order (see decode_commission.js): the ordinal keys of the decoded
+// result follow the block order, with the middle block second to last
+const COMMISSION_KEYS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'last'];
+
+/**
+ * Read a value from the decoded JSON by path ("batches[0][1].rawData[0]")
+ * @returns {*} the value, or undefined if the path does not exist
+ */
+function getAtPath(object, path) {
+    const keys = path.match(/[^.[\]]+/g) || [];
+    return keys.reduce((current, key) => (current === null || current === undefined ? undefined : current[key]), object);
+}
+
+/**
+ * Read raw bytes of the calldata as 0x-prefixed hex
+ */
+function readHex(calldata, start, size) {
+    return '0x' + calldata.slice(2 + start * 2, 2 + (start + size) * 2);
+}
+
+/**
+ * Render a value for display: decoded JSON fields as they appear in the result, raw ABI values as strings
+ */
+function displayValue(value) {
+    if (value === null || value === undefined) return '';
+    if (typeof value === 'object' && !value._isBigNumber) return JSON.stringify(value);
+    return value.toString();
+}
+
+/**
+ * Describe the ABI-encoded parameters of the call
+ * @param {Object} decoded - the decoded call
+ * @param {string} calldata - normalized calldata
+ * @returns {Array<Object>} ranges
+ */
+function annotateParameters(decoded, calldata) {
+    const fragment = getDexRouterVersion(decoded.function.version).selectors.get(decoded.function.selector);
+    const ranges = [];
+
+    decodeParametersTolerant(fragment.inputs, calldata, (range) => {
+        let value;
+        if (range.kind === 'offset') {
+            value = range.value === null ? 'out of range' : `→ byte ${range.value}`;
+        } else if (range.kind === 'length') {
+            value = range.value === null ? 'out of range' : String(range.value);
+        } else {
+            const field = getAtPath(decoded, range.path);
+            value = displayValue(field === undefined ? range.value : field);
+        }
+        ranges.push({ ...range, value });
+    });
+
+    return ranges;
+}
+
+/**
+ * Split a 32-byte suffix block into sub-ranges
+ * @param {number} start - byte position of the block
+ * @param {string} kind - commission or trim
+ * @param {Array<Array>} parts - [size, path, value]
+ * @returns {Array<Object>} ranges
+ */
+function splitBlock(start, kind, parts) {
+    let position = start;
+    return parts.map(([size, path, value]) => {
+        const range = { start: position, end: position + size, kind, path, value: displayValue(value) };
+        position += size;
+        return range;
+    });
+}
+
+/**
+ * Describe the commission blocks at the end of the calldata
+ * Layout: [commissionN]...[commission2][middle][commission1] (see decode_commission.js)
+ * @returns {Array<Object>} ranges
+ */
+function annotateCommission(decoded, end) {
+    if (!decoded.hasCommission) return [];
+
+    const keys = COMMISSION_KEYS.filter(key => decoded[key]);
+    const blocks = [...keys.slice(0, -1), 'middle', keys[keys.length - 1]];
+    const start = end - blocks.length * WORD;
+
+    return blocks.flatMap((key, index) => {
+        const blockStart = start + index * WORD;
+        if (key === 'middle') {
+            // The second byte holds the referrer count for 3+ referrers
+            const flags = decoded.referCount > 2
+                ? [[1, 'middle.isToB', decoded.middle.isToB], [11, 'referCount', decoded.referCount]]
+                : [[12, 'middle.isToB', decoded.middle.isToB]];
+            return splitBlock(blockStart, 'commission', [...flags, [20, 'middle.token', decoded.middle.token]]);
+        }
+        return splitBlock(blockStart, 'commission', [
+            [6, `${key}.flag`, decoded[key].flag],
+            [6, `${key}.rate`, decoded[key].rate],
+            [20, `${key}.address`, decoded[key].address]
+        ]);
+    });
+}
+
+/**
+ * Describe the trim blocks that precede the commission blocks
+ * Layout: [charge (dual only)][flag, isToB, expectAmountOut][flag, trimRate, trimAddress] (see decode_trim.js)
+ * @returns {Array<Object>} ranges
+ */
+function annotateTrim(decoded, calldata, end) {
+    if (!decoded.hasTrim) return [];
+
+    const isDual = readHex(calldata, end - WORD, 6) === TRIM_FLAGS.DUAL;
+    const start = end - (isDual ? 3 : 2) * WORD;
+    const ranges = [];
+    let position = start;
+
+    // The flag of every block identifies the trim, so it is linked to hasTrim
+    if (isDual) {
+        ranges.push(...splitBlock(position, 'trim', [
+            [6, 'hasTrim', readHex(calldata, position, 6)],
+            [6, 'chargeRate', decoded.chargeRate],
+            [20, 'chargeAddress', decoded.chargeAddress]
+        ]));
+        position += WORD;
+    }
+    ranges.push(...splitBlock(position, 'trim', [
+        [6, 'hasTrim', readHex(calldata, position, 6)],
+        [6, 'hasTrim', decoded.hasTrim],
+        [20, 'expectAmountOut', decoded.expectAmountOut]
+    ]));
+    position += WORD;
+    ranges.push(...splitBlock(position, 'trim', [
+        [6, 'hasTrim', readHex(calldata, position, 6)],
+        [6, 'trimRate', decoded.trimRate],
+        [20, 'trimAddress', decoded.trimAddress]
+    ]));
+    return ranges;
+}
+
+/**
+ * Sort ranges, drop bytes claimed twice (corrupted offsets can point into other fields) and
+ * mark bytes that no field accounts for as unused
+ * @param {Array<Object>} ranges - the collected ranges
+ * @param {number} length - calldata length in bytes
+ * @returns {Array<Object>} contiguous ranges covering [0, length)
+ */
+function normalizeRanges(ranges, length) {
+    const sorted = [...ranges].sort((a, b) => a.start - b.start || b.end - a.end);
+    const result = [];
+    let position = 0;
+
+    sorted.forEach(range => {
+        if (range.end <= position || range.start >= length) return;
+        if (range.start > position) {
+            result.push({ start: position, end: range.start, kind: 'unused', path: null, value: '' });
+        }
+        result.push({ ...range, start: Math.max(range.start, position), end: Math.min(range.end, length) });
+        position = result[result.length - 1].end;
+    });
+    if (position < length) {
+        result.push({ start: position, end: length, kind: 'unused', path: null, value: '' });
+    }
+    return result;
+}
+
+/**
+ * Annotate DexRouter calldata byte by byte
+ * @param {string} calldata - the calldata (0x prefixed hexadecimal string)
+ * @param {Object} [decoded] - its decode result (decoded again when omitted)
+ * @returns {Object|null} { calldata, ranges } with ranges covering every byte, or null when the
+ *   input is not a DexRouter call (wrapped calls are annotated one by one from their own calldata)
+ */
+function annotateCalldata(calldata, decoded) {
+    if (typeof calldata !== 'string') return null;
+    const normalized = '0x' + calldata.trim().replace(/^0x/i, '').toLowerCase();
+    if (!/^0x(?:[0-9a-f]{2})+$/.test(normalized) || normalized.length < 2 + SELECTOR_BYTES * 2) return null;
+
+    const result = decoded || resolveDexRouterCall(normalized);
+    if (!result || result.error || result.wrapper || !result.function?.version) return null;
+
+    const length = (normalized.length - 2) / 2;
+    const commission = annotateCommission(result, length);
+    const suffixEnd = commission.length > 0 ? commission[0].start : length;
+    const trim = annotateTrim(result, normalized, suffixEnd);
+    const argsEnd = trim.length > 0 ? trim[0].start : suffixEnd;
+
+    // Walk only the ABI part so the suffix is not mistaken for parameter data
+    const parameters = annotateParameters(result, normalized.slice(0, 2 + argsEnd * 2));
+
+    const ranges = normalizeRanges([
+        { start: 0, end: SELECTOR_BYTES, kind: 'selector', path: 'function', value: `${result.function.name} (${result.function.selector})` },
+        ...parameters,
+        ...trim,
+        ...commission
+    ], length);
+
+    return { calldata: normalized, ranges };
+}
+
+export {
+    annotateCalldata
+};
@@ -0,0 +1,110 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from '../encode/encode_index.js';
+import { annotateCalldata } from './decode_annotations.js';
+
+const EXAMPLES_DIR = path.join(__dirname, '../examples');
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(EXAMPLES_DIR, `${name}.json`), 'utf8'));
+const byteLength = calldata => (calldata.length - 2) / 2;
+
+const address = digit => '0x' + digit.repeat(40);
+const commission = (flag, rate, digit) => ({ flag, rate, address: address(digit) });
+
+// The examples, plus smartSwapTo with every commission / trim combination the suffix can hold
+const smartSwapTo = loadExample('smartSwapTo');
+const CASES = [
+    ...fs.readdirSync(EXAMPLES_DIR).filter(file => file.endsWith('.json')).map(file => {
+        const name = path.basename(file, '.json');
+        return [name, loadExample(name)];
+    }),
+    ['smartSwapTo with a single commission and a single trim', {
+        ...smartSwapTo,
+        hasCommission: true,
+        referCount: 1,
+        first: commission('0x3ca20afc2aaa', '100', '1'),
+        middle: { isToB: true, token: address('e') },
+        hasTrim: 'toB',
+        trimRate: '10',
+        trimAddress: address('5'),
+        expectAmountOut: '1000'
+    }],
+    ['smartSwapTo with a dual commission and a dual trim', {
+        ...smartSwapTo,
+        hasCommission: true,
+        referCount: 2,
+        first: commission('0x22220afc2bbb', '100', '1'),
+        middle: { isToB: false, token: address('e') },
+        last: commission('0x22220afc2bbb', '200', '2'),
+        hasTrim: 'toC',
+        trimRate: '10',
+        trimAddress: address('5'),
+        expectAmountOut: '1000',
+        chargeRate: '7',
+        chargeAddress: address('6')
+    }],
+    ['smartSwapTo with four commissions', {
+        ...smartSwapTo,
+        hasCommission: true,
+        referCount: 4,
+        first: commission('0x88880afc2aaa', '1', '1'),
+        second: commission('0x88880afc2aaa', '2', '2'),
+        third: commission('0x88880afc2aaa', '3', '3'),
+        middle: { isToB: true, token: address('e') },
+        fourth: commission('0x88880afc2aaa', '4', '4')
+    }]
+];
+
+describe('annotateCalldata', () => {
+    test.each(CASES)('%s: ranges cover the calldata without gaps or overlaps', (name, json) => {
+        const calldata = encode(json);
+        const { ranges } = annotateCalldata(calldata);
+
+        // Contiguous from the selector to the last byte
+        expect(ranges[0].start).toBe(0);
+        expect(ranges[ranges.length - 1].end).toBe(byteLength(calldata));
+        ranges.forEach((range, index) => {
+            expect(range.end).toBeGreaterThan(range.start);
+            expect(range.start).toBe(index === 0 ? 0 : ranges[index - 1].end);
+        });
+
+        // Every byte belongs to a field, and no ABI word was cut short by an overlapping range
+        expect(ranges.filter(range => range.kind === 'unused')).toEqual([]);
+        ranges.filter(range => ['value', 'offset', 'length'].includes(range.kind)).forEach(range => {
+            expect(range.end - range.start).toBe(32);
+        });
+    });
+
+    test.each(CASES)('%s: the commission / trim suffix is annotated after the arguments', (name, json) => {
+        const calldata = encode(json);
+        const argsLength = byteLength(encode({ ...json, hasCommission: false, hasTrim: false }));
+        const { ranges } = annotateCalldata(calldata);
+
+        const expectedKinds = [...(json.hasTrim ? ['trim'] : []), ...(json.hasCommission ? ['commission'] : [])];
+        const suffix = ranges.filter(range => range.start >= argsLength);
+
+        expect(ranges.filter(range => range.start < argsLength && range.end > argsLength)).toEqual([]);
+        expect([...new Set(suffix.map(range => range.kind))]).toEqual(expectedKinds);
+        expect(ranges.filter(range => range.start < argsLength && ['trim', 'commission'].includes(range.kind))).toEqual([]);
+    });
+
+    test('the commission blocks are split into their fields', () => {
+        const [, json] = CASES.find(([name]) => name === 'smartSwapTo with a single commission and a single trim');
+        const calldata = encode(json);
+        const end = byteLength(calldata);
+        const tail = annotateCalldata(calldata).ranges.slice(-5);
+
+        expect(tail.map(range => [range.start - end, range.end - end, range.kind, range.path, range.value])).toEqual([
+            [-64, -52, 'commission', 'middle.isToB', 'true'],
+            [-52, -32, 'commission', 'middle.token', address('e')],
+            [-32, -26, 'commission', 'first.flag', '0x3ca20afc2aaa'],
+            [-26, -20, 'commission', 'first.rate', '100'],
+            [-20, 0, 'commission', 'first.address', address('1')]
+        ]);
+    });
+
+    test('non-DexRouter and malformed input is not annotated', () => {
+        expect(annotateCalldata('0xa9059cbb' + '00'.repeat(64))).toBeNull();
+        expect(annotateCalldata('0x123')).toBeNull();
+        expect(annotateCalldata(null)).toBeNull();
+    });
+});
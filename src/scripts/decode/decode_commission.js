@@ -1,5 +1,6 @@
       
 import { ethers } from 'ethers';
+import { normalizeSuffixHex, readWordBefore, SuffixError } from './decode_suffix.js';
 
 // ============================================================================
 // Constants (matching CommissionLib.sol)
@@ -106,26 +107,35 @@ function parseReferrerNumFromMiddle(bytes32Hex) {
 }
 
 /**
- * Search for flag in calldata and extract blocks
+ * Read a block of the commission suffix, failing with a SuffixError when it is missing
+ * @param {string} hex - calldata without 0x
+ * @param {number} index - words before the end of the calldata (0 = last word)
+ * @param {string} name - block name for the message, e.g. "commission2" or "middle block"
+ * @param {number} blockCount - blocks the suffix needs, for the message
  */
-function findFlagAndExtractBlocks(calldataHex, flagHex, blockCount) {
-    const flagIndex = calldataHex.indexOf(flagHex);
-    
-    if (flagIndex === -1) return null;
-
-    const flagStart = flagIndex;
-    const flagEnd = flagStart + BYTE_SIZE.BLOCK;
-    const requiredLength = flagEnd + (BYTE_SIZE.BLOCK * (blockCount - 1));
-
-    if (calldataHex.length < requiredLength) return null;
-
-    const blocks = [];
-    for (let i = 0; i < blockCount; i++) {
-        const start = flagStart + (i * BYTE_SIZE.BLOCK);
-        blocks.push('0x' + calldataHex.slice(start, start + BYTE_SIZE.BLOCK));
+function readCommissionWord(hex, index, name, blockCount) {
+    const word = readWordBefore(hex, hex.length, index);
+    if (!word) {
+        throw new SuffixError(
+            `Commission suffix needs ${blockCount} 32-byte blocks before the end of the calldata, but there is no room for the ${name}`,
+            { reason: 'invalid-commission', byteOffset: Math.max(hex.length / 2 - blockCount * 32, 0) }
+        );
     }
+    return word;
+}
 
-    return { flagStart, blocks };
+/**
+ * Read and parse a commission block, which must carry the same flag as commission1 (the last word)
+ */
+function readCommissionBlock(hex, index, name, blockCount, flag) {
+    const word = readCommissionWord(hex, index, name, blockCount);
+    if (word.flag !== flag) {
+        throw new SuffixError(
+            `Commission block at byte ${word.byteOffset} (${name}) has flag ${word.flag}, expected ${flag} like the last block`,
+            { reason: 'invalid-commission', byteOffset: word.byteOffset }
+        );
+    }
+    return parseCommission(word.hex);
 }
 
 // ============================================================================
@@ -135,10 +145,14 @@ function findFlagAndExtractBlocks(calldataHex, flagHex, blockCount) {
 /**
  * Extract commission information from calldata
  * 
- * Data layout in calldata (from start to end):
+ * The commission is the outermost suffix and is read backwards from the end of the calldata, as
+ * CommissionLib.sol does: the flag of the last word gives the layout (from start to end):
  * - SINGLE:   [...original calldata...][middle][commission1]
  * - DUAL:     [...original calldata...][commission2][middle][commission1]
  * - MULTIPLE: [...original calldata...][commissionN]...[commission2][middle][commission1]
+ * Without a commission flag in the last word there is no commission. When the last word has one
+ * but the other blocks do not fit the layout (missing, other flags, referrer count out of range),
+ * a SuffixError is thrown.
  * 
  * Return value format (compatible with original decode_commission.js):
  * - SINGLE:   { hasCommission, referCount, middle, first }
@@ -146,137 +160,91 @@ function findFlagAndExtractBlocks(calldataHex, flagHex, blockCount) {
  * - MULTIPLE: { hasCommission, referCount, first, second, middle, third, fourth, ... }
  */
 function extractCommissionInfoFromCalldata(calldataHex) {
-    calldataHex = calldataHex.replace(/^0x/, '');
+    const hex = normalizeSuffixHex(calldataHex);
+    const last = readWordBefore(hex, hex.length, 0);
+
+    if (!last || !VALID_FLAGS.includes(last.flag)) {
+        return { hasCommission: false };
+    }
+
+    const flag = last.flag;
 
     // ========================================================================
-    // Try SINGLE commission (1 referrer)
+    // SINGLE commission (1 referrer)
     // Structure: [middle][first]
     // ========================================================================
-    for (const flag of ['0x3ca20afc2aaa', '0x3ca20afc2bbb']) {
-        const flagIndex = calldataHex.indexOf(flag.replace(/^0x/, ''));
-        
-        if (flagIndex !== -1 && flagIndex >= BYTE_SIZE.BLOCK) {
-            try {
-                const first = '0x' + calldataHex.slice(flagIndex, flagIndex + BYTE_SIZE.BLOCK);
-                const middle = '0x' + calldataHex.slice(flagIndex - BYTE_SIZE.BLOCK, flagIndex);
-
-                return {
-                    hasCommission: true,
-                    referCount: 1,
-                    middle: parseMiddle(middle),
-                    first: parseCommission(first),
-                };
-            } catch {
-                // Continue searching
-            }
-        }
+    if (flag.startsWith(FLAG_PATTERNS.SINGLE_PREFIX)) {
+        const first = parseCommission(last.hex);
+        const middle = readCommissionWord(hex, 1, 'middle block', 2);
+        return {
+            hasCommission: true,
+            referCount: 1,
+            middle: parseMiddle(middle.hex),
+            first,
+        };
     }
 
     // ========================================================================
-    // Try DUAL commission (2 referrers)
+    // DUAL commission (2 referrers)
     // Structure: [first][middle][last]
     // ========================================================================
-    for (const flag of ['0x22220afc2aaa', '0x22220afc2bbb']) {
-        const result = findFlagAndExtractBlocks(calldataHex, flag.replace(/^0x/, ''), 3);
-        
-        if (result) {
-            try {
-                const [first, middle, last] = result.blocks;
-                return {
-                    hasCommission: true,
-                    referCount: 2,
-                    first: parseCommission(first),
-                    middle: parseMiddle(middle),
-                    last: parseCommission(last),
-                };
-            } catch {
-                // Continue searching
-            }
-        }
+    if (flag.startsWith(FLAG_PATTERNS.DUAL_PREFIX)) {
+        const lastCommission = parseCommission(last.hex);
+        const middle = readCommissionWord(hex, 1, 'middle block', 3);
+        return {
+            hasCommission: true,
+            referCount: 2,
+            first: readCommissionBlock(hex, 2, 'commission2', 3, flag),
+            middle: parseMiddle(middle.hex),
+            last: lastCommission,
+        };
     }
 
     // ========================================================================
-    // Try MULTIPLE commission (3-8 referrers)
+    // MULTIPLE commission (3-8 referrers)
     // Structure: [commissionN]...[commission2][middle][commission1]
     // The referrer count is encoded in the middle block's second byte
     // Middle block is always at: calldatasize - 0x40 (second-to-last block)
     // ========================================================================
-    for (const flag of ['0x88880afc2aaa', '0x88880afc2bbb']) {
-        const flagHex = flag.replace(/^0x/, '');
-        const flagIndex = calldataHex.indexOf(flagHex);
-        
-        if (flagIndex === -1) continue;
-        
-        // Check if we have at least 4 blocks (minimum for MULTIPLE with 3 referrers)
-        if (calldataHex.length < BYTE_SIZE.BLOCK * 4) continue;
-        
-        try {
-            // Middle block is always second-to-last (at offset 0x40 from end)
-            // In hex chars: calldataHex.length - 128 to calldataHex.length - 64
-            const middleStart = calldataHex.length - (BYTE_SIZE.BLOCK * 2);
-            const middleBlock = '0x' + calldataHex.slice(middleStart, middleStart + BYTE_SIZE.BLOCK);
-            const referrerNum = parseReferrerNumFromMiddle(middleBlock);
-            
-            // Validate referrer count
-            if (referrerNum < MIN_COMMISSION_MULTIPLE_NUM || referrerNum > MAX_COMMISSION_MULTIPLE_NUM) {
-                continue;
-            }
-            
-            // Calculate total block count: referrerNum commissions + 1 middle
-            const totalBlocks = referrerNum + 1;
-            
-            // Verify we have enough data
-            if (calldataHex.length < BYTE_SIZE.BLOCK * totalBlocks) continue;
-            
-            // Extract blocks using findFlagAndExtractBlocks
-            const result = findFlagAndExtractBlocks(calldataHex, flagHex, totalBlocks);
-            
-            if (!result) continue;
-            
-            // Build return object with ordinal names
-            // Physical layout: [commissionN]...[commission2][middle][commission1]
-            // blocks[0] = commissionN (named "first")
-            // blocks[1] = commission(N-1) (named "second")
-            // ...
-            // blocks[N-2] = commission2
-            // blocks[N-1] = middle
-            // blocks[N] = commission1
-            //
-            // For referrerNum = 3: blocks = [commission3, commission2, middle, commission1]
-            // Return: { first: commission3, second: commission2, middle, third: commission1 }
-            //
-            // For referrerNum = 4: blocks = [commission4, commission3, commission2, middle, commission1]
-            // Return: { first: commission4, second: commission3, third: commission2, middle, fourth: commission1 }
-            
-            const returnObj = {
-                hasCommission: true,
-                referCount: referrerNum,
-            };
-            
-            const middleIndex = referrerNum - 1;
-            const commission1Index = referrerNum;
-            
-            // Add first commission (commissionN, the furthest from end)
-            returnObj[ORDINAL_NAMES[0]] = parseCommission(result.blocks[0]);
-            
-            // Add middle right after first
-            returnObj.middle = parseMiddle(result.blocks[middleIndex]);
-            
-            // Add remaining commissions (commission(N-1) to commission2)
-            for (let i = 1; i < middleIndex; i++) {
-                returnObj[ORDINAL_NAMES[i]] = parseCommission(result.blocks[i]);
-            }
-            
-            // Add commission1 (the last one in physical layout)
-            returnObj[ORDINAL_NAMES[middleIndex]] = parseCommission(result.blocks[commission1Index]);
-            
-            return returnObj;
-        } catch {
-            // Continue searching
-        }
+    const middle = readCommissionWord(hex, 1, 'middle block', MIN_COMMISSION_MULTIPLE_NUM + 1);
+    const referrerNum = parseReferrerNumFromMiddle(middle.hex);
+    if (referrerNum < MIN_COMMISSION_MULTIPLE_NUM || referrerNum > MAX_COMMISSION_MULTIPLE_NUM) {
+        throw new SuffixError(
+            `Commission middle block at byte ${middle.byteOffset} gives ${referrerNum} referrers, expected ${MIN_COMMISSION_MULTIPLE_NUM}-${MAX_COMMISSION_MULTIPLE_NUM} for flag ${flag}`,
+            { reason: 'invalid-commission', byteOffset: middle.byteOffset, path: 'referCount' }
+        );
+    }
+
+    // Ordinal names follow the physical order: commissionN is "first", commission(N-1) "second",
+    // ..., commission2 comes right before the middle and commission1 is last.
+    // For referrerNum = 3: { first: commission3, second: commission2, middle, third: commission1 }
+    const blockCount = referrerNum + 1;
+    const commissions = [];
+    for (let i = referrerNum; i >= 2; i--) {
+        commissions.push(readCommissionBlock(hex, i, `commission${i}`, blockCount, flag));
+    }
+
+    const returnObj = {
+        hasCommission: true,
+        referCount: referrerNum,
+    };
+    returnObj[ORDINAL_NAMES[0]] = commissions[0];
+    returnObj.middle = parseMiddle(middle.hex);
+    for (let i = 1; i < commissions.length; i++) {
+        returnObj[ORDINAL_NAMES[i]] = commissions[i];
     }
+    returnObj[ORDINAL_NAMES[referrerNum - 1]] = parseCommission(last.hex);
 
-    return { hasCommission: false };
+    return returnObj;
+}
+
+/**
+ * Number of 32-byte blocks a decoded commission occupies at the end of the calldata
+ * @param {Object} commissionInfo - result of extractCommissionInfoFromCalldata
+ * @returns {number} referCount commission blocks plus the middle block, 0 without commission
+ */
+function getCommissionBlockCount(commissionInfo) {
+    return commissionInfo?.hasCommission ? commissionInfo.referCount + 1 : 0;
 }
 
 // ============================================================================
@@ -285,5 +253,6 @@ function extractCommissionInfoFromCalldata(calldataHex) {
 
 export { 
     extractCommissionInfoFromCalldata, 
+    getCommissionBlockCount,
     VALID_FLAGS
-};
\ No newline at end of file
+};
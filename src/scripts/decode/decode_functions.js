@@ -1,41 +1,16 @@
-import { ethers } from 'ethers';
-import { DEXROUTER_ABI } from '../core/abi.js';
-import {
-    isBaseRequestTuple,
-    isFromTokenWithMode,
-    isPackedReceiver,
-    isPackedSrcToken,
-    isPoolsArray,
-    isRouterPathArray,
-    isSwapWrapRawdata
-} from '../core/type_checkers.js';
-import {
-    formatBaseRequest,
-    formatRouterPathArray,
-    getValue,
-    unpackFromTokenWithMode,
-    unpackPoolsArray,
-    unpackReceiver,
-    unpackSrcToken,
-    unpackSwapRawdata
-} from '../formatters/formatters.js';
-
-// Initialize interface and function selectors once
-const contractInterface = new ethers.utils.Interface(DEXROUTER_ABI);
-const functionSelectors = new Map();
-
-// Initialize the function selectors mapping
-Object.values(contractInterface.functions).forEach(fragment => {
-    const selector = contractInterface.getSighash(fragment);
-    functionSelectors.set(selector, fragment);
-});
+import { findVersionsForSelector, getDexRouterVersion } from '../core/abi_registry.js';
+import { decodeParametersTolerant } from './decode_partial.js';
+import { getParameterDefinition } from '../core/function_registry.js';
+import { getValue } from '../formatters/formatters.js';
+import { getParamCodec } from '../formatters/param_codecs.js';
 
 /**
  * Decode transaction calldata
  * @param {string} calldata - the input data of the transaction (0x prefixed hexadecimal string)
+ * @param {string} [version] - DexRouter release to decode with (default: the newest release that has the selector)
  * @returns {Object} the decoded result
  */
-function decodeFunctions(calldata) {
+function decodeFunctions(calldata, version) {
     try {
         // Validate the input
         if (!calldata || typeof calldata !== 'string') {
@@ -53,20 +28,39 @@ function decodeFunctions(calldata) {
         }
         
         // Extract the function selector (first 4 bytes)
-        const selector = calldata.slice(0, 10);
-        const fragment = functionSelectors.get(selector);
+        const selector = calldata.slice(0, 10).toLowerCase();
         
-        if (!fragment) {
+        // The requested DexRouter release, or the newest one that has this selector.
+        // Releases sharing a selector may pack the calldata differently (see core/abi.js)
+        const [versionEntry] = version
+            ? [getDexRouterVersion(version)].filter(entry => entry.selectors.has(selector))
+            : findVersionsForSelector(selector);
+        if (!versionEntry && version) {
+            return createErrorResult(`Function selector ${selector} not found in DexRouter ${version}`, {
+                selector
+            });
+        }
+        if (!versionEntry) {
             return createErrorResult(`Unknown function selector: ${selector}`, {
                 selector
             });
         }
+        const fragment = versionEntry.selectors.get(selector);
         
-        // Decode the function parameters
-        const decodedParams = contractInterface.decodeFunctionData(fragment, calldata);
+        // Decode the function parameters; truncated or corrupted calldata falls back to the tolerant decoder
+        let decodedParams;
+        try {
+            decodedParams = versionEntry.iface.decodeFunctionData(fragment, calldata);
+        } catch (error) {
+            return createPartialResult(fragment, selector, calldata, versionEntry, error);
+        }
         
-        // Format the result
-        return createSuccessResult(fragment, selector, decodedParams);
+        // Format the result; corrupted data can decode but still fail to unpack
+        try {
+            return createSuccessResult(fragment, selector, decodedParams, versionEntry);
+        } catch (error) {
+            return createPartialResult(fragment, selector, calldata, versionEntry, error);
+        }
         
     } catch (error) {
         return createErrorResult(`Decoding failed: ${error.message}`, {
@@ -80,70 +74,102 @@ function decodeFunctions(calldata) {
  * @param {Object} fragment - the function fragment
  * @param {string} selector - the function selector
  * @param {Array} decodedParams - the decoded parameters
+ * @param {Object} versionEntry - the matched DexRouter release (see abi_registry.js)
  * @returns {Object} the formatted success result
  */
-function createSuccessResult(fragment, selector, decodedParams) {
-    const namedParameters = createNamedParameters(fragment.inputs, decodedParams, fragment);
+function createSuccessResult(fragment, selector, decodedParams, versionEntry) {
+    const namedParameters = createNamedParameters(fragment.inputs, decodedParams, fragment, versionEntry.packing);
     
     return {
         function: {
             name: fragment.name,
-            selector: selector
+            selector: selector,
+            version: versionEntry.version
         },
         ...namedParameters  // Spread the parameters at the top level
     };
 }
 
+/**
+ * Create the result for calldata that only decodes partially
+ * Parameters that decoded completely are formatted as usual; arrays keep their complete
+ * elements, anything else that is incomplete is returned unformatted (null where missing)
+ * @param {Object} fragment - the function fragment
+ * @param {string} selector - the function selector
+ * @param {string} calldata - the calldata
+ * @param {Object} versionEntry - the matched DexRouter release
+ * @param {Error} error - the error raised by the strict decoder
+ * @returns {Object} the partial result with `partial: true` and `issues`
+ */
+function createPartialResult(fragment, selector, calldata, versionEntry, error) {
+    const { values, complete, issues } = decodeParametersTolerant(fragment.inputs, calldata);
+    const namedParameters = {};
+
+    fragment.inputs.forEach((input, index) => {
+        const paramName = input.name || `param${index}`;
+        const value = values[index];
+
+        if (value === undefined) {
+            namedParameters[paramName] = null;
+        } else if (complete[index] || input.baseType === 'array') {
+            try {
+                namedParameters[paramName] = formatParameter(paramName, value, fragment, versionEntry.packing);
+            } catch {
+                namedParameters[paramName] = getValue(value);
+            }
+        } else {
+            namedParameters[paramName] = getValue(value);
+        }
+    });
+
+    return {
+        function: {
+            name: fragment.name,
+            selector: selector,
+            version: versionEntry.version
+        },
+        ...namedParameters,
+        partial: true,
+        decodeError: error.message,
+        issues: issues.length > 0 ? issues : [{ path: '', byteOffset: 0, reason: 'invalid', message: error.message }]
+    };
+}
+
 /**
  * Create named parameters object from function inputs and decoded values
  * @param {Array} inputs - the function input definitions from ABI
  * @param {Array} decodedParams - the decoded parameter values
  * @param {Object} fragment - the function fragment for context
+ * @param {Object} packing - packing rules of the matched DexRouter release
  * @returns {Object} object with parameter names as keys and values
  */
-function createNamedParameters(inputs, decodedParams, fragment) {
+function createNamedParameters(inputs, decodedParams, fragment, packing) {
     const namedParams = {};
     
     inputs.forEach((input, index) => {
         // Use the parameter name from ABI, or create a default name
         const paramName = input.name || `param${index}`;
-        let value = getValue(decodedParams[index]);
-        
-        // Special handling for BaseRequest tuple
-        if (isBaseRequestTuple(input, value)) {
-            value = formatBaseRequest(value, fragment.name);
-        }
-        // Special handling for RouterPath arrays (batches or DAG paths)
-        else if (isRouterPathArray(input, value)) {
-            value = formatRouterPathArray(value, fragment.name);
-        }
-        // Special handling for packed receiver parameter in uniswapV3SwapTo
-        else if (isPackedReceiver(input, paramName)) {
-            value = unpackReceiver(value);
-        }
-        // Special handling for pools array (different types for different functions)
-        else if (isPoolsArray(input, paramName)) {
-            value = unpackPoolsArray(value, fragment.name);
-        }
-        // Special handling for packed srcToken parameter in unxswapByOrderId
-        else if (isPackedSrcToken(input, paramName)) {
-            value = unpackSrcToken(value);
-        }
-        // Special handling for swapWrap rawdata parameter
-        else if (isSwapWrapRawdata(input, paramName)) {
-            value = unpackSwapRawdata(value);
-        }
-        // Special handling for fromToken parameter with transfer mode (DAG functions)
-        else if (isFromTokenWithMode(input, paramName, fragment.name)) {
-            value = unpackFromTokenWithMode(value);
-        }
-        
-        namedParams[paramName] = value;
+        namedParams[paramName] = formatParameter(paramName, decodedParams[index], fragment, packing);
     });
     
     return namedParams;
 }
 
+/**
+ * Format a decoded parameter value (BaseRequest, RouterPath, packed fields, ...) with the codec
+ * its function definition declares (see core/function_registry.js)
+ * @param {string} paramName - the parameter name
+ * @param {any} rawValue - the decoded value
+ * @param {Object} fragment - the function fragment for context
+ * @param {Object} packing - packing rules of the matched DexRouter release
+ * @returns {any} the formatted value
+ */
+function formatParameter(paramName, rawValue, fragment, packing) {
+    const value = getValue(rawValue);
+    const param = getParameterDefinition(fragment.name, paramName);
+    return param ? getParamCodec(param.codec).decode(value, { packing }) : value;
+}
+
 /**
  * Create the error result
  * @param {string} message - the error message
@@ -157,5 +183,14 @@ function createErrorResult(message, extra = {}) {
     };
 }
 
+/**
+ * Check if a selector belongs to a function of any registered DexRouter release
+ * @param {string} selector - the function selector (0x + 4 bytes)
+ * @returns {boolean} true if the selector is in a DexRouter ABI
+ */
+function isKnownSelector(selector) {
+    return findVersionsForSelector(selector).length > 0;
+}
+
 // Export main functionality
-export { decodeFunctions };
+export { decodeFunctions, isKnownSelector };
@@ -0,0 +1,113 @@
+import { ethers } from 'ethers';
+import { findSignatures } from '../core/signature_registry.js';
+
+/**
+ * Generic decoding of non-DexRouter calldata with the offline signature database
+ *
+ * Every signature registered for the selector is tried (selectors collide, especially in
+ * 4byte dumps). The result lists all attempts in `candidates`; the top-level fields come from
+ * the best candidate: one whose parameters re-encode to exactly the original calldata, otherwise
+ * the first one that decodes at all.
+ *
+ *   { function: { name, selector, signature }, generic: true, to: '0x..', amount: '1000',
+ *     candidates: [{ signature, exact: true, params: { ... } }, { signature, error: '...' }] }
+ */
+
+/**
+ * Convert a decoded value to JSON by its ABI type
+ * Integers become decimal strings; tuples become objects when all components are named
+ * @param {ParamType} type - ethers ParamType
+ * @param {*} value - decoded value
+ * @returns {*} JSON value
+ */
+function formatGenericValue(type, value) {
+    if (type.baseType === 'array') {
+        return value.map(item => formatGenericValue(type.arrayChildren, item));
+    }
+    if (type.baseType === 'tuple') {
+        const named = type.components.every(component => component.name);
+        if (!named) {
+            return type.components.map((component, index) => formatGenericValue(component, value[index]));
+        }
+        return Object.fromEntries(type.components.map((component, index) =>
+            [component.name, formatGenericValue(component, value[index])]));
+    }
+    if (ethers.BigNumber.isBigNumber(value)) {
+        return value.toString();
+    }
+    return value;
+}
+
+/**
+ * Name the decoded parameters of a fragment (unnamed ones become param0, param1, ...)
+ * @param {FunctionFragment} fragment - the function fragment
+ * @param {Result} decoded - decoded arguments
+ * @returns {Object} { [name]: value }
+ */
+function createGenericParameters(fragment, decoded) {
+    const params = {};
+    fragment.inputs.forEach((input, index) => {
+        params[input.name || `param${index}`] = formatGenericValue(input, decoded[index]);
+    });
+    return params;
+}
+
+/**
+ * Try one candidate signature against the calldata
+ * @param {FunctionFragment} fragment - the candidate
+ * @param {string} calldata - the calldata
+ * @returns {Object} { signature, exact, params } or { signature, error }
+ */
+function tryCandidate(fragment, calldata) {
+    const signature = fragment.format('sighash');
+    try {
+        const iface = new ethers.utils.Interface([fragment]);
+        const decoded = iface.decodeFunctionData(fragment, calldata);
+        const exact = iface.encodeFunctionData(fragment, decoded).toLowerCase() === calldata.toLowerCase();
+        return { signature, exact, params: createGenericParameters(fragment, decoded) };
+    } catch (error) {
+        return { signature, error: error.reason || error.message };
+    }
+}
+
+/**
+ * Decode calldata whose selector is not a DexRouter function
+ * @param {string} calldata - the calldata (0x prefixed hexadecimal string)
+ * @returns {Object|null} the generic decode result, an error result listing the failed
+ *   candidates when none of them decodes, or null when the selector is not in the database
+ */
+function decodeWithSignatures(calldata) {
+    if (typeof calldata !== 'string' || calldata.length < 10) return null;
+    const normalized = calldata.startsWith('0x') ? calldata : '0x' + calldata;
+    const selector = normalized.slice(0, 10).toLowerCase();
+
+    const fragments = findSignatures(selector);
+    if (fragments.length === 0) return null;
+
+    const candidates = fragments.map(fragment => tryCandidate(fragment, normalized));
+    const decoded = candidates.filter(candidate => !candidate.error);
+    if (decoded.length === 0) {
+        return {
+            success: false,
+            error: `Unknown function selector: ${selector} (none of ${candidates.length} candidate signatures decodes the data)`,
+            selector,
+            candidates
+        };
+    }
+
+    const best = decoded.find(candidate => candidate.exact) || decoded[0];
+    return {
+        function: {
+            name: best.signature.slice(0, best.signature.indexOf('(')),
+            selector,
+            signature: best.signature
+        },
+        generic: true,
+        ...best.params,
+        candidates
+    };
+}
+
+export {
+    decodeWithSignatures
+};
@@ -1,26 +1,87 @@
+import { getDexRouterVersion } from '../core/abi_registry.js';
+import { getFunctionDefinition } from '../core/function_registry.js';
 import { decodeFunctions } from './decode_functions.js';
 import { extractCommissionInfoFromCalldata } from './decode_commission.js';
 import { extractTrimInfoFromCalldata } from './decode_trim.js';
+import { SuffixError } from './decode_suffix.js';
+import { decodeWrappedCalldata } from './decode_wrappers.js';
+import { decodeWithSignatures } from './decode_generic.js';
+import { annotateAmounts } from '../formatters/token_amounts.js';
 
-export function resolve(calldata) {
+/**
+ * Decode calldata, unwrapping multicall / Safe / aggregator / smart-wallet envelopes
+ * When the outer selector is not a DexRouter function, every DexRouter call found inside
+ * the envelope is decoded and returned in `calls` with its path (see decode_wrappers.js).
+ * Other selectors are looked up in the imported signature database and decoded generically
+ * (see decode_generic.js)
+ * @param {string} calldata - the input data of the transaction (0x prefixed hexadecimal string)
+ * @param {Object} [options] - { chainId } used to look up token metadata for amount annotations,
+ *   { version } DexRouter release to decode with (default: the newest release that has the selector)
+ * @returns {Object} the decoded result
+ */
+export function resolve(calldata, options = {}) {
+    const result = resolveDexRouterCall(calldata, options);
+
+    if (result.error && result.selector) {
+        const wrapped = decodeWrappedCalldata(calldata, (data) => resolveDexRouterCall(data, options));
+        if (wrapped) return wrapped;
+
+        const generic = decodeWithSignatures(calldata);
+        if (generic) return generic;
+    }
+
+    return result;
+}
+
+/**
+ * Run a commission / trim extractor. A suffix that does not follow the router's layout is
+ * reported in `issues` (created when missing) and the decoded arguments are kept; on partially
+ * decoded calldata any other extractor error is reported the same way.
+ * @param {function} extractor - returns the commission or trim fields
+ * @param {Object} result - the decode result being built
+ * @returns {Object|null} the extracted fields, null when the suffix was reported as an issue
+ */
+function extractSuffix(extractor, result) {
+    try {
+        return extractor();
+    } catch (error) {
+        if (!(error instanceof SuffixError) && !result.partial) throw error;
+
+        // Suffix layout errors (see decode_suffix.js) carry the offset of the offending block
+        result.issues = result.issues || [];
+        result.issues.push({
+            path: error.path || '',
+            byteOffset: error.byteOffset ?? null,
+            reason: error.reason || 'invalid-suffix',
+            message: error.message
+        });
+        return null;
+    }
+}
+
+/**
+ * Decode a single DexRouter call (no envelope unwrapping)
+ * Swap amounts are annotated with human-readable values in `amounts` (see token_amounts.js)
+ * @param {string} calldata - the input data of the transaction (0x prefixed hexadecimal string)
+ * @param {Object} [options] - { chainId, version }, see resolve()
+ * @returns {Object} the decoded result
+ */
+export function resolveDexRouterCall(calldata, options = {}) {
     try {
         // Decode function information using the original decoder
-        const decodedFunctions = decodeFunctions(calldata);
+        const decodedFunctions = decodeFunctions(calldata, options.version);
         
         const functionName = decodedFunctions.function?.name;
-        const isNonSwapFunction = functionName === 'approve';
+        const definition = getFunctionDefinition(functionName);
+        const isNonSwapFunction = definition?.family === 'erc20';
 
-        // Extract orderId for functions that have it embedded in parameters
+        // Extract orderId for functions that have it embedded in a packed parameter (srcToken, receiver)
         let orderId = null;
-        if ((functionName === 'unxswapTo' || functionName === 'unxswapByOrderId') && 
-            decodedFunctions.srcToken && decodedFunctions.srcToken.orderId) {
-            orderId = decodedFunctions.srcToken.orderId;
-            decodedFunctions.srcToken = decodedFunctions.srcToken.address;
-        }
-        else if (functionName === 'uniswapV3SwapTo' && 
-                 decodedFunctions.receiver && decodedFunctions.receiver.orderId) {
-            orderId = decodedFunctions.receiver.orderId;
-            decodedFunctions.receiver = decodedFunctions.receiver.address;
+        const packedOrderId = definition?.params.find(param => param.packsOrderId);
+        const packedValue = packedOrderId && decodedFunctions[packedOrderId.name];
+        if (packedValue && packedValue.orderId) {
+            orderId = packedValue.orderId;
+            decodedFunctions[packedOrderId.name] = packedValue.address;
         }
 
         // Build result with orderId positioned after function field
@@ -37,17 +98,23 @@ export function resolve(calldata) {
         const { function: _, ...remainingFunctionData } = decodedFunctions;
         Object.assign(result, remainingFunctionData);
         
-        // For unxswapToWithBaseRequest, extract fromTokenAddr from baseRequest
-        if (functionName === 'unxswapToWithBaseRequest' && 
-            result.baseRequest && result.baseRequest.fromTokenAddr) {
-            result.fromTokenAddr = result.baseRequest.fromTokenAddr;
-        }
-        
-        // Commission and trim only apply to swap functions
+        // Commission and trim only apply to swap functions, and only in releases that pack them
         if (!isNonSwapFunction) {
-            const commissionDecoded = extractCommissionInfoFromCalldata(calldata);
-            const trimDecoded = extractTrimInfoFromCalldata(calldata);
+            const version = decodedFunctions.function?.version;
+            const packing = version ? getDexRouterVersion(version).packing : {};
+            // The suffix is read from the end: commission blocks last, the trim right before them.
+            // Where the commission cannot be read, the trim cannot be located either.
+            const packsCommission = packing.commission !== false;
+            const commissionDecoded = packsCommission ? extractSuffix(() => extractCommissionInfoFromCalldata(calldata), result) : null;
+            const trimDecoded = packing.trim !== false && (commissionDecoded || !packsCommission)
+                ? extractSuffix(() => extractTrimInfoFromCalldata(calldata, commissionDecoded || { hasCommission: false }), result)
+                : null;
             Object.assign(result, commissionDecoded, trimDecoded);
+
+            const amounts = annotateAmounts(result, options.chainId);
+            if (Object.keys(amounts).length > 0) {
+                result.amounts = amounts;
+            }
         }
         
         return result;
@@ -0,0 +1,272 @@
+import { ethers } from 'ethers';
+
+/**
+ * Tolerant ABI decoder for truncated or corrupted calldata
+ *
+ * Walks the ABI head / tail layout by hand instead of failing on the first bad read, so
+ * calldata cut off in a log line or a ticket still yields every field that is present.
+ * Fields that cannot be read are reported as issues with absolute byte positions
+ * (selector included):
+ *   { path: 'batches[0][1].extraData', byteOffset: 1540, reason: 'truncated', message: '...' }
+ *
+ * Values are returned in the same shape as ethers' decodeFunctionData (BigNumbers, tuples as
+ * positional arrays) so the regular formatters can be applied. Arrays keep only the elements
+ * that decoded completely (nested arrays keep their complete prefix).
+ *
+ * An optional range callback receives every word the walk reads (used by decode_annotations.js):
+ *   { start, end, kind: 'value' | 'offset' | 'length' | 'data', path, value }
+ */
+
+const WORD = 32;
+const SELECTOR_BYTES = 4;
+
+/**
+ * Check if a type is encoded in the tail (behind an offset) rather than in place
+ * @param {ParamType} type - ethers ParamType
+ * @returns {boolean} true for bytes, string, dynamic arrays and tuples / arrays containing them
+ */
+function isDynamic(type) {
+    if (type.baseType === 'string' || type.baseType === 'bytes') return true;
+    if (type.baseType === 'array') {
+        return type.arrayLength === -1 || isDynamic(type.arrayChildren);
+    }
+    if (type.baseType === 'tuple') {
+        return type.components.some(isDynamic);
+    }
+    return false;
+}
+
+/**
+ * Size of a type's head slot: one word for dynamic types, the full inline size for static ones
+ * @param {ParamType} type - ethers ParamType
+ * @returns {number} size in bytes
+ */
+function headSize(type) {
+    if (isDynamic(type)) return WORD;
+    if (type.baseType === 'array') return type.arrayLength * headSize(type.arrayChildren);
+    if (type.baseType === 'tuple') return type.components.reduce((sum, c) => sum + headSize(c), 0);
+    return WORD;
+}
+
+/**
+ * Create a decoding context over the argument bytes (calldata without selector)
+ * @param {string} argsHex - argument bytes as hex without 0x
+ * @param {function} [onRange] - called with every byte range read
+ * @returns {Object} context with readers and the issue list
+ */
+function createContext(argsHex, onRange) {
+    const length = argsHex.length / 2;
+    const issues = [];
+
+    return {
+        length,
+        issues,
+        hasBytes: (pos, size) => pos >= 0 && pos + size <= length,
+        word: (pos) => argsHex.slice(pos * 2, (pos + WORD) * 2),
+        bytes: (pos, size) => '0x' + argsHex.slice(pos * 2, (pos + size) * 2),
+        report: (path, pos, reason, message) => {
+            issues.push({ path, byteOffset: SELECTOR_BYTES + pos, reason, message });
+        },
+        mark: (kind, path, pos, size, value) => {
+            if (!onRange) return;
+            onRange({ start: SELECTOR_BYTES + pos, end: SELECTOR_BYTES + pos + size, kind, path, value });
+        }
+    };
+}
+
+/**
+ * Read a word as a JS number, or null if it does not fit (used for offsets and lengths)
+ */
+function readSmallNumber(ctx, pos) {
+    const value = ethers.BigNumber.from('0x' + ctx.word(pos));
+    return value.lte(String(Number.MAX_SAFE_INTEGER)) ? value.toNumber() : null;
+}
+
+/**
+ * Decode a value whose head slot is at `pos`
+ * @param {Object} ctx - decoding context
+ * @param {ParamType} type - the type to decode
+ * @param {number} base - start of the enclosing head block (offsets are relative to it)
+ * @param {number} pos - position of the head slot
+ * @param {string} path - JSON path of the value
+ * @returns {Object} { value, complete }
+ */
+function decodeAt(ctx, type, base, pos, path) {
+    if (!isDynamic(type)) {
+        return decodeStatic(ctx, type, pos, path);
+    }
+
+    if (!ctx.hasBytes(pos, WORD)) {
+        ctx.report(path, pos, 'truncated', `Offset of ${path} is missing`);
+        return { value: undefined, complete: false };
+    }
+    const offset = readSmallNumber(ctx, pos);
+    const target = offset === null ? null : base + offset;
+    ctx.mark('offset', path, pos, WORD, target === null ? null : SELECTOR_BYTES + target);
+    if (target === null || target >= ctx.length) {
+        ctx.report(path, pos, 'offset-out-of-range',
+            `Offset of ${path} points to byte ${target === null ? 'beyond 2^53' : SELECTOR_BYTES + target}, past the end of the data (${SELECTOR_BYTES + ctx.length} bytes)`);
+        return { value: undefined, complete: false };
+    }
+    return decodeTail(ctx, type, target, path);
+}
+
+/**
+ * Decode a static value stored in place at `pos`
+ */
+function decodeStatic(ctx, type, pos, path) {
+    if (type.baseType === 'tuple' || type.baseType === 'array') {
+        const children = type.baseType === 'tuple'
+            ? type.components
+            : Array(type.arrayLength).fill(type.arrayChildren);
+        return decodeSequence(ctx, children, pos, path, type.baseType === 'tuple' ? type.components : null);
+    }
+
+    if (!ctx.hasBytes(pos, WORD)) {
+        ctx.report(path, pos, 'truncated', `${path} (${type.type}) is missing`);
+        return { value: undefined, complete: false };
+    }
+    try {
+        const [value] = ethers.utils.defaultAbiCoder.decode([type], ctx.bytes(pos, WORD));
+        ctx.mark('value', path, pos, WORD, value);
+        return { value, complete: true };
+    } catch (error) {
+        ctx.report(path, pos, 'invalid-value', `${path} is not a valid ${type.type}: ${error.message}`);
+        return { value: undefined, complete: false };
+    }
+}
+
+/**
+ * Decode a dynamic value whose data starts at `start`
+ */
+function decodeTail(ctx, type, start, path) {
+    if (type.baseType === 'tuple') {
+        return decodeSequence(ctx, type.components, start, path, type.components);
+    }
+
+    if (type.baseType === 'array' && type.arrayLength !== -1) {
+        return decodeSequence(ctx, Array(type.arrayLength).fill(type.arrayChildren), start, path, null);
+    }
+
+    // bytes, string and T[] start with a length word
+    if (!ctx.hasBytes(start, WORD)) {
+        ctx.report(path, start, 'truncated', `Length of ${path} is missing`);
+        return { value: undefined, complete: false };
+    }
+    const length = readSmallNumber(ctx, start);
+    const dataStart = start + WORD;
+    const available = ctx.length - dataStart;
+    ctx.mark('length', `${path}.length`, start, WORD, length);
+
+    if (type.baseType === 'bytes' || type.baseType === 'string') {
+        if (length === null || length > available) {
+            ctx.report(path, dataStart, 'truncated',
+                `${path} declares ${length === null ? 'an impossible number of' : length} bytes but only ${available} are present`);
+            ctx.mark('data', path, dataStart, available, ctx.bytes(dataStart, available));
+            return { value: type.baseType === 'bytes' ? ctx.bytes(dataStart, available) : undefined, complete: false };
+        }
+        const data = ctx.bytes(dataStart, length);
+        ctx.mark('data', path, dataStart, Math.min(Math.ceil(length / WORD) * WORD, available), data);
+        return { value: type.baseType === 'string' ? ethers.utils.toUtf8String(data) : data, complete: true };
+    }
+
+    // Dynamic array: every element needs at least one head slot
+    const childHead = headSize(type.arrayChildren);
+    const maxCount = Math.floor(available / childHead);
+    let count = length;
+    if (length === null || length > maxCount) {
+        ctx.report(path, start, 'length-out-of-range',
+            `${path} declares ${length === null ? 'an impossible number of' : length} elements but the data holds at most ${maxCount}`);
+        count = maxCount;
+    }
+    const result = decodeSequence(ctx, Array(count).fill(type.arrayChildren), dataStart, path, null);
+    return { value: result.value, complete: result.complete && count === length };
+}
+
+/**
+ * Decode consecutive head slots (tuple components or array elements) starting at `base`
+ * @param {Object} ctx - decoding context
+ * @param {Array<ParamType>} types - the element types
+ * @param {number} base - start of the head block
+ * @param {string} path - JSON path of the tuple / array
+ * @param {Array<ParamType>|null} components - tuple components (for named paths), null for arrays
+ * @returns {Object} { value, complete } - arrays keep their complete leading elements, plus a
+ *   trailing element that is itself a (prefix-trimmed) array; incomplete tuples are dropped
+ */
+function decodeSequence(ctx, types, base, path, components) {
+    const values = [];
+    let complete = true;
+    let pos = base;
+
+    for (let i = 0; i < types.length; i++) {
+        const childPath = components
+            ? `${path}.${components[i].name || i}`
+            : `${path}[${i}]`;
+        const child = decodeAt(ctx, types[i], base, pos, childPath);
+        pos += headSize(types[i]);
+
+        if (!child.complete) {
+            complete = false;
+            if (!components) {
+                if (types[i].baseType === 'array' && child.value !== undefined) {
+                    values.push(child.value);
+                }
+                break;
+            }
+        }
+        values.push(child.value === undefined ? null : child.value);
+    }
+
+    return { value: values, complete };
+}
+
+/**
+ * Decode function parameters from calldata as far as the data allows
+ * @param {Array<ParamType>} inputs - the function inputs (fragment.inputs)
+ * @param {string} calldata - the calldata, selector included (0x prefixed hex)
+ * @param {function} [onRange] - called with every byte range read (see above)
+ * @returns {Object} { values, complete, issues } - per-input values and completeness flags
+ */
+function decodeParametersTolerant(inputs, calldata, onRange) {
+    let hex = calldata.replace(/^0x/i, '').slice(SELECTOR_BYTES * 2).toLowerCase();
+    const preIssues = [];
+
+    if (/[^0-9a-f]/.test(hex)) {
+        const firstBad = hex.search(/[^0-9a-f]/);
+        preIssues.push({
+            path: '',
+            byteOffset: SELECTOR_BYTES + Math.floor(firstBad / 2),
+            reason: 'invalid-hex',
+            message: `Non-hex character at byte ${SELECTOR_BYTES + Math.floor(firstBad / 2)}, data after it is ignored`
+        });
+        hex = hex.slice(0, firstBad);
+    }
+    if (hex.length % 2 !== 0) {
+        preIssues.push({
+            path: '',
+            byteOffset: SELECTOR_BYTES + (hex.length - 1) / 2,
+            reason: 'odd-length',
+            message: 'Calldata has an odd number of hex digits, the last digit is ignored'
+        });
+        hex = hex.slice(0, -1);
+    }
+
+    const ctx = createContext(hex, onRange);
+    ctx.issues.push(...preIssues);
+
+    const values = [];
+    const complete = [];
+    let pos = 0;
+    inputs.forEach((input, index) => {
+        const result = decodeAt(ctx, input, 0, pos, input.name || `param${index}`);
+        pos += headSize(input);
+        values.push(result.value);
+        complete.push(result.complete);
+    });
+
+    return { values, complete, issues: ctx.issues };
+}
+
+export {
+    decodeParametersTolerant
+};
@@ -0,0 +1,131 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from '../encode/encode_index.js';
+import { resolve } from './decode_index.js';
+
+const example = JSON.parse(fs.readFileSync(path.join(__dirname, '../examples/smartSwapTo.json'), 'utf8'));
+const calldata = encode(example);
+const complete = resolve(calldata);
+
+// smartSwapTo head: orderId, receiver, baseRequest (5 words), then the offsets of batchesAmount, batches and extraData
+const HEAD = { receiver: 4 + 32, batchesAmount: 4 + 224, batches: 4 + 256, extraData: 4 + 288, end: 4 + 320 };
+
+const cut = bytes => calldata.slice(0, 2 + bytes * 2);
+const replaceWord = (hex, byteOffset, word) =>
+    hex.slice(0, 2 + byteOffset * 2) + word.padStart(64, '0') + hex.slice(2 + (byteOffset + 32) * 2);
+
+beforeEach(() => {
+    // The strict decoder logs the error before the tolerant decoder takes over
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+test('complete calldata is not partial', () => {
+    expect(complete.partial).toBeUndefined();
+    expect(complete.issues).toBeUndefined();
+});
+
+describe('truncated calldata', () => {
+    test('cut inside a head word keeps the words before it', () => {
+        const decoded = resolve(cut(HEAD.receiver + 8));
+
+        expect(decoded.partial).toBe(true);
+        expect(decoded.function.name).toBe('smartSwapTo');
+        expect(decoded.orderId).toBe(complete.orderId);
+        expect(decoded.receiver).toBeNull();
+        expect(decoded.issues[0]).toEqual({
+            path: 'receiver',
+            byteOffset: HEAD.receiver,
+            reason: 'truncated',
+            message: 'receiver (address) is missing'
+        });
+    });
+
+    test('cut before the offsets keeps the static arguments', () => {
+        const decoded = resolve(cut(HEAD.batchesAmount));
+
+        expect(decoded.partial).toBe(true);
+        expect(decoded.receiver).toBe(complete.receiver);
+        expect(decoded.baseRequest).toEqual(complete.baseRequest);
+        expect(decoded.batchesAmount).toBeNull();
+        expect(decoded.batches).toBeNull();
+        expect(decoded.issues).toEqual([
+            { path: 'batchesAmount', byteOffset: HEAD.batchesAmount, reason: 'truncated', message: 'Offset of batchesAmount is missing' },
+            { path: 'batches', byteOffset: HEAD.batches, reason: 'truncated', message: 'Offset of batches is missing' },
+            { path: 'extraData', byteOffset: HEAD.extraData, reason: 'truncated', message: 'Offset of extraData is missing' }
+        ]);
+    });
+
+    test('cut right after the head reports the missing length and the offsets past the end', () => {
+        const decoded = resolve(cut(HEAD.end + 10));
+
+        expect(decoded.baseRequest).toEqual(complete.baseRequest);
+        expect(decoded.issues.slice(0, 2)).toEqual([
+            { path: 'batchesAmount', byteOffset: HEAD.end, reason: 'truncated', message: 'Length of batchesAmount is missing' },
+            {
+                path: 'batches',
+                byteOffset: HEAD.batches,
+                reason: 'offset-out-of-range',
+                message: expect.stringContaining('past the end of the data (334 bytes)')
+            }
+        ]);
+    });
+
+    test('cut inside the batches keeps the arrays read so far', () => {
+        const decoded = resolve(cut(604));
+
+        expect(decoded.partial).toBe(true);
+        expect(decoded.batchesAmount).toEqual(complete.batchesAmount);
+        expect(decoded.batches).toEqual([[]]);
+        expect(decoded.issues[0]).toMatchObject({ path: 'batches[0][0].mixAdapters', byteOffset: 516, reason: 'offset-out-of-range' });
+    });
+
+    test('the commission suffix is still read from the tail that is present', () => {
+        const withCommission = encode({
+            ...example,
+            hasCommission: true,
+            referCount: 1,
+            middle: { isToB: false, token: '0x' + 'e'.repeat(40) },
+            first: { flag: '0x3ca20afc2aaa', rate: '100', address: '0x' + '1'.repeat(40) }
+        });
+        // Drop a word from the middle of the arguments: the tail keeps its suffix
+        const corrupted = withCommission.slice(0, 2 + HEAD.end * 2) + withCommission.slice(2 + (HEAD.end + 32) * 2);
+        const decoded = resolve(corrupted);
+
+        expect(decoded.partial).toBe(true);
+        expect(decoded.hasCommission).toBe(true);
+        expect(decoded.first.rate).toBe('100');
+    });
+});
+
+test('an offset past the end of the data', () => {
+    const decoded = resolve(replaceWord(calldata, HEAD.batches, 'ffff'));
+
+    expect(decoded.partial).toBe(true);
+    expect(decoded.batchesAmount).toEqual(complete.batchesAmount);
+    expect(decoded.extraData).toEqual(complete.extraData);
+    expect(decoded.batches).toBeNull();
+    expect(decoded.issues).toEqual([{
+        path: 'batches',
+        byteOffset: HEAD.batches,
+        reason: 'offset-out-of-range',
+        message: 'Offset of batches points to byte 65539, past the end of the data (1284 bytes)'
+    }]);
+});
+
+test('an odd number of hex digits', () => {
+    const decoded = resolve(calldata + 'f');
+    const { partial, decodeError, issues, ...fields } = decoded;
+
+    expect(partial).toBe(true);
+    expect(fields).toEqual(complete);
+    expect(issues).toEqual([{
+        path: '',
+        byteOffset: (calldata.length - 2) / 2,
+        reason: 'odd-length',
+        message: 'Calldata has an odd number of hex digits, the last digit is ignored'
+    }]);
+});
@@ -0,0 +1,204 @@
+import { ethers } from 'ethers';
+import { findErrorForSelector, findVersionsForSelector, getDexRouterVersion } from '../core/abi_registry.js';
+
+/**
+ * Decode DexRouter call results: revert data and return values
+ *
+ * Revert data:
+ *   { reverted: true, error: { type: 'Error' | 'Panic' | 'CustomError' | 'Unknown' | 'Empty', name, selector, args } }
+ * Return data:
+ *   { reverted: false, function: 'smartSwapByOrderId', returnValues: { returnAmount: '123' } }
+ */
+
+const ERROR_STRING_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71';        // Panic(uint256)
+
+// Solidity panic codes
+const PANIC_REASONS = {
+    0x00: 'Generic compiler panic',
+    0x01: 'Assertion failed',
+    0x11: 'Arithmetic overflow or underflow',
+    0x12: 'Division or modulo by zero',
+    0x21: 'Invalid enum value',
+    0x22: 'Incorrectly encoded storage byte array',
+    0x31: 'pop() on an empty array',
+    0x32: 'Array index out of bounds',
+    0x41: 'Out of memory',
+    0x51: 'Call to a zero-initialized function pointer'
+};
+
+/**
+ * Normalize hex input (adds 0x, lowercases, rejects non-hex)
+ * @param {string} data - hex data
+ * @returns {string} normalized hex
+ */
+function normalizeHex(data) {
+    if (typeof data !== 'string') {
+        throw new Error('Result data must be a hex string');
+    }
+    const trimmed = data.trim();
+    const hex = (trimmed.startsWith('0x') ? trimmed : '0x' + trimmed).toLowerCase();
+    if (!/^0x([0-9a-f]{2})*$/.test(hex)) {
+        throw new Error('Result data is not valid hex');
+    }
+    return hex;
+}
+
+/**
+ * Convert decoded ABI values to JSON-friendly values
+ */
+function toJsonValue(value) {
+    if (value && value._isBigNumber) return value.toString();
+    if (Array.isArray(value)) return value.map(toJsonValue);
+    return value;
+}
+
+/**
+ * Map decoded values to their parameter names (param{i} for unnamed parameters)
+ * @param {Array} params - ABI parameter definitions
+ * @param {Array} values - decoded values
+ * @returns {Object} named values
+ */
+function toNamedValues(params, values) {
+    const named = {};
+    params.forEach((param, index) => {
+        named[param.name || `param${index}`] = toJsonValue(values[index]);
+    });
+    return named;
+}
+
+/**
+ * Check if data starts with a known revert selector (Error, Panic or a registered custom error)
+ * @param {string} data - hex data
+ * @returns {boolean} true if the data looks like revert data
+ */
+function isRevertData(data) {
+    const hex = normalizeHex(data);
+    if (hex === '0x') return false;
+
+    const selector = hex.slice(0, 10);
+    return selector === ERROR_STRING_SELECTOR || selector === PANIC_SELECTOR || findErrorForSelector(selector) !== null;
+}
+
+/**
+ * Decode revert data
+ * @param {string} revertData - raw revert bytes (0x-prefixed hex)
+ * @returns {Object} { type, name, selector, args } - args are named error arguments
+ */
+function decodeRevertData(revertData) {
+    const hex = normalizeHex(revertData);
+    if (hex === '0x') {
+        return { type: 'Empty', name: null, selector: null, args: {} };
+    }
+
+    const selector = hex.slice(0, 10);
+    const body = '0x' + hex.slice(10);
+
+    try {
+        if (selector === ERROR_STRING_SELECTOR) {
+            const [message] = ethers.utils.defaultAbiCoder.decode(['string'], body);
+            return { type: 'Error', name: 'Error', selector, args: { message } };
+        }
+
+        if (selector === PANIC_SELECTOR) {
+            const [code] = ethers.utils.defaultAbiCoder.decode(['uint256'], body);
+            const codeNumber = code.lte(0xff) ? code.toNumber() : null;
+            return {
+                type: 'Panic',
+                name: 'Panic',
+                selector,
+                args: {
+                    code: code.toHexString(),
+                    reason: PANIC_REASONS[codeNumber] || 'Unknown panic code'
+                }
+            };
+        }
+
+        const match = findErrorForSelector(selector);
+        if (match) {
+            const values = match.versionEntry.iface.decodeErrorResult(match.fragment, hex);
+            return {
+                type: 'CustomError',
+                name: match.fragment.name,
+                selector,
+                signature: match.fragment.format(),
+                args: toNamedValues(match.fragment.inputs, values)
+            };
+        }
+    } catch (error) {
+        return { type: 'Unknown', name: null, selector, args: {}, data: hex, error: `Failed to decode revert data: ${error.message}` };
+    }
+
+    return { type: 'Unknown', name: null, selector, args: {}, data: hex };
+}
+
+/**
+ * Find the function fragment for a call, from its calldata or function name
+ * @param {string} calldataOrName - the call's calldata (0x-prefixed hex) or a DexRouter function name
+ * @param {string} [version] - DexRouter release for lookups by name (defaults to the newest)
+ * @returns {Object} { fragment, versionEntry }
+ */
+function findFunctionFragment(calldataOrName, version) {
+    if (typeof calldataOrName === 'string' && /^(0x)?[0-9a-fA-F]{8}/.test(calldataOrName.trim())) {
+        const selector = normalizeHex(calldataOrName).slice(0, 10);
+        const [versionEntry] = findVersionsForSelector(selector);
+        if (!versionEntry) {
+            throw new Error(`Unknown function selector: ${selector}`);
+        }
+        return { fragment: versionEntry.selectors.get(selector), versionEntry };
+    }
+
+    const versionEntry = getDexRouterVersion(version);
+    const fragment = Object.values(versionEntry.iface.functions).find(f => f.name === calldataOrName);
+    if (!fragment) {
+        throw new Error(`Function ${calldataOrName} not found in DexRouter ${versionEntry.version} ABI`);
+    }
+    return { fragment, versionEntry };
+}
+
+/**
+ * Decode the return value of a DexRouter call
+ * @param {string} calldataOrName - the call's calldata or the DexRouter function name
+ * @param {string} returnData - raw return bytes (0x-prefixed hex)
+ * @param {string} [version] - DexRouter release for lookups by name
+ * @returns {Object} { function, returnValues } - e.g. returnValues.returnAmount
+ */
+function decodeReturnData(calldataOrName, returnData, version) {
+    const hex = normalizeHex(returnData);
+    const { fragment, versionEntry } = findFunctionFragment(calldataOrName, version);
+    const outputs = fragment.outputs || [];
+
+    if (outputs.length === 0) {
+        return { function: fragment.name, version: versionEntry.version, returnValues: {} };
+    }
+
+    const values = versionEntry.iface.decodeFunctionResult(fragment, hex);
+    return {
+        function: fragment.name,
+        version: versionEntry.version,
+        returnValues: toNamedValues(outputs, values)
+    };
+}
+
+/**
+ * Decode the result of a DexRouter call, as revert data or as a return value
+ * @param {string} calldata - the call's calldata (optional when the result is revert data)
+ * @param {string} resultData - raw return or revert bytes
+ * @param {boolean} [reverted] - whether the call reverted; detected from the data when omitted
+ * @returns {Object} { reverted: true, error } or { reverted: false, function, returnValues }
+ */
+function decodeCallResult(calldata, resultData, reverted) {
+    const isReverted = reverted !== undefined ? reverted : (isRevertData(resultData) || !calldata);
+
+    if (isReverted) {
+        return { reverted: true, error: decodeRevertData(resultData) };
+    }
+    return { reverted: false, ...decodeReturnData(calldata, resultData) };
+}
+
+export {
+    decodeCallResult,
+    decodeReturnData,
+    decodeRevertData,
+    isRevertData
+};
@@ -0,0 +1,126 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { encode } from '../encode/encode_index.js';
+import { decodeCallResult, decodeReturnData, decodeRevertData, isRevertData } from './decode_result.js';
+
+const calldata = encode(JSON.parse(fs.readFileSync(path.join(__dirname, '../examples/smartSwapTo.json'), 'utf8')));
+const errors = new ethers.utils.Interface([
+    'error ReturnAmountIsNotEnough()',
+    'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)'
+]);
+// Error(string) and Panic(uint256) are built in, ethers does not take them as custom errors
+const revertWith = (selector, type, value) => selector + ethers.utils.defaultAbiCoder.encode([type], [value]).slice(2);
+const SENDER = '0x3Ba0Ee766BC00c64aBb358f2237982De211f4295';
+
+describe('decodeRevertData', () => {
+    test('a router custom error', () => {
+        const data = errors.encodeErrorResult('ReturnAmountIsNotEnough', []);
+
+        expect(isRevertData(data)).toBe(true);
+        expect(decodeRevertData(data)).toEqual({
+            type: 'CustomError',
+            name: 'ReturnAmountIsNotEnough',
+            selector: data,
+            signature: 'ReturnAmountIsNotEnough()',
+            args: {}
+        });
+    });
+
+    test('a dependency custom error with named arguments', () => {
+        const data = errors.encodeErrorResult('ERC20InsufficientBalance', [SENDER, 5, 10]);
+
+        expect(decodeRevertData(data)).toMatchObject({
+            type: 'CustomError',
+            name: 'ERC20InsufficientBalance',
+            args: { sender: SENDER, balance: '5', needed: '10' }
+        });
+    });
+
+    test('Error(string)', () => {
+        const data = revertWith('0x08c379a0', 'string', 'Min return not reached');
+
+        expect(decodeRevertData(data)).toEqual({
+            type: 'Error',
+            name: 'Error',
+            selector: '0x08c379a0',
+            args: { message: 'Min return not reached' }
+        });
+    });
+
+    test.each([
+        [0x11, 'Arithmetic overflow or underflow'],
+        [0x32, 'Array index out of bounds'],
+        [0x99, 'Unknown panic code']
+    ])('Panic(%i)', (code, reason) => {
+        const data = revertWith('0x4e487b71', 'uint256', code);
+
+        expect(decodeRevertData(data)).toEqual({
+            type: 'Panic',
+            name: 'Panic',
+            selector: '0x4e487b71',
+            args: { code: ethers.utils.hexValue(code), reason }
+        });
+    });
+
+    test('an unknown selector keeps the raw data', () => {
+        const data = '0xdeadbeef' + '00'.repeat(32);
+
+        expect(isRevertData(data)).toBe(false);
+        expect(decodeRevertData(data)).toEqual({ type: 'Unknown', name: null, selector: '0xdeadbeef', args: {}, data });
+    });
+
+    test('a known selector with a corrupted body is reported as unknown', () => {
+        const decoded = decodeRevertData('0x08c379a0' + '00'.repeat(3));
+
+        expect(decoded.type).toBe('Unknown');
+        expect(decoded.error).toContain('Failed to decode revert data');
+    });
+
+    test('empty revert data', () => {
+        expect(decodeRevertData('0x')).toEqual({ type: 'Empty', name: null, selector: null, args: {} });
+    });
+});
+
+describe('decodeReturnData', () => {
+    const returnData = ethers.utils.defaultAbiCoder.encode(['uint256'], [123456]);
+
+    test('from the calldata of the call', () => {
+        expect(decodeReturnData(calldata, returnData)).toEqual({
+            function: 'smartSwapTo',
+            version: 'v1',
+            returnValues: { returnAmount: '123456' }
+        });
+    });
+
+    test('from the function name', () => {
+        expect(decodeReturnData('smartSwapTo', returnData).returnValues).toEqual({ returnAmount: '123456' });
+    });
+
+    test('an unknown selector is rejected', () => {
+        expect(() => decodeReturnData('0xdeadbeef', returnData)).toThrow('Unknown function selector: 0xdeadbeef');
+    });
+});
+
+describe('decodeCallResult', () => {
+    test('detects revert data', () => {
+        const data = errors.encodeErrorResult('ReturnAmountIsNotEnough', []);
+
+        expect(decodeCallResult(calldata, data)).toMatchObject({ reverted: true, error: { name: 'ReturnAmountIsNotEnough' } });
+    });
+
+    test('decodes anything else as the return value', () => {
+        const data = ethers.utils.defaultAbiCoder.encode(['uint256'], [7]);
+
+        expect(decodeCallResult(calldata, data)).toEqual({
+            reverted: false,
+            function: 'smartSwapTo',
+            version: 'v1',
+            returnValues: { returnAmount: '7' }
+        });
+    });
+
+    test('treats the data as revert data without calldata', () => {
+        expect(decodeCallResult('', '0xdeadbeef').error.type).toBe('Unknown');
+    });
+});
@@ -0,0 +1,60 @@
+/**
+ * Commission / trim suffix words
+ *
+ * The router reads the suffix backwards from calldatasize(): the last 32-byte word says whether a
+ * commission is attached, and the trim blocks (if any) end where the commission blocks start:
+ *   [selector][ABI arguments][trim blocks][commission blocks]
+ * The suffix decoders walk the words the same way instead of searching for flag patterns, so a
+ * flag-like value inside an address or amount is never taken for a suffix.
+ */
+
+const WORD_HEX = 64;     // 32 bytes = 64 hex chars
+const SELECTOR_HEX = 8;  // 4 bytes = 8 hex chars
+
+/**
+ * A suffix whose last word carries a commission / trim flag but whose blocks do not follow the layout
+ * the router expects. Carries the same fields as a partial decode issue (see decode_partial.js).
+ */
+class SuffixError extends Error {
+    /**
+     * @param {string} message - description, including the byte offset
+     * @param {Object} details - { reason: 'invalid-commission' | 'invalid-trim', byteOffset, path }
+     */
+    constructor(message, { reason, byteOffset, path = '' }) {
+        super(message);
+        this.name = 'SuffixError';
+        this.reason = reason;
+        this.byteOffset = byteOffset;
+        this.path = path;
+    }
+}
+
+/**
+ * Strip the 0x prefix and lowercase the calldata
+ */
+function normalizeSuffixHex(calldataHex) {
+    return calldataHex.trim().replace(/^0x/i, '').toLowerCase();
+}
+
+/**
+ * Read the 32-byte word `index` words before `end`, never reaching into the selector
+ * @param {string} hex - calldata without 0x
+ * @param {number} end - hex position the walk starts from (exclusive)
+ * @param {number} index - 0 for the word right before `end`
+ * @returns {Object|null} { hex: 0x-prefixed word, flag: its high 6 bytes, byteOffset }, or null
+ *   when the calldata is too short
+ */
+function readWordBefore(hex, end, index) {
+    const start = end - (index + 1) * WORD_HEX;
+    if (start < SELECTOR_HEX) return null;
+
+    const word = hex.slice(start, start + WORD_HEX);
+    return { hex: '0x' + word, flag: '0x' + word.slice(0, 12), byteOffset: start / 2 };
+}
+
+export {
+    normalizeSuffixHex,
+    readWordBefore,
+    SuffixError,
+    WORD_HEX
+};
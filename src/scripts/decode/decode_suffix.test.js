@@ -0,0 +1,199 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from '../encode/encode_index.js';
+import { resolve } from './decode_index.js';
+import { extractCommissionInfoFromCalldata } from './decode_commission.js';
+import { extractTrimInfoFromCalldata } from './decode_trim.js';
+import { SuffixError } from './decode_suffix.js';
+
+const base = JSON.parse(fs.readFileSync(path.join(__dirname, '../examples/smartSwapTo.json'), 'utf8'));
+const address = digit => '0x' + digit.repeat(40);
+const commission = (flag, rate, digit) => ({ flag, rate, address: address(digit) });
+
+const COMMISSIONS = {
+    single: {
+        hasCommission: true,
+        referCount: 1,
+        middle: { isToB: true, token: address('e') },
+        first: commission('0x3ca20afc2aaa', '100', '1')
+    },
+    dual: {
+        hasCommission: true,
+        referCount: 2,
+        first: commission('0x22220afc2bbb', '100', '1'),
+        middle: { isToB: false, token: address('e') },
+        last: commission('0x22220afc2bbb', '200', '2')
+    },
+    multiple: {
+        hasCommission: true,
+        referCount: 4,
+        first: commission('0x88880afc2aaa', '1', '1'),
+        second: commission('0x88880afc2aaa', '2', '2'),
+        third: commission('0x88880afc2aaa', '3', '3'),
+        middle: { isToB: true, token: address('e') },
+        fourth: commission('0x88880afc2aaa', '4', '4')
+    }
+};
+
+const TRIMS = {
+    none: { hasTrim: false },
+    single: { hasTrim: 'toB', trimRate: '10', trimAddress: address('5'), expectAmountOut: '1000', chargeRate: '0', chargeAddress: address('0') },
+    dual: { hasTrim: 'toC', trimRate: '10', trimAddress: address('5'), expectAmountOut: '1000', chargeRate: '7', chargeAddress: address('6') }
+};
+
+const byteLength = calldata => (calldata.length - 2) / 2;
+
+/**
+ * Overwrite the 6-byte flag of the 32-byte word starting at a byte offset
+ */
+function replaceFlag(calldata, byteOffset, flag) {
+    const start = 2 + byteOffset * 2;
+    return calldata.slice(0, start) + flag.replace(/^0x/, '') + calldata.slice(start + 12);
+}
+
+function expectSuffixError(extract, reason, byteOffset) {
+    let thrown;
+    try {
+        extract();
+    } catch (error) {
+        thrown = error;
+    }
+    expect(thrown).toBeInstanceOf(SuffixError);
+    expect(thrown.reason).toBe(reason);
+    expect(thrown.byteOffset).toBe(byteOffset);
+    return thrown;
+}
+
+describe('flag patterns outside the suffix', () => {
+    test.each([
+        ['receiver', { receiver: '0x3ca20afc2aaa' + '1'.repeat(28) }],
+        ['receiver (trim flag)', { receiver: '0x777777771111' + '1'.repeat(28) }],
+        ['minReturnAmount', { baseRequest: { ...base.baseRequest, minReturnAmount: '0x3ca20afc2aaa' + '0'.repeat(20) } }],
+        ['minReturnAmount (trim flag)', { baseRequest: { ...base.baseRequest, minReturnAmount: '0x777777771111' + '0'.repeat(20) } }]
+    ])('a %s containing a flag is not taken for a suffix', (name, fields) => {
+        const calldata = encode({ ...base, ...fields });
+
+        expect(extractCommissionInfoFromCalldata(calldata)).toEqual({ hasCommission: false });
+        expect(extractTrimInfoFromCalldata(calldata)).toEqual({ hasTrim: false });
+
+        const decoded = resolve(calldata);
+        expect(decoded.hasCommission).toBe(false);
+        expect(decoded.hasTrim).toBe(false);
+        expect(decoded.issues).toBeUndefined();
+    });
+});
+
+describe('commission and trim layouts', () => {
+    const cases = Object.keys(COMMISSIONS).flatMap(c => Object.keys(TRIMS).map(t => [c, t]));
+
+    test.each(cases)('%s commission with %s trim decodes and re-encodes', (commissionName, trimName) => {
+        const json = { ...base, ...COMMISSIONS[commissionName], ...TRIMS[trimName] };
+        const calldata = encode(json);
+        const decoded = resolve(calldata);
+
+        expect(decoded.issues).toBeUndefined();
+        expect(decoded.hasCommission).toBe(true);
+        expect(decoded.referCount).toBe(json.referCount);
+        expect(decoded.middle.isToB).toBe(json.middle.isToB);
+        expect(decoded.hasTrim).toBe(json.hasTrim);
+        expect(decoded.expectAmountOut).toBe(json.expectAmountOut);
+        expect(decoded.chargeRate).toBe(json.chargeRate);
+        expect(encode(decoded)).toBe(calldata);
+    });
+
+    test('orders MULTIPLE commissions by physical position', () => {
+        const decoded = extractCommissionInfoFromCalldata(encode({ ...base, ...COMMISSIONS.multiple }));
+
+        expect(Object.keys(decoded)).toEqual(['hasCommission', 'referCount', 'first', 'middle', 'second', 'third', 'fourth']);
+        expect(['first', 'second', 'third', 'fourth'].map(key => decoded[key].rate)).toEqual(['1', '2', '3', '4']);
+    });
+
+    test.each([
+        ['toB', true],
+        ['toC', false]
+    ])('reads the %s byte of the trim and commission blocks', (trimType, isToB) => {
+        const calldata = encode({
+            ...base,
+            ...COMMISSIONS.single,
+            middle: { isToB, token: address('e') },
+            ...TRIMS.single,
+            hasTrim: trimType
+        });
+
+        expect(extractCommissionInfoFromCalldata(calldata).middle.isToB).toBe(isToB);
+        expect(extractTrimInfoFromCalldata(calldata).hasTrim).toBe(trimType);
+    });
+});
+
+describe('suffix layout errors', () => {
+    test('DUAL commission block with another flag', () => {
+        const calldata = encode({ ...base, ...COMMISSIONS.dual });
+        const offset = byteLength(calldata) - 96;
+
+        expectSuffixError(() => extractCommissionInfoFromCalldata(replaceFlag(calldata, offset, '0x3ca20afc2aaa')), 'invalid-commission', offset);
+    });
+
+    test('MULTIPLE commission block with another flag', () => {
+        const calldata = encode({ ...base, ...COMMISSIONS.multiple });
+        const offset = byteLength(calldata) - 5 * 32;
+
+        expectSuffixError(() => extractCommissionInfoFromCalldata(replaceFlag(calldata, offset, '0x88880afc2bbb')), 'invalid-commission', offset);
+    });
+
+    test('MULTIPLE referrer count outside 3-8', () => {
+        const calldata = encode({ ...base, ...COMMISSIONS.multiple });
+        const offset = byteLength(calldata) - 64;
+        const start = 2 + offset * 2 + 2;
+        const corrupted = calldata.slice(0, start) + '09' + calldata.slice(start + 2);
+
+        const error = expectSuffixError(() => extractCommissionInfoFromCalldata(corrupted), 'invalid-commission', offset);
+        expect(error.path).toBe('referCount');
+    });
+
+    test('commission flag without room for the other blocks', () => {
+        const calldata = base.function.selector + '3ca20afc2aaa' + '00'.repeat(26);
+
+        expectSuffixError(() => extractCommissionInfoFromCalldata(calldata), 'invalid-commission', 0);
+    });
+
+    test('dual trim charge block with another flag', () => {
+        const calldata = encode({ ...base, ...TRIMS.dual });
+        const offset = byteLength(calldata) - 96;
+
+        expectSuffixError(() => extractTrimInfoFromCalldata(replaceFlag(calldata, offset, '0x000000000000')), 'invalid-trim', offset);
+    });
+
+    test('single trim expect amount block with another flag, before a commission', () => {
+        const calldata = encode({ ...base, ...TRIMS.single, ...COMMISSIONS.single });
+        const offset = byteLength(calldata) - 64 - 64;
+
+        expectSuffixError(() => extractTrimInfoFromCalldata(replaceFlag(calldata, offset, '0x777777772222')), 'invalid-trim', offset);
+    });
+
+    test('complete calldata keeps its arguments and reports the suffix in issues', () => {
+        const calldata = encode({ ...base, ...TRIMS.dual });
+        const offset = byteLength(calldata) - 96;
+        const decoded = resolve(replaceFlag(calldata, offset, '0x000000000000'));
+
+        expect(decoded.error).toBeUndefined();
+        expect(decoded.partial).toBeUndefined();
+        expect(decoded.receiver).toBe(base.receiver);
+        expect(decoded.hasTrim).toBeUndefined();
+        expect(decoded.issues).toEqual([{
+            path: '',
+            byteOffset: offset,
+            reason: 'invalid-trim',
+            message: expect.stringContaining(`byte ${offset}`)
+        }]);
+    });
+
+    test('a commission that cannot be read leaves the trim unread', () => {
+        const calldata = encode({ ...base, ...TRIMS.single, ...COMMISSIONS.dual });
+        const offset = byteLength(calldata) - 96;
+        const decoded = resolve(replaceFlag(calldata, offset, '0x3ca20afc2aaa'));
+
+        expect(decoded.issues.map(issue => issue.reason)).toEqual(['invalid-commission']);
+        expect(decoded.hasCommission).toBeUndefined();
+        expect(decoded.hasTrim).toBeUndefined();
+    });
+});
@@ -0,0 +1,101 @@
+import { ethers } from 'ethers';
+import { rpcCall } from '../utilities/rpc.js';
+import { resolve } from './decode_index.js';
+
+const TX_HASH_REGEX = /^0x[0-9a-fA-F]{64}$/;
+
+/**
+ * Check if a string is a transaction hash (0x + 32 bytes)
+ * @param {string} value - the value to check
+ * @returns {boolean} true if value looks like a transaction hash
+ */
+function isTxHash(value) {
+    return typeof value === 'string' && TX_HASH_REGEX.test(value.trim());
+}
+
+/**
+ * Convert a hex quantity from an RPC response to a decimal string
+ * @param {string|null} hexValue - hex quantity (e.g. "0x1bc16d674ec80000")
+ * @returns {string|null} decimal string, or null when the value is absent
+ */
+function hexToDecimalString(hexValue) {
+    if (hexValue === undefined || hexValue === null) return null;
+    return ethers.BigNumber.from(hexValue).toString();
+}
+
+/**
+ * Apply EIP-55 checksum, keeping null for contract creations
+ */
+function checksumOrNull(address) {
+    return address ? ethers.utils.getAddress(address) : null;
+}
+
+/**
+ * Derive a readable status from a transaction receipt
+ * @param {Object|null} receipt - eth_getTransactionReceipt result
+ * @returns {string} "success", "reverted", "pending" or "unknown" (pre-Byzantium receipts)
+ */
+function getReceiptStatus(receipt) {
+    if (!receipt) return 'pending';
+    if (receipt.status === '0x1') return 'success';
+    if (receipt.status === '0x0') return 'reverted';
+    return 'unknown';
+}
+
+/**
+ * Fetch a transaction and its receipt through JSON-RPC
+ * @param {string} rpcUrl - the JSON-RPC endpoint
+ * @param {string} txHash - the transaction hash
+ * @returns {Promise<Object>} transaction summary including the raw input
+ */
+async function fetchTransaction(rpcUrl, txHash) {
+    if (!rpcUrl) {
+        throw new Error('RPC URL is required');
+    }
+    if (!isTxHash(txHash)) {
+        throw new Error(`Invalid transaction hash: ${txHash}`);
+    }
+
+    const hash = txHash.trim();
+    const [tx, receipt] = await Promise.all([
+        rpcCall(rpcUrl, 'eth_getTransactionByHash', [hash]),
+        rpcCall(rpcUrl, 'eth_getTransactionReceipt', [hash])
+    ]);
+
+    if (!tx) {
+        throw new Error(`Transaction ${hash} not found`);
+    }
+
+    return {
+        hash: tx.hash,
+        from: checksumOrNull(tx.from),
+        to: checksumOrNull(tx.to),
+        value: hexToDecimalString(tx.value) || '0',
+        chainId: tx.chainId ? parseInt(tx.chainId, 16) : null,
+        blockNumber: tx.blockNumber ? parseInt(tx.blockNumber, 16) : null,
+        blockHash: tx.blockHash || null,
+        status: getReceiptStatus(receipt),
+        gasUsed: receipt ? hexToDecimalString(receipt.gasUsed) : null,
+        input: tx.input || '0x'
+    };
+}
+
+/**
+ * Fetch a transaction by hash and decode its input with resolve()
+ * @param {string} rpcUrl - the JSON-RPC endpoint
+ * @param {string} txHash - the transaction hash
+ * @returns {Promise<Object>} { transaction, decoded } - transaction summary and decoded input
+ */
+async function decodeTransactionByHash(rpcUrl, txHash) {
+    const transaction = await fetchTransaction(rpcUrl, txHash);
+    return {
+        transaction,
+        decoded: resolve(transaction.input, { chainId: transaction.chainId })
+    };
+}
+
+export {
+    decodeTransactionByHash,
+    fetchTransaction,
+    isTxHash
+};
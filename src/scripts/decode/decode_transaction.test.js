@@ -0,0 +1,103 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from '../encode/encode_index.js';
+import { decodeTransactionByHash } from './decode_transaction.js';
+
+const RPC_URL = 'http://localhost:8545';
+const TX_HASH = '0x' + 'ab'.repeat(32);
+const example = JSON.parse(fs.readFileSync(path.join(__dirname, '../examples/smartSwapTo.json'), 'utf8'));
+const input = encode(example);
+
+const minedTx = {
+    hash: TX_HASH,
+    from: '0x3ba0ee766bc00c64abb358f2237982de211f4295',
+    to: '0x5e1f62dac767b0491e3ce72469c217365d5b48cc',
+    value: '0xde0b6b3a7640000',
+    chainId: '0x1',
+    blockNumber: '0x1234',
+    blockHash: '0x' + 'cd'.repeat(32),
+    input
+};
+
+/**
+ * Mock JSON-RPC endpoint: answers each method with the given response body ({ result } or { error })
+ */
+function mockRpc(responses) {
+    global.fetch = jest.fn(async (url, request) => {
+        const { id, method, params } = JSON.parse(request.body);
+        expect(url).toBe(RPC_URL);
+        expect(params).toEqual([TX_HASH]);
+        return { ok: true, json: async () => ({ jsonrpc: '2.0', id, ...responses[method] }) };
+    });
+}
+
+afterEach(() => {
+    delete global.fetch;
+});
+
+describe('decodeTransactionByHash', () => {
+    test('decodes a mined transaction with its receipt', async () => {
+        mockRpc({
+            eth_getTransactionByHash: { result: minedTx },
+            eth_getTransactionReceipt: { result: { status: '0x1', gasUsed: '0x5208' } }
+        });
+
+        const { transaction, decoded } = await decodeTransactionByHash(RPC_URL, TX_HASH);
+
+        expect(transaction).toEqual({
+            hash: TX_HASH,
+            from: '0x3Ba0Ee766BC00c64aBb358f2237982De211f4295',
+            to: '0x5E1f62Dac767b0491e3CE72469C217365D5B48cC',
+            value: '1000000000000000000',
+            chainId: 1,
+            blockNumber: 0x1234,
+            blockHash: minedTx.blockHash,
+            status: 'success',
+            gasUsed: '21000',
+            input
+        });
+        expect(decoded.function.name).toBe('smartSwapTo');
+        expect(decoded.orderId).toBe(example.orderId);
+        expect(global.fetch).toHaveBeenCalledTimes(2);
+    });
+
+    test('reports a pending transaction when there is no receipt yet', async () => {
+        mockRpc({
+            eth_getTransactionByHash: { result: { ...minedTx, blockNumber: null, blockHash: null } },
+            eth_getTransactionReceipt: { result: null }
+        });
+
+        const { transaction, decoded } = await decodeTransactionByHash(RPC_URL, TX_HASH);
+
+        expect(transaction.status).toBe('pending');
+        expect(transaction.blockNumber).toBeNull();
+        expect(transaction.blockHash).toBeNull();
+        expect(transaction.gasUsed).toBeNull();
+        expect(decoded.function.name).toBe('smartSwapTo');
+    });
+
+    test('rejects an unknown hash', async () => {
+        mockRpc({
+            eth_getTransactionByHash: { result: null },
+            eth_getTransactionReceipt: { result: null }
+        });
+
+        await expect(decodeTransactionByHash(RPC_URL, TX_HASH)).rejects.toThrow(`Transaction ${TX_HASH} not found`);
+    });
+
+    test('rejects with the message of an RPC error', async () => {
+        mockRpc({
+            eth_getTransactionByHash: { error: { code: -32000, message: 'header not found' } },
+            eth_getTransactionReceipt: { result: null }
+        });
+
+        await expect(decodeTransactionByHash(RPC_URL, TX_HASH)).rejects.toThrow('header not found');
+    });
+
+    test('rejects an invalid hash without calling the endpoint', async () => {
+        mockRpc({});
+
+        await expect(decodeTransactionByHash(RPC_URL, '0x1234')).rejects.toThrow('Invalid transaction hash');
+        expect(global.fetch).not.toHaveBeenCalled();
+    });
+});
@@ -1,4 +1,6 @@
 import { ethers } from 'ethers';
+import { extractCommissionInfoFromCalldata, getCommissionBlockCount } from './decode_commission.js';
+import { normalizeSuffixHex, readWordBefore, SuffixError, WORD_HEX } from './decode_suffix.js';
 
 /**
  * Trim parsing script - used to parse trim data from DEX transaction calldata
@@ -20,6 +22,10 @@ import { ethers } from 'ethers';
  * - 0x80 = toB trim
  * - 0x00 = toC trim
  * 
+ * The blocks sit right before the commission blocks (or at the end of the calldata without
+ * commission) and are read backwards from there. A trim flag in the last block with other blocks
+ * missing or carrying another flag throws a SuffixError (see decode_suffix.js).
+ *
  * Output:
  * - hasTrim: false | "toB" | "toC"
  * 
@@ -72,103 +78,65 @@ function parseExpectAmountBlock(bytes32Hex) {
     return { expectAmount, trimType };
 }
 
+// Read a trim block, which must carry the flag of the last trim block
+function readTrimWord(hex, end, index, name, flag) {
+    const blockCount = flag === TRIM_FLAGS.DUAL ? 3 : 2;
+    const word = readWordBefore(hex, end, index);
+    if (!word) {
+        throw new SuffixError(
+            `Trim suffix needs ${blockCount} 32-byte blocks before byte ${end / 2}, but there is no room for the ${name}`,
+            { reason: 'invalid-trim', byteOffset: Math.max(end / 2 - blockCount * 32, 0) }
+        );
+    }
+    if (word.flag !== flag) {
+        throw new SuffixError(
+            `Trim block at byte ${word.byteOffset} (${name}) has flag ${word.flag}, expected ${flag} like the last trim block`,
+            { reason: 'invalid-trim', byteOffset: word.byteOffset }
+        );
+    }
+    return word.hex;
+}
+
 // Main parsing function
-function extractTrimInfoFromCalldata(calldataHex) {    
-    // Handle single trim case
-    const singleFlagHex = TRIM_FLAGS.SINGLE.replace(/^0x/, "");
-    let flagIndex = calldataHex.indexOf(singleFlagHex);
-    
-    if (flagIndex !== -1) {
-        // Find the last occurrence of single trim flag
-        let lastFlagIndex = flagIndex;
-        let searchIndex = flagIndex + 1;
-        while (true) {
-            const nextIndex = calldataHex.indexOf(singleFlagHex, searchIndex);
-            if (nextIndex === -1) break;
-            lastFlagIndex = nextIndex;
-            searchIndex = nextIndex + 1;
-        }
-        
-        const flagStart = lastFlagIndex;
-        const flagEnd = flagStart + 64; // 32 bytes = 64 hex chars
-        
-        // Check if there's enough data to extract complete trim information
-        if (flagStart >= 64) { // Need at least 64 bytes of preceding data
-            // Last 32 bytes is trim data, second-to-last 32 bytes is expected amount
-            const trimDataBlock = "0x" + calldataHex.slice(flagStart, flagEnd);
-            const expectAmountBlock = "0x" + calldataHex.slice(flagStart - 64, flagStart);
-            
-            try {
-                // Block 2 (last 32 bytes): trim_flag + trim_rate + trim_address
-                const trimData = parseTrimData(trimDataBlock);
-                
-                // Block 1 (second-to-last 32 bytes): trim_flag + isToBTrim + padding + expect_amount
-                const expectData = parseExpectAmountBlock(expectAmountBlock);
-                
-                return {
-                    hasTrim: expectData.trimType, // "toB" or "toC"
-                    trimRate: trimData.rate,
-                    trimAddress: trimData.address,
-                    expectAmountOut: expectData.expectAmount,
-                    chargeRate: "0",
-                    chargeAddress: "0x0000000000000000000000000000000000000000"
-                };
-            } catch (error) {
-                // If parsing fails, continue to check dual trim
-            }
-        }
+// The trim blocks end where the commission blocks start (commission is the outermost suffix), and
+// are read backwards from there: the flag of the last trim block tells single from dual trim. Pass
+// the decoded commission when it is already known; otherwise it is extracted here.
+function extractTrimInfoFromCalldata(calldataHex, commissionInfo = extractCommissionInfoFromCalldata(calldataHex)) {
+    const hex = normalizeSuffixHex(calldataHex);
+    const end = hex.length - getCommissionBlockCount(commissionInfo) * WORD_HEX;
+    const last = readWordBefore(hex, end, 0);
+
+    if (!last || !Object.values(TRIM_FLAGS).includes(last.flag)) {
+        return { hasTrim: false };
     }
-    
-    // Handle dual trim case
-    const dualFlagHex = TRIM_FLAGS.DUAL.replace(/^0x/, "");
-    flagIndex = calldataHex.indexOf(dualFlagHex);
-    
-    if (flagIndex !== -1) {
-        // Find all dual flag occurrence positions
-        const flagPositions = [];
-        let searchIndex = 0;
-        while (true) {
-            const pos = calldataHex.indexOf(dualFlagHex, searchIndex);
-            if (pos === -1) break;
-            flagPositions.push(pos);
-            searchIndex = pos + 1;
-        }
-        
-        if (flagPositions.length >= 3) {
-            // Use the last flag as starting point
-            const flagStart = flagPositions[flagPositions.length - 1];
-            const flagEnd = flagStart + 64;
-            
-            // Check if there's enough data to extract complete dual trim information
-            if (flagStart >= 128) { // Need at least 128 bytes of preceding data
-                const firstBlock = "0x" + calldataHex.slice(flagStart, flagEnd);
-                const secondBlock = "0x" + calldataHex.slice(flagStart - 64, flagStart);
-                const thirdBlock = "0x" + calldataHex.slice(flagStart - 128, flagStart - 64);
-                
-                try {
-                    // Block 3 (last 32 bytes): trim_flag + trim_rate1 + trim_address1
-                    const trimData1 = parseTrimData(firstBlock);
-                    // Block 2 (second-to-last 32 bytes): trim_flag + isToBTrim + padding + expect_amount
-                    const expectData = parseExpectAmountBlock(secondBlock);
-                    // Block 1 (third-to-last 32 bytes): trim_flag + charge_rate + charge_address
-                    const trimData2 = parseTrimData(thirdBlock);
-                    
-                    return {
-                        hasTrim: expectData.trimType, // "toB" or "toC"
-                        trimRate: trimData1.rate,
-                        trimAddress: trimData1.address,
-                        expectAmountOut: expectData.expectAmount,
-                        chargeRate: trimData2.rate,
-                        chargeAddress: trimData2.address
-                    };
-                } catch (error) {
-                    console.error("Failed to parse dual trim data:", error.message);
-                }
-            }
-        }
+
+    // Last block: trim_flag + trim_rate + trim_address
+    const trimData = parseTrimData(last.hex);
+    // Second-to-last block: trim_flag + isToBTrim + padding + expect_amount
+    const expectData = parseExpectAmountBlock(readTrimWord(hex, end, 1, 'expect amount block', last.flag));
+
+    if (last.flag === TRIM_FLAGS.SINGLE) {
+        return {
+            hasTrim: expectData.trimType, // "toB" or "toC"
+            trimRate: trimData.rate,
+            trimAddress: trimData.address,
+            expectAmountOut: expectData.expectAmount,
+            chargeRate: "0",
+            chargeAddress: "0x0000000000000000000000000000000000000000"
+        };
     }
-    
-    return { hasTrim: false };
+
+    // Dual trim, third-to-last block: trim_flag + charge_rate + charge_address
+    const chargeData = parseTrimData(readTrimWord(hex, end, 2, 'charge block', last.flag));
+
+    return {
+        hasTrim: expectData.trimType, // "toB" or "toC"
+        trimRate: trimData.rate,
+        trimAddress: trimData.address,
+        expectAmountOut: expectData.expectAmount,
+        chargeRate: chargeData.rate,
+        chargeAddress: chargeData.address
+    };
 }
 
 export { 
@@ -0,0 +1,454 @@
+import { ethers } from 'ethers';
+import { isKnownSelector } from './decode_functions.js';
+import { splitDexRouterCalldata } from '../utilities/calldataSplitter.js';
+
+/**
+ * Wrapper decoders - unwrap DexRouter calls sent through envelopes
+ * (Safe execTransaction / multiSend, multicall(bytes[]), Multicall3 aggregate*, smart-wallet execute*)
+ *
+ * Each registry entry declares the envelope signature and an unwrap function that maps the
+ * decoded envelope arguments to inner calls:
+ *   { segment, target, value, data }
+ * - segment: path segment for the inner call, e.g. "execTransaction.data" or "multicall[1]"
+ * - target:  address the inner call is sent to (null when it is the envelope's own target)
+ * - value:   native value forwarded with the inner call (null when not applicable)
+ * - data:    inner calldata (0x-prefixed hex)
+ *
+ * Inner calls are unwrapped recursively. Calldata that matches neither the DexRouter ABI nor a
+ * registered envelope falls back to splitDexRouterCalldata.
+ *
+ * An entry may also declare wrap(args, datas), the inverse of unwrap: given the envelope arguments
+ * and the (re-encoded) inner calldatas in unwrap order, it returns the arguments to replace, by
+ * name. encodeWrappedCalldata uses it to rebuild the envelope for roundtrip validation.
+ */
+
+// Maximum envelope nesting depth (e.g. Safe -> multiSend -> multicall -> DexRouter is depth 3)
+const MAX_UNWRAP_DEPTH = 6;
+
+const PATH_SEPARATOR = ' -> ';
+
+function toValueString(value) {
+    return value && value._isBigNumber ? value.toString() : (value ?? null);
+}
+
+/**
+ * Inner call produced by a single-call envelope (fn.param)
+ */
+function singleCall(functionName, paramName, target, value, data) {
+    return [{ segment: `${functionName}.${paramName}`, target: target || null, value: toValueString(value), data }];
+}
+
+/**
+ * Inner calls produced by a batch envelope (fn[i])
+ */
+function batchCalls(functionName, calls) {
+    return calls.map(({ target = null, value = null, data }, index) => ({
+        segment: `${functionName}[${index}]`,
+        target,
+        value: toValueString(value),
+        data
+    }));
+}
+
+/**
+ * Parse Safe MultiSend packed transactions
+ * Layout per transaction: operation(1) + to(20) + value(32) + dataLength(32) + data(dataLength)
+ * @param {string} transactions - packed transactions (0x-prefixed hex)
+ * @returns {Array} array of { operation, target, value, data }
+ */
+function parseMultiSendTransactions(transactions) {
+    const hex = transactions.replace(/^0x/, '');
+    const calls = [];
+    let pos = 0;
+
+    while (pos < hex.length) {
+        const header = hex.slice(pos, pos + 170); // 85 bytes = 170 hex chars
+        if (header.length < 170) {
+            throw new Error(`Truncated multiSend transaction at byte ${pos / 2}`);
+        }
+        const dataLength = parseInt(header.slice(106, 170), 16);
+        const data = hex.slice(pos + 170, pos + 170 + dataLength * 2);
+        if (data.length < dataLength * 2) {
+            throw new Error(`Truncated multiSend data at byte ${(pos + 170) / 2}`);
+        }
+
+        calls.push({
+            operation: parseInt(header.slice(0, 2), 16),
+            target: ethers.utils.getAddress('0x' + header.slice(2, 42)),
+            value: ethers.BigNumber.from('0x' + header.slice(42, 106)).toString(),
+            data: '0x' + data
+        });
+        pos += 170 + dataLength * 2;
+    }
+
+    return calls;
+}
+
+/**
+ * Pack Safe MultiSend transactions (inverse of parseMultiSendTransactions)
+ * @param {Array} calls - array of { operation, target, value, data }
+ * @returns {string} packed transactions (0x-prefixed hex)
+ */
+function packMultiSendTransactions(calls) {
+    return ethers.utils.hexConcat(calls.map(call => ethers.utils.solidityPack(
+        ['uint8', 'address', 'uint256', 'uint256', 'bytes'],
+        [call.operation, call.target, call.value, ethers.utils.hexDataLength(call.data), call.data]
+    )));
+}
+
+/**
+ * Parse ERC-7579 executionCalldata according to the call type in the mode word
+ * - 0x00 single:       target(20) + value(32) + callData
+ * - 0x01 batch:        abi.encode(Execution[]) with Execution = (address target, uint256 value, bytes callData)
+ * - 0xff delegatecall: target(20) + callData
+ * @param {string} mode - bytes32 execution mode
+ * @param {string} executionCalldata - encoded executions
+ * @returns {Array} array of { target, value, data }
+ */
+function parseErc7579Executions(mode, executionCalldata) {
+    const callType = mode.slice(2, 4).toLowerCase();
+    const hex = executionCalldata.replace(/^0x/, '');
+
+    if (callType === '00') {
+        return [{
+            target: ethers.utils.getAddress('0x' + hex.slice(0, 40)),
+            value: ethers.BigNumber.from('0x' + hex.slice(40, 104)).toString(),
+            data: '0x' + hex.slice(104)
+        }];
+    }
+    if (callType === '01') {
+        const [executions] = ethers.utils.defaultAbiCoder.decode(
+            ['tuple(address target, uint256 value, bytes callData)[]'],
+            executionCalldata
+        );
+        return executions.map(execution => ({
+            target: execution.target,
+            value: execution.value.toString(),
+            data: execution.callData
+        }));
+    }
+    if (callType === 'ff') {
+        return [{ target: ethers.utils.getAddress('0x' + hex.slice(0, 40)), value: null, data: '0x' + hex.slice(40) }];
+    }
+    throw new Error(`Unsupported ERC-7579 call type: 0x${callType}`);
+}
+
+/**
+ * Encode ERC-7579 executionCalldata (inverse of parseErc7579Executions)
+ * @param {string} mode - bytes32 execution mode
+ * @param {Array} executions - array of { target, value, data }
+ * @returns {string} encoded executions
+ */
+function packErc7579Executions(mode, executions) {
+    const callType = mode.slice(2, 4).toLowerCase();
+
+    if (callType === '00') {
+        const [{ target, value, data }] = executions;
+        return ethers.utils.solidityPack(['address', 'uint256', 'bytes'], [target, value, data]);
+    }
+    if (callType === '01') {
+        return ethers.utils.defaultAbiCoder.encode(
+            ['tuple(address target, uint256 value, bytes callData)[]'],
+            [executions.map(({ target, value, data }) => [target, value, data])]
+        );
+    }
+    if (callType === 'ff') {
+        const [{ target, data }] = executions;
+        return ethers.utils.solidityPack(['address', 'bytes'], [target, data]);
+    }
+    throw new Error(`Unsupported ERC-7579 call type: 0x${callType}`);
+}
+
+/**
+ * Replace the callData member of aggregate-style call tuples
+ * @param {Array} calls - decoded call tuples
+ * @param {Array<string>} datas - new inner calldatas
+ * @param {Array<string>} members - tuple members in ABI order
+ */
+function replaceCallData(calls, datas, members) {
+    return calls.map((call, index) => members.map(member => (member === 'callData' ? datas[index] : call[member])));
+}
+
+const WRAPPER_DECODERS = [
+    // Safe
+    {
+        signature: 'function execTransaction(address to, uint256 value, bytes data, uint8 operation, uint256 safeTxGas, uint256 baseGas, uint256 gasPrice, address gasToken, address refundReceiver, bytes signatures)',
+        unwrap: (args) => singleCall('execTransaction', 'data', args.to, args.value, args.data),
+        wrap: (args, datas) => ({ data: datas[0] })
+    },
+    {
+        signature: 'function multiSend(bytes transactions)',
+        unwrap: (args) => batchCalls('multiSend', parseMultiSendTransactions(args.transactions)),
+        wrap: (args, datas) => ({
+            transactions: packMultiSendTransactions(parseMultiSendTransactions(args.transactions).map((call, i) => ({ ...call, data: datas[i] })))
+        })
+    },
+    // multicall(bytes[]) variants (Uniswap periphery, OpenZeppelin Multicall)
+    {
+        signature: 'function multicall(bytes[] data)',
+        unwrap: (args) => batchCalls('multicall', args.data.map(data => ({ data }))),
+        wrap: (args, datas) => ({ data: datas })
+    },
+    {
+        signature: 'function multicall(uint256 deadline, bytes[] data)',
+        unwrap: (args) => batchCalls('multicall', args.data.map(data => ({ data }))),
+        wrap: (args, datas) => ({ data: datas })
+    },
+    {
+        signature: 'function multicall(bytes32 previousBlockhash, bytes[] data)',
+        unwrap: (args) => batchCalls('multicall', args.data.map(data => ({ data }))),
+        wrap: (args, datas) => ({ data: datas })
+    },
+    // Multicall2 / Multicall3 aggregators
+    {
+        signature: 'function aggregate(tuple(address target, bytes callData)[] calls)',
+        unwrap: (args) => batchCalls('aggregate', args.calls.map(c => ({ target: c.target, data: c.callData }))),
+        wrap: (args, datas) => ({ calls: replaceCallData(args.calls, datas, ['target', 'callData']) })
+    },
+    {
+        signature: 'function tryAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls)',
+        unwrap: (args) => batchCalls('tryAggregate', args.calls.map(c => ({ target: c.target, data: c.callData }))),
+        wrap: (args, datas) => ({ calls: replaceCallData(args.calls, datas, ['target', 'callData']) })
+    },
+    {
+        signature: 'function blockAndAggregate(tuple(address target, bytes callData)[] calls)',
+        unwrap: (args) => batchCalls('blockAndAggregate', args.calls.map(c => ({ target: c.target, data: c.callData }))),
+        wrap: (args, datas) => ({ calls: replaceCallData(args.calls, datas, ['target', 'callData']) })
+    },
+    {
+        signature: 'function tryBlockAndAggregate(bool requireSuccess, tuple(address target, bytes callData)[] calls)',
+        unwrap: (args) => batchCalls('tryBlockAndAggregate', args.calls.map(c => ({ target: c.target, data: c.callData }))),
+        wrap: (args, datas) => ({ calls: replaceCallData(args.calls, datas, ['target', 'callData']) })
+    },
+    {
+        signature: 'function aggregate3(tuple(address target, bool allowFailure, bytes callData)[] calls)',
+        unwrap: (args) => batchCalls('aggregate3', args.calls.map(c => ({ target: c.target, data: c.callData }))),
+        wrap: (args, datas) => ({ calls: replaceCallData(args.calls, datas, ['target', 'allowFailure', 'callData']) })
+    },
+    {
+        signature: 'function aggregate3Value(tuple(address target, bool allowFailure, uint256 value, bytes callData)[] calls)',
+        unwrap: (args) => batchCalls('aggregate3Value', args.calls.map(c => ({ target: c.target, value: c.value, data: c.callData }))),
+        wrap: (args, datas) => ({ calls: replaceCallData(args.calls, datas, ['target', 'allowFailure', 'value', 'callData']) })
+    },
+    // Smart wallets (ERC-4337 SimpleAccount, Coinbase Smart Wallet, ERC-7579 accounts)
+    {
+        signature: 'function execute(address dest, uint256 value, bytes func)',
+        unwrap: (args) => singleCall('execute', 'func', args.dest, args.value, args.func),
+        wrap: (args, datas) => ({ func: datas[0] })
+    },
+    {
+        signature: 'function executeBatch(address[] dest, bytes[] func)',
+        unwrap: (args) => batchCalls('executeBatch', args.func.map((data, i) => ({ target: args.dest[i], data }))),
+        wrap: (args, datas) => ({ func: datas })
+    },
+    {
+        signature: 'function executeBatch(address[] dest, uint256[] value, bytes[] func)',
+        unwrap: (args) => batchCalls('executeBatch', args.func.map((data, i) => ({ target: args.dest[i], value: args.value[i], data }))),
+        wrap: (args, datas) => ({ func: datas })
+    },
+    {
+        signature: 'function executeBatch(tuple(address target, uint256 value, bytes data)[] calls)',
+        unwrap: (args) => batchCalls('executeBatch', args.calls.map(c => ({ target: c.target, value: c.value, data: c.data }))),
+        wrap: (args, datas) => ({ calls: args.calls.map((c, i) => [c.target, c.value, datas[i]]) })
+    },
+    {
+        signature: 'function execute(bytes32 mode, bytes executionCalldata)',
+        unwrap: (args) => {
+            const executions = parseErc7579Executions(args.mode, args.executionCalldata);
+            return executions.length === 1 && args.mode.slice(2, 4) !== '01'
+                ? singleCall('execute', 'executionCalldata', executions[0].target, executions[0].value, executions[0].data)
+                : batchCalls('execute', executions);
+        },
+        wrap: (args, datas) => ({
+            executionCalldata: packErc7579Executions(args.mode, parseErc7579Executions(args.mode, args.executionCalldata).map((e, i) => ({ ...e, data: datas[i] })))
+        })
+    },
+];
+
+// selector -> { fragment, unwrap, wrap }
+const wrapperSelectors = new Map();
+
+/**
+ * Register an envelope decoder
+ * @param {Object} decoder - { signature, unwrap, wrap } where signature is a human-readable ABI function,
+ *   unwrap(args) returns an array of { segment, target, value, data } and the optional wrap(args, datas)
+ *   returns the arguments that carry the inner calldatas
+ */
+function registerWrapperDecoder(decoder) {
+    const fragment = ethers.utils.FunctionFragment.from(decoder.signature.replace(/^function\s+/, ''));
+    const selector = ethers.utils.Interface.getSighash(fragment);
+    wrapperSelectors.set(selector, { fragment, unwrap: decoder.unwrap, wrap: decoder.wrap });
+}
+
+WRAPPER_DECODERS.forEach(registerWrapperDecoder);
+
+/**
+ * Check if calldata starts with a registered envelope selector
+ * @param {string} calldata - calldata (0x-prefixed hex)
+ * @returns {boolean} true if an envelope decoder is registered for the selector
+ */
+function isWrapperCalldata(calldata) {
+    return typeof calldata === 'string' && wrapperSelectors.has(calldata.slice(0, 10).toLowerCase());
+}
+
+function joinPath(path, segment) {
+    return path ? `${path}${PATH_SEPARATOR}${segment}` : segment;
+}
+
+/**
+ * Recursively walk calldata, collecting DexRouter calls and unresolved segments
+ * @param {string} calldata - calldata (0x-prefixed hex)
+ * @param {Object} context - { path, target, value, depth }
+ * @param {function} resolveCall - DexRouter call decoder
+ * @param {Object} collected - { calls, unresolved } accumulator
+ */
+function walkCalldata(calldata, context, resolveCall, collected) {
+    const { path, target, value, depth } = context;
+    const selector = calldata.slice(0, 10).toLowerCase();
+
+    if (isKnownSelector(selector)) {
+        collected.calls.push({ path, target, value, calldata, decoded: resolveCall(calldata) });
+        return;
+    }
+
+    const wrapper = wrapperSelectors.get(selector);
+    if (wrapper && depth < MAX_UNWRAP_DEPTH) {
+        try {
+            const iface = new ethers.utils.Interface([wrapper.fragment]);
+            const args = iface.decodeFunctionData(wrapper.fragment, calldata);
+            const innerCalls = wrapper.unwrap(args);
+
+            innerCalls.forEach(inner => walkCalldata(
+                ethers.utils.hexlify(inner.data),
+                { path: joinPath(path, inner.segment), target: inner.target, value: inner.value, depth: depth + 1 },
+                resolveCall,
+                collected
+            ));
+            return;
+        } catch (error) {
+            collected.unresolved.push({ path: path || wrapper.fragment.name, selector, error: `Failed to unwrap ${wrapper.fragment.name}: ${error.message}` });
+            return;
+        }
+    }
+
+    // Unknown envelope - look for embedded DexRouter calls with commission / trim end markers
+    let split = { results: [] };
+    try {
+        split = calldata.length > 10 ? splitDexRouterCalldata(calldata) : split;
+    } catch {
+        // Not splittable (e.g. odd-length data) - reported as unresolved below
+    }
+
+    if (split.results.length === 0) {
+        collected.unresolved.push({ path: path || selector, selector, error: `Unknown function selector: ${selector}` });
+        return;
+    }
+
+    split.results.forEach((item, index) => {
+        collected.calls.push({
+            path: joinPath(path, `split[${index}]`),
+            target: null,
+            value: null,
+            byteOffset: item.byteOffset,
+            calldata: item.calldata,
+            decoded: resolveCall(item.calldata)
+        });
+    });
+}
+
+/**
+ * Decode DexRouter calls wrapped in multicall / Safe / aggregator / smart-wallet envelopes
+ * @param {string} calldata - envelope calldata (0x-prefixed hex)
+ * @param {function} resolveCall - decoder for a single DexRouter call (resolve without unwrapping)
+ * @returns {Object|null} wrapped decode result, or null when no DexRouter call was found
+ *
+ * Result format:
+ * {
+ *   function: { name, selector },   // the outermost envelope
+ *   wrapper: true,
+ *   calls: [{ path, target, value, calldata, decoded }],
+ *   unresolved: [{ path, selector, error }]
+ * }
+ */
+function decodeWrappedCalldata(calldata, resolveCall) {
+    if (!calldata || typeof calldata !== 'string') return null;
+
+    const normalized = (calldata.startsWith('0x') ? calldata : '0x' + calldata).toLowerCase();
+    if (normalized.length < 10) return null;
+
+    const selector = normalized.slice(0, 10);
+    const collected = { calls: [], unresolved: [] };
+    walkCalldata(normalized, { path: '', target: null, value: null, depth: 0 }, resolveCall, collected);
+
+    if (collected.calls.length === 0) return null;
+
+    const wrapper = wrapperSelectors.get(selector);
+    return {
+        function: {
+            name: wrapper ? wrapper.fragment.name : 'unknown',
+            selector
+        },
+        wrapper: true,
+        calls: collected.calls,
+        unresolved: collected.unresolved
+    };
+}
+
+/**
+ * Rebuild calldata walked by walkCalldata, with each DexRouter call replaced by encodeCall
+ * @param {string} calldata - calldata (0x-prefixed hex)
+ * @param {string} path - path of this calldata
+ * @param {number} depth - envelope nesting depth
+ * @param {function} encodeCall - (path, calldata) => calldata of the DexRouter call at that path
+ * @returns {string} rebuilt calldata
+ */
+function rewrapCalldata(calldata, path, depth, encodeCall) {
+    const selector = calldata.slice(0, 10).toLowerCase();
+
+    if (isKnownSelector(selector)) {
+        return encodeCall(path, calldata);
+    }
+
+    const wrapper = wrapperSelectors.get(selector);
+    if (wrapper && depth < MAX_UNWRAP_DEPTH) {
+        if (!wrapper.wrap) {
+            throw new Error(`${wrapper.fragment.name} envelopes cannot be re-encoded`);
+        }
+        const iface = new ethers.utils.Interface([wrapper.fragment]);
+        const args = iface.decodeFunctionData(wrapper.fragment, calldata);
+        const datas = wrapper.unwrap(args).map(inner => rewrapCalldata(
+            ethers.utils.hexlify(inner.data), joinPath(path, inner.segment), depth + 1, encodeCall
+        ));
+        const replaced = wrapper.wrap(args, datas);
+        const values = wrapper.fragment.inputs.map(input => (input.name in replaced ? replaced[input.name] : args[input.name]));
+        return iface.encodeFunctionData(wrapper.fragment, values);
+    }
+
+    // Unknown envelope: splice the split calls back in place, the bytes around them are kept
+    let rebuilt = calldata;
+    splitDexRouterCalldata(calldata).results.forEach((item, index) => {
+        const encoded = encodeCall(joinPath(path, `split[${index}]`), item.calldata);
+        const start = 2 + item.byteOffset * 2;
+        rebuilt = rebuilt.slice(0, start) + encoded.replace(/^0x/, '') + rebuilt.slice(start + item.calldata.length - 2);
+    });
+    return rebuilt;
+}
+
+/**
+ * Re-encode an envelope from its inner DexRouter calls (the inverse of decodeWrappedCalldata)
+ * @param {string} calldata - envelope calldata (0x-prefixed hex)
+ * @param {function} encodeCall - (path, calldata) => calldata of the inner call at `path`, the
+ *   paths being those of decodeWrappedCalldata's `calls`
+ * @returns {string} re-encoded envelope (lowercase 0x-prefixed hex)
+ */
+function encodeWrappedCalldata(calldata, encodeCall) {
+    const normalized = (calldata.startsWith('0x') ? calldata : '0x' + calldata).toLowerCase();
+    return rewrapCalldata(normalized, '', 0, encodeCall).toLowerCase();
+}
+
+export {
+    decodeWrappedCalldata,
+    encodeWrappedCalldata,
+    isWrapperCalldata,
+    registerWrapperDecoder
+};
@@ -2,6 +2,8 @@
  * Utility functions for applying commission and trim data to JSON configurations
  */
 
+import { getFunctionDefinition } from '../core/function_registry.js';
+
 /**
  * Apply commission and trim settings to a base JSON configuration
  * @param {Object} baseJson - The base JSON configuration
@@ -13,10 +15,9 @@ export const applyCommissionAndTrimToJson = (baseJson, commissionData, trimData)
     let completeJson = { ...baseJson };
 
     // Check if this is a function that should NOT have commission/trim
-    const functionsWithoutCommissionTrim = ['approve'];
     const functionName = baseJson.function?.name;
     
-    if (functionsWithoutCommissionTrim.includes(functionName)) {
+    if (getFunctionDefinition(functionName)?.family === 'erc20') {
         // For ERC20 approve function, remove any existing commission/trim data and return
         delete completeJson.hasCommission;
         delete completeJson.referCount;
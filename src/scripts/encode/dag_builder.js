@@ -0,0 +1,238 @@
+import { ethers } from 'ethers';
+import { getDexRouterVersion } from '../core/abi_registry.js';
+
+/**
+ * DAG route builder
+ *
+ * Builds dagSwapByOrderId / dagSwapTo encoder input from a token graph, so node indexes,
+ * weights and per-path fromToken do not have to be written by hand:
+ *
+ *   {
+ *     "function": "dagSwapTo",                  // default dagSwapByOrderId
+ *     "orderId": "1", "receiver": "0x...",      // receiver for dagSwapTo only
+ *     "baseRequest": { "fromTokenAmount": "100 USDT", "minReturnAmount": "0", "deadLine": "+20m" },
+ *     "nodes": { "USDT": "0xdac1...", "WBTC": "0x2260...", "WETH": { "address": "0xc02a...", "flag": "DEFAULT" } },
+ *     "edges": [
+ *       { "from": "USDT", "to": "WBTC", "adapter": "0x...", "pool": "0x...", "share": 60 },
+ *       { "from": "USDT", "to": "WETH", "adapter": "0x...", "pool": "0x...", "share": 40, "reverse": true }
+ *     ]
+ *   }
+ *
+ * Edges also take `assetTo` (default: the adapter) and `extraData` (raw hex or a decoded adapter
+ * layout, default "0x"). The node without incoming edges is the input token, the node without
+ * outgoing edges the output token; baseRequest.fromToken / toToken default to them (set them
+ * explicitly for native ETH, with the nodes holding the wrapped token).
+ *
+ * Nodes are numbered in topological order (input 0, output last) and paths[i] holds the
+ * outgoing edges of node i, as DagRouter requires. Shares are percentages with at most two
+ * decimals and must sum to 100 per node. Other top-level keys (commission, trim) are copied.
+ */
+
+const DAG_FUNCTIONS = ['dagSwapByOrderId', 'dagSwapTo'];
+const BUILDER_KEYS = ['function', 'version', 'orderId', 'receiver', 'baseRequest', 'nodes', 'edges'];
+const MAX_NODES = 256; // inputIndex / outputIndex are uint8
+const FULL_WEIGHT = 10000;
+
+/**
+ * Normalize the nodes map
+ * @returns {Map} node id -> { address, flag }
+ */
+function normalizeNodes(nodes, errors) {
+    const normalized = new Map();
+    if (!nodes || typeof nodes !== 'object' || Array.isArray(nodes)) {
+        errors.push('nodes: must be an object mapping node ids to token addresses');
+        return normalized;
+    }
+
+    Object.entries(nodes).forEach(([id, node]) => {
+        const address = typeof node === 'string' ? node : node?.address;
+        if (!ethers.utils.isAddress(address || '')) {
+            errors.push(`nodes.${id}: invalid token address ${address}`);
+            return;
+        }
+        normalized.set(id, { address: address.toLowerCase(), flag: node?.flag || 'DEFAULT' });
+    });
+    return normalized;
+}
+
+/**
+ * Convert a share percentage to a weight in basis points
+ * @returns {number|null} weight, or null when the share is invalid
+ */
+function shareToWeight(share) {
+    const text = typeof share === 'number' ? String(share) : share;
+    if (typeof text !== 'string' || !/^[0-9]+(\.[0-9]{1,2})?$/.test(text.trim())) {
+        return null;
+    }
+    const weight = ethers.utils.parseUnits(text.trim(), 2).toNumber();
+    return weight > 0 && weight <= FULL_WEIGHT ? weight : null;
+}
+
+/**
+ * Validate the edges and attach their weights
+ * @returns {Array<Object>} edges with { weight } added
+ */
+function normalizeEdges(edges, nodes, errors) {
+    if (!Array.isArray(edges) || edges.length === 0) {
+        errors.push('edges: must be a non-empty array');
+        return [];
+    }
+
+    return edges.map((edge, index) => {
+        const path = `edges[${index}]`;
+        const normalized = { ...edge, weight: shareToWeight(edge?.share) };
+
+        ['from', 'to'].forEach(key => {
+            if (!nodes.has(edge?.[key])) {
+                errors.push(`${path}.${key}: unknown node ${edge?.[key]}`);
+            }
+        });
+        if (edge?.from !== undefined && edge.from === edge.to) {
+            errors.push(`${path}: swaps ${edge.from} into itself`);
+        }
+        ['adapter', 'pool'].forEach(key => {
+            if (!ethers.utils.isAddress(edge?.[key] || '')) {
+                errors.push(`${path}.${key}: invalid address ${edge?.[key]}`);
+            }
+        });
+        if (edge?.assetTo !== undefined && !ethers.utils.isAddress(edge.assetTo || '')) {
+            errors.push(`${path}.assetTo: invalid address ${edge.assetTo}`);
+        }
+        if (normalized.weight === null) {
+            errors.push(`${path}.share: must be a percentage above 0 and at most 100, with at most two decimals`);
+        }
+        return normalized;
+    });
+}
+
+/**
+ * Number the nodes in topological order (Kahn's algorithm, ties broken by declaration order)
+ * @returns {Array<string>|null} node ids by index, or null when the graph is not a single-source, single-sink DAG
+ */
+function orderNodes(nodes, edges, errors) {
+    const ids = [...nodes.keys()];
+    const incoming = new Map(ids.map(id => [id, 0]));
+    const outgoing = new Map(ids.map(id => [id, []]));
+    edges.forEach(edge => {
+        incoming.set(edge.to, incoming.get(edge.to) + 1);
+        outgoing.get(edge.from).push(edge.to);
+    });
+
+    const sources = ids.filter(id => incoming.get(id) === 0);
+    const sinks = ids.filter(id => outgoing.get(id).length === 0);
+    if (sources.length !== 1) {
+        errors.push(`nodes: exactly one node (the input token) must have no incoming edges, found ${sources.join(', ') || 'none'}`);
+    }
+    if (sinks.length !== 1) {
+        errors.push(`nodes: exactly one node (the output token) must have no outgoing edges, found ${sinks.join(', ') || 'none'}`);
+    }
+    if (ids.length > MAX_NODES) {
+        errors.push(`nodes: at most ${MAX_NODES} nodes are supported, got ${ids.length}`);
+    }
+    if (errors.length > 0) return null;
+
+    const order = [];
+    const remaining = new Map(incoming);
+    const ready = [...sources];
+    while (ready.length > 0) {
+        const id = ready.shift();
+        order.push(id);
+        outgoing.get(id).forEach(next => {
+            remaining.set(next, remaining.get(next) - 1);
+            if (remaining.get(next) === 0) {
+                ready.push(next);
+                ready.sort((a, b) => ids.indexOf(a) - ids.indexOf(b));
+            }
+        });
+    }
+
+    if (order.length !== ids.length) {
+        const cyclic = ids.filter(id => !order.includes(id));
+        errors.push(`edges: the graph has a cycle, nodes ${cyclic.join(', ')} cannot be ordered`);
+        return null;
+    }
+    // With one source and no cycles every node is reachable; the sink is the only node without successors
+    return order;
+}
+
+/**
+ * Build dagSwap encoder input from a token graph
+ * @param {Object} route - the route (see module comment)
+ * @param {Object} [options] - { version } DexRouter release the selector is taken from (default: route.version, then the newest release)
+ * @returns {Object} dagSwapByOrderId / dagSwapTo JSON, ready for encode()
+ */
+function buildDagSwap(route, options = {}) {
+    if (!route || typeof route !== 'object' || Array.isArray(route)) {
+        throw new Error('DAG route must be an object');
+    }
+
+    const errors = [];
+    const name = route.function || 'dagSwapByOrderId';
+    if (!DAG_FUNCTIONS.includes(name)) {
+        errors.push(`function: must be one of ${DAG_FUNCTIONS.join(', ')}`);
+    }
+    if (name === 'dagSwapTo' && !ethers.utils.isAddress(route.receiver || '')) {
+        errors.push(`receiver: invalid address ${route.receiver}`);
+    }
+
+    const nodes = normalizeNodes(route.nodes, errors);
+    const edges = normalizeEdges(route.edges, nodes, errors);
+    const order = errors.length === 0 ? orderNodes(nodes, edges, errors) : null;
+    if (!order) {
+        throw new Error(errors.join('; '));
+    }
+
+    const indexOf = new Map(order.map((id, index) => [id, index]));
+    const paths = order.slice(0, -1).map(id => {
+        const nodeEdges = edges.filter(edge => edge.from === id);
+        const total = nodeEdges.reduce((sum, edge) => sum + edge.weight, 0);
+        if (total !== FULL_WEIGHT) {
+            errors.push(`nodes.${id}: outgoing shares sum to ${total / 100}%, must be 100%`);
+        }
+
+        return {
+            mixAdapters: nodeEdges.map(edge => edge.adapter),
+            assetTo: nodeEdges.map(edge => edge.assetTo || edge.adapter),
+            rawData: nodeEdges.map(edge => ({
+                poolAddress: edge.pool.toLowerCase(),
+                reverse: Boolean(edge.reverse),
+                weight: String(edge.weight),
+                inputIndex: String(indexOf.get(id)),
+                outputIndex: String(indexOf.get(edge.to))
+            })),
+            extraData: nodeEdges.map(edge => edge.extraData ?? '0x'),
+            fromToken: { ...nodes.get(id) }
+        };
+    });
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    const { iface, version } = getDexRouterVersion(options.version || route.version);
+    const passthrough = Object.fromEntries(
+        Object.entries(route).filter(([key]) => !BUILDER_KEYS.includes(key))
+    );
+
+    return {
+        function: {
+            name,
+            selector: iface.getSighash(name),
+            ...(route.version || options.version ? { version } : {})
+        },
+        orderId: route.orderId ?? '0',
+        ...(name === 'dagSwapTo' ? { receiver: route.receiver } : {}),
+        baseRequest: {
+            fromToken: nodes.get(order[0]).address,
+            toToken: nodes.get(order[order.length - 1]).address,
+            ...route.baseRequest
+        },
+        paths,
+        hasCommission: false,
+        hasTrim: false,
+        ...passthrough
+    };
+}
+
+export {
+    buildDagSwap
+};
@@ -0,0 +1,87 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from './encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { buildDagSwap } from './dag_builder.js';
+
+const route = JSON.parse(fs.readFileSync(path.join(__dirname, 'dag_route_example.json'), 'utf8'));
+const clone = value => JSON.parse(JSON.stringify(value));
+const [usdtToWbtc, wbtcToWeth, wethToOut] = route.edges;
+
+describe('buildDagSwap', () => {
+    test('the example route builds into an encodable dagSwapTo', () => {
+        const json = buildDagSwap(route);
+        const decoded = resolve(encode(json));
+
+        expect(decoded.function.name).toBe('dagSwapTo');
+        expect(decoded.issues).toBeUndefined();
+        expect(decoded.baseRequest.fromToken.toLowerCase()).toBe(route.nodes.USDT);
+        expect(decoded.baseRequest.toToken.toLowerCase()).toBe(route.nodes.OUT.toLowerCase());
+        expect(decoded.paths).toHaveLength(3);
+        expect(decoded.paths.map(({ rawData }) => [rawData[0].inputIndex, rawData[0].outputIndex, rawData[0].weight]))
+            .toEqual([['0', '1', '10000'], ['1', '2', '10000'], ['2', '3', '10000']]);
+        expect(decoded.paths[2].assetTo[0]).toBe(wethToOut.assetTo);
+    });
+
+    test('nodes are numbered in topological order, not declaration order', () => {
+        const json = buildDagSwap({
+            ...route,
+            nodes: { OUT: route.nodes.OUT, WETH: route.nodes.WETH, WBTC: route.nodes.WBTC, USDT: route.nodes.USDT },
+            edges: [
+                { ...usdtToWbtc, share: '60' },
+                { ...usdtToWbtc, to: 'WETH', share: '40' },
+                wbtcToWeth,
+                wethToOut
+            ]
+        });
+
+        expect(json.paths.map(({ fromToken }) => fromToken.address)).toEqual([route.nodes.USDT, route.nodes.WBTC, route.nodes.WETH]);
+        expect(json.paths[0].rawData.map(({ weight, outputIndex }) => [weight, outputIndex])).toEqual([['6000', '1'], ['4000', '2']]);
+        expect(() => encode(json)).not.toThrow();
+    });
+
+    test('rejects a cycle', () => {
+        const cyclic = clone(route);
+        cyclic.edges.push({ ...wbtcToWeth, from: 'WETH', to: 'WBTC' });
+
+        expect(() => buildDagSwap(cyclic)).toThrow('edges: the graph has a cycle, nodes WBTC, WETH, OUT cannot be ordered');
+    });
+
+    test('rejects a node with no outgoing edge besides the output token', () => {
+        const deadEnd = clone(route);
+        deadEnd.nodes.DAI = '0x6b175474e89094c44da98b954eedeac495271d0f';
+        deadEnd.edges[0].share = 50;
+        deadEnd.edges.push({ ...usdtToWbtc, to: 'DAI', share: 50 });
+
+        expect(() => buildDagSwap(deadEnd))
+            .toThrow('nodes: exactly one node (the output token) must have no outgoing edges, found OUT, DAI');
+    });
+
+    test('rejects outgoing shares that do not sum to 100%', () => {
+        const split = clone(route);
+        split.edges[0].share = 60;
+        split.edges.push({ ...usdtToWbtc, to: 'WETH', share: 30 });
+
+        expect(() => buildDagSwap(split)).toThrow('nodes.USDT: outgoing shares sum to 90%, must be 100%');
+    });
+
+    test.each([
+        ['0', 0],
+        ['100.001', 100.001],
+        ['above 100', 150]
+    ])('rejects a share of %s', (name, share) => {
+        const invalid = clone(route);
+        invalid.edges[1].share = share;
+
+        expect(() => buildDagSwap(invalid)).toThrow('edges[1].share: must be a percentage above 0 and at most 100, with at most two decimals');
+    });
+
+    test('reports every invalid field at once', () => {
+        const invalid = clone(route);
+        invalid.receiver = '0x1234';
+        invalid.edges[0].to = 'DAI';
+        invalid.edges[2].pool = 'nope';
+
+        expect(() => buildDagSwap(invalid)).toThrow('receiver: invalid address 0x1234; edges[0].to: unknown node DAI; edges[2].pool: invalid address nope');
+    });
+});
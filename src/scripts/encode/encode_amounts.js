@@ -0,0 +1,192 @@
+import { ethers } from 'ethers';
+import { findTokensBySymbol, getTokenInfo } from '../core/token_registry.js';
+
+/**
+ * Human-unit amounts and relative deadlines in encoder input
+ *
+ * Amount fields accept, besides raw integers:
+ *   "1.5 USDC"                       - symbol (or token address) resolved through the token registry
+ *   { "value": "1.5", "decimals": 6 }
+ * deadLine fields accept "+20m" (also s, h, d; no unit means seconds), relative to now.
+ *
+ * resolveHumanValues() replaces them with raw integer strings before encoding and reports
+ * each replacement as { [path]: raw } so callers can echo them and compare exactly.
+ * A symbol is matched against the token the field is denominated in (e.g. baseRequest.fromToken
+ * for fromTokenAmount) when that token is known, so "1.5 USDC" works without a chain id.
+ */
+
+const HUMAN_AMOUNT = /^\s*([0-9][0-9,]*(?:\.[0-9]+)?)\s+(\S+)\s*$/;
+const RELATIVE_DEADLINE = /^\s*\+\s*([0-9]+)\s*([smhd]?)\s*$/;
+const DEADLINE_UNITS = { '': 1, s: 1, m: 60, h: 60 * 60, d: 24 * 60 * 60 };
+const ADDRESS_MASK = ethers.BigNumber.from(1).shl(160).sub(1);
+
+/**
+ * Get the token address of a token field ("0x...", { address, flag } or a packed uint256)
+ * @returns {string|null} lowercase address, or null when the field is missing or invalid
+ */
+function tokenAddressOf(token) {
+    const value = token && typeof token === 'object' ? token.address : token;
+    if (value === undefined || value === null) return null;
+    try {
+        return ethers.utils.hexZeroPad(ethers.BigNumber.from(value).and(ADDRESS_MASK).toHexString(), 20).toLowerCase();
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Find the decimals of the token named in a human amount
+ * @param {string} symbol - token symbol or address
+ * @param {string|null} fieldToken - address of the token the field is denominated in, when known
+ * @param {number} [chainId] - chain to search (all chains when omitted)
+ * @param {string} path - field path for error messages
+ * @returns {number} decimals
+ */
+function resolveDecimals(symbol, fieldToken, chainId, path) {
+    const chainNote = chainId ? ` on chain ${chainId}` : '';
+
+    if (ethers.utils.isHexString(symbol, 20)) {
+        const token = getTokenInfo(symbol, chainId);
+        if (!token) {
+            throw new Error(`${path}: unknown token ${symbol}${chainNote}`);
+        }
+        return token.decimals;
+    }
+
+    const known = fieldToken ? getTokenInfo(fieldToken, chainId) : null;
+    if (known) {
+        if (known.symbol.toLowerCase() !== symbol.toLowerCase()) {
+            throw new Error(`${path}: amount is in ${symbol} but the token is ${known.symbol} (${known.address})`);
+        }
+        return known.decimals;
+    }
+
+    const candidates = findTokensBySymbol(symbol, chainId);
+    if (candidates.length === 0) {
+        throw new Error(`${path}: unknown token symbol ${symbol}${chainNote} (import a token list or use { "value", "decimals" })`);
+    }
+    const decimals = [...new Set(candidates.map(token => token.decimals))];
+    if (decimals.length > 1) {
+        const chains = candidates.map(token => `${token.decimals} on chain ${token.chainId}`).join(', ');
+        throw new Error(`${path}: ${symbol} has different decimals per chain (${chains}); pick a chain or use { "value", "decimals" }`);
+    }
+    return decimals[0];
+}
+
+/**
+ * Convert a decimal value to raw units
+ */
+function parseDecimalValue(value, decimals, path) {
+    try {
+        return ethers.utils.parseUnits(String(value).replace(/,/g, ''), decimals).toString();
+    } catch {
+        throw new Error(`${path}: ${value} is not a decimal amount with at most ${decimals} decimals`);
+    }
+}
+
+/**
+ * Resolve one amount field
+ * @returns {string|undefined} raw amount, or undefined when the value is already raw
+ */
+function resolveAmount(value, fieldToken, context, path) {
+    if (value && typeof value === 'object' && !Array.isArray(value) && 'value' in value) {
+        const decimals = Number(value.decimals);
+        if (!Number.isInteger(decimals) || decimals < 0 || decimals > 255) {
+            throw new Error(`${path}.decimals: must be an integer between 0 and 255`);
+        }
+        return parseDecimalValue(value.value, decimals, path);
+    }
+
+    const match = typeof value === 'string' ? value.match(HUMAN_AMOUNT) : null;
+    if (!match) return undefined;
+    const [, amount, symbol] = match;
+    return parseDecimalValue(amount, resolveDecimals(symbol, fieldToken, context.chainId, path), path);
+}
+
+/**
+ * Resolve one deadline field
+ * @returns {string|undefined} unix timestamp, or undefined when the value is already absolute
+ */
+function resolveDeadline(value, context) {
+    const match = typeof value === 'string' ? value.match(RELATIVE_DEADLINE) : null;
+    if (!match) return undefined;
+    return String(context.now + Number(match[1]) * DEADLINE_UNITS[match[2]]);
+}
+
+/**
+ * Collect the amount and deadline fields of encoder input
+ * @param {Object} json - encoder input
+ * @returns {Array<Object>} [{ target, key, path, kind: 'amount'|'deadline', token }]
+ */
+function collectHumanFields(json) {
+    const fields = [];
+    const add = (target, key, path, kind, token = null) => {
+        if (target && target[key] !== undefined && target[key] !== null) {
+            fields.push({ target, key, path, kind, token });
+        }
+    };
+
+    const { baseRequest } = json;
+    const fromToken = tokenAddressOf(baseRequest?.fromToken) || tokenAddressOf(json.srcToken);
+    const toToken = tokenAddressOf(baseRequest?.toToken);
+    const isApprove = json.function?.name === 'approve';
+
+    add(baseRequest, 'fromTokenAmount', 'baseRequest.fromTokenAmount', 'amount', fromToken);
+    add(baseRequest, 'minReturnAmount', 'baseRequest.minReturnAmount', 'amount', toToken);
+    add(baseRequest, 'deadLine', 'baseRequest.deadLine', 'deadline');
+
+    if (Array.isArray(json.batchesAmount)) {
+        json.batchesAmount.forEach((_, index) => add(json.batchesAmount, index, `batchesAmount[${index}]`, 'amount', fromToken));
+    }
+
+    // approve's token is the transaction target, which the JSON does not name
+    add(json, 'amount', 'amount', 'amount', isApprove ? null : fromToken);
+    add(json, 'minReturn', 'minReturn', 'amount', toToken);
+    add(json, 'expectAmountOut', 'expectAmountOut', 'amount', toToken);
+
+    if (Array.isArray(json.extraData)) {
+        json.extraData.forEach((entry, index) => {
+            if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return;
+            add(entry, 'fromTokenAmount', `extraData[${index}].fromTokenAmount`, 'amount', tokenAddressOf(entry.fromToken));
+            add(entry, 'minReturnAmount', `extraData[${index}].minReturnAmount`, 'amount', tokenAddressOf(entry.toToken));
+            add(entry, 'deadLine', `extraData[${index}].deadLine`, 'deadline');
+        });
+    }
+
+    return fields;
+}
+
+/**
+ * Replace human-unit amounts and relative deadlines with raw values
+ * @param {Object} jsonData - encoder input
+ * @param {Object} [options] - { chainId: chain to look tokens up on, now: unix seconds (default: current time) }
+ * @returns {Object} { json: input with raw values (a copy when anything changed), resolved: { [path]: raw } }
+ */
+function resolveHumanValues(jsonData, options = {}) {
+    if (!jsonData || typeof jsonData !== 'object') {
+        return { json: jsonData, resolved: {} };
+    }
+
+    const context = {
+        chainId: options.chainId ?? undefined,
+        now: options.now ?? Math.floor(Date.now() / 1000)
+    };
+    const json = JSON.parse(JSON.stringify(jsonData));
+    const resolved = {};
+
+    collectHumanFields(json).forEach(({ target, key, path, kind, token }) => {
+        const raw = kind === 'deadline'
+            ? resolveDeadline(target[key], context)
+            : resolveAmount(target[key], token, context, path);
+        if (raw !== undefined) {
+            target[key] = raw;
+            resolved[path] = raw;
+        }
+    });
+
+    return Object.keys(resolved).length > 0 ? { json, resolved } : { json: jsonData, resolved };
+}
+
+export {
+    resolveHumanValues
+};
@@ -0,0 +1,105 @@
+import fs from 'fs';
+import path from 'path';
+import { encode, encodeWithResolvedInput } from './encode_index.js';
+import { resolveHumanValues } from './encode_amounts.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const NOW = 1760000000;
+const USDC = '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48';
+const example = loadExample('smartSwapTo');
+
+/**
+ * The smartSwapTo example with its baseRequest fields overridden
+ */
+const withBaseRequest = fields => ({ ...example, baseRequest: { ...example.baseRequest, ...fields } });
+
+describe('resolveHumanValues', () => {
+    test('"1.5 USDC" uses the decimals of the field token', () => {
+        const input = withBaseRequest({ fromToken: USDC, fromTokenAmount: '1.5 USDC' });
+        const { json, resolved } = resolveHumanValues(input, { now: NOW });
+
+        expect(json.baseRequest.fromTokenAmount).toBe('1500000');
+        expect(resolved).toEqual({ 'baseRequest.fromTokenAmount': '1500000' });
+        expect(input.baseRequest.fromTokenAmount).toBe('1.5 USDC');
+    });
+
+    test('a token address names the token too', () => {
+        const { resolved } = resolveHumanValues(withBaseRequest({ fromTokenAmount: `2,500.25 ${USDC}` }), { now: NOW });
+
+        expect(resolved).toEqual({ 'baseRequest.fromTokenAmount': '2500250000' });
+    });
+
+    test('{ value, decimals } needs no token registry', () => {
+        const { resolved } = resolveHumanValues(withBaseRequest({ fromTokenAmount: { value: '1.5', decimals: 18 } }), { now: NOW });
+
+        expect(resolved).toEqual({ 'baseRequest.fromTokenAmount': '1500000000000000000' });
+    });
+
+    test.each([
+        ['+20m', NOW + 20 * 60],
+        ['+2h', NOW + 2 * 60 * 60],
+        ['+1d', NOW + 24 * 60 * 60],
+        ['+45', NOW + 45]
+    ])('deadLine "%s" is relative to now', (deadLine, expected) => {
+        const { resolved } = resolveHumanValues(withBaseRequest({ deadLine }), { now: NOW });
+
+        expect(resolved).toEqual({ 'baseRequest.deadLine': String(expected) });
+    });
+
+    test('every replaced field is reported under resolved', () => {
+        const input = {
+            ...withBaseRequest({ fromToken: USDC, fromTokenAmount: '1.5 USDC', minReturnAmount: '0.0004 ETH', deadLine: '+20m' }),
+            batchesAmount: ['1.5 USDC']
+        };
+
+        expect(resolveHumanValues(input, { now: NOW }).resolved).toEqual({
+            'baseRequest.fromTokenAmount': '1500000',
+            'baseRequest.minReturnAmount': '400000000000000',
+            'baseRequest.deadLine': String(NOW + 1200),
+            'batchesAmount[0]': '1500000'
+        });
+    });
+
+    test('raw input is returned as it is', () => {
+        const result = resolveHumanValues(example, { now: NOW });
+
+        expect(result.json).toBe(example);
+        expect(result.resolved).toEqual({});
+    });
+
+    test('more decimals than the token has', () => {
+        expect(() => resolveHumanValues(withBaseRequest({ fromToken: USDC, fromTokenAmount: '1.1234567 USDC' }), { now: NOW }))
+            .toThrow('baseRequest.fromTokenAmount: 1.1234567 is not a decimal amount with at most 6 decimals');
+    });
+
+    test('an unknown symbol', () => {
+        expect(() => resolveHumanValues(withBaseRequest({ fromTokenAmount: '1 NOPE' }), { now: NOW }))
+            .toThrow('baseRequest.fromTokenAmount: unknown token symbol NOPE');
+    });
+
+    test('a symbol that is not the field token', () => {
+        expect(() => resolveHumanValues(withBaseRequest({ fromToken: USDC, fromTokenAmount: '1 DAI' }), { now: NOW }))
+            .toThrow(`baseRequest.fromTokenAmount: amount is in DAI but the token is USDC (${USDC})`);
+    });
+
+    test('a symbol with different decimals across chains needs a chain id', () => {
+        // The example's fromToken is not in the registry, so USDC is looked up by symbol
+        const input = withBaseRequest({ fromTokenAmount: '1.5 USDC' });
+
+        expect(() => resolveHumanValues(input, { now: NOW }))
+            .toThrow('baseRequest.fromTokenAmount: USDC has different decimals per chain');
+        expect(resolveHumanValues(input, { now: NOW, chainId: 1 }).resolved).toEqual({ 'baseRequest.fromTokenAmount': '1500000' });
+        expect(resolveHumanValues(input, { now: NOW, chainId: 56 }).resolved).toEqual({ 'baseRequest.fromTokenAmount': '1500000000000000000' });
+    });
+});
+
+describe('encodeWithResolvedInput', () => {
+    test('encodes the resolved values and echoes them', () => {
+        const input = withBaseRequest({ fromToken: USDC, fromTokenAmount: '1.5 USDC', deadLine: '+20m' });
+        const { calldata, json, resolved } = encodeWithResolvedInput(input, { now: NOW });
+
+        expect(resolved).toEqual({ 'baseRequest.fromTokenAmount': '1500000', 'baseRequest.deadLine': String(NOW + 1200) });
+        expect(calldata).toBe(encode(withBaseRequest({ fromToken: USDC, fromTokenAmount: '1500000', deadLine: String(NOW + 1200) })));
+        expect(encode(json)).toBe(calldata);
+    });
+});
@@ -0,0 +1,83 @@
+import { getEncodeSchema } from './encode_schemas.js';
+import { getSchemaCompletions, getSchemaHover, validateJsonSchema } from '../core/json_schema.js';
+import { findTokenAt, getJsonSyntaxError, indexJsonPaths, locateJsonPath, tokenizeJson } from '../core/json_text.js';
+import { describePackedField } from '../formatters/packed_fields.js';
+
+/**
+ * Language support for the Encode tab's JSON editor
+ *
+ * Diagnostics, completions and hover information are all derived from the encoder schema of the
+ * function named in the text (see encode_schemas.js), so the editor reports the same violations
+ * as encode() and needs nothing beyond the bundled scripts.
+ */
+
+/**
+ * Read the function name from encoder input; the JSON may be incomplete while typing
+ * @param {string} text - JSON text
+ * @returns {string|undefined} function name
+ */
+function getEncodeFunctionName(text) {
+    return text.match(/"function"\s*:\s*\{[^}]*"name"\s*:\s*"(\w+)"/)?.[1];
+}
+
+/**
+ * Find the problems to mark in the editor: the syntax error, or every schema violation
+ * @param {string} text - JSON text
+ * @returns {Array<Object>} [{ start, end, path, message }], path is null for syntax errors
+ */
+function getEncodeDiagnostics(text) {
+    if (text.trim() === '') return [];
+
+    const syntaxError = getJsonSyntaxError(text);
+    if (syntaxError) {
+        return [{ ...syntaxError, path: null }];
+    }
+
+    const jsonData = JSON.parse(text);
+    const errors = validateJsonSchema(getEncodeSchema(jsonData?.function?.name), jsonData);
+    if (errors.length === 0) return [];
+
+    const ranges = indexJsonPaths(text);
+    return errors.map(({ path, message }) => ({ ...locateJsonPath(text, ranges, path), path, message }));
+}
+
+/**
+ * Suggest keys and values for the caret position
+ * @param {string} text - JSON text
+ * @param {number} offset - caret offset
+ * @returns {Object|null} see getSchemaCompletions()
+ */
+function getEncodeCompletions(text, offset) {
+    return getSchemaCompletions(getEncodeSchema(getEncodeFunctionName(text)), text, offset);
+}
+
+/**
+ * Describe the key or value under the pointer
+ * @param {string} text - JSON text
+ * @param {number} offset - character offset under the pointer
+ * @returns {Object|null} { path, description, packed, start, end } where packed is the bit layout
+ *   from describePackedField() for fields stored in a packed word, or null
+ */
+function getEncodeHover(text, offset) {
+    const token = findTokenAt(tokenizeJson(text), offset);
+    if (!token || token.type === 'punctuation') return null;
+
+    const functionName = getEncodeFunctionName(text);
+    const hover = getSchemaHover(getEncodeSchema(functionName), text, token.start + 1);
+    if (!hover) return null;
+
+    return {
+        path: hover.path,
+        description: hover.description,
+        packed: describePackedField(functionName, hover.segments),
+        start: token.start,
+        end: token.end
+    };
+}
+
+export {
+    getEncodeCompletions,
+    getEncodeDiagnostics,
+    getEncodeFunctionName,
+    getEncodeHover
+};
@@ -0,0 +1,189 @@
+import { getEncodeParameterNames, getEncodeSchema } from './encode_schemas.js';
+import { schemaTypes, selectBranch } from '../core/json_schema.js';
+
+/**
+ * Form model of the encoder input
+ *
+ * The Encode tab's form mode renders the JSON it is given, field by field, with the input that the
+ * function's encoder schema asks for (see encode_schemas.js): checkboxes for flags, selects for enums
+ * and text inputs for addresses, amounts and raw words. Every edit produces a new JSON object, so
+ * the form and the JSON text are two views of the same value. New rows for batches, hops, paths,
+ * pools and rawData are copied from the function's example, or built from the schema when the
+ * example has none.
+ */
+
+// Placeholders for text inputs, by schema format
+const FORMAT_PLACEHOLDERS = {
+    address: '0x… (20 bytes)',
+    uint: 'integer, decimal or 0x hex',
+    amount: 'raw integer or "1.5 USDC"',
+    deadline: 'unix timestamp or "+20m"',
+    bytes: '0x… hex bytes',
+    bytes32: '0x… (32 bytes)'
+};
+
+const isObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Pick the schema branch for a value; without a value, the first branch (or the object branch
+ * when preferObject is set)
+ */
+function resolveBranch(schema, value, preferObject = false) {
+    if (!schema || !(schema.anyOf || schema.oneOf)) return schema || {};
+    const branches = schema.anyOf || schema.oneOf;
+    const branch = (value !== undefined && selectBranch(schema, value))
+        || (preferObject && branches.find(candidate => schemaTypes(candidate).includes('object')))
+        || branches[0];
+    return { description: schema.description, ...branch };
+}
+
+/**
+ * Describe how to render one value
+ * @param {Object} schema - schema of the value (may be undefined for fields the schema does not know)
+ * @param {*} value - current value
+ * @param {boolean} [preferObject] - without a value, render the object form of a packed word
+ * @returns {Object} { kind: 'object'|'array'|'boolean'|'enum'|'text', schema, description, options, placeholder }
+ */
+function getFormField(schema, value, preferObject = false) {
+    const branch = resolveBranch(schema, value, preferObject);
+    const types = schemaTypes(branch);
+    const field = { schema: branch, description: branch.description || '' };
+
+    if (branch.enum) return { ...field, kind: 'enum', options: branch.enum };
+    if (branch.const !== undefined) return { ...field, kind: 'enum', options: [branch.const] };
+    if (Array.isArray(value) || (value === undefined && types.includes('array'))) return { ...field, kind: 'array' };
+    if (isObject(value) || (value === undefined && types.includes('object'))) return { ...field, kind: 'object' };
+    if (typeof value === 'boolean' || (value === undefined && types.length === 1 && types[0] === 'boolean')) {
+        return { ...field, kind: 'boolean' };
+    }
+    return { ...field, kind: 'text', placeholder: FORMAT_PLACEHOLDERS[branch.format] || '' };
+}
+
+/**
+ * List the fields of an object value: schema properties that are set or required (in schema order),
+ * then keys the schema does not describe
+ * @param {Object} schema - object schema
+ * @param {Object} value - the object
+ * @returns {Array<string>} field names
+ */
+function getObjectFieldNames(schema, value) {
+    const properties = Object.keys(schema?.properties || {});
+    const required = new Set(schema?.required || []);
+    const known = properties.filter(key => value[key] !== undefined || required.has(key));
+    return [...known, ...Object.keys(value).filter(key => !properties.includes(key))];
+}
+
+/**
+ * Build an empty value for a schema (new array rows without an example to copy)
+ * @param {Object} schema - schema of the value
+ * @param {boolean} [preferObject] - build the object form when the schema also accepts other forms
+ * @returns {*} the value
+ */
+function createDefaultValue(schema, preferObject = false) {
+    const field = getFormField(schema, undefined, preferObject);
+    switch (field.kind) {
+        case 'enum': return field.options[0];
+        case 'boolean': return false;
+        case 'array': return [];
+        case 'object': {
+            const required = field.schema.required || Object.keys(field.schema.properties || {});
+            return Object.fromEntries(required.map(key => [key, createDefaultValue(field.schema.properties?.[key])]));
+        }
+        default:
+            return field.schema.format === 'address' ? '0x0000000000000000000000000000000000000000' : '';
+    }
+}
+
+/**
+ * Read the value at a path
+ */
+function getValueAtPath(value, segments) {
+    return segments.reduce((current, segment) => (current === null || current === undefined ? undefined : current[segment]), value);
+}
+
+/**
+ * Build a new row for the array at a path: a copy of the matching row of the function's example
+ * (every index taken as 0), or an empty value built from the schema
+ * @param {Object|null} example - the function's example JSON
+ * @param {Array<string|number>} segments - path of the array
+ * @param {Object} itemSchema - schema of the array items
+ * @returns {*} the new row
+ */
+function createArrayItem(example, segments, itemSchema) {
+    const templatePath = [...segments.map(segment => (typeof segment === 'number' ? 0 : segment)), 0];
+    const template = getValueAtPath(example, templatePath);
+    return template !== undefined ? JSON.parse(JSON.stringify(template)) : createDefaultValue(itemSchema, true);
+}
+
+/**
+ * Return a copy of a value with the value at a path replaced (removed when undefined)
+ * Array rows are removed with splice so later rows move up
+ * @param {*} value - root value
+ * @param {Array<string|number>} segments - path
+ * @param {*} newValue - the new value
+ * @returns {*} the updated copy
+ */
+function setValueAtPath(value, segments, newValue) {
+    if (segments.length === 0) return newValue;
+    const [segment, ...rest] = segments;
+    const copy = Array.isArray(value) ? [...value] : { ...value };
+    const updated = setValueAtPath(copy[segment], rest, newValue);
+
+    if (updated !== undefined) {
+        copy[segment] = updated;
+    } else if (Array.isArray(copy)) {
+        copy.splice(segment, 1);
+    } else {
+        delete copy[segment];
+    }
+    return copy;
+}
+
+/**
+ * Convert the text of an input back to a JSON value, keeping numbers numbers
+ * @param {string} text - input text
+ * @param {*} previous - the value being replaced
+ * @returns {string|number} the new value
+ */
+function parseFormInput(text, previous) {
+    if (typeof previous === 'number' && /^-?[0-9]+(\.[0-9]+)?$/.test(text) && Number.isSafeInteger(Math.trunc(Number(text)))) {
+        return Number(text);
+    }
+    return text;
+}
+
+/**
+ * Get the form of the encoder input in a JSON text
+ * @param {string} text - JSON text of the encoder input
+ * @returns {Object} { json, functionName, schema, fields } when the text can be shown as a form,
+ *   otherwise { error } explaining why not
+ */
+function getEncodeForm(text) {
+    if (text.trim() === '') {
+        return { error: 'Select a function to fill in its form' };
+    }
+
+    let json;
+    try {
+        json = JSON.parse(text);
+    } catch (error) {
+        return { error: `The JSON has a syntax error (${error.message}); fix it in the editor to use the form` };
+    }
+
+    const functionName = json?.function?.name;
+    const fields = getEncodeParameterNames(functionName);
+    if (!isObject(json) || fields.length === 0) {
+        return { error: 'The JSON does not name a known function; select one to fill in its form' };
+    }
+    return { json, functionName, schema: getEncodeSchema(functionName), fields };
+}
+
+export {
+    createArrayItem,
+    createDefaultValue,
+    getEncodeForm,
+    getFormField,
+    getObjectFieldNames,
+    parseFormInput,
+    setValueAtPath
+};
@@ -1,31 +1,15 @@
-import { ethers } from 'ethers';
-import { DEXROUTER_ABI } from '../core/abi.js';
-import {
-    prepareSmartSwapByOrderIdParams,
-    prepareSmartSwapByInvestParams,
-    prepareSmartSwapByInvestWithRefundParams,
-    prepareUniswapV3SwapToParams,
-    prepareSmartSwapToParams,
-    prepareUnxswapByOrderIdParams,
-    prepareUnxswapToParams,
-    prepareUniswapV3SwapToWithBaseRequestParams,
-    prepareUnxswapToWithBaseRequestParams,
-    prepareSwapWrapParams,
-    prepareSwapWrapToWithBaseRequestParams,
-    prepareDagSwapByOrderIdParams,
-    prepareDagSwapToParams,
-    prepareApproveParams
-} from '../formatters/encode_parameters.js';
-
-// Initialize interface once
-const contractInterface = new ethers.utils.Interface(DEXROUTER_ABI);
+import { getDexRouterVersion } from '../core/abi_registry.js';
+import { getFunctionDefinition } from '../core/function_registry.js';
+import { getParamCodec } from '../formatters/param_codecs.js';
+import { validateEncodeInput } from './encode_schemas.js';
 
 /**
  * Encode function parameters to calldata
  * @param {Object} jsonData - The JSON data containing function and parameters
+ * @param {string} [version] - DexRouter release to encode for (defaults to function.version, then the newest release)
  * @returns {string} The encoded calldata
  */
-export function encodeFunctions(jsonData) {
+export function encodeFunctions(jsonData, version) {
     try {
         // Validate input
         if (!jsonData || !jsonData.function) {
@@ -38,17 +22,28 @@ export function encodeFunctions(jsonData) {
             throw new Error('Invalid function information: missing name or selector');
         }
 
-        // Find the function fragment
-        const fragment = contractInterface.getFunction(funcInfo.name);
+        // Find the function fragment in the targeted release
+        const versionEntry = getDexRouterVersion(version || funcInfo.version);
+        const fragment = Object.values(versionEntry.iface.functions).find(f => f.name === funcInfo.name);
         if (!fragment) {
-            throw new Error(`Function ${funcInfo.name} not found in ABI`);
+            throw new Error(`Function ${funcInfo.name} not found in DexRouter ${versionEntry.version} ABI`);
+        }
+
+        // Report every schema violation with its path before packing anything
+        const errors = validateEncodeInput(jsonData);
+        if (errors.length > 0) {
+            throw new Error(errors.join('; '));
+        }
+
+        if (!versionEntry.packing.transferModes) {
+            validateNoTransferModes(jsonData, versionEntry.version);
         }
 
         // Prepare parameters based on function type
         const params = prepareParameters(jsonData, fragment);
         
         // Encode the function call
-        const encodedCalldata = contractInterface.encodeFunctionData(fragment, params);
+        const encodedCalldata = versionEntry.iface.encodeFunctionData(fragment, params);
         
         return encodedCalldata;
         
@@ -58,43 +53,44 @@ export function encodeFunctions(jsonData) {
 }
 
 /**
- * Prepare parameters for encoding based on function signature
+ * Reject RouterPath fromToken transfer modes for releases that do not pack them
+ * @param {Object} jsonData - The JSON data
+ * @param {string} version - The targeted DexRouter release
+ */
+function validateNoTransferModes(jsonData, version) {
+    const routerPaths = [...(jsonData.batches || []).flat(), ...(jsonData.paths || [])];
+    const withMode = routerPaths.find(routerPath =>
+        routerPath?.fromToken?.flag && routerPath.fromToken.flag !== 'DEFAULT'
+    );
+    if (withMode) {
+        throw new Error(`DexRouter ${version} does not support fromToken transfer mode ${withMode.fromToken.flag}`);
+    }
+}
+
+/**
+ * Prepare parameters for encoding from the function's definition (see core/function_registry.js)
  * @param {Object} jsonData - The JSON data
  * @param {Object} fragment - The function fragment from ABI
  * @returns {Array} Array of parameters ready for encoding
  */
 function prepareParameters(jsonData, fragment) {
-    // Handle different function types
-    switch (fragment.name) {
-        case 'smartSwapByOrderId':
-            return prepareSmartSwapByOrderIdParams(jsonData);
-        case 'smartSwapByInvest':
-            return prepareSmartSwapByInvestParams(jsonData);
-        case 'smartSwapByInvestWithRefund':
-            return prepareSmartSwapByInvestWithRefundParams(jsonData);
-        case 'uniswapV3SwapTo':
-            return prepareUniswapV3SwapToParams(jsonData);
-        case 'smartSwapTo':
-            return prepareSmartSwapToParams(jsonData);
-        case 'unxswapByOrderId':
-            return prepareUnxswapByOrderIdParams(jsonData);
-        case 'unxswapTo':
-            return prepareUnxswapToParams(jsonData);
-        case 'uniswapV3SwapToWithBaseRequest':
-            return prepareUniswapV3SwapToWithBaseRequestParams(jsonData);
-        case 'unxswapToWithBaseRequest':
-            return prepareUnxswapToWithBaseRequestParams(jsonData);
-        case 'swapWrap':
-            return prepareSwapWrapParams(jsonData);
-        case 'swapWrapToWithBaseRequest':
-            return prepareSwapWrapToWithBaseRequestParams(jsonData);
-        case 'dagSwapByOrderId':
-            return prepareDagSwapByOrderIdParams(jsonData);
-        case 'dagSwapTo':
-            return prepareDagSwapToParams(jsonData);
-        case 'approve':
-            return prepareApproveParams(jsonData);
-        default:
-            throw new Error(`Unsupported function: ${fragment.name}`);
+    const definition = getFunctionDefinition(fragment.name);
+    if (!definition) {
+        throw new Error(`Unsupported function: ${fragment.name}`);
+    }
+
+    const missing = definition.params.filter(param =>
+        !param.optional && (jsonData[param.name] === undefined || jsonData[param.name] === null)
+    );
+    if (missing.length > 0) {
+        throw new Error(`Missing required parameters for ${fragment.name}: ${missing.map(param => param.name).join(', ')}`);
     }
-}
\ No newline at end of file
+
+    return fragment.inputs.map(input => {
+        const param = definition.params.find(p => p.name === input.name);
+        if (!param) {
+            throw new Error(`Parameter ${input.name} of ${fragment.name} has no definition`);
+        }
+        return getParamCodec(param.codec).encode(jsonData[param.name], jsonData);
+    });
+}
@@ -1,30 +1,58 @@
+import { getDexRouterVersion } from '../core/abi_registry.js';
 import { encodeFunctions } from './encode_functions.js';
 import { addCommissionToCalldata, validateCommissionData } from './encode_commission.js';
 import { addTrimToCalldata, validateTrimData } from './encode_trim.js';
+import { resolveHumanValues } from './encode_amounts.js';
 
 /**
  * Main encode entry point - orchestrates all encoding functionality
+ * Amounts may be given in token units ("1.5 USDC") and deadlines relative to now ("+20m"),
+ * see encode_amounts.js
  * @param {Object} jsonData - The JSON object from decode_calldata
+ * @param {Object} [options] - { version } DexRouter release to target (defaults to function.version, then the newest release),
+ *   { chainId, now } for resolving token units and relative deadlines
  * @returns {string} The encoded calldata string
  */
-export function encode(jsonData) {
+export function encode(jsonData, options = {}) {
+    return encodeWithResolvedInput(jsonData, options).calldata;
+}
+
+/**
+ * Encode and also return the input with human-unit values replaced by the raw values that were encoded
+ * Validate against `json` (not the original input) to compare exactly
+ * @param {Object} jsonData - The JSON object from decode_calldata
+ * @param {Object} [options] - see encode()
+ * @returns {Object} { calldata, json, resolved: { [path]: raw value } }
+ */
+export function encodeWithResolvedInput(jsonData, options = {}) {
     try {
+        const version = options.version || jsonData?.function?.version;
+        const { packing } = getDexRouterVersion(version);
         
+        // Step 0: Replace token-unit amounts and relative deadlines with raw values
+        const { json, resolved } = resolveHumanValues(jsonData, options);
+
         // Step 1: Encode the basic function parameters
-        let encodedCalldata = encodeFunctions(jsonData);
+        let encodedCalldata = encodeFunctions(json, version);
         
         // Step 2: Add trim encoding (when needed) - trim comes first
-        if (jsonData.hasTrim) {
-            validateTrimData(jsonData);
-            encodedCalldata = addTrimToCalldata(encodedCalldata, jsonData);
+        if (json.hasTrim) {
+            if (!packing.trim) {
+                throw new Error(`DexRouter ${version} does not support trim data`);
+            }
+            validateTrimData(json);
+            encodedCalldata = addTrimToCalldata(encodedCalldata, json);
         }
         
         // Step 3: Add commission encoding (when needed) - commission comes last
-        if (jsonData.hasCommission) {
-            validateCommissionData(jsonData);
-            encodedCalldata = addCommissionToCalldata(encodedCalldata, jsonData);
+        if (json.hasCommission) {
+            if (!packing.commission) {
+                throw new Error(`DexRouter ${version} does not support commission data`);
+            }
+            validateCommissionData(json);
+            encodedCalldata = addCommissionToCalldata(encodedCalldata, json);
         }
-        return encodedCalldata;
+        return { calldata: encodedCalldata, json, resolved };
         
     } catch (error) {
         throw new Error(error.message);
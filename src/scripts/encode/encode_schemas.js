@@ -0,0 +1,430 @@
+import { getFunctionDefinitions, isSwapFunction } from '../core/function_registry.js';
+import { formatSchemaErrors, validateJsonSchema } from '../core/json_schema.js';
+
+/**
+ * JSON Schemas for the encoder input format, one per router function
+ *
+ * The schemas describe the JSON produced by resolve() and accepted by encode(): packed words
+ * (rawData, pools, srcToken, receiver, fromToken mode flags) may be given either in their object
+ * form or already packed. Amounts may also be given in token units and deadlines as relative times;
+ * encode() resolves both before validating. Fields the encoder ignores (amounts, warnings, ...) are allowed.
+ * encodeFunctions() validates its input against them; EncodeCalldata uses them for completion.
+ */
+
+const UINT_PATTERN = '^(0x[0-9a-fA-F]+|[0-9]+)$';
+
+const uint = (description, bounds = {}) => ({
+    description,
+    type: ['string', 'integer'],
+    format: 'uint',
+    pattern: UINT_PATTERN,
+    minimum: 0,
+    ...bounds
+});
+
+const address = (description) => ({
+    description,
+    type: 'string',
+    format: 'address',
+    pattern: '^0x[0-9a-fA-F]{40}$'
+});
+
+const bytes = (description) => ({
+    description,
+    type: 'string',
+    format: 'bytes',
+    pattern: '^0x([0-9a-fA-F]{2})*$'
+});
+
+// Amounts may also be written in token units, deadlines relative to now (see encode_amounts.js)
+const amount = (description) => ({
+    description,
+    anyOf: [
+        {
+            type: ['string', 'integer'],
+            format: 'amount',
+            pattern: '^(0x[0-9a-fA-F]+|[0-9]+|[0-9][0-9,]*(\\.[0-9]+)?\\s+\\S+)$',
+            minimum: 0
+        },
+        {
+            type: 'object',
+            required: ['value', 'decimals'],
+            properties: {
+                value: { description: 'Amount in token units, e.g. "1.5"', type: ['string', 'number'] },
+                decimals: { description: 'Token decimals', type: 'integer', minimum: 0, maximum: 255 }
+            }
+        }
+    ]
+});
+
+const deadline = (description) => ({
+    description,
+    type: ['string', 'integer'],
+    format: 'deadline',
+    pattern: '^(0x[0-9a-fA-F]+|[0-9]+|\\+\\s*[0-9]+\\s*[smhd]?)$',
+    minimum: 0
+});
+
+const boolean = (description) => ({ description, type: 'boolean' });
+
+const arrayOf = (items, description) => ({ description, type: 'array', items });
+
+// Decoded adapter payloads (see formatters/adapter_data.js)
+const layoutPayload = (description) => ({
+    description,
+    type: 'object',
+    required: ['layout', 'fields'],
+    properties: {
+        layout: { description: 'Registered layout name', type: 'string' },
+        inferred: { description: 'Matched by payload shape alone, not by adapter address', type: 'boolean' },
+        fields: { description: 'Decoded fields of the layout', type: 'object' }
+    }
+});
+
+// ============================================================================
+// Shared structures
+// ============================================================================
+
+const BASE_REQUEST = {
+    description: 'BaseRequest tuple',
+    type: 'object',
+    required: ['fromToken', 'toToken', 'fromTokenAmount', 'minReturnAmount', 'deadLine'],
+    properties: {
+        fromToken: uint('Source token address (uint256)'),
+        toToken: address('Destination token address'),
+        fromTokenAmount: amount('Amount of fromToken to swap'),
+        minReturnAmount: amount('Minimum amount of toToken to receive'),
+        deadLine: deadline('Unix timestamp after which the swap reverts')
+    }
+};
+
+const FROM_TOKEN = {
+    description: 'RouterPath fromToken: packed uint256, or address with transfer mode flag',
+    anyOf: [
+        uint('Packed fromToken (address | mode flag)'),
+        {
+            type: 'object',
+            required: ['address'],
+            properties: {
+                address: address('Token address'),
+                flag: {
+                    description: 'Transfer mode',
+                    enum: ['DEFAULT', 'NO_TRANSFER', 'BY_INVEST', 'PERMIT2']
+                }
+            }
+        }
+    ]
+};
+
+const ADAPTER_EXTRA_DATA = {
+    description: 'Adapter payload: raw bytes, or a decoded layout',
+    anyOf: [bytes('Raw adapter payload'), layoutPayload('Decoded adapter payload')]
+};
+
+const routerPath = (rawData) => ({
+    description: 'RouterPath tuple',
+    type: 'object',
+    required: ['mixAdapters', 'assetTo', 'rawData', 'extraData', 'fromToken'],
+    properties: {
+        mixAdapters: arrayOf(address('Adapter address'), 'Adapters, one per pool'),
+        assetTo: arrayOf(address('Recipient of the input tokens'), 'Asset recipients, one per pool'),
+        rawData: arrayOf(rawData, 'Packed pool data, one per pool'),
+        extraData: arrayOf(ADAPTER_EXTRA_DATA, 'Adapter payloads, one per pool'),
+        fromToken: FROM_TOKEN
+    }
+});
+
+const RAW_DATA = {
+    description: 'Pool rawData: packed uint256, or { poolAddress, reverse, weight }',
+    anyOf: [
+        uint('Packed rawData'),
+        {
+            type: 'object',
+            required: ['poolAddress', 'weight'],
+            properties: {
+                poolAddress: address('Pool address'),
+                reverse: boolean('Swap token1 -> token0'),
+                weight: uint('Share of the hop amount, in basis points of 10000', { maximum: 10000 })
+            }
+        }
+    ]
+};
+
+const DAG_RAW_DATA = {
+    description: 'DAG pool rawData: packed uint256, or { poolAddress, reverse, weight, inputIndex, outputIndex }',
+    anyOf: [
+        uint('Packed rawData'),
+        {
+            type: 'object',
+            required: ['poolAddress', 'weight', 'inputIndex', 'outputIndex'],
+            properties: {
+                poolAddress: address('Pool address'),
+                reverse: boolean('Swap token1 -> token0'),
+                weight: uint('Share of the input node amount, in basis points of 10000', { maximum: 10000 }),
+                inputIndex: uint('Input node index', { maximum: 255 }),
+                outputIndex: uint('Output node index', { maximum: 255 })
+            }
+        }
+    ]
+};
+
+const SMART_SWAP_EXTRA_DATA = {
+    description: 'ExtraData tuple: named object, or positional array',
+    anyOf: [
+        { type: 'array' },
+        {
+            type: 'object',
+            required: ['fromToken', 'toToken', 'receiver', 'payer', 'fromTokenAmount', 'minReturnAmount', 'deadLine', 'orderId'],
+            properties: {
+                fromToken: uint('Source token address (uint256)'),
+                toToken: address('Destination token address'),
+                receiver: address('Receiver address'),
+                payer: address('Payer address'),
+                fromTokenAmount: amount('Amount of fromToken'),
+                minReturnAmount: amount('Minimum amount of toToken'),
+                deadLine: deadline('Unix timestamp deadline'),
+                orderId: uint('Order id'),
+                isToB: boolean('Order placed by a business partner'),
+                settlerData: {
+                    description: 'Settler payload (raw bytes)',
+                    anyOf: [bytes('Raw settler payload'), { type: 'null' }]
+                }
+            }
+        }
+    ]
+};
+
+const UNXSWAP_POOL = {
+    description: 'Unxswap pool: packed bytes32, or its fields',
+    anyOf: [
+        { description: 'Packed pool', type: 'string', format: 'bytes32', pattern: '^0x[0-9a-fA-F]{64}$' },
+        {
+            type: 'object',
+            required: ['address', 'numerator'],
+            properties: {
+                address: address('Pool address'),
+                numerator: uint('Fee numerator (e.g. 997000000 for 0.3%)', { maximum: 4294967295 }),
+                isOneForZero: boolean('Swap token1 -> token0'),
+                WETH: boolean('Unwrap WETH after the last pool'),
+                isToken0Tax: boolean('token0 is a fee-on-transfer token'),
+                isToken1Tax: boolean('token1 is a fee-on-transfer token')
+            }
+        }
+    ]
+};
+
+const UNISWAP_V3_POOL = {
+    description: 'Uniswap V3 pool: packed uint256, or its fields',
+    anyOf: [
+        uint('Packed pool'),
+        {
+            type: 'object',
+            required: ['pool'],
+            properties: {
+                pool: address('Pool address'),
+                isOneForZero: boolean('Swap token1 -> token0'),
+                wethUnwrap: boolean('Unwrap WETH after the last pool')
+            }
+        }
+    ]
+};
+
+const COMMISSION_BLOCK = {
+    description: 'Commission block',
+    type: 'object',
+    required: ['flag', 'rate', 'address'],
+    properties: {
+        flag: { description: 'Commission flag', type: 'string', format: 'commission-flag', pattern: '^0x[0-9a-fA-F]{12}$' },
+        commissionType: { description: 'Commission type (informational)', type: 'string' },
+        rate: uint('Commission rate, out of 10^9'),
+        address: address('Commission receiver')
+    }
+};
+
+// Commission and trim suffix fields (see encode_commission.js, encode_trim.js)
+const SUFFIX_PROPERTIES = {
+    hasCommission: boolean('Append commission blocks'),
+    referCount: { description: 'Number of commission receivers', type: 'integer', minimum: 1, maximum: 8 },
+    middle: {
+        description: 'Commission middle block',
+        type: 'object',
+        required: ['token'],
+        properties: {
+            isToB: boolean('Commission for a business partner'),
+            token: address('Commission token')
+        }
+    },
+    ...Object.fromEntries(['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'last']
+        .map(ordinal => [ordinal, COMMISSION_BLOCK])),
+    hasTrim: { description: 'Append trim blocks ("toB" / "toC")', enum: [false, true, 'toB', 'toC'] },
+    trimRate: uint('Trim rate'),
+    trimAddress: address('Trim receiver'),
+    expectAmountOut: amount('Expected output amount before trim'),
+    chargeRate: uint('Charge rate (dual trim)'),
+    chargeAddress: address('Charge receiver (dual trim)')
+};
+
+// ============================================================================
+// Function parameters
+// ============================================================================
+
+// Parameter codec -> JSON shape, given the parameter description (see core/function_registry.js)
+const CODEC_SCHEMAS = {
+    uint: description => uint(description),
+    address: description => address(description),
+    amount: description => amount(description),
+    baseRequest: description => ({ ...BASE_REQUEST, description }),
+    baseRequestWithOrderId: description => ({ ...BASE_REQUEST, description }),
+    batchesAmount: description => arrayOf(amount('Amount routed through the batch'), description),
+    batches: description => arrayOf(arrayOf(routerPath(RAW_DATA), 'Hops of the batch'), description),
+    dagPaths: description => arrayOf(routerPath(DAG_RAW_DATA), description),
+    settlerOrders: description => arrayOf(SMART_SWAP_EXTRA_DATA, description),
+    srcToken: description => address(description),
+    packedReceiver: description => ({
+        description,
+        anyOf: [
+            address('Receiver address'),
+            {
+                type: 'object',
+                required: ['address'],
+                properties: { orderId: uint('Order id'), address: address('Receiver address') }
+            }
+        ]
+    }),
+    unxswapPools: description => arrayOf(UNXSWAP_POOL, description),
+    uniswapV3Pools: description => arrayOf(UNISWAP_V3_POOL, description),
+    swapWrapRawdata: description => ({
+        description,
+        anyOf: [
+            uint('Packed rawdata'),
+            {
+                type: 'object',
+                required: ['amount'],
+                properties: {
+                    reversed: boolean('Unwrap WETH -> ETH instead of wrapping'),
+                    amount: uint('Amount to wrap or unwrap')
+                }
+            }
+        ]
+    })
+};
+
+/**
+ * Build the required fields and properties of a function from its definition
+ * A parameter that packs the orderId adds an optional top-level orderId
+ * @returns {Object} { required, properties }
+ */
+function buildFunctionParameters(definition) {
+    const properties = {};
+    definition.params.filter(param => param.packsOrderId).forEach(param => {
+        properties.orderId = uint(`Order id, packed into ${param.name}`);
+    });
+    definition.params.forEach(param => {
+        const schema = CODEC_SCHEMAS[param.codec];
+        if (!schema) {
+            throw new Error(`${definition.name}.${param.name}: no schema for codec ${param.codec}`);
+        }
+        properties[param.name] = schema(param.description);
+    });
+
+    return {
+        required: definition.params.filter(param => !param.optional).map(param => param.name),
+        properties
+    };
+}
+
+// name -> { required, properties }
+const FUNCTION_PARAMETERS = Object.fromEntries(
+    getFunctionDefinitions().map(definition => [definition.name, buildFunctionParameters(definition)])
+);
+
+/**
+ * Build the schema of one function
+ */
+function buildFunctionSchema(name) {
+    const { required, properties } = FUNCTION_PARAMETERS[name];
+    return {
+        $schema: 'http://json-schema.org/draft-07/schema#',
+        title: `${name} encoder input`,
+        type: 'object',
+        required: ['function', ...required],
+        properties: {
+            function: {
+                description: 'Function to encode',
+                type: 'object',
+                required: ['name', 'selector'],
+                properties: {
+                    name: { description: 'Function name', const: name },
+                    selector: { description: '4-byte selector', type: 'string', format: 'selector', pattern: '^0x[0-9a-fA-F]{8}$' },
+                    version: { description: 'DexRouter release to encode for', type: 'string' }
+                }
+            },
+            ...properties,
+            ...(isSwapFunction(name) ? SUFFIX_PROPERTIES : {})
+        }
+    };
+}
+
+const ENCODE_SCHEMAS = Object.fromEntries(Object.keys(FUNCTION_PARAMETERS).map(name => [name, buildFunctionSchema(name)]));
+
+// Used before a function is chosen: only offers the function names
+const FUNCTION_CHOICE_SCHEMA = {
+    type: 'object',
+    required: ['function'],
+    properties: {
+        function: {
+            type: 'object',
+            required: ['name', 'selector'],
+            properties: {
+                name: { description: 'Function name', enum: Object.keys(FUNCTION_PARAMETERS) },
+                selector: { description: '4-byte selector', type: 'string' }
+            }
+        }
+    }
+};
+
+/**
+ * Get the names of all functions with a schema
+ * @returns {Array<string>} function names
+ */
+function getEncodeSchemaNames() {
+    return Object.keys(ENCODE_SCHEMAS);
+}
+
+/**
+ * Get the JSON Schema of a function's encoder input
+ * @param {string} [functionName] - router function name
+ * @returns {Object} the schema; a schema that only offers the function names when the name is unknown
+ */
+function getEncodeSchema(functionName) {
+    return ENCODE_SCHEMAS[functionName] || FUNCTION_CHOICE_SCHEMA;
+}
+
+/**
+ * Get the top-level parameter names of a function's encoder input, in signature order
+ * (orderId first when it is packed into another parameter); commission and trim fields are not included
+ * @param {string} functionName - router function name
+ * @returns {Array<string>} parameter names, empty for unknown functions
+ */
+function getEncodeParameterNames(functionName) {
+    return Object.keys(FUNCTION_PARAMETERS[functionName]?.properties || {});
+}
+
+/**
+ * Validate encoder input against the schema of its function
+ * Functions without a schema are left to the encoder
+ * @param {Object} jsonData - encoder input
+ * @returns {Array<string>} error messages ("batches[1][0].rawData[2].weight: must be <= 10000"), empty when valid
+ */
+function validateEncodeInput(jsonData) {
+    const schema = ENCODE_SCHEMAS[jsonData?.function?.name];
+    if (!schema) return [];
+    return formatSchemaErrors(validateJsonSchema(schema, jsonData));
+}
+
+export {
+    getEncodeParameterNames,
+    getEncodeSchema,
+    getEncodeSchemaNames,
+    validateEncodeInput
+};
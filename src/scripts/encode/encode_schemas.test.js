@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import { getDexRouterVersion } from '../core/abi_registry.js';
+import { encode } from './encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { getEncodeSchema, getEncodeSchemaNames, validateEncodeInput } from './encode_schemas.js';
+
+const EXAMPLES_DIR = path.join(__dirname, '../examples');
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(EXAMPLES_DIR, `${name}.json`), 'utf8'));
+const clone = value => JSON.parse(JSON.stringify(value));
+const functionInfo = name => ({ name, selector: getDexRouterVersion().iface.getSighash(name) });
+
+const EXAMPLES = Object.fromEntries(fs.readdirSync(EXAMPLES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .map(file => path.basename(file, '.json'))
+    .map(name => [name, loadExample(name)]));
+
+// Functions without an example file, built from the example of a function with the same parameters
+const { baseRequest, batchesAmount, batches, receiver } = EXAMPLES.smartSwapTo;
+const VALID_INPUTS = {
+    ...EXAMPLES,
+    smartSwapByInvest: { function: functionInfo('smartSwapByInvest'), baseRequest, batchesAmount, batches, extraData: [], to: receiver },
+    smartSwapByInvestWithRefund: {
+        function: functionInfo('smartSwapByInvestWithRefund'),
+        baseRequest,
+        batchesAmount,
+        batches,
+        extraData: [],
+        to: receiver,
+        refundTo: receiver
+    },
+    swapWrapToWithBaseRequest: { function: functionInfo('swapWrapToWithBaseRequest'), orderId: '1', receiver, baseRequest }
+};
+
+describe('validateEncodeInput', () => {
+    test.each(getEncodeSchemaNames())('a valid %s input has no errors', name => {
+        const input = VALID_INPUTS[name];
+
+        expect(input.function.name).toBe(name);
+        expect(validateEncodeInput(input)).toEqual([]);
+    });
+
+    test.each(Object.keys(EXAMPLES))('the decoded %s example is valid encoder input', name => {
+        expect(validateEncodeInput(resolve(encode(EXAMPLES[name])))).toEqual([]);
+    });
+
+    test('a rawData weight above 10000', () => {
+        const input = clone(EXAMPLES.smartSwapTo);
+        input.batches[0][0].rawData[0].weight = '10001';
+
+        expect(validateEncodeInput(input)).toEqual(['batches[0][0].rawData[0].weight: must be <= 10000']);
+        expect(() => encode(input)).toThrow('batches[0][0].rawData[0].weight: must be <= 10000');
+    });
+
+    test('an unxswap pool numerator above uint32', () => {
+        const input = clone(EXAMPLES.unxswapTo);
+        input.pools[0].numerator = '4294967296';
+
+        expect(validateEncodeInput(input)).toEqual(['pools[0].numerator: must be <= 4294967295']);
+    });
+
+    test('every violation is reported with its path', () => {
+        const input = clone(EXAMPLES.smartSwapTo);
+        delete input.baseRequest.deadLine;
+        input.receiver = '0x1234';
+        input.batches[0][0].fromToken.flag = 'SOMETIMES';
+
+        expect(validateEncodeInput(input)).toEqual([
+            'receiver: must be a 0x-prefixed 20-byte address',
+            'baseRequest.deadLine: is required',
+            expect.stringMatching(/^batches\[0\]\[0\]\.fromToken\.flag: must be one of /)
+        ]);
+    });
+
+    test('a packed pool must be a full bytes32', () => {
+        const input = clone(EXAMPLES.unxswapTo);
+        input.pools = ['0x' + 'ab'.repeat(32)];
+        expect(validateEncodeInput(input)).toEqual([]);
+
+        input.pools = ['0x' + 'ab'.repeat(31)];
+        expect(validateEncodeInput(input)).toHaveLength(1);
+        expect(validateEncodeInput(input)[0]).toMatch(/^pools\[0\]: /);
+    });
+
+    test('functions without a schema are left to the encoder', () => {
+        expect(validateEncodeInput({ function: { name: 'nope' } })).toEqual([]);
+        expect(getEncodeSchema('nope').properties.function.properties.name.enum).toEqual(getEncodeSchemaNames());
+    });
+});
@@ -2,37 +2,21 @@
  * Utility functions for handling JSON function examples and configurations
  */
 
-// Import all JSON examples
-import smartSwapByOrderId from '../examples/smartSwapByOrderId.json';
-import smartSwapTo from '../examples/smartSwapTo.json';
-import swapWrap from '../examples/swapWrap.json';
-import uniswapV3SwapTo from '../examples/uniswapV3SwapTo.json';
-import uniswapV3SwapToWithBaseRequest from '../examples/uniswapV3SwapToWithBaseRequest.json';
-import unxswapByOrderId from '../examples/unxswapByOrderId.json';
-import unxswapTo from '../examples/unxswapTo.json';
-import unxswapToWithBaseRequest from '../examples/unxswapToWithBaseRequest.json';
-import dagSwapByOrderId from '../examples/dagSwapByOrderId.json';
-import dagSwapTo from '../examples/dagSwapTo.json';
-import approve from '../examples/approve.json';
+import { getExampleFunctions } from '../core/function_registry.js';
+
+// Every example file, bundled by webpack; the registry decides which are listed and in what order
+const exampleFiles = require.context('../examples', false, /\.json$/);
 
 /**
- * Get all available function examples
+ * Get all available function examples, in the order the Encode tab lists them
+ * (the `example` entries of core/function_registry.js; functions without one are not listed)
  * @returns {Array} Array of example objects with name and data
  */
 export const getFunctionExamples = () => {
-    return [
-        { name: 'smartSwapByOrderId', data: smartSwapByOrderId },
-        { name: 'smartSwapTo', data: smartSwapTo },
-        { name: 'uniswapV3SwapTo', data: uniswapV3SwapTo },
-        { name: 'uniswapV3SwapToWithBaseRequest', data: uniswapV3SwapToWithBaseRequest },
-        { name: 'unxswapByOrderId', data: unxswapByOrderId },
-        { name: 'unxswapTo', data: unxswapTo },
-        { name: 'unxswapToWithBaseRequest', data: unxswapToWithBaseRequest },
-        { name: 'dagSwapByOrderId', data: dagSwapByOrderId },
-        { name: 'dagSwapTo', data: dagSwapTo },
-        { name: 'swapWrap', data: swapWrap },
-        { name: 'approve', data: approve }
-    ];
+    return getExampleFunctions().map(definition => ({
+        name: definition.name,
+        data: exampleFiles(`./${definition.example.file}`)
+    }));
 };
 
 /**
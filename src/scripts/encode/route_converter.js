@@ -0,0 +1,577 @@
+import { ethers } from 'ethers';
+import { getDexRouterVersion } from '../core/abi_registry.js';
+import { getFunctionDefinitions } from '../core/function_registry.js';
+
+/**
+ * Convert a decoded route between DexRouter function families
+ *
+ * Families: smartSwap (batches), dagSwap (paths), unxswap (Uniswap V2-style pools) and
+ * uniswapV3 (V3 pools). The converter fills the target's BaseRequest, receiver and route
+ * structure from the source and reports what could not be carried over:
+ *
+ *   missing  - target fields the source does not contain; left as null so encode() reports them
+ *              (e.g. adapter addresses and intermediate tokens for unxswap -> smartSwap)
+ *   dropped  - source information the target cannot express (e.g. deadLine for unxswapTo)
+ *   inferred - target fields derived by convention rather than copied (e.g. assetTo = pair)
+ *
+ * Each entry is { path, message }, with paths into the converted JSON (dropped: the source JSON).
+ * Conversions that would change the swap itself (splits into pools of another protocol,
+ * merging DAG nodes into batches, settler orders) throw instead.
+ */
+
+const NATIVE_TOKEN = '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee';
+const FULL_WEIGHT = 10000;
+
+// Commission and trim suffix fields, carried over unchanged
+const SUFFIX_KEYS = [
+    'hasCommission', 'referCount', 'middle', 'first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'last',
+    'hasTrim', 'trimRate', 'trimAddress', 'expectAmountOut', 'chargeRate', 'chargeAddress'
+];
+
+const ROUTES = { smartSwap: 'batches', dagSwap: 'dag', unxswap: 'pools', uniswapV3: 'pools' };
+
+/**
+ * Describe a function definition for conversion (see core/function_registry.js)
+ * The ByInvest variants take tokens already held by the router, so they are only converted from
+ * @returns {Object} { route: 'batches' | 'dag' | 'pools', pool, receiver, baseRequest, srcToken, sourceOnly }
+ */
+function describeFamily(definition) {
+    const has = name => definition.params.some(param => param.name === name);
+    return {
+        route: ROUTES[definition.family],
+        ...(ROUTES[definition.family] === 'pools' ? { pool: definition.family } : {}),
+        receiver: has('receiver') || has('to'),
+        baseRequest: has('baseRequest'),
+        ...(has('srcToken') ? { srcToken: true } : {}),
+        ...(has('to') ? { sourceOnly: true } : {})
+    };
+}
+
+// name -> family description, for every function with a convertible route
+const FAMILIES = Object.fromEntries(getFunctionDefinitions()
+    .filter(definition => ROUTES[definition.family])
+    .map(definition => [definition.name, describeFamily(definition)]));
+
+const POOL_NAMES = { unxswap: 'Uniswap V2-style unxswap', uniswapV3: 'Uniswap V3' };
+
+/**
+ * Function names a route can be converted to
+ * @returns {Array<string>}
+ */
+function getConvertibleFunctions() {
+    return Object.keys(FAMILIES).filter(name => !FAMILIES[name].sourceOnly);
+}
+
+function tokenAddress(token) {
+    const value = token && typeof token === 'object' ? token.address : token;
+    return value === undefined || value === null ? null : value;
+}
+
+function isNative(address) {
+    return typeof address === 'string' && address.toLowerCase() === NATIVE_TOKEN;
+}
+
+function toBigNumber(value, path) {
+    try {
+        return ethers.BigNumber.from(value);
+    } catch {
+        throw new Error(`${path}: ${value} is not a raw integer amount (convert decoded JSON, not token units)`);
+    }
+}
+
+/**
+ * Split `total` in proportion to `parts`, rounding down and giving the remainder to the last part
+ * @returns {Object} { values: Array<BigNumber>, exact: boolean }
+ */
+function splitProportionally(total, parts, denominator) {
+    let exact = true;
+    const values = parts.map(part => {
+        const product = total.mul(part);
+        if (!product.mod(denominator).isZero()) exact = false;
+        return product.div(denominator);
+    });
+    const assigned = values.reduce((sum, value) => sum.add(value), ethers.BigNumber.from(0));
+    values[values.length - 1] = values[values.length - 1].add(total.sub(assigned));
+    return { values, exact };
+}
+
+function checkRawData(rawData, path) {
+    if (!rawData || typeof rawData !== 'object') {
+        throw new Error(`${path}: packed rawData cannot be converted, decode the calldata first`);
+    }
+    return rawData;
+}
+
+/**
+ * Read the family-independent parts of a decoded call
+ */
+function readRoute(json) {
+    const base = json.baseRequest || {};
+    const receiver = json.receiver ?? json.to ?? null;
+    return {
+        orderId: json.orderId ?? (receiver && typeof receiver === 'object' ? receiver.orderId : undefined) ?? null,
+        receiver: tokenAddress(receiver),
+        fromToken: tokenAddress(base.fromToken ?? json.srcToken),
+        toToken: tokenAddress(base.toToken),
+        amount: base.fromTokenAmount ?? json.amount ?? null,
+        minReturn: base.minReturnAmount ?? json.minReturn ?? null,
+        deadLine: base.deadLine ?? null
+    };
+}
+
+// ============================================================================
+// Route structures
+// ============================================================================
+
+/**
+ * RouterPaths for a chain of unxswap / uniswapV3 pools, one per pool
+ */
+function poolsToRouterPaths(json, source, route, pathOf, report) {
+    const poolType = FAMILIES[source].pool;
+    const pools = json.pools || [];
+
+    return pools.map((pool, index) => {
+        if (!pool || typeof pool !== 'object') {
+            throw new Error(`pools[${index}]: packed pools cannot be converted, decode the calldata first`);
+        }
+        const path = pathOf(index);
+        const poolAddress = poolType === 'unxswap' ? pool.address : pool.pool;
+
+        report.missing.push({ path: `${path}.mixAdapters[0]`, message: `adapter for pool ${poolAddress} (${source} calldata names no adapters)` });
+        if (poolType === 'unxswap') {
+            report.inferred.push({ path: `${path}.assetTo[0]`, message: 'the pair itself (Uniswap V2-style adapters are paid at the pair)' });
+            report.inferred.push({ path: `${path}.extraData[0]`, message: 'empty payload for a Uniswap V2-style adapter' });
+            report.dropped.push({ path: `pools[${index}].numerator`, message: `fee numerator ${pool.numerator} (the adapter applies the pair fee)` });
+            if (pool.isToken0Tax || pool.isToken1Tax) {
+                report.dropped.push({ path: `pools[${index}]`, message: 'fee-on-transfer flags isToken0Tax / isToken1Tax' });
+            }
+        } else {
+            report.missing.push({ path: `${path}.assetTo[0]`, message: 'the adapter (same as mixAdapters[0] for Uniswap V3 adapters)' });
+            report.missing.push({ path: `${path}.extraData[0]`, message: 'uniswapV3 adapter payload: { "layout": "uniswapV3", "fields": { "sqrtPriceX96": "0", "data": { "fromToken", "toToken" } } }' });
+        }
+
+        const unwrap = poolType === 'unxswap' ? pool.WETH : pool.wethUnwrap;
+        if (unwrap && index < pools.length - 1) {
+            report.dropped.push({ path: `pools[${index}]`, message: 'WETH unwrap flag on a pool before the last one' });
+        }
+
+        let fromToken = null;
+        if (index > 0) {
+            report.missing.push({ path: `${path}.fromToken`, message: `token between pools ${index - 1} and ${index} (not in ${source} calldata)` });
+        } else if (isNative(route.fromToken)) {
+            report.missing.push({ path: `${path}.fromToken`, message: 'wrapped native token (the swap starts from native ETH)' });
+        } else if (!route.fromToken) {
+            report.missing.push({ path: `${path}.fromToken`, message: `input token (not in ${source} calldata)` });
+        } else {
+            fromToken = { address: route.fromToken, flag: 'DEFAULT' };
+        }
+
+        return {
+            mixAdapters: [null],
+            assetTo: [poolType === 'unxswap' ? poolAddress : null],
+            rawData: [{ poolAddress, reverse: Boolean(pool.isOneForZero), weight: String(FULL_WEIGHT) }],
+            extraData: [poolType === 'unxswap' ? '0x' : null],
+            fromToken
+        };
+    });
+}
+
+/**
+ * Chain of { poolAddress, reverse } hops of a smartSwap / dagSwap route that uses one pool per hop
+ */
+function linearHops(json, source, target, report) {
+    const family = FAMILIES[source];
+    const hops = [];
+
+    if (family.route === 'batches') {
+        const batches = json.batches || [];
+        if (batches.length !== 1) {
+            throw new Error(`${source} splits the amount across ${batches.length} batches; ${target} takes a single chain of pools`);
+        }
+        batches[0].forEach((routerPath, index) => {
+            if (routerPath.rawData.length !== 1) {
+                throw new Error(`batches[0][${index}] splits across ${routerPath.rawData.length} pools; ${target} takes one pool per hop`);
+            }
+            hops.push({ path: `batches[0][${index}]`, routerPath, rawData: checkRawData(routerPath.rawData[0], `batches[0][${index}].rawData[0]`) });
+        });
+    } else {
+        (json.paths || []).forEach((routerPath, index) => {
+            const rawData = routerPath.rawData.length === 1 ? checkRawData(routerPath.rawData[0], `paths[${index}].rawData[0]`) : null;
+            if (!rawData || Number(rawData.inputIndex) !== index || Number(rawData.outputIndex) !== index + 1) {
+                throw new Error(`paths[${index}] is not a single pool from node ${index} to node ${index + 1}; ${target} takes a single chain of pools`);
+            }
+            hops.push({ path: `paths[${index}]`, routerPath, rawData });
+        });
+    }
+
+    hops.forEach(({ path, routerPath }) => {
+        report.dropped.push({
+            path,
+            message: `adapter ${routerPath.mixAdapters[0]}, assetTo ${routerPath.assetTo[0]}, extraData and fromToken (${target} swaps on the pools directly)`
+        });
+    });
+    return hops;
+}
+
+/**
+ * unxswap / uniswapV3 pools for a target, from any source family
+ */
+function toPools(json, source, target, route, report) {
+    const sourceFamily = FAMILIES[source];
+    const poolType = FAMILIES[target].pool;
+
+    if (sourceFamily.route === 'pools') {
+        if (sourceFamily.pool !== poolType) {
+            throw new Error(`${source} swaps on ${POOL_NAMES[sourceFamily.pool]} pools, ${target} on ${POOL_NAMES[poolType]} pools`);
+        }
+        return json.pools;
+    }
+
+    if (sourceFamily.route === 'batches' && (json.extraData || []).length > 0) {
+        throw new Error(`${source} carries settler orders (extraData), which ${target} cannot express`);
+    }
+
+    const hops = linearHops(json, source, target, report);
+    return hops.map(({ rawData }, index) => {
+        const unwrap = index === hops.length - 1 && isNative(route.toToken);
+        if (unwrap) {
+            report.inferred.push({ path: `pools[${index}]`, message: `${poolType === 'unxswap' ? 'WETH' : 'wethUnwrap'}: true because toToken is native ETH` });
+        }
+        if (poolType === 'uniswapV3') {
+            return { isOneForZero: Boolean(rawData.reverse), wethUnwrap: unwrap, pool: rawData.poolAddress };
+        }
+
+        report.missing.push({ path: `pools[${index}].numerator`, message: `fee numerator of pool ${rawData.poolAddress} (e.g. 997000000 for 0.3%)` });
+        report.inferred.push({ path: `pools[${index}]`, message: 'isToken0Tax / isToken1Tax: false (set them for fee-on-transfer tokens)' });
+        return {
+            isToken0Tax: false,
+            isToken1Tax: false,
+            WETH: unwrap,
+            isOneForZero: Boolean(rawData.reverse),
+            numerator: null,
+            address: rawData.poolAddress
+        };
+    });
+}
+
+/**
+ * smartSwap batches -> dagSwap paths
+ *
+ * The input node merges the first hops of all batches, weighted by batch amount; every
+ * later hop becomes its own node, and the last hop of every batch feeds the output node.
+ */
+function batchesToDag(json, report) {
+    const batches = (json.batches || []).filter(batch => batch.length > 0);
+    if (batches.length === 0) {
+        throw new Error('smartSwap route has no batches');
+    }
+    // A single batch takes the whole amount, whatever batchesAmount says
+    const amounts = batches.length === 1
+        ? [ethers.BigNumber.from(1)]
+        : batches.map((_, index) => toBigNumber(json.batchesAmount?.[index], `batchesAmount[${index}]`));
+    const total = amounts.reduce((sum, amount) => sum.add(amount), ethers.BigNumber.from(0));
+    if (total.isZero()) {
+        throw new Error('batchesAmount sums to 0, so the split between batches is unknown');
+    }
+
+    const sink = 1 + batches.reduce((count, batch) => count + batch.length - 1, 0);
+    const inputPath = { mixAdapters: [], assetTo: [], rawData: [], extraData: [], fromToken: batches[0][0].fromToken };
+    const paths = [inputPath];
+    const inputWeights = [];
+    let exact = true;
+    let nextNode = 1;
+
+    batches.forEach((batch, batchIndex) => {
+        const inputToken = tokenAddress(batch[0].fromToken);
+        if (String(inputToken).toLowerCase() !== String(tokenAddress(inputPath.fromToken)).toLowerCase()) {
+            throw new Error(`batches[${batchIndex}][0] starts from ${inputToken}, batches[0][0] from ${tokenAddress(inputPath.fromToken)}`);
+        }
+
+        const nodes = batch.map((_, hopIndex) => (hopIndex === 0 ? 0 : nextNode + hopIndex - 1));
+        nextNode += batch.length - 1;
+
+        batch.forEach((routerPath, hopIndex) => {
+            const outputIndex = hopIndex === batch.length - 1 ? sink : nodes[hopIndex + 1];
+            const rawData = routerPath.rawData.map((entry, poolIndex) => {
+                const { poolAddress, reverse, weight } = checkRawData(entry, `batches[${batchIndex}][${hopIndex}].rawData[${poolIndex}]`);
+                return { poolAddress, reverse: Boolean(reverse), weight: String(weight), inputIndex: String(nodes[hopIndex]), outputIndex: String(outputIndex) };
+            });
+
+            if (hopIndex > 0) {
+                paths.push({ ...routerPath, rawData });
+                return;
+            }
+            // Scale the first hop's pool weights by the batch's share of the input amount
+            rawData.forEach((entry, poolIndex) => {
+                const scaled = amounts[batchIndex].mul(entry.weight);
+                if (!scaled.mod(total).isZero()) exact = false;
+                inputWeights.push(scaled.div(total));
+                inputPath.mixAdapters.push(routerPath.mixAdapters[poolIndex]);
+                inputPath.assetTo.push(routerPath.assetTo[poolIndex]);
+                inputPath.extraData.push(routerPath.extraData[poolIndex]);
+                inputPath.rawData.push(entry);
+            });
+        });
+    });
+
+    // Rounding leftovers go to the largest share so node 0 still sums to 10000
+    const assigned = inputWeights.reduce((sum, weight) => sum.add(weight), ethers.BigNumber.from(0));
+    const largest = inputWeights.reduce((best, weight, index) => (weight.gt(inputWeights[best]) ? index : best), 0);
+    inputWeights[largest] = inputWeights[largest].add(ethers.BigNumber.from(FULL_WEIGHT).sub(assigned));
+    inputPath.rawData.forEach((entry, index) => {
+        entry.weight = inputWeights[index].toString();
+    });
+    if (!exact) {
+        report.inferred.push({ path: 'paths[0].rawData', message: 'weights of the input node from batchesAmount, rounded to basis points' });
+    }
+    report.dropped.push({ path: 'batchesAmount', message: 'batch amounts (dagSwap splits the input by weight)' });
+    return paths;
+}
+
+/**
+ * dagSwap paths -> smartSwap batches
+ *
+ * Only DAGs that split at the input node and then follow separate chains convert: every other
+ * node must send all of its amount to one node and receive from one node.
+ */
+function dagToBatches(json, route, report) {
+    const paths = json.paths || [];
+    const sink = paths.length;
+    const edges = paths.map((routerPath, index) => routerPath.rawData.map((entry, poolIndex) => {
+        const rawData = checkRawData(entry, `paths[${index}].rawData[${poolIndex}]`);
+        const output = Number(rawData.outputIndex);
+        if (Number(rawData.inputIndex) !== index || !(output > index && output <= sink)) {
+            throw new Error(`paths[${index}].rawData[${poolIndex}] must go from node ${index} to a node between ${index + 1} and ${sink}`);
+        }
+        return { poolIndex, rawData, output };
+    }));
+    const empty = edges.findIndex(nodeEdges => nodeEdges.length === 0);
+    if (empty !== -1) {
+        throw new Error(`paths[${empty}] has no pools`);
+    }
+
+    const predecessors = new Map();
+    edges.forEach((nodeEdges, index) => {
+        const outputs = [...new Set(nodeEdges.map(edge => edge.output))];
+        if (index > 0 && outputs.length !== 1) {
+            throw new Error(`node ${index} splits into nodes ${outputs.join(', ')}; smartSwap batches only split at the input token`);
+        }
+        outputs.forEach(output => predecessors.set(output, [...(predecessors.get(output) || []), index]));
+    });
+    predecessors.forEach((inputs, node) => {
+        if (node !== sink && inputs.length > 1) {
+            throw new Error(`node ${node} merges amounts from nodes ${inputs.join(', ')}; smartSwap batches cannot merge`);
+        }
+    });
+
+    const toHop = (index, nodeEdges, weights) => {
+        const routerPath = paths[index];
+        return {
+            mixAdapters: nodeEdges.map(edge => routerPath.mixAdapters[edge.poolIndex]),
+            assetTo: nodeEdges.map(edge => routerPath.assetTo[edge.poolIndex]),
+            rawData: nodeEdges.map((edge, position) => ({
+                poolAddress: edge.rawData.poolAddress,
+                reverse: Boolean(edge.rawData.reverse),
+                weight: weights ? weights[position].toString() : String(edge.rawData.weight)
+            })),
+            extraData: nodeEdges.map(edge => routerPath.extraData[edge.poolIndex]),
+            fromToken: routerPath.fromToken
+        };
+    };
+
+    // First hops: input node edges grouped by output node
+    const groups = [];
+    edges[0].forEach(edge => {
+        const group = groups.find(candidate => candidate.output === edge.output);
+        if (group) {
+            group.edges.push(edge);
+        } else {
+            groups.push({ output: edge.output, edges: [edge] });
+        }
+    });
+
+    let exact = true;
+    const shares = groups.map(group => group.edges.reduce((sum, edge) => sum + Number(edge.rawData.weight), 0));
+    const batches = groups.map((group, index) => {
+        const split = splitProportionally(
+            ethers.BigNumber.from(FULL_WEIGHT),
+            group.edges.map(edge => edge.rawData.weight),
+            shares[index]
+        );
+        exact = exact && split.exact;
+
+        const batch = [toHop(0, group.edges, split.values)];
+        for (let node = group.output; node !== sink; node = edges[node][0].output) {
+            batch.push(toHop(node, edges[node]));
+        }
+        return batch;
+    });
+
+    const amountSplit = splitProportionally(toBigNumber(route.amount, 'baseRequest.fromTokenAmount'), shares, FULL_WEIGHT);
+    if (!exact || !amountSplit.exact) {
+        report.inferred.push({ path: 'batchesAmount', message: 'batch amounts and pool weights from the input node weights, rounded down (remainder to the last entry)' });
+    }
+    return { batchesAmount: amountSplit.values.map(String), batches };
+}
+
+/**
+ * smartSwap route (batchesAmount, batches, settler extraData) for a target
+ */
+function toBatches(json, source, route, report) {
+    const family = FAMILIES[source];
+    if (family.route === 'batches') {
+        return {
+            batchesAmount: json.batchesAmount,
+            batches: json.batches,
+            ...(json.extraData ? { extraData: json.extraData } : {})
+        };
+    }
+    if (family.route === 'dag') {
+        return dagToBatches(json, route, report);
+    }
+    return {
+        batchesAmount: [route.amount],
+        batches: [poolsToRouterPaths(json, source, route, index => `batches[0][${index}]`, report)]
+    };
+}
+
+/**
+ * dagSwap paths for a target
+ */
+function toDagPaths(json, source, route, report) {
+    const family = FAMILIES[source];
+    if (family.route === 'dag') {
+        return json.paths;
+    }
+    if (family.route === 'batches') {
+        if ((json.extraData || []).length > 0) {
+            throw new Error(`${source} carries settler orders (extraData), which dagSwap cannot express`);
+        }
+        return batchesToDag(json, report);
+    }
+    return poolsToRouterPaths(json, source, route, index => `paths[${index}]`, report).map((routerPath, index) => ({
+        ...routerPath,
+        rawData: routerPath.rawData.map(entry => ({ ...entry, inputIndex: String(index), outputIndex: String(index + 1) }))
+    }));
+}
+
+// ============================================================================
+// Conversion
+// ============================================================================
+
+/**
+ * Output token of a pools route: only known when the last pool unwraps WETH
+ */
+function inferToToken(json, source, report) {
+    const pools = json.pools || [];
+    const last = pools[pools.length - 1];
+    if (last && typeof last === 'object' && (last.WETH || last.wethUnwrap)) {
+        report.inferred.push({ path: 'baseRequest.toToken', message: 'native ETH, because the last pool unwraps WETH' });
+        return NATIVE_TOKEN;
+    }
+    report.missing.push({ path: 'baseRequest.toToken', message: `output token (implied by the last pool in ${source} calldata)` });
+    return null;
+}
+
+/**
+ * Convert a decoded DexRouter call to another function family
+ * @param {Object} json - decoded JSON (decode output or encoder input with raw values)
+ * @param {string} targetName - function to convert to (see getConvertibleFunctions)
+ * @param {Object} [options] - { version } DexRouter release the selector is taken from (default: function.version, then the newest release)
+ * @returns {Object} { json, missing, dropped, inferred }, each report entry { path, message }
+ */
+function convertRoute(json, targetName, options = {}) {
+    const source = json?.function?.name;
+    if (!FAMILIES[source] || json.generic || json.partial) {
+        throw new Error(`Cannot convert ${source || 'this input'}: only ${Object.keys(FAMILIES).join(', ')} routes can be converted`);
+    }
+    const target = FAMILIES[targetName];
+    if (!target || target.sourceOnly) {
+        throw new Error(`Cannot convert to ${targetName}: choose one of ${getConvertibleFunctions().join(', ')}`);
+    }
+
+    const sourceFamily = FAMILIES[source];
+    const report = { missing: [], dropped: [], inferred: [] };
+    const route = readRoute(json);
+    const { iface } = getDexRouterVersion(options.version || json.function.version);
+    if (!Object.values(iface.functions).some(fragment => fragment.name === targetName)) {
+        throw new Error(`${targetName} is not in the targeted DexRouter release`);
+    }
+
+    const converted = {
+        function: {
+            name: targetName,
+            selector: iface.getSighash(targetName),
+            ...(json.function.version ? { version: json.function.version } : {})
+        }
+    };
+
+    if (route.orderId === null) {
+        report.inferred.push({ path: 'orderId', message: `0 (${source} carries no order id)` });
+    }
+    converted.orderId = route.orderId ?? '0';
+
+    if (target.receiver) {
+        if (!route.receiver) {
+            report.missing.push({ path: 'receiver', message: `receiver (${source} sends the output to msg.sender)` });
+        }
+        converted.receiver = route.receiver;
+    } else if (route.receiver) {
+        report.dropped.push({ path: json.receiver !== undefined ? 'receiver' : 'to', message: `receiver ${route.receiver} (${targetName} sends the output to msg.sender)` });
+    }
+    if (json.refundTo !== undefined) {
+        report.dropped.push({ path: 'refundTo', message: `refund receiver ${json.refundTo}` });
+    }
+
+    if (target.baseRequest) {
+        if (!route.fromToken) {
+            report.missing.push({ path: 'baseRequest.fromToken', message: `input token (implied by the first pool in ${source} calldata)` });
+        }
+        if (!route.deadLine) {
+            report.missing.push({ path: 'baseRequest.deadLine', message: `deadline (${source} has none)` });
+        }
+        converted.baseRequest = {
+            fromToken: route.fromToken,
+            toToken: route.toToken ?? inferToToken(json, source, report),
+            fromTokenAmount: route.amount,
+            minReturnAmount: route.minReturn,
+            deadLine: route.deadLine
+        };
+    } else {
+        if (target.srcToken) {
+            if (!route.fromToken) {
+                report.missing.push({ path: 'srcToken', message: `input token (implied by the first pool in ${source} calldata)` });
+            }
+            converted.srcToken = route.fromToken;
+        } else if (route.fromToken) {
+            report.dropped.push({ path: sourceFamily.baseRequest ? 'baseRequest.fromToken' : 'srcToken', message: `input token ${route.fromToken} (implied by the first pool)` });
+        }
+        if (route.toToken) {
+            report.dropped.push({ path: 'baseRequest.toToken', message: `output token ${route.toToken} (implied by the last pool)` });
+        }
+        if (route.deadLine) {
+            report.dropped.push({ path: 'baseRequest.deadLine', message: `deadline ${route.deadLine} (${targetName} has none)` });
+        }
+        converted.amount = route.amount;
+        converted.minReturn = route.minReturn;
+    }
+
+    if (target.route === 'batches') {
+        Object.assign(converted, toBatches(json, source, route, report));
+    } else if (target.route === 'dag') {
+        converted.paths = toDagPaths(json, source, route, report);
+    } else {
+        converted.pools = toPools(json, source, targetName, route, report);
+    }
+
+    SUFFIX_KEYS.filter(key => json[key] !== undefined).forEach(key => {
+        converted[key] = json[key];
+    });
+
+    return { json: converted, ...report };
+}
+
+export {
+    convertRoute,
+    getConvertibleFunctions
+};
@@ -0,0 +1,78 @@
+import fs from 'fs';
+import path from 'path';
+import { encode } from './encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { convertRoute } from './route_converter.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const decodeExample = name => resolve(encode(loadExample(name)));
+const paths = entries => entries.map(entry => entry.path);
+const ADAPTER = '0x6747BcaF9bD5a5F0758Cbe08903490E45DdfACB5';
+
+describe('convertRoute', () => {
+    test('unxswapTo -> smartSwapTo reports what the pools do not say', () => {
+        const source = decodeExample('unxswapTo');
+        const { json, missing, dropped, inferred } = convertRoute(source, 'smartSwapTo');
+
+        expect(json.function).toMatchObject({ name: 'smartSwapTo', selector: '0x03b87e5f' });
+        expect(json.receiver).toBe(source.receiver);
+        expect(json.baseRequest).toMatchObject({ fromTokenAmount: source.amount, minReturnAmount: source.minReturn, deadLine: null });
+        expect(json.batchesAmount).toEqual([source.amount]);
+
+        expect(paths(missing)).toEqual(['baseRequest.deadLine', 'batches[0][0].mixAdapters[0]']);
+        expect(paths(dropped)).toEqual(['pools[0].numerator']);
+        expect(paths(inferred)).toEqual(['baseRequest.toToken', 'batches[0][0].assetTo[0]', 'batches[0][0].extraData[0]']);
+        expect(json.baseRequest.toToken).toBe('0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee');
+        expect(json.batches[0][0].assetTo[0]).toBe(source.pools[0].address);
+    });
+
+    test('missing fields are left null for encode() to report, and encode once filled in', () => {
+        const { json } = convertRoute(decodeExample('unxswapTo'), 'smartSwapTo');
+
+        expect(() => encode(json)).toThrow('baseRequest.deadLine: must be a string or an integer; batches[0][0].mixAdapters[0]: must be a string');
+
+        json.baseRequest.deadLine = '1760000000';
+        json.batches[0][0].mixAdapters[0] = ADAPTER;
+        const decoded = resolve(encode(json));
+        expect(decoded.function.name).toBe('smartSwapTo');
+        expect(decoded.batches[0][0].rawData[0].poolAddress).toBe(json.batches[0][0].rawData[0].poolAddress);
+    });
+
+    test('uniswapV3SwapTo -> uniswapV3SwapToWithBaseRequest keeps the pools', () => {
+        const source = decodeExample('uniswapV3SwapTo');
+        const { json, missing, dropped, inferred } = convertRoute(source, 'uniswapV3SwapToWithBaseRequest');
+
+        expect(json.function.name).toBe('uniswapV3SwapToWithBaseRequest');
+        expect(json.orderId).toBe(source.orderId);
+        expect(json.receiver).toBe(source.receiver);
+        expect(json.pools).toEqual(source.pools);
+        expect(json.baseRequest).toMatchObject({ fromTokenAmount: source.amount, minReturnAmount: source.minReturn });
+        expect(paths(missing)).toEqual(['baseRequest.fromToken', 'baseRequest.deadLine', 'baseRequest.toToken']);
+        expect(dropped).toEqual([]);
+        expect(inferred).toEqual([]);
+    });
+
+    test('and back, dropping the BaseRequest fields uniswapV3SwapTo has no room for', () => {
+        const source = decodeExample('uniswapV3SwapToWithBaseRequest');
+        const { json, missing, dropped } = convertRoute(source, 'uniswapV3SwapTo');
+
+        expect(missing).toEqual([]);
+        expect(paths(dropped)).toEqual(['baseRequest.fromToken', 'baseRequest.toToken', 'baseRequest.deadLine']);
+        expect(resolve(encode(json)).pools).toEqual(source.pools);
+    });
+
+    test('suffix fields are carried over', () => {
+        const { json } = convertRoute(decodeExample('uniswapV3SwapToWithBaseRequest'), 'uniswapV3SwapTo');
+
+        expect(json).toMatchObject({ hasCommission: false, hasTrim: false });
+    });
+
+    test.each([
+        ['unxswapTo', 'uniswapV3SwapTo', 'unxswapTo swaps on Uniswap V2-style unxswap pools, uniswapV3SwapTo on Uniswap V3 pools'],
+        ['uniswapV3SwapTo', 'unxswapTo', 'uniswapV3SwapTo swaps on Uniswap V3 pools, unxswapTo on Uniswap V2-style unxswap pools'],
+        ['approve', 'smartSwapTo', 'Cannot convert approve'],
+        ['smartSwapTo', 'smartSwapByInvest', 'Cannot convert to smartSwapByInvest']
+    ])('%s -> %s is refused', (source, target, message) => {
+        expect(() => convertRoute(decodeExample(source), target)).toThrow(message);
+    });
+});
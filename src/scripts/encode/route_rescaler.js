@@ -0,0 +1,162 @@
+import { ethers } from 'ethers';
+import { getFunctionDefinition } from '../core/function_registry.js';
+import { resolveHumanValues } from './encode_amounts.js';
+import { encode } from './encode_index.js';
+
+/**
+ * Rescale a decoded route to another input amount
+ *
+ * Reproduces a swap at a different size: the input amount (baseRequest.fromTokenAmount, or
+ * amount / rawdata.amount) is set to the new value and the amounts that follow from it are scaled
+ * by new / old in integer math:
+ *   batchesAmount    - each batch rounded down, the remainder wei going to the largest batch, so
+ *                      the batches still sum to the same share of the input as before
+ *   expectAmountOut  - the trim's expected output, rounded down
+ *   minReturnAmount / minReturn - only with keepSlippage (rounded down), which keeps the implied
+ *                      slippage; otherwise they are left for the caller to requote
+ * Weights, commission and trim rates are ratios and stay as they are. Routes with settler orders
+ * (extraData) are refused: the orders carry their own amounts.
+ *
+ * The result reports every field it touched as { path, before, after } under `rescaled`, and the
+ * fields it left alone but that depend on the size as { path, message } under `unchanged`. A non-zero
+ * minimum output that rounds down to 0 with keepSlippage is encoded as 0 (no output protection) and
+ * reported as { path, message } under `warnings`.
+ */
+
+const ZERO = ethers.BigNumber.from(0);
+
+function toBigNumber(value, path) {
+    try {
+        return ethers.BigNumber.from(value);
+    } catch {
+        throw new Error(`${path}: ${JSON.stringify(value)} is not a raw integer amount`);
+    }
+}
+
+/**
+ * value * numerator / denominator, rounded down
+ */
+function scale(value, numerator, denominator) {
+    return value.mul(numerator).div(denominator);
+}
+
+/**
+ * Scale batch amounts so they sum to their old total scaled by numerator / denominator (rounded down)
+ * Each batch is rounded down and the remainder goes to the largest batch (the first one on ties)
+ * @param {Array<BigNumber>} amounts - old batch amounts
+ * @returns {Array<BigNumber>} new batch amounts
+ */
+function scaleBatches(amounts, numerator, denominator) {
+    const total = amounts.reduce((sum, amount) => sum.add(amount), ZERO);
+    const values = amounts.map(amount => scale(amount, numerator, denominator));
+    const remainder = scale(total, numerator, denominator).sub(values.reduce((sum, value) => sum.add(value), ZERO));
+
+    const largest = amounts.reduce((best, amount, index) => (amount.gt(amounts[best]) ? index : best), 0);
+    values[largest] = values[largest].add(remainder);
+    return values;
+}
+
+/**
+ * Paths of the input and minimum output amounts of a decoded call
+ * @returns {Object} { amount, minReturn } paths, minReturn null when the function has none
+ */
+function describeAmounts(json) {
+    if (json.baseRequest) {
+        return { amount: ['baseRequest', 'fromTokenAmount'], minReturn: ['baseRequest', 'minReturnAmount'] };
+    }
+    if (json.rawdata !== undefined) {
+        if (!json.rawdata || typeof json.rawdata !== 'object') {
+            throw new Error('rawdata: packed rawdata cannot be rescaled, decode the calldata first');
+        }
+        return { amount: ['rawdata', 'amount'], minReturn: null };
+    }
+    return { amount: ['amount'], minReturn: json.minReturn !== undefined ? ['minReturn'] : null };
+}
+
+const pathOf = segments => segments.join('.');
+
+function getAt(json, segments) {
+    return segments.reduce((current, key) => current?.[key], json);
+}
+
+function setAt(json, segments, value) {
+    getAt(json, segments.slice(0, -1))[segments[segments.length - 1]] = value;
+}
+
+/**
+ * Rescale a decoded route to a new input amount and re-encode it
+ * @param {Object} json - decoded JSON (or encoder input; token units are resolved first)
+ * @param {string|number} amount - new input amount: raw integer, or token units ("1.5 USDC")
+ * @param {Object} [options] - { keepSlippage: also scale the minimum output, chainId, version (see encode()) }
+ * @returns {Object} { json, calldata, rescaled: [{ path, before, after }], unchanged: [{ path, message }],
+ *   warnings: [{ path, message }] }
+ */
+function rescaleRoute(json, amount, options = {}) {
+    const name = json?.function?.name;
+    const definition = getFunctionDefinition(name);
+    if (!definition || definition.family === 'erc20' || json.generic || json.partial) {
+        throw new Error(`Cannot rescale ${name || 'this input'}: only decoded DexRouter swaps can be rescaled`);
+    }
+    if (Array.isArray(json.extraData) && json.extraData.length > 0) {
+        throw new Error('Routes with settler orders (extraData) cannot be rescaled: the orders carry their own amounts');
+    }
+
+    const encodeOptions = { chainId: options.chainId, version: options.version };
+    // Token-unit annotations of the decoded amounts would be stale
+    const { amounts: _annotations, ...input } = json;
+    const { json: source } = resolveHumanValues(input, encodeOptions);
+    const paths = describeAmounts(source);
+
+    const oldAmount = toBigNumber(getAt(source, paths.amount), pathOf(paths.amount));
+    if (oldAmount.isZero()) {
+        throw new Error(`${pathOf(paths.amount)} is 0, there is no ratio to rescale by`);
+    }
+
+    // The new amount may be given in token units of the input field
+    const target = JSON.parse(JSON.stringify(source));
+    setAt(target, paths.amount, typeof amount === 'number' ? String(amount) : amount);
+    const { json: rescaled } = resolveHumanValues(target, encodeOptions);
+    const newAmount = toBigNumber(getAt(rescaled, paths.amount), pathOf(paths.amount));
+    if (newAmount.lte(0)) {
+        throw new Error('The new amount must be positive');
+    }
+    setAt(rescaled, paths.amount, newAmount.toString());
+
+    const report = { rescaled: [], unchanged: [], warnings: [] };
+    const record = (path, before, after) => report.rescaled.push({ path, before: before.toString(), after: after.toString() });
+    record(pathOf(paths.amount), oldAmount, newAmount);
+
+    if (Array.isArray(source.batchesAmount) && source.batchesAmount.length > 0) {
+        const batches = source.batchesAmount.map((value, index) => toBigNumber(value, `batchesAmount[${index}]`));
+        rescaled.batchesAmount = scaleBatches(batches, newAmount, oldAmount).map(String);
+        batches.forEach((before, index) => record(`batchesAmount[${index}]`, before, rescaled.batchesAmount[index]));
+    }
+
+    if (source.expectAmountOut !== undefined && source.expectAmountOut !== null) {
+        const before = toBigNumber(source.expectAmountOut, 'expectAmountOut');
+        rescaled.expectAmountOut = scale(before, newAmount, oldAmount).toString();
+        record('expectAmountOut', before, rescaled.expectAmountOut);
+    }
+
+    if (paths.minReturn) {
+        const minPath = pathOf(paths.minReturn);
+        const before = toBigNumber(getAt(source, paths.minReturn), minPath);
+        if (options.keepSlippage) {
+            const after = scale(before, newAmount, oldAmount);
+            setAt(rescaled, paths.minReturn, after.toString());
+            record(minPath, before, after);
+            if (after.isZero() && !before.isZero()) {
+                report.warnings.push({ path: minPath, message: `${before.toString()} rounds down to 0 at the new amount, so any output would be accepted; set a minimum output` });
+            }
+        } else {
+            report.unchanged.push({ path: minPath, message: `${before.toString()} (minimum output for the old amount; requote, or rescale with keepSlippage)` });
+        }
+    }
+
+    return { json: rescaled, calldata: encode(rescaled, encodeOptions), ...report };
+}
+
+export {
+    rescaleRoute,
+    scaleBatches
+};
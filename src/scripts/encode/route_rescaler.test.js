@@ -0,0 +1,121 @@
+import fs from 'fs';
+import path from 'path';
+import { ethers } from 'ethers';
+import { encode } from './encode_index.js';
+import { resolve } from '../decode/decode_index.js';
+import { rescaleRoute, scaleBatches } from './route_rescaler.js';
+
+const loadExample = name => JSON.parse(fs.readFileSync(path.join(__dirname, `../examples/${name}.json`), 'utf8'));
+const bn = values => values.map(value => ethers.BigNumber.from(value));
+const strings = values => values.map(String);
+const example = loadExample('smartSwapTo');
+
+// smartSwapTo split across three batches of 100 / 250 / 150
+const split = {
+    ...example,
+    baseRequest: { ...example.baseRequest, fromTokenAmount: '500', minReturnAmount: '1000' },
+    batchesAmount: ['100', '250', '150'],
+    batches: [example.batches[0], example.batches[0], example.batches[0]]
+};
+const withMinReturn = minReturnAmount => ({ ...split, baseRequest: { ...split.baseRequest, minReturnAmount } });
+
+describe('scaleBatches', () => {
+    test('the remainder goes to the largest batch', () => {
+        // 66.6 / 166.5 / 99.9 round down to 331; the scaled total is 333
+        expect(strings(scaleBatches(bn(['100', '250', '150']), 333, 500))).toEqual(['66', '168', '99']);
+    });
+
+    test('the first batch wins ties', () => {
+        expect(strings(scaleBatches(bn(['5', '5']), 1, 3))).toEqual(['2', '1']);
+    });
+
+    test('the batches sum to the scaled total', () => {
+        const scaled = scaleBatches(bn(['7', '13', '29', '1']), 1234567, 999);
+        const total = scaled.reduce((sum, value) => sum.add(value), ethers.BigNumber.from(0));
+
+        // 50 * 1234567 / 999, rounded down
+        expect(total.toString()).toBe('61790');
+    });
+});
+
+describe('rescaleRoute', () => {
+    test('batch amounts follow the input amount and the minimum output is left to requote', () => {
+        const result = rescaleRoute(split, '333');
+
+        expect(result.json.baseRequest.fromTokenAmount).toBe('333');
+        expect(result.json.batchesAmount).toEqual(['66', '168', '99']);
+        expect(result.json.baseRequest.minReturnAmount).toBe('1000');
+        expect(result.rescaled.map(entry => entry.path)).toEqual(['baseRequest.fromTokenAmount', 'batchesAmount[0]', 'batchesAmount[1]', 'batchesAmount[2]']);
+        expect(result.unchanged).toEqual([{
+            path: 'baseRequest.minReturnAmount',
+            message: '1000 (minimum output for the old amount; requote, or rescale with keepSlippage)'
+        }]);
+        expect(result.warnings).toEqual([]);
+        expect(resolve(result.calldata).batchesAmount).toEqual(['66', '168', '99']);
+    });
+
+    test('keepSlippage scales the minimum output and the trim expectAmountOut', () => {
+        const input = { ...split, hasTrim: 'toB', trimRate: '10', trimAddress: '0x' + '5'.repeat(40), expectAmountOut: '1200', chargeRate: '0', chargeAddress: ethers.constants.AddressZero };
+        const result = rescaleRoute(input, '1500', { keepSlippage: true });
+
+        expect(result.json.baseRequest.minReturnAmount).toBe('3000');
+        expect(result.json.expectAmountOut).toBe('3600');
+        expect(result.rescaled).toEqual(expect.arrayContaining([
+            { path: 'baseRequest.minReturnAmount', before: '1000', after: '3000' },
+            { path: 'expectAmountOut', before: '1200', after: '3600' }
+        ]));
+        expect(result.unchanged).toEqual([]);
+        expect(resolve(result.calldata)).toMatchObject({ baseRequest: { minReturnAmount: '3000' }, expectAmountOut: '3600' });
+    });
+
+    test('keepSlippage warns when a minimum output rounds down to 0', () => {
+        const result = rescaleRoute(withMinReturn('1'), '333', { keepSlippage: true });
+
+        expect(result.json.baseRequest.minReturnAmount).toBe('0');
+        expect(result.warnings).toEqual([{
+            path: 'baseRequest.minReturnAmount',
+            message: '1 rounds down to 0 at the new amount, so any output would be accepted; set a minimum output'
+        }]);
+    });
+
+    test('a minimum output that was already 0 is not a warning', () => {
+        expect(rescaleRoute(withMinReturn('0'), '333', { keepSlippage: true }).warnings).toEqual([]);
+    });
+
+    test.each([
+        ['unxswapTo', 'amount', 'minReturn'],
+        ['uniswapV3SwapTo', 'amount', 'minReturn']
+    ])('%s rescales %s and %s', (name, amountPath, minReturnPath) => {
+        const source = resolve(encode(loadExample(name)));
+        const amount = ethers.BigNumber.from(source[amountPath]).mul(2).toString();
+        const result = rescaleRoute(source, amount, { keepSlippage: true });
+
+        expect(result.rescaled).toEqual([
+            { path: amountPath, before: source[amountPath], after: amount },
+            { path: minReturnPath, before: source[minReturnPath], after: ethers.BigNumber.from(source[minReturnPath]).mul(2).toString() }
+        ]);
+        expect(resolve(result.calldata)[amountPath]).toBe(amount);
+    });
+
+    test('swapWrap rescales rawdata.amount', () => {
+        const result = rescaleRoute(resolve(encode(loadExample('swapWrap'))), '1000');
+
+        expect(result.json.rawdata).toMatchObject({ reversed: true, amount: '1000' });
+        expect(result.unchanged).toEqual([]);
+    });
+
+    test('the new amount may be given in token units', () => {
+        const input = { ...split, baseRequest: { ...split.baseRequest, fromToken: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48' } };
+
+        expect(rescaleRoute(input, '0.001 USDC').json.baseRequest.fromTokenAmount).toBe('1000');
+    });
+
+    test.each([
+        ['approve', () => loadExample('approve'), '1', 'Cannot rescale approve: only decoded DexRouter swaps can be rescaled'],
+        ['settler orders', () => ({ ...split, extraData: [{}] }), '1', 'Routes with settler orders (extraData) cannot be rescaled'],
+        ['a zero input amount', () => ({ ...split, baseRequest: { ...split.baseRequest, fromTokenAmount: '0' } }), '1', 'baseRequest.fromTokenAmount is 0, there is no ratio to rescale by'],
+        ['a zero new amount', () => split, '0', 'The new amount must be positive']
+    ])('refuses %s', (name, build, amount, message) => {
+        expect(() => rescaleRoute(build(), amount)).toThrow(message);
+    });
+});
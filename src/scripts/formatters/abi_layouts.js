@@ -0,0 +1,128 @@
+import { ethers } from 'ethers';
+
+/**
+ * ABI payload layouts of the opaque adapter extraData bytes (see adapter_data.js)
+ *
+ * A layout describes one known encoding of a bytes payload:
+ *   {
+ *     name,                                  // layout name reported in the decoded JSON
+ *     selector?,                             // optional 4-byte prefix before the ABI body
+ *     types: ['uint160', 'bytes'],           // ABI types of the body
+ *     names: ['sqrtPriceX96', 'data'],       // field names, same order as types
+ *     nested?: { data: [{ types, names }] }, // candidate layouts for bytes fields
+ *     validate?: (fields) => boolean         // extra plausibility check on decoded fields
+ *   }
+ *
+ * A layout only matches when re-encoding the decoded values reproduces the payload exactly,
+ * so unrelated bytes are never mistaken for a known layout.
+ */
+
+/**
+ * Convert decoded ABI values to JSON-friendly values
+ */
+function toJsonValue(value) {
+    if (value && value._isBigNumber) return value.toString();
+    if (Array.isArray(value)) return value.map(toJsonValue);
+    return value;
+}
+
+/**
+ * Decode an ABI body into named fields, requiring an exact re-encode
+ * @param {Array<string>} types - ABI types
+ * @param {Array<string>} names - field names
+ * @param {string} body - ABI encoded body (0x-prefixed lowercase hex)
+ * @returns {Object|null} named fields, or null if the body does not match
+ */
+function decodeExact(types, names, body) {
+    try {
+        const values = ethers.utils.defaultAbiCoder.decode(types, body);
+        if (ethers.utils.defaultAbiCoder.encode(types, values).toLowerCase() !== body) return null;
+
+        const fields = {};
+        names.forEach((name, index) => {
+            fields[name] = toJsonValue(values[index]);
+        });
+        return fields;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Decode a payload with a single layout
+ * @param {Object} layout - the layout definition
+ * @param {string} hex - payload (0x-prefixed lowercase hex)
+ * @returns {Object|null} named fields, or null if the layout does not match
+ */
+function decodeWithLayout(layout, hex) {
+    let body = hex;
+    if (layout.selector) {
+        if (!hex.startsWith(layout.selector)) return null;
+        body = '0x' + hex.slice(10);
+    }
+
+    const fields = decodeExact(layout.types, layout.names, body);
+    if (!fields) return null;
+
+    // Decode nested bytes fields with the first candidate that matches, keep raw hex otherwise
+    Object.entries(layout.nested || {}).forEach(([name, candidates]) => {
+        for (const candidate of candidates) {
+            const nestedFields = decodeExact(candidate.types, candidate.names, fields[name].toLowerCase());
+            if (nestedFields) {
+                fields[name] = nestedFields;
+                break;
+            }
+        }
+    });
+
+    if (layout.validate && !layout.validate(fields)) return null;
+    return fields;
+}
+
+/**
+ * Encode named fields back into a payload with a single layout
+ * @param {Object} layout - the layout definition
+ * @param {Object} fields - named fields as produced by decodeWithLayout
+ * @returns {string} payload (0x-prefixed hex)
+ */
+function encodeWithLayout(layout, fields = {}) {
+    const values = layout.names.map(name => {
+        if (fields[name] === undefined) {
+            throw new Error(`Missing field "${name}" for layout ${layout.name}`);
+        }
+
+        const value = fields[name];
+        const candidates = layout.nested?.[name];
+        if (!candidates || typeof value === 'string') return value;
+
+        // Nested bytes given as named fields - pick the candidate with the same field names
+        const keys = Object.keys(value).sort().join(',');
+        const candidate = candidates.find(c => [...c.names].sort().join(',') === keys);
+        if (!candidate) {
+            throw new Error(`No ${layout.name}.${name} layout with fields: ${Object.keys(value).join(', ')}`);
+        }
+        return ethers.utils.defaultAbiCoder.encode(candidate.types, candidate.names.map(n => value[n]));
+    });
+
+    const body = ethers.utils.defaultAbiCoder.encode(layout.types, values);
+    return layout.selector ? layout.selector + body.slice(2) : body;
+}
+
+/**
+ * Validate and normalize a layout before it is added to a registry
+ * @param {Object} layout - the layout definition
+ * @returns {Object} normalized layout
+ */
+function normalizeLayout(layout) {
+    if (!layout.name || !Array.isArray(layout.types) || !Array.isArray(layout.names) ||
+        layout.types.length !== layout.names.length) {
+        throw new Error('Layout needs a name and matching types / names arrays');
+    }
+    return { ...layout, selector: layout.selector ? layout.selector.toLowerCase() : null };
+}
+
+export {
+    decodeWithLayout,
+    encodeWithLayout,
+    normalizeLayout
+};
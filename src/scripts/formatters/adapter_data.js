@@ -0,0 +1,107 @@
+import { ethers } from 'ethers';
+import { decodeWithLayout, encodeWithLayout, normalizeLayout } from './abi_layouts.js';
+
+/**
+ * RouterPath.extraData decoders
+ *
+ * Each adapter in mixAdapters receives the extraData entry at the same index. Known payloads
+ * are registered as ABI layouts (see abi_layouts.js), keyed either by adapter address
+ * (`adapters: ['0x...']`, tried first) or by payload signature alone (no `adapters`).
+ * Payloads that match no layout stay as raw hex.
+ *
+ * A signature-only match is a guess: any adapter whose payload has the same ABI shape matches
+ * too. Those results carry `inferred: true` (reported by the calldata linter); the built-in
+ * layouts below are all signature-only, since adapter deployments differ per chain.
+ *
+ * Decoded format: { layout: 'uniswapV3', inferred: true, fields: { sqrtPriceX96: '0', data: { fromToken, toToken } } }
+ */
+
+const ADAPTER_DATA_LAYOUTS = [
+    // UniV3 adapters (batches and dagSwap): abi.encode(uint160 sqrtX96, bytes data)
+    // sqrtX96 = 0 means no price limit; data carries the token pair (and fee on some deployments)
+    {
+        name: 'uniswapV3',
+        types: ['uint160', 'bytes'],
+        names: ['sqrtPriceX96', 'data'],
+        nested: {
+            data: [
+                { types: ['address', 'address'], names: ['fromToken', 'toToken'] },
+                { types: ['address', 'address', 'uint24'], names: ['fromToken', 'toToken', 'fee'] }
+            ]
+        }
+    },
+    // Adapters that only need the swap direction: abi.encode(address fromToken, address toToken)
+    {
+        name: 'tokenPair',
+        types: ['address', 'address'],
+        names: ['fromToken', 'toToken'],
+        validate: (fields) => fields.fromToken !== ethers.constants.AddressZero &&
+                              fields.toToken !== ethers.constants.AddressZero
+    },
+].map(normalizeLayout);
+
+/**
+ * Register an adapter extraData layout (replaces a layout with the same name)
+ * @param {Object} layout - { name, adapters?, selector?, types, names, nested?, validate? }
+ */
+function registerAdapterDataLayout(layout) {
+    const normalized = normalizeLayout(layout);
+    if (normalized.adapters) {
+        normalized.adapters = normalized.adapters.map(address => address.toLowerCase());
+    }
+
+    const existing = ADAPTER_DATA_LAYOUTS.findIndex(l => l.name === normalized.name);
+    if (existing !== -1) {
+        ADAPTER_DATA_LAYOUTS.splice(existing, 1);
+    }
+    // Address-keyed layouts are more specific than signature-only ones
+    if (normalized.adapters) {
+        ADAPTER_DATA_LAYOUTS.unshift(normalized);
+    } else {
+        ADAPTER_DATA_LAYOUTS.push(normalized);
+    }
+}
+
+/**
+ * Decode a RouterPath.extraData entry
+ * @param {string} adapter - the adapter address at the same index in mixAdapters
+ * @param {string} extraData - raw extraData bytes (0x-prefixed hex)
+ * @returns {string|Object} { layout, inferred?, fields } for a known payload, otherwise the raw hex
+ */
+function decodeAdapterData(adapter, extraData) {
+    const hex = ethers.utils.hexlify(extraData).toLowerCase();
+    if (hex === '0x') return hex;
+
+    const adapterAddress = typeof adapter === 'string' ? adapter.toLowerCase() : null;
+
+    for (const layout of ADAPTER_DATA_LAYOUTS) {
+        if (layout.adapters && !layout.adapters.includes(adapterAddress)) continue;
+
+        const fields = decodeWithLayout(layout, hex);
+        if (fields) {
+            return layout.adapters ? { layout: layout.name, fields } : { layout: layout.name, inferred: true, fields };
+        }
+    }
+    return hex;
+}
+
+/**
+ * Encode a RouterPath.extraData entry
+ * @param {string|Object} extraData - raw hex, or { layout, inferred?, fields } as produced by decodeAdapterData
+ * @returns {string} extraData bytes (0x-prefixed hex)
+ */
+function encodeAdapterData(extraData) {
+    if (typeof extraData === 'string') return extraData;
+
+    const layout = ADAPTER_DATA_LAYOUTS.find(l => l.name === extraData?.layout);
+    if (!layout) {
+        throw new Error(`Unknown adapter extraData layout: ${extraData?.layout}`);
+    }
+    return encodeWithLayout(layout, extraData.fields);
+}
+
+export {
+    decodeAdapterData,
+    encodeAdapterData,
+    registerAdapterDataLayout
+};
@@ -0,0 +1,90 @@
+import { ethers } from 'ethers';
+import { decodeAdapterData, encodeAdapterData, registerAdapterDataLayout } from './adapter_data.js';
+
+const abi = ethers.utils.defaultAbiCoder;
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+const WBTC = '0x2260FAC5E5542a773Aa44fBCfeDf7C193bc2C599';
+const ADAPTER = '0x6747BcaF9bD5a5F0758Cbe08903490E45DdfACB5';
+const OTHER_ADAPTER = '0x5745050e787F693ED21E4418D528F78ad9C374A6';
+
+const uniswapV3Payload = abi.encode(['uint160', 'bytes'], [0, abi.encode(['address', 'address'], [USDT, WBTC])]);
+const tokenPairPayload = abi.encode(['address', 'address'], [USDT, WBTC]);
+
+describe('built-in layouts', () => {
+    test('a uniswapV3 payload is decoded by its shape and marked as inferred', () => {
+        const decoded = decodeAdapterData(ADAPTER, uniswapV3Payload);
+
+        expect(decoded).toEqual({
+            layout: 'uniswapV3',
+            inferred: true,
+            fields: { sqrtPriceX96: '0', data: { fromToken: USDT, toToken: WBTC } }
+        });
+        expect(encodeAdapterData(decoded)).toBe(uniswapV3Payload);
+    });
+
+    test('the uniswapV3 data with a fee picks the three-field candidate', () => {
+        const payload = abi.encode(['uint160', 'bytes'], [0, abi.encode(['address', 'address', 'uint24'], [USDT, WBTC, 500])]);
+        const decoded = decodeAdapterData(ADAPTER, payload);
+
+        expect(decoded.fields.data).toEqual({ fromToken: USDT, toToken: WBTC, fee: 500 });
+        expect(encodeAdapterData(decoded)).toBe(payload);
+    });
+
+    test('a token pair payload is decoded by its shape and marked as inferred', () => {
+        const decoded = decodeAdapterData(ADAPTER, tokenPairPayload);
+
+        expect(decoded).toEqual({ layout: 'tokenPair', inferred: true, fields: { fromToken: USDT, toToken: WBTC } });
+        expect(encodeAdapterData(decoded)).toBe(tokenPairPayload);
+    });
+
+    test.each([
+        ['a token pair with the zero address', abi.encode(['address', 'address'], [USDT, ethers.constants.AddressZero])],
+        ['a single word', abi.encode(['uint256'], [30])],
+        ['bytes that are not ABI encoded', '0x1234']
+    ])('keeps %s as raw hex', (name, payload) => {
+        expect(decodeAdapterData(ADAPTER, payload)).toBe(payload.toLowerCase());
+    });
+
+    test('empty extraData stays 0x', () => {
+        expect(decodeAdapterData(ADAPTER, '0x')).toBe('0x');
+    });
+
+    test('an unknown layout name cannot be encoded', () => {
+        expect(() => encodeAdapterData({ layout: 'nope', fields: {} })).toThrow('Unknown adapter extraData layout: nope');
+    });
+});
+
+describe('registerAdapterDataLayout', () => {
+    test('an address-keyed layout is tried before the built-in ones, only for its adapters', () => {
+        registerAdapterDataLayout({
+            name: 'pairRoute',
+            adapters: [ADAPTER],
+            types: ['address', 'address'],
+            names: ['tokenIn', 'tokenOut']
+        });
+
+        const decoded = decodeAdapterData(ADAPTER.toLowerCase(), tokenPairPayload);
+        expect(decoded).toEqual({ layout: 'pairRoute', fields: { tokenIn: USDT, tokenOut: WBTC } });
+        expect(encodeAdapterData(decoded)).toBe(tokenPairPayload);
+
+        expect(decodeAdapterData(OTHER_ADAPTER, tokenPairPayload).layout).toBe('tokenPair');
+    });
+
+    test('a signature-only layout is tried after the built-in ones', () => {
+        registerAdapterDataLayout({ name: 'addressPair', types: ['address', 'address'], names: ['a', 'b'] });
+
+        expect(decodeAdapterData(OTHER_ADAPTER, tokenPairPayload).layout).toBe('tokenPair');
+    });
+
+    test('registering a layout with an existing name replaces it', () => {
+        registerAdapterDataLayout({ name: 'tokenPair', adapters: [OTHER_ADAPTER], types: ['address', 'address'], names: ['x', 'y'] });
+
+        expect(decodeAdapterData(OTHER_ADAPTER, tokenPairPayload)).toEqual({ layout: 'tokenPair', fields: { x: USDT, y: WBTC } });
+        // No signature-only tokenPair is left, so the next signature-only match is used elsewhere
+        expect(decodeAdapterData('0x' + '1'.repeat(40), tokenPairPayload)).toEqual({ layout: 'addressPair', inferred: true, fields: { a: USDT, b: WBTC } });
+    });
+
+    test('a layout needs matching types and names', () => {
+        expect(() => registerAdapterDataLayout({ name: 'broken', types: ['address'], names: [] })).toThrow('matching types / names');
+    });
+});
@@ -1,5 +1,6 @@
 import { ethers } from 'ethers';
 import { packDagRawDataArray, packRawDataArray } from './encode_packers.js';
+import { encodeAdapterData } from './adapter_data.js';
 
 // Mode constants for fromToken encoding
 export const _MODE_NO_TRANSFER = ethers.BigNumber.from('1').shl(251);
@@ -56,19 +57,18 @@ export function processFromTokenWithMode(fromToken) {
 /**
  * Prepare baseRequest tuple from JSON object
  * @param {Object} baseRequest - BaseRequest object
- * @param {string} functionName - Optional function name to determine encoding type
- * @param {string|number} orderId - Optional orderId to encode with fromToken for specific functions
+ * @param {string|number} [orderId] - orderId to pack into fromToken (unxswapToWithBaseRequest)
  * @returns {Array} BaseRequest tuple
  */
-export function prepareBaseRequestTuple(baseRequest, functionName, orderId) {
+export function prepareBaseRequestTuple(baseRequest, orderId) {
     if (!baseRequest) {
         throw new Error('Missing baseRequest parameter');
     }
     
     let fromToken = baseRequest.fromToken;
     
-    // For unxswapToWithBaseRequest, encode orderId with fromToken address
-    if (functionName === 'unxswapToWithBaseRequest' && orderId) {
+    // Encode orderId with fromToken address
+    if (orderId) {
         // Encode as: (orderId << 160) | address(fromToken)
         // fromToken should be the address, orderId gets shifted and combined
         const orderIdBN = ethers.BigNumber.from(orderId.toString());
@@ -85,6 +85,18 @@ export function prepareBaseRequestTuple(baseRequest, functionName, orderId) {
     ];
 }
 
+/**
+ * Prepare RouterPath extraData bytes, encoding decoded adapter payloads back to hex
+ * @param {Array} extraData - array of raw hex strings or { layout, fields } objects
+ * @returns {Array} array of extraData bytes
+ */
+export function prepareAdapterExtraData(extraData) {
+    if (!Array.isArray(extraData)) {
+        return extraData;
+    }
+    return extraData.map(encodeAdapterData);
+}
+
 /**
  * Prepare RouterPath tuples from JSON array (for batches - 2D array)
  * @param {Array} batches - 2D array of RouterPath objects
@@ -100,7 +112,7 @@ export function prepareBatchesTuples(batches) {
             routerPath.mixAdapters,
             routerPath.assetTo,
             packRawDataArray(routerPath.rawData), // Pack rawData objects
-            routerPath.extraData,
+            prepareAdapterExtraData(routerPath.extraData),
             processFromTokenWithMode(routerPath.fromToken)
         ])
     );
@@ -120,7 +132,7 @@ export function preparePathsTuples(paths) {
         routerPath.mixAdapters,
         routerPath.assetTo,
         packRawDataArray(routerPath.rawData), // Pack rawData objects
-        routerPath.extraData,
+        prepareAdapterExtraData(routerPath.extraData),
         routerPath.fromToken
     ]);
 }
@@ -139,7 +151,41 @@ export function prepareDagPathsTuples(paths) {
         routerPath.mixAdapters,
         routerPath.assetTo,
         packDagRawDataArray(routerPath.rawData), // Pack DAG rawData objects with inputIndex/outputIndex
-        routerPath.extraData,
+        prepareAdapterExtraData(routerPath.extraData),
         processFromTokenWithMode(routerPath.fromToken)
     ]);
 }
+
+/**
+ * Prepare ExtraData tuples from JSON array
+ * Accepts the named format produced by the decoder, or positional tuples
+ * @param {Array} extraData - array of ExtraData objects
+ * @returns {Array} array of ExtraData tuples
+ */
+export function prepareExtraDataTuples(extraData) {
+    if (!Array.isArray(extraData)) {
+        throw new Error('extraData must be an array');
+    }
+
+    return extraData.map((entry, index) => {
+        if (Array.isArray(entry)) {
+            return entry;
+        }
+        if (!entry || typeof entry !== 'object') {
+            throw new Error(`extraData[${index}] must be an object`);
+        }
+
+        return [
+            entry.fromToken,
+            entry.toToken,
+            entry.receiver,
+            entry.payer,
+            entry.fromTokenAmount,
+            entry.minReturnAmount,
+            entry.deadLine,
+            entry.orderId,
+            Boolean(entry.isToB),
+            entry.settlerData || '0x'
+        ];
+    });
+}
@@ -1,57 +1,18 @@
+import { getFunctionDefinition } from '../core/function_registry.js';
+import { formatTokenAmount, getTokenInfo } from '../core/token_registry.js';
+
 /**
  * Flow Diagram Generator
  * Generates flow diagram data from any decoded swap calldata.
  *
- * Supported function families:
- *  - dagSwap*       → Full DAG with inputIndex / outputIndex
- *  - smartSwap*     → Batch-based parallel / sequential routing
- *  - unxswap*       → Linear pool chain
- *  - uniswapV3Swap* → Linear pool chain
- *  - swapWrap*      → Simple wrap / unwrap
+ * Supported function families (the `family` of the function definition):
+ *  - dagSwap   → Full DAG with inputIndex / outputIndex
+ *  - smartSwap → Batch-based parallel / sequential routing
+ *  - unxswap   → Linear pool chain
+ *  - uniswapV3 → Linear pool chain
+ *  - swapWrap  → Simple wrap / unwrap
  */
 
-// ============================================================
-//  Well-known tokens (USDT, USDC, DAI, WETH, ETH)
-//  Chains: Ethereum, BSC, Base, Arbitrum, Optimism, XLayer
-// ============================================================
-const KNOWN_TOKENS = {
-    // Native ETH placeholder (same across all chains)
-    '0xeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeeee': 'ETH',
-
-    // Ethereum Mainnet
-    '0xdac17f958d2ee523a2206206994597c13d831ec7': 'USDT',
-    '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48': 'USDC',
-    '0x6b175474e89094c44da98b954eedeac495271d0f': 'DAI',
-    '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2': 'WETH',
-
-    // BSC
-    '0x55d398326f99059ff775485246999027b3197955': 'USDT',
-    '0x8ac76a51cc950d9822d68b83fe1ad97b32cd580d': 'USDC',
-    '0x1af3f329e8be154074d8769d1ffa4ee058b1dbc3': 'DAI',
-    '0xbb4cdb9cbd36b01bd1cbaebf2de08d9173bc095c': 'WBNB',
-
-    // Base
-    '0xfde4c96c8593536e31f229ea8f37b2ada2699bb2': 'USDT',
-    '0x833589fcd6edb6e08f4c7c32d4f71b54bda02913': 'USDC',
-    '0x50c5725949a6f0c72e6c4a641f24049a917db0cb': 'DAI',
-    '0x4200000000000000000000000000000000000006': 'WETH',
-
-    // Arbitrum
-    '0xfd086bc7cd5c481dcc9c85ebe478a1c0b69fcbb9': 'USDT',
-    '0xaf88d065e77c8cc2239327c5edb3a432268e5831': 'USDC',
-    '0xda10009cbd5d07dd0cecc66161fc93d7c9000da1': 'DAI',
-    '0x82af49447d8a07e3bd95bd0d56f35241523fbab1': 'WETH',
-
-    // Optimism (DAI & WETH shared with Arb/Base — already listed)
-    '0x94b008aa00579c1307b0ef2c499ad98a8ce58e58': 'USDT',
-    '0x0b2c639c533813f4aa9d7837caf62653d097ff85': 'USDC',
-
-    // XLayer
-    '0x1e4a5963abfd975d8c9021ce480b42188849d41d': 'USDT',
-    '0x74b7f16337b8972027f6196a17a631ac6de26d22': 'USDC',
-    '0x5a77f1443d16ee5761d310e38b62f77f726bc71c': 'WETH',
-};
-
 // ============================================================
 //  Helpers
 // ============================================================
@@ -63,7 +24,7 @@ function shortenAddress(address) {
 
 function getTokenSymbol(address) {
     if (!address) return null;
-    return KNOWN_TOKENS[address.toLowerCase()] || null;
+    return getTokenInfo(address)?.symbol || null;
 }
 
 function getTokenDisplayName(address) {
@@ -98,20 +59,15 @@ function makeNode(id, tokenAddress) {
 //  Detection — which function types are supported
 // ============================================================
 
+/** Function family from the function definition (see core/function_registry.js) */
 function getFunctionFamily(decodedResult) {
     if (!decodedResult?.function?.name) return null;
-    const n = decodedResult.function.name;
-    if (n.startsWith('dagSwap'))       return 'dag';
-    if (n.startsWith('smartSwap'))     return 'smart';
-    if (n.startsWith('unxswap'))       return 'unxswap';
-    if (n.startsWith('uniswapV3Swap')) return 'uniV3';
-    if (n.startsWith('swapWrap'))      return 'wrap';
-    return null;
+    return getFunctionDefinition(decodedResult.function.name)?.family || null;
 }
 
 function supportsFlowDiagram(decodedResult) {
     const family = getFunctionFamily(decodedResult);
-    return family === 'dag' || family === 'smart';
+    return family === 'dagSwap' || family === 'smartSwap';
 }
 
 // ============================================================
@@ -469,6 +425,34 @@ function injectCommission(flowData, decodedResult) {
     return { nodes, edges };
 }
 
+// ============================================================
+//  Amount labels — input amount / min return on the end nodes
+// ============================================================
+
+/** Attach human-readable amounts (token registry) to the first and last swap nodes */
+function injectAmounts(flowData, decodedResult) {
+    if (!flowData?.nodes?.length) return flowData;
+
+    const { firstId, lastId } = getSwapNodeIds(flowData);
+    const inputAmount = decodedResult.baseRequest?.fromTokenAmount ?? decodedResult.amount;
+    const minReturn = decodedResult.baseRequest?.minReturnAmount ?? decodedResult.minReturn;
+
+    const nodes = flowData.nodes.map(node => {
+        if (!node.token) return node;
+        if (node.id === firstId && inputAmount !== undefined) {
+            const formatted = formatTokenAmount(inputAmount, node.token);
+            return formatted ? { ...node, amountLabel: formatted } : node;
+        }
+        if (node.id === lastId && minReturn !== undefined) {
+            const formatted = formatTokenAmount(minReturn, node.token);
+            return formatted ? { ...node, amountLabel: `min ${formatted}` } : node;
+        }
+        return node;
+    });
+
+    return { ...flowData, nodes };
+}
+
 // ============================================================
 //  Main entry point — dispatch to the right generator
 // ============================================================
@@ -477,14 +461,15 @@ function generateFlowData(decodedResult) {
     const family = getFunctionFamily(decodedResult);
     let flowData = null;
     switch (family) {
-        case 'dag':     flowData = generateDagFlowData(decodedResult); break;
-        case 'smart':   flowData = generateSmartSwapFlowData(decodedResult); break;
-        case 'unxswap': flowData = generatePoolChainFlowData(decodedResult); break;
-        case 'uniV3':   flowData = generatePoolChainFlowData(decodedResult); break;
-        case 'wrap':    flowData = generateSwapWrapFlowData(decodedResult); break;
-        default:        return null;
+        case 'dagSwap':   flowData = generateDagFlowData(decodedResult); break;
+        case 'smartSwap': flowData = generateSmartSwapFlowData(decodedResult); break;
+        case 'unxswap':   flowData = generatePoolChainFlowData(decodedResult); break;
+        case 'uniswapV3': flowData = generatePoolChainFlowData(decodedResult); break;
+        case 'swapWrap':  flowData = generateSwapWrapFlowData(decodedResult); break;
+        default:          return null;
     }
     if (!flowData) return null;
+    flowData = injectAmounts(flowData, decodedResult);
     flowData = injectTrimCharge(flowData, decodedResult);
     flowData = injectCommission(flowData, decodedResult);
     return flowData;
@@ -522,8 +507,9 @@ function generateMermaidDefinition(flowData) {
     swapNodesList.forEach(node => {
         const name = node.symbol || node.shortAddr || node.displayName;
         const addrLine = node.token ? shortenAddress(node.token) : '';
+        const amountLine = node.amountLabel ? `<br/>${node.amountLabel}` : '';
         if (node.symbol && addrLine) {
-            def += `  N${node.id}["<b>Node ${node.id}: ${name}</b><br/>${addrLine}"]\n`;
+            def += `  N${node.id}["<b>Node ${node.id}: ${name}</b><br/>${addrLine}${amountLine}"]\n`;
         } else {
             def += `  N${node.id}["Node ${node.id}: ${name}"]\n`;
         }
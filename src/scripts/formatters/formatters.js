@@ -18,6 +18,7 @@ import {
     WETH_UNWRAP_MASK
 } from '../core/masks.js';
 import { isRouterPathTuple } from '../core/type_checkers.js';
+import { decodeAdapterData } from './adapter_data.js';
 
 /**
  * Apply EIP-55 checksum to a raw hex address string.
@@ -118,21 +119,62 @@ function bytes32ToAddress(param) {
     }
 }
 
+/**
+ * Convert a uint256 token field to an address when it only holds an address,
+ * otherwise keep the full decimal value so no packed bits are lost
+ * @param {any} param - BigNumber or string representing uint256
+ * @returns {string} checksummed address or decimal string
+ */
+function uint256ToAddressOrValue(param) {
+    const paramBN = ethers.BigNumber.from(param.toString());
+    if (!paramBN.and(ADDRESS_MASK).eq(paramBN)) {
+        return paramBN.toString();
+    }
+    return toChecksumAddress("0x" + paramBN.toHexString().slice(2).padStart(40, '0'));
+}
+
+/**
+ * Format ExtraData array with named fields
+ * Numeric fields go through BigNumber again because getValue turns 20-byte uint256 values into addresses
+ * @param {Array} extraDataArray - the array of ExtraData tuples
+ * @returns {Array} formatted ExtraData entries
+ */
+function formatExtraDataArray(extraDataArray) {
+    return extraDataArray.map(extraData => {
+        const [
+            fromToken, toToken, receiver, payer, fromTokenAmount,
+            minReturnAmount, deadLine, orderId, isToB, settlerData
+        ] = extraData;
+
+        return {
+            fromToken: uint256ToAddressOrValue(fromToken),
+            toToken: getValue(toToken),
+            receiver: getValue(receiver),
+            payer: getValue(payer),
+            fromTokenAmount: ethers.BigNumber.from(fromTokenAmount).toString(),
+            minReturnAmount: ethers.BigNumber.from(minReturnAmount).toString(),
+            deadLine: ethers.BigNumber.from(deadLine).toString(),
+            orderId: ethers.BigNumber.from(orderId).toString(),
+            isToB: isToB,
+            // Opaque to the router: no settler encoding is public, so it stays raw hex
+            settlerData: ethers.utils.hexlify(settlerData).toLowerCase()
+        };
+    });
+}
+
 /**
  * Format RouterPath array with named fields
  * @param {Array} routerPathArray - the 2D array of RouterPath tuples (or 1D for DAG)
- * @param {string} functionName - optional function name to determine decode type
+ * @param {string} route - 'batches' (smartSwap*) or 'dag' (dagSwap*), selects the array depth and rawData layout
+ * @param {Object} packing - optional packing rules of the DexRouter release (see core/abi.js)
  * @returns {Array} formatted RouterPath array with field names
  */
-function formatRouterPathArray(routerPathArray, functionName) {
-    // Check if this is a DAG function with 1D paths array
-    const isDagFunction = functionName && functionName.startsWith('dagSwap');
-    
-    if (isDagFunction) {
+function formatRouterPathArray(routerPathArray, route, packing) {
+    if (route === 'dag') {
         // DAG paths is a 1D array of RouterPath tuples
         return routerPathArray.map(routerPath => {
             if (isRouterPathTuple(routerPath)) {
-                return formatRouterPath(routerPath, functionName);
+                return formatRouterPath(routerPath, route, packing);
             }
             return getValue(routerPath);
         });
@@ -141,7 +183,7 @@ function formatRouterPathArray(routerPathArray, functionName) {
         return routerPathArray.map(batch => {
             return batch.map(routerPath => {
                 if (isRouterPathTuple(routerPath)) {
-                    return formatRouterPath(routerPath, functionName);
+                    return formatRouterPath(routerPath, route, packing);
                 }
                 return getValue(routerPath);
             });
@@ -152,46 +194,54 @@ function formatRouterPathArray(routerPathArray, functionName) {
 /**
  * Format a single RouterPath tuple with named fields
  * @param {Array} routerPathArray - the RouterPath tuple as array
- * @param {string} functionName - optional function name to determine decode type
+ * @param {string} route - 'batches' or 'dag', selects the rawData layout
+ * @param {Object} packing - optional packing rules of the DexRouter release (see core/abi.js)
  * @returns {Object} formatted RouterPath with field names
  */
-function formatRouterPath(routerPathArray, functionName) {
+function formatRouterPath(routerPathArray, route, packing) {
     const [mixAdapters, assetTo, rawData, extraData, fromToken] = routerPathArray;
     
-    // Check if this function supports transfer mode in fromToken
-    // Both DAG functions and batch functions (smartSwap*, etc.) use processFromTokenWithMode in encoding
-    const supportsTransferMode = functionName && (
-        functionName.startsWith('dagSwap') ||
-        functionName.startsWith('smartSwap') ||
-        functionName === 'smartSwapByInvest' ||
-        functionName === 'smartSwapByInvestWithRefund'
-    );
+    // Both DAG and batch RouterPaths use processFromTokenWithMode in encoding,
+    // unless the release does not pack transfer modes
+    const supportsTransferMode = packing?.transferModes !== false;
     
     return {
         mixAdapters: getValue(mixAdapters),
         assetTo: getValue(assetTo),
-        rawData: decodeRawDataArray(rawData, functionName),
-        extraData: getValue(extraData),
+        rawData: decodeRawDataArray(rawData, route),
+        extraData: decodeExtraDataArray(extraData, mixAdapters),
         fromToken: supportsTransferMode ? unpackFromTokenWithMode(fromToken) : getValue(fromToken)
     };
 }
 
+/**
+ * Decode RouterPath extraData entries with the adapter at the same index
+ * @param {Array} extraDataArray - array of extraData bytes
+ * @param {Array} mixAdapters - adapter addresses of the same RouterPath
+ * @returns {Array} array of decoded payloads ({ layout, fields }) or raw hex
+ */
+function decodeExtraDataArray(extraDataArray, mixAdapters) {
+    if (!Array.isArray(extraDataArray)) {
+        return getValue(extraDataArray);
+    }
+
+    const adapters = getValue(mixAdapters) || [];
+    return extraDataArray.map((extraData, index) => decodeAdapterData(adapters[index], extraData));
+}
+
 /**
  * Decode rawData array by unpacking each uint256 value
  * @param {Array} rawDataArray - array of rawData uint256 values
- * @param {string} functionName - optional function name to determine decode type
+ * @param {string} route - 'batches' or 'dag' (DAG rawData also packs input / output node indexes)
  * @returns {Array} array of decoded rawData objects
  */
-function decodeRawDataArray(rawDataArray, functionName) {
+function decodeRawDataArray(rawDataArray, route) {
     if (!Array.isArray(rawDataArray)) {
         return getValue(rawDataArray);
     }
     
-    // Check if this is from a DAG function
-    const isDagFunction = functionName && functionName.startsWith('dagSwap');
-    
     return rawDataArray.map(rawDataItem => {
-        if (isDagFunction) {
+        if (route === 'dag') {
             return unpackDagRawData(rawDataItem);
         } else {
             return unpackRawData(rawDataItem);
@@ -273,18 +323,17 @@ function unpackReceiver(receiverValue) {
 }
 
 /**
- * Unpack a pools array based on function type
+ * Unpack a pools array based on the pool type
  * @param {Array} poolsArray - the pools array (uint256[] or bytes32[])
- * @param {string} functionName - the name of the function being called
+ * @param {string} poolType - 'unxswap' or 'uniswapV3'
  * @returns {Array} unpacked pools array
  */
-function unpackPoolsArray(poolsArray, functionName) {
+function unpackPoolsArray(poolsArray, poolType) {
     if (!Array.isArray(poolsArray) || poolsArray.length === 0) {
         return getValue(poolsArray);
     }
 
-    // Determine which type of pool unpacking to use based on function name
-    const isUnxswapFunction = functionName && functionName.startsWith('unxswap');
+    const isUnxswapPool = poolType === 'unxswap';
 
     return poolsArray.map((poolValue, index) => {
         // Convert bytes32 hex strings to BigNumber if needed
@@ -293,11 +342,11 @@ function unpackPoolsArray(poolsArray, functionName) {
             processedPoolValue = ethers.BigNumber.from(poolValue);
         }
 
-        if (isUnxswapFunction) {
-            // unxswap functions: complex pool structure with all masks
+        if (isUnxswapPool) {
+            // unxswap pools: complex pool structure with all masks
             return unpackUnxswapPool(processedPoolValue);
         } else {
-            // uniswapV3 functions: simple pool structure with isOneForZero only
+            // uniswapV3 pools: simple pool structure with isOneForZero only
             return unpackUniswapV3Pool(processedPoolValue);
         }
     });
@@ -536,6 +585,7 @@ function unpackFromTokenWithMode(fromTokenValue) {
 
 export {
     formatBaseRequest,
+    formatExtraDataArray,
     formatRouterPathArray, getValue, unpackFromTokenWithMode, unpackPoolsArray, unpackReceiver, unpackSrcToken,
     unpackSwapRawdata
 };
@@ -0,0 +1,199 @@
+import { getFunctionDefinition, getParameterDefinition } from '../core/function_registry.js';
+import {
+    ADDRESS_MASK,
+    DAG_INPUT_INDEX_MASK,
+    DAG_OUTPUT_INDEX_MASK,
+    IS_TOKEN0_TAX_MASK,
+    IS_TOKEN1_TAX_MASK,
+    MODE_BY_INVEST_MASK,
+    MODE_NO_TRANSFER_MASK,
+    MODE_PERMIT2_MASK,
+    NUMERATOR_MASK,
+    ONE_FOR_ZERO_MASK,
+    ORDER_ID_MASK,
+    REVERSE_MASK,
+    SWAP_AMOUNT_MASK,
+    WEIGHT_MASK,
+    WETH_MASK,
+    WETH_UNWRAP_MASK
+} from '../core/masks.js';
+
+/**
+ * Documentation of packed fields for editor tooltips
+ *
+ * Object fields of the encoder input that end up as bits of one uint256 word (rawData, pools,
+ * fromToken, srcToken / receiver, swapWrap rawdata) are described with the mask from core/masks.js
+ * that selects them. The word layout is found through the codec of the top-level parameter
+ * (see core/function_registry.js).
+ */
+
+// Bits of the transfer mode flags, which share one JSON field
+const TRANSFER_MODE_MASK = MODE_NO_TRANSFER_MASK.or(MODE_BY_INVEST_MASK).or(MODE_PERMIT2_MASK);
+
+const ORDER_ID = { field: 'orderId', maskName: 'ORDER_ID_MASK', mask: ORDER_ID_MASK, description: 'Order id, packed above the address' };
+
+const WORDS = {
+    rawData: {
+        title: 'Pool rawData',
+        fields: [
+            { field: 'poolAddress', maskName: 'ADDRESS_MASK', mask: ADDRESS_MASK, description: 'Pool the adapter swaps through' },
+            { field: 'weight', maskName: 'WEIGHT_MASK', mask: WEIGHT_MASK, description: 'Share of the hop amount sent to this pool, in basis points (10000 = 100%)' },
+            { field: 'reverse', maskName: 'REVERSE_MASK', mask: REVERSE_MASK, description: 'Set when the pool swaps token1 for token0' }
+        ]
+    },
+    dagRawData: {
+        title: 'DAG pool rawData',
+        fields: [
+            { field: 'poolAddress', maskName: 'ADDRESS_MASK', mask: ADDRESS_MASK, description: 'Pool the adapter swaps through' },
+            { field: 'weight', maskName: 'WEIGHT_MASK', mask: WEIGHT_MASK, description: 'Share of the input node amount sent to this pool, in basis points (10000 = 100%)' },
+            { field: 'inputIndex', maskName: 'DAG_INPUT_INDEX_MASK', mask: DAG_INPUT_INDEX_MASK, description: 'Node the pool takes its input from (paths[i] must hold the edges of node i)' },
+            { field: 'outputIndex', maskName: 'DAG_OUTPUT_INDEX_MASK', mask: DAG_OUTPUT_INDEX_MASK, description: 'Node the pool output is credited to; the last node is the output token' },
+            { field: 'reverse', maskName: 'REVERSE_MASK', mask: REVERSE_MASK, description: 'Set when the pool swaps token1 for token0' }
+        ]
+    },
+    fromToken: {
+        title: 'RouterPath fromToken',
+        fields: [
+            { field: 'address', maskName: 'ADDRESS_MASK', mask: ADDRESS_MASK, description: 'Input token of the path' },
+            {
+                field: 'flag',
+                maskName: 'MODE_NO_TRANSFER_MASK | MODE_BY_INVEST_MASK | MODE_PERMIT2_MASK',
+                mask: TRANSFER_MODE_MASK,
+                description: 'Transfer mode: NO_TRANSFER (bit 251) leaves the input where it is, BY_INVEST (bit 250) pays from the router balance, PERMIT2 (bit 249) pulls through Permit2; DEFAULT sets none'
+            }
+        ]
+    },
+    unxswapPool: {
+        title: 'Unxswap pool',
+        fields: [
+            { field: 'address', maskName: 'ADDRESS_MASK', mask: ADDRESS_MASK, description: 'Uniswap V2-style pair' },
+            { field: 'numerator', maskName: 'NUMERATOR_MASK', mask: NUMERATOR_MASK, description: 'Fee numerator out of 10^9 (997000000 = 0.3% fee)' },
+            { field: 'isToken0Tax', maskName: 'IS_TOKEN0_TAX_MASK', mask: IS_TOKEN0_TAX_MASK, description: 'token0 is a fee-on-transfer token; the received amount is measured' },
+            { field: 'isToken1Tax', maskName: 'IS_TOKEN1_TAX_MASK', mask: IS_TOKEN1_TAX_MASK, description: 'token1 is a fee-on-transfer token; the received amount is measured' },
+            { field: 'WETH', maskName: 'WETH_MASK', mask: WETH_MASK, description: 'Unwrap WETH to ETH after this pool (set on the last pool)' },
+            { field: 'isOneForZero', maskName: 'ONE_FOR_ZERO_MASK', mask: ONE_FOR_ZERO_MASK, description: 'Set when the pair swaps token1 for token0' }
+        ]
+    },
+    uniswapV3Pool: {
+        title: 'Uniswap V3 pool',
+        fields: [
+            { field: 'pool', maskName: 'ADDRESS_MASK', mask: ADDRESS_MASK, description: 'Uniswap V3 pool' },
+            { field: 'wethUnwrap', maskName: 'WETH_UNWRAP_MASK', mask: WETH_UNWRAP_MASK, description: 'Unwrap WETH to ETH after this pool (set on the last pool)' },
+            { field: 'isOneForZero', maskName: 'ONE_FOR_ZERO_MASK', mask: ONE_FOR_ZERO_MASK, description: 'Set when the pool swaps token1 for token0' }
+        ]
+    },
+    orderIdAddress: {
+        title: 'orderId and address word',
+        fields: [
+            { field: 'address', maskName: 'ADDRESS_MASK', mask: ADDRESS_MASK, description: 'Token or receiver address' },
+            ORDER_ID
+        ]
+    },
+    swapWrapRawdata: {
+        title: 'swapWrap rawdata',
+        fields: [
+            { field: 'amount', maskName: 'SWAP_AMOUNT_MASK', mask: SWAP_AMOUNT_MASK, description: 'Amount to wrap or unwrap' },
+            { field: 'reversed', maskName: 'REVERSE_MASK', mask: REVERSE_MASK, description: 'Unwrap WETH to ETH instead of wrapping' }
+        ]
+    }
+};
+
+/**
+ * Describe the bits a mask selects ("bit 255", "bits 160-175", "bits 249-251")
+ * @param {BigNumber} mask - the mask
+ * @returns {string} bit range
+ */
+function describeMaskBits(mask) {
+    let low = -1;
+    let high = -1;
+    for (let bit = 0; bit < 256; bit++) {
+        if (!mask.shr(bit).and(1).isZero()) {
+            if (low === -1) low = bit;
+            high = bit;
+        }
+    }
+    return low === high ? `bit ${low}` : `bits ${low}-${high}`;
+}
+
+// Replace the mask by its bit range
+const describeField = ({ field, maskName, mask, description }) => ({ field, maskName, bits: describeMaskBits(mask), description });
+
+/**
+ * Find the packed word at a path (segments below the top-level parameter)
+ * @returns {Object|null} { word, field } - field is null when the path is the word itself
+ */
+function findPackedWord(codec, segments) {
+    const [, ...rest] = segments;
+    const last = rest[rest.length - 1];
+    const parent = rest[rest.length - 2];
+
+    switch (codec) {
+        case 'batches':
+        case 'dagPaths': {
+            const rawData = codec === 'batches' ? 'rawData' : 'dagRawData';
+            if (typeof last === 'number' && parent === 'rawData') return { word: rawData, field: null };
+            if (typeof parent === 'number' && rest[rest.length - 3] === 'rawData') return { word: rawData, field: last };
+            if (last === 'fromToken') return { word: 'fromToken', field: null };
+            if (parent === 'fromToken') return { word: 'fromToken', field: last };
+            return null;
+        }
+        case 'unxswapPools':
+        case 'uniswapV3Pools': {
+            const word = codec === 'unxswapPools' ? 'unxswapPool' : 'uniswapV3Pool';
+            if (rest.length === 1) return { word, field: null };
+            if (rest.length === 2) return { word, field: last };
+            return null;
+        }
+        case 'srcToken':
+        case 'packedReceiver':
+            if (rest.length === 0) return { word: 'orderIdAddress', field: null };
+            if (rest.length === 1) return { word: 'orderIdAddress', field: last };
+            return null;
+        case 'baseRequestWithOrderId':
+            return rest.length === 1 && last === 'fromToken' ? { word: 'orderIdAddress', field: null } : null;
+        case 'swapWrapRawdata':
+            if (rest.length === 0) return { word: 'swapWrapRawdata', field: null };
+            if (rest.length === 1) return { word: 'swapWrapRawdata', field: last };
+            return null;
+        default:
+            return null;
+    }
+}
+
+/**
+ * Describe the packed field or packed word at a path of the encoder input
+ * @param {string} functionName - router function name
+ * @param {Array<string|number>} segments - path segments, e.g. ['pools', 0, 'isOneForZero']
+ * @returns {Object|null} { title, fields: [{ field, maskName, bits, description }] } with one field
+ *   for a packed field and the whole layout for a packed word, or null when the path is not packed
+ */
+function describePackedField(functionName, segments) {
+    if (segments.length === 0) return null;
+
+    // orderId packed into srcToken / receiver / baseRequest.fromToken
+    if (segments.length === 1 && segments[0] === 'orderId') {
+        const packing = getFunctionDefinition(functionName)?.params
+            .find(param => param.packsOrderId || param.codec === 'baseRequestWithOrderId');
+        if (!packing) return null;
+        const target = packing.packsOrderId ? packing.name : 'baseRequest.fromToken';
+        return {
+            title: `orderId, packed into ${target}`,
+            fields: [ORDER_ID].map(describeField)
+        };
+    }
+
+    const param = getParameterDefinition(functionName, segments[0]);
+    const found = param && findPackedWord(param.codec, segments);
+    if (!found) return null;
+
+    const { title, fields } = WORDS[found.word];
+    const selected = found.field === null ? fields : fields.filter(field => field.field === found.field);
+    if (selected.length === 0) return null;
+
+    return { title, fields: selected.map(describeField) };
+}
+
+export {
+    describeMaskBits,
+    describePackedField
+};
@@ -0,0 +1,108 @@
+import {
+    packReceiver,
+    packRawdata,
+    packSrcToken,
+    packUniswapV3Pool,
+    packUnxswapPool
+} from './encode_packers.js';
+import {
+    prepareBaseRequestTuple,
+    prepareBatchesTuples,
+    prepareDagPathsTuples,
+    prepareExtraDataTuples
+} from './encode_helpers.js';
+import {
+    formatBaseRequest,
+    formatExtraDataArray,
+    formatRouterPathArray,
+    unpackPoolsArray,
+    unpackReceiver,
+    unpackSrcToken,
+    unpackSwapRawdata
+} from './formatters.js';
+
+/**
+ * Parameter codecs named by the function definitions (see core/function_registry.js)
+ *
+ * encode(value, jsonData)  - JSON value -> ABI value; jsonData gives access to sibling fields (orderId)
+ * decode(value, context)   - ABI value (after getValue) -> JSON value; context is { packing } of the
+ *                            matched DexRouter release
+ */
+
+const identity = value => value;
+
+/**
+ * Build the { orderId, address } word of a packed receiver (new format: address string, legacy: object)
+ */
+function receiverForPacking(receiver, orderId) {
+    if (typeof receiver === 'string') {
+        return { orderId: orderId || '0', address: receiver };
+    }
+    return { orderId: orderId || receiver.orderId || '0', address: receiver.address };
+}
+
+const PARAM_CODECS = {
+    uint: { encode: identity, decode: identity },
+    address: { encode: identity, decode: identity },
+    amount: { encode: identity, decode: identity },
+    batchesAmount: { encode: identity, decode: identity },
+    baseRequest: {
+        encode: value => prepareBaseRequestTuple(value),
+        decode: value => formatBaseRequest(value)
+    },
+    // fromToken carries the top-level orderId: (orderId << 160) | address
+    baseRequestWithOrderId: {
+        encode: (value, jsonData) => prepareBaseRequestTuple(value, jsonData.orderId),
+        decode: value => formatBaseRequest(value)
+    },
+    batches: {
+        encode: value => prepareBatchesTuples(value),
+        decode: (value, { packing }) => formatRouterPathArray(value, 'batches', packing)
+    },
+    dagPaths: {
+        encode: value => prepareDagPathsTuples(value),
+        decode: (value, { packing }) => formatRouterPathArray(value, 'dag', packing)
+    },
+    settlerOrders: {
+        encode: value => prepareExtraDataTuples(value || []),
+        decode: value => formatExtraDataArray(value)
+    },
+    // Packed (orderId << 160) | address; decodes to { orderId, address }
+    srcToken: {
+        encode: (value, jsonData) => packSrcToken({ orderId: jsonData.orderId || '0', address: value }),
+        decode: value => unpackSrcToken(value)
+    },
+    packedReceiver: {
+        encode: (value, jsonData) => packReceiver(receiverForPacking(value, jsonData.orderId)),
+        decode: value => unpackReceiver(value)
+    },
+    unxswapPools: {
+        encode: value => value.map(pool => packUnxswapPool(pool)),
+        decode: value => unpackPoolsArray(value, 'unxswap')
+    },
+    uniswapV3Pools: {
+        encode: value => value.map(pool => packUniswapV3Pool(pool)),
+        decode: value => unpackPoolsArray(value, 'uniswapV3')
+    },
+    swapWrapRawdata: {
+        encode: value => packRawdata(value),
+        decode: value => unpackSwapRawdata(value)
+    }
+};
+
+/**
+ * Get a parameter codec by name
+ * @param {string} name - the codec name used in a function definition
+ * @returns {Object} { encode, decode }
+ */
+function getParamCodec(name) {
+    const codec = PARAM_CODECS[name];
+    if (!codec) {
+        throw new Error(`Unknown parameter codec: ${name}`);
+    }
+    return codec;
+}
+
+export {
+    getParamCodec
+};
@@ -0,0 +1,91 @@
+import { ethers } from 'ethers';
+import { isSwapFunction } from '../core/function_registry.js';
+import { NATIVE_TOKEN_ADDRESS } from '../core/tokens.js';
+import { formatTokenAmount } from '../core/token_registry.js';
+
+/**
+ * Human-readable amount annotations for decoded calldata
+ *
+ * Maps each amount field to the token it is denominated in and formats it with the
+ * token registry: { "baseRequest.fromTokenAmount": "1,234.56 USDC", ... }.
+ * Amounts of unknown tokens are reported as raw units with the token address.
+ */
+
+/**
+ * Get the address from a decoded token field ("0x..." or { address, flag })
+ */
+function tokenAddress(token) {
+    if (typeof token === 'string') return token;
+    return token?.address || null;
+}
+
+/**
+ * Collect [path, amount, token] entries for a decoded DexRouter call
+ * @param {Object} decoded - decoded call (output of resolveDexRouterCall)
+ * @returns {Array<Array>} [path, rawAmount, tokenAddress|null]
+ */
+function collectAmountFields(decoded) {
+    const fields = [];
+    const { baseRequest } = decoded;
+    const fromToken = tokenAddress(baseRequest?.fromToken) || tokenAddress(decoded.srcToken);
+    const toToken = tokenAddress(baseRequest?.toToken);
+
+    if (baseRequest) {
+        fields.push(['baseRequest.fromTokenAmount', baseRequest.fromTokenAmount, fromToken]);
+        fields.push(['baseRequest.minReturnAmount', baseRequest.minReturnAmount, toToken]);
+    }
+
+    // unxswap* / uniswapV3SwapTo* (approve's amount is in the token the call is sent to)
+    if (decoded.amount !== undefined && isSwapFunction(decoded.function?.name)) {
+        fields.push(['amount', decoded.amount, fromToken]);
+    }
+    if (decoded.minReturn !== undefined) {
+        fields.push(['minReturn', decoded.minReturn, toToken]);
+    }
+
+    // smartSwap* batches all spend the request's fromToken
+    (decoded.batchesAmount || []).forEach((amount, index) => {
+        fields.push([`batchesAmount[${index}]`, amount, fromToken]);
+    });
+
+    // smartSwap* ExtraData entries (named fields)
+    (decoded.extraData || []).forEach((entry, index) => {
+        if (!entry || typeof entry !== 'object' || Array.isArray(entry)) return;
+        fields.push([`extraData[${index}].fromTokenAmount`, entry.fromTokenAmount, tokenAddress(entry.fromToken)]);
+        fields.push([`extraData[${index}].minReturnAmount`, entry.minReturnAmount, tokenAddress(entry.toToken)]);
+    });
+
+    // swapWrap: native and wrapped native share 18 decimals
+    if (decoded.rawdata?.amount !== undefined) {
+        fields.push(['rawdata.amount', decoded.rawdata.amount, NATIVE_TOKEN_ADDRESS]);
+    }
+
+    return fields.filter(([, amount]) => amount !== undefined && amount !== null);
+}
+
+/**
+ * Annotate every amount of a decoded call with a human-readable value
+ * @param {Object} decoded - decoded call (output of resolveDexRouterCall)
+ * @param {number|string} [chainId] - chain the call was sent on (all chains are searched when omitted)
+ * @returns {Object} { [path]: "1,234.56 USDC" | "123456 raw units of 0x..." }
+ */
+function annotateAmounts(decoded, chainId) {
+    const annotations = {};
+
+    collectAmountFields(decoded).forEach(([path, amount, token]) => {
+        let raw;
+        try {
+            raw = ethers.BigNumber.from(amount).toString();
+        } catch {
+            return;
+        }
+        const formatted = token ? formatTokenAmount(raw, token, chainId) : null;
+        annotations[path] = formatted || (token ? `${raw} raw units of ${token}` : `${raw} raw units`);
+    });
+
+    return annotations;
+}
+
+export {
+    annotateAmounts
+};
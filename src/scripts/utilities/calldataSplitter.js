@@ -1,5 +1,5 @@
-import { ethers } from 'ethers';
-import { DEXROUTER_ABI } from '../core/abi.js';
+import { getDexRouterVersions } from '../core/abi_registry.js';
+import { isSwapFunction } from '../core/function_registry.js';
 
 // Commission flags (12 hex chars = 6 bytes, no 0x prefix, lowercase)
 // Matches CommissionLib.sol flag constants
@@ -21,22 +21,18 @@ const TRIM_FLAGS = [
 // Combined: commission takes priority (searched first, but we take the LAST occurrence)
 const ALL_END_FLAGS = [...COMMISSION_FLAGS, ...TRIM_FLAGS];
 
-// Cached selectors: 8-char lowercase hex (no 0x) → function name
-let _selectorsCache = null;
-
+// Selectors of every registered DexRouter release: 8-char lowercase hex (no 0x) → function name
+// Built per call so releases registered at runtime are picked up
 function getKnownSelectors() {
-    if (_selectorsCache) return _selectorsCache;
-
-    // Exclude ERC20 approve — it has no commission/trim data
-    const swapAbi = DEXROUTER_ABI.filter(sig => !sig.includes('function approve'));
-    const iface = new ethers.utils.Interface(swapAbi);
-
-    _selectorsCache = new Map();
-    for (const fragment of Object.values(iface.functions)) {
-        const sighash = iface.getSighash(fragment).slice(2).toLowerCase(); // 8 hex chars
-        _selectorsCache.set(sighash, fragment.name);
+    // Exclude non-swap functions (ERC20 approve) — they have no commission/trim data
+    const knownSelectors = new Map();
+    for (const { selectors } of getDexRouterVersions()) {
+        for (const [selector, fragment] of selectors) {
+            if (!isSwapFunction(fragment.name)) continue;
+            knownSelectors.set(selector.slice(2), fragment.name); // 8 hex chars
+        }
     }
-    return _selectorsCache;
+    return knownSelectors;
 }
 
 /**
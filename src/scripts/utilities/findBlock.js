@@ -1,30 +1,4 @@
-// Direct JSON-RPC call using fetch (avoids ethers.js CORS issues)
-async function rpcCall(rpcUrl, method, params = []) {
-  const response = await fetch(rpcUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-    },
-    body: JSON.stringify({
-      jsonrpc: '2.0',
-      id: Date.now(),
-      method,
-      params,
-    }),
-  });
-
-  if (!response.ok) {
-    throw new Error(`HTTP error: ${response.status}`);
-  }
-
-  const data = await response.json();
-
-  if (data.error) {
-    throw new Error(data.error.message || 'RPC error');
-  }
-
-  return data.result;
-}
+import { rpcCall } from './rpc.js';
 
 // Get block by number or tag
 async function getBlock(rpcUrl, blockNumber) {
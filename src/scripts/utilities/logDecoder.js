@@ -0,0 +1,199 @@
+import { ethers } from 'ethers';
+import { EVENT_REGISTRY } from '../core/events.js';
+import { rpcCall } from './rpc.js';
+
+const ZERO_ADDRESS = ethers.constants.AddressZero;
+
+// topic0 -> [{ source, iface, fragment }] (several events can share a topic0, e.g. ERC20 / ERC721 Transfer)
+const eventsByTopic = new Map();
+
+Object.entries(EVENT_REGISTRY).forEach(([source, signatures]) => {
+  const iface = new ethers.utils.Interface(signatures);
+  Object.values(iface.events).forEach(fragment => {
+    const topic = iface.getEventTopic(fragment);
+    if (!eventsByTopic.has(topic)) {
+      eventsByTopic.set(topic, []);
+    }
+    eventsByTopic.get(topic).push({ source, iface, fragment });
+  });
+});
+
+/**
+ * Convert decoded event values to JSON-friendly values
+ */
+function toJsonValue(value) {
+  if (value && value._isBigNumber) return value.toString();
+  if (Array.isArray(value)) return value.map(toJsonValue);
+  return value;
+}
+
+/**
+ * Parse pasted logs
+ * Accepts a receipt ({ logs }), a JSON-RPC response ({ result: { logs } }) or an array of logs
+ * @param {string} text - pasted JSON
+ * @returns {Array<Object>} logs with address, topics and data
+ */
+export function parseLogsInput(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid JSON: ${error.message}`);
+  }
+
+  const receipt = parsed?.result ?? parsed;
+  const logs = Array.isArray(receipt) ? receipt : receipt?.logs;
+  if (!Array.isArray(logs)) {
+    throw new Error('Expected a receipt with "logs" or an array of logs');
+  }
+
+  logs.forEach((log, index) => {
+    if (!log || typeof log.address !== 'string' || !Array.isArray(log.topics)) {
+      throw new Error(`Log ${index} needs "address" and "topics"`);
+    }
+  });
+  return logs;
+}
+
+/**
+ * Fetch a transaction receipt's logs through JSON-RPC
+ * @param {string} rpcUrl - the JSON-RPC endpoint
+ * @param {string} txHash - the transaction hash
+ * @returns {Promise<Array<Object>>} receipt logs
+ */
+export async function fetchReceiptLogs(rpcUrl, txHash) {
+  const receipt = await rpcCall(rpcUrl, 'eth_getTransactionReceipt', [txHash.trim()]);
+  if (!receipt) {
+    throw new Error(`Receipt for ${txHash.trim()} not found (pending or unknown transaction)`);
+  }
+  return receipt.logs || [];
+}
+
+/**
+ * Decode a single log against the event registry
+ * @param {Object} log - { address, topics, data, logIndex }
+ * @param {number} position - position of the log in the receipt (used when logIndex is missing)
+ * @returns {Object} { logIndex, address, source, event, signature, args } or { logIndex, address, topic0, error }
+ */
+export function decodeLog(log, position) {
+  const logIndex = log.logIndex !== undefined ? Number(log.logIndex) : position;
+  const address = ethers.utils.getAddress(log.address);
+  const topic0 = (log.topics[0] || '').toLowerCase();
+  const candidates = eventsByTopic.get(topic0) || [];
+
+  for (const { source, iface, fragment } of candidates) {
+    try {
+      const decoded = iface.decodeEventLog(fragment, log.data || '0x', log.topics);
+      const args = {};
+      fragment.inputs.forEach((input, index) => {
+        args[input.name || `param${index}`] = toJsonValue(decoded[index]);
+      });
+      return { logIndex, address, source, event: fragment.name, signature: fragment.format(), args };
+    } catch {
+      // Topic count or data does not fit this candidate (e.g. ERC721 Transfer) - try the next one
+    }
+  }
+
+  return {
+    logIndex,
+    address,
+    topic0: topic0 || null,
+    error: candidates.length > 0 ? 'Log does not match the registered event layout' : 'Unknown event'
+  };
+}
+
+/**
+ * Build the token movements implied by decoded logs
+ * Deposit / Withdrawal are treated as mint / burn of the wrapped token
+ * @param {Array<Object>} decodedLogs - output of decodeLog
+ * @returns {Array<Object>} [{ logIndex, token, from, to, amount, kind }]
+ */
+function getTokenMovements(decodedLogs) {
+  const movements = [];
+
+  decodedLogs.forEach(log => {
+    if (log.event === 'Transfer' && log.source === 'erc20') {
+      movements.push({ logIndex: log.logIndex, token: log.address, from: log.args.from, to: log.args.to, amount: log.args.value, kind: 'transfer' });
+    } else if (log.event === 'Deposit' && log.source === 'weth') {
+      movements.push({ logIndex: log.logIndex, token: log.address, from: ZERO_ADDRESS, to: log.args.dst, amount: log.args.wad, kind: 'wrap' });
+    } else if (log.event === 'Withdrawal' && log.source === 'weth') {
+      movements.push({ logIndex: log.logIndex, token: log.address, from: log.args.src, to: ZERO_ADDRESS, amount: log.args.wad, kind: 'unwrap' });
+    }
+  });
+
+  return movements;
+}
+
+/**
+ * Net balance change per (token, account) from token movements
+ * @param {Array<Object>} movements - output of getTokenMovements
+ * @returns {Array<Object>} [{ token, account, delta }] - non-zero changes, zero address excluded
+ */
+function getBalanceChanges(movements) {
+  const deltas = new Map(); // `${token}:${account}` -> { token, account, delta }
+
+  const apply = (token, account, amount) => {
+    if (account === ZERO_ADDRESS) return;
+    const key = `${token}:${account}`;
+    const entry = deltas.get(key) || { token, account, delta: ethers.BigNumber.from(0) };
+    entry.delta = entry.delta.add(amount);
+    deltas.set(key, entry);
+  };
+
+  movements.forEach(({ token, from, to, amount }) => {
+    apply(token, from, ethers.BigNumber.from(amount).mul(-1));
+    apply(token, to, ethers.BigNumber.from(amount));
+  });
+
+  return [...deltas.values()]
+    .filter(entry => !entry.delta.isZero())
+    .map(entry => ({ token: entry.token, account: entry.account, delta: entry.delta.toString() }));
+}
+
+/**
+ * Summarize token flow from decoded logs
+ * @param {Array<Object>} decodedLogs - output of decodeLog
+ * @returns {Object} { movements, balanceChanges, received, orders, commissions }
+ */
+export function summarizeTokenFlow(decodedLogs) {
+  const movements = getTokenMovements(decodedLogs);
+  const balanceChanges = getBalanceChanges(movements);
+
+  const orders = decodedLogs
+    .filter(log => log.source === 'dexrouter' && log.event === 'OrderRecord')
+    .map(log => ({ logIndex: log.logIndex, router: log.address, ...log.args }));
+
+  const commissions = decodedLogs
+    .filter(log => log.source === 'dexrouter' && log.event.startsWith('Commission'))
+    .map(log => ({
+      logIndex: log.logIndex,
+      type: log.event === 'CommissionFromTokenRecord' ? 'fromToken' : 'toToken',
+      token: log.args.fromTokenAddress || log.args.toTokenAddress,
+      amount: log.args.commissionAmount,
+      referrer: log.args.referrerAddress
+    }));
+
+  return {
+    movements,
+    balanceChanges,
+    // Who received how much of which token
+    received: balanceChanges.filter(change => !change.delta.startsWith('-')),
+    orders,
+    commissions
+  };
+}
+
+/**
+ * Decode receipt logs and summarize the token flow
+ * @param {Array<Object>} logs - receipt logs
+ * @returns {Object} { logs, tokenFlow, undecoded } - undecoded is the number of logs without a registered event
+ */
+export function decodeReceiptLogs(logs) {
+  const decodedLogs = logs.map((log, position) => decodeLog(log, position));
+
+  return {
+    logs: decodedLogs,
+    tokenFlow: summarizeTokenFlow(decodedLogs.filter(log => !log.error)),
+    undecoded: decodedLogs.filter(log => log.error).length
+  };
+}
@@ -0,0 +1,124 @@
+import { ethers } from 'ethers';
+import { EVENT_REGISTRY } from '../core/events.js';
+import { decodeLog, decodeReceiptLogs, parseLogsInput, summarizeTokenFlow } from './logDecoder.js';
+
+const router = new ethers.utils.Interface(EVENT_REGISTRY.dexrouter);
+const erc20 = new ethers.utils.Interface(EVENT_REGISTRY.erc20);
+const weth = new ethers.utils.Interface(EVENT_REGISTRY.weth);
+
+const ROUTER = '0x5E1f62Dac767b0491e3CE72469C217365D5B48cC';
+const WETH = '0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2';
+const USDT = '0xdAC17F958D2ee523a2206206994597C13D831ec7';
+const ETH = '0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE';
+const USER = '0x3Ba0Ee766BC00c64aBb358f2237982De211f4295';
+const POOL = '0x11b815efB8f581194ae79006d24E0d814B7697F6';
+const REFERRER = '0x1111111111111111111111111111111111111111';
+
+const log = (address, iface, event, args) => ({ address, ...iface.encodeEventLog(iface.getEvent(event), args) });
+
+// 1 ETH -> USDT through a WETH / USDT pool, with a 1% toToken commission
+const swapLogs = [
+  log(WETH, weth, 'Deposit', [ROUTER, '1000000000000000000']),
+  log(WETH, erc20, 'Transfer', [ROUTER, POOL, '1000000000000000000']),
+  log(USDT, erc20, 'Transfer', [POOL, ROUTER, '3000000000']),
+  log(USDT, erc20, 'Transfer', [ROUTER, REFERRER, '30000000']),
+  log(ROUTER, router, 'CommissionToTokenRecord', [USDT, '30000000', REFERRER]),
+  log(USDT, erc20, 'Transfer', [ROUTER, USER, '2970000000']),
+  log(ROUTER, router, 'OrderRecord', [ETH, USDT, USER, '1000000000000000000', '2970000000'])
+];
+
+describe('decodeReceiptLogs', () => {
+  test('summarizes the token flow of a swap', () => {
+    const { tokenFlow, undecoded } = decodeReceiptLogs(swapLogs);
+
+    expect(undecoded).toBe(0);
+    expect(tokenFlow.movements).toEqual([
+      { logIndex: 0, token: WETH, from: ethers.constants.AddressZero, to: ROUTER, amount: '1000000000000000000', kind: 'wrap' },
+      { logIndex: 1, token: WETH, from: ROUTER, to: POOL, amount: '1000000000000000000', kind: 'transfer' },
+      { logIndex: 2, token: USDT, from: POOL, to: ROUTER, amount: '3000000000', kind: 'transfer' },
+      { logIndex: 3, token: USDT, from: ROUTER, to: REFERRER, amount: '30000000', kind: 'transfer' },
+      { logIndex: 5, token: USDT, from: ROUTER, to: USER, amount: '2970000000', kind: 'transfer' }
+    ]);
+    // The router nets out to zero on both tokens
+    expect(tokenFlow.balanceChanges).toEqual([
+      { token: WETH, account: POOL, delta: '1000000000000000000' },
+      { token: USDT, account: POOL, delta: '-3000000000' },
+      { token: USDT, account: REFERRER, delta: '30000000' },
+      { token: USDT, account: USER, delta: '2970000000' }
+    ]);
+    expect(tokenFlow.received).toEqual([
+      { token: WETH, account: POOL, delta: '1000000000000000000' },
+      { token: USDT, account: REFERRER, delta: '30000000' },
+      { token: USDT, account: USER, delta: '2970000000' }
+    ]);
+    expect(tokenFlow.orders).toEqual([{
+      logIndex: 6,
+      router: ROUTER,
+      fromToken: ETH,
+      toToken: USDT,
+      sender: USER,
+      fromAmount: '1000000000000000000',
+      returnAmount: '2970000000'
+    }]);
+    expect(tokenFlow.commissions).toEqual([
+      { logIndex: 4, type: 'toToken', token: USDT, amount: '30000000', referrer: REFERRER }
+    ]);
+  });
+
+  test('keeps unknown logs with an error and leaves them out of the token flow', () => {
+    const unknown = { address: USDT, topics: [ethers.utils.id('Sync(uint112,uint112)')], data: '0x' };
+    // ERC721 Transfer: same topic0 as ERC20 Transfer, but the token id is indexed
+    const nft = {
+      address: POOL,
+      topics: [erc20.getEventTopic('Transfer'), ethers.utils.hexZeroPad(USER, 32), ethers.utils.hexZeroPad(ROUTER, 32), ethers.utils.hexZeroPad('0x01', 32)],
+      data: '0x'
+    };
+
+    const { logs, tokenFlow, undecoded } = decodeReceiptLogs([unknown, ...swapLogs.slice(0, 2), nft]);
+
+    expect(undecoded).toBe(2);
+    expect(logs[0]).toEqual({ logIndex: 0, address: USDT, topic0: unknown.topics[0], error: 'Unknown event' });
+    expect(logs[3]).toMatchObject({ logIndex: 3, address: POOL, error: 'Log does not match the registered event layout' });
+    expect(tokenFlow.movements.map(movement => movement.logIndex)).toEqual([1, 2]);
+  });
+});
+
+describe('summarizeTokenFlow', () => {
+  test('a Withdrawal burns the wrapped token and a fromToken commission is typed', () => {
+    const decoded = [
+      log(WETH, weth, 'Withdrawal', [ROUTER, '500']),
+      log(ROUTER, router, 'CommissionFromTokenRecord', [WETH, '5', REFERRER])
+    ].map(decodeLog);
+
+    const { movements, balanceChanges, received, commissions } = summarizeTokenFlow(decoded);
+
+    expect(movements).toEqual([{ logIndex: 0, token: WETH, from: ROUTER, to: ethers.constants.AddressZero, amount: '500', kind: 'unwrap' }]);
+    expect(balanceChanges).toEqual([{ token: WETH, account: ROUTER, delta: '-500' }]);
+    expect(received).toEqual([]);
+    expect(commissions).toEqual([{ logIndex: 1, type: 'fromToken', token: WETH, amount: '5', referrer: REFERRER }]);
+  });
+
+  test('uses the logIndex of the receipt when present', () => {
+    const [decoded] = [{ ...swapLogs[1], logIndex: '0x2a' }].map(decodeLog);
+
+    expect(summarizeTokenFlow([decoded]).movements[0].logIndex).toBe(42);
+  });
+});
+
+describe('parseLogsInput', () => {
+  test.each([
+    ['a receipt', { status: '0x1', logs: swapLogs }],
+    ['a JSON-RPC response', { jsonrpc: '2.0', id: 1, result: { logs: swapLogs } }],
+    ['an array of logs', swapLogs]
+  ])('reads %s', (name, input) => {
+    expect(parseLogsInput(JSON.stringify(input))).toEqual(swapLogs);
+  });
+
+  test.each([
+    ['invalid JSON', '{ logs: ', 'Invalid JSON'],
+    ['an object without logs', '{ "status": "0x1" }', 'Expected a receipt with "logs" or an array of logs'],
+    ['a log without topics', JSON.stringify([{ address: USDT }]), 'Log 0 needs "address" and "topics"']
+  ])('rejects %s', (name, text, message) => {
+    expect(() => parseLogsInput(text)).toThrow(message);
+  });
+});
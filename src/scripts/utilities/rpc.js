@@ -0,0 +1,39 @@
+// Predefined chain RPC URLs (CORS-enabled public endpoints)
+export const CHAIN_OPTIONS = [
+  { id: 'custom', name: 'Custom RPC', rpcUrl: '' },
+  { id: 'eth', name: 'Ethereum Mainnet', rpcUrl: 'https://eth.drpc.org' },
+  { id: 'bsc', name: 'BSC', rpcUrl: 'https://bsc-dataseed.binance.org' },
+  { id: 'base', name: 'Base', rpcUrl: 'https://base.drpc.org' },
+  { id: 'arb', name: 'Arbitrum One', rpcUrl: 'https://arb1.arbitrum.io/rpc' },
+  { id: 'xlayer', name: 'X Layer', rpcUrl: 'https://xlayer.drpc.org' },
+  { id: 'op', name: 'Optimism', rpcUrl: 'https://mainnet.optimism.io' },
+  { id: 'mode', name: 'Mode', rpcUrl: 'https://mainnet.mode.network' },
+];
+
+// Direct JSON-RPC call using fetch (avoids ethers.js CORS issues)
+export async function rpcCall(rpcUrl, method, params = []) {
+  const response = await fetch(rpcUrl, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+    },
+    body: JSON.stringify({
+      jsonrpc: '2.0',
+      id: Date.now(),
+      method,
+      params,
+    }),
+  });
+
+  if (!response.ok) {
+    throw new Error(`HTTP error: ${response.status}`);
+  }
+
+  const data = await response.json();
+
+  if (data.error) {
+    throw new Error(data.error.message || 'RPC error');
+  }
+
+  return data.result;
+}